@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const { resolveConfiguredPath } = require('./utils');
+
+/** File names of a project configuration, in the order they are looked up in each directory */
+const PROJECT_CONFIG_FILES = [
+    '.azure-pipeline-studio.json',
+    '.azure-pipeline-studio.yml',
+    '.azure-pipeline-studio.yaml',
+];
+
+/** Sections of a project configuration; each one maps names to values */
+const CONFIG_SECTIONS = ['format', 'resourceLocations', 'variables', 'parameters'];
+
+const BOOLEAN_FORMAT_OPTIONS = [
+    'noArrayIndent',
+    'forceQuotes',
+    'sortKeys',
+    'stepSpacing',
+    'normalizeAzureVariablePaths',
+];
+
+/** Integer format options with their [min, max] range */
+const INTEGER_FORMAT_OPTIONS = {
+    indent: [1, 8],
+    lineWidth: [0, Number.MAX_SAFE_INTEGER],
+    firstBlockBlankLines: [0, 4],
+    blankLinesBetweenSections: [0, 4],
+};
+
+const isMapping = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Find the project configuration that applies to a directory: the first configuration file in
+ * the directory or the closest parent that has one.
+ * @param {string} startDirectory - Directory to start from (usually the pipeline's directory)
+ * @returns {string|undefined} Absolute path of the configuration file
+ */
+function findProjectConfig(startDirectory) {
+    for (let current = path.resolve(startDirectory); ; current = path.dirname(current)) {
+        const found = PROJECT_CONFIG_FILES.map((name) => path.join(current, name)).find((candidate) =>
+            fs.existsSync(candidate),
+        );
+        if (found) {
+            return found;
+        }
+        if (path.dirname(current) === current) {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Read and validate a project configuration file (JSON or YAML). Paths are relative to the
+ * file's directory, which also stands for `${workspaceFolder}`.
+ *
+ * - `format`: formatter options, as the `azurePipelineStudio.format.*` settings
+ * - `resourceLocations`: repository alias to local path, as a mapping or a list of
+ *   `{ repository, location }` entries like the `azurePipelineStudio.resourceLocations` setting
+ * - `variables`: compile-time variables
+ * - `parameters`: root parameter values keyed by pipeline path (relative to the file), file name
+ *   or `*`; each value is a mapping or the path of a parameters file. Keys that cannot name a
+ *   pipeline and missing parameters files are rejected
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @returns {{file: string, directory: string, format: object, resourceLocations: object,
+ *     variables: object, parameters: object}} The configuration with absolute paths
+ */
+function loadProjectConfig(filePath) {
+    const file = path.resolve(filePath);
+    const directory = path.dirname(file);
+    const fail = (message) => {
+        throw new Error(`Invalid project configuration ${file}: ${message}`);
+    };
+
+    let data;
+    try {
+        data = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        fail(error.message);
+    }
+    if (data === null || data === undefined) {
+        data = {};
+    }
+    if (!isMapping(data)) {
+        fail('the file must contain a mapping');
+    }
+
+    const unknown = Object.keys(data).filter((key) => !CONFIG_SECTIONS.includes(key));
+    if (unknown.length) {
+        fail(`unknown section '${unknown[0]}'; expected one of: ${CONFIG_SECTIONS.join(', ')}`);
+    }
+    const section = (name) => {
+        const value = data[name] === undefined || data[name] === null ? {} : data[name];
+        if (name === 'resourceLocations' && Array.isArray(value)) {
+            return value;
+        }
+        if (!isMapping(value)) {
+            fail(`'${name}' must be a mapping`);
+        }
+        return value;
+    };
+
+    const format = {};
+    for (const [key, value] of Object.entries(section('format'))) {
+        if (BOOLEAN_FORMAT_OPTIONS.includes(key)) {
+            if (typeof value !== 'boolean') fail(`format.${key} must be true or false`);
+        } else if (INTEGER_FORMAT_OPTIONS[key]) {
+            const [min, max] = INTEGER_FORMAT_OPTIONS[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                fail(`format.${key} must be an integer between ${min} and ${max}`);
+            }
+        } else if (key === 'newlineFormat') {
+            if (value !== '\n' && value !== '\r\n') fail("format.newlineFormat must be '\\n' or '\\r\\n'");
+        } else {
+            fail(`unknown format option '${key}'`);
+        }
+        format[key] = value;
+    }
+
+    const locations = section('resourceLocations');
+    const locationEntries = Array.isArray(locations)
+        ? locations.map((entry) => [entry && entry.repository, entry && (entry.location || entry.path)])
+        : Object.entries(locations);
+    const resourceLocations = {};
+    for (const [alias, location] of locationEntries) {
+        if (typeof alias !== 'string' || !alias.trim() || typeof location !== 'string' || !location.trim()) {
+            fail('resourceLocations entries need a repository alias and a location');
+        }
+        resourceLocations[alias.trim()] = resolveConfiguredPath(location, directory, directory);
+    }
+
+    const variables = {};
+    for (const [name, value] of Object.entries(section('variables'))) {
+        if (value !== null && typeof value === 'object') fail(`variable '${name}' must be a string`);
+        variables[name] = value === null ? '' : String(value);
+    }
+
+    // Keys select pipelines (see selectPipelineParameters); a parameter name used as a key, as in
+    // `parameters: { environment: prod }`, would silently match nothing
+    const parameters = {};
+    for (const [key, value] of Object.entries(section('parameters'))) {
+        const isPath = /[\\/]/.test(key);
+        if (key !== '*' && (!/\.ya?ml$/i.test(key) || (isPath && !fs.existsSync(path.resolve(directory, key))))) {
+            fail(
+                `parameters key '${key}' matches no pipeline; expected a pipeline path relative to the file, ` +
+                    `a pipeline file name or '*'`,
+            );
+        }
+        if (typeof value === 'string') {
+            parameters[key] = resolveConfiguredPath(value, directory, directory);
+            if (!fs.existsSync(parameters[key])) {
+                fail(`parameters file for '${key}' not found: ${parameters[key]}`);
+            }
+        } else if (isMapping(value)) {
+            parameters[key] = value;
+        } else {
+            fail(`parameters for '${key}' must be a mapping or the path of a parameters file`);
+        }
+    }
+
+    return { file, directory, format, resourceLocations, variables, parameters };
+}
+
+/**
+ * The `parameters` entry of a project configuration that applies to a pipeline: the one keyed by
+ * its path relative to the configuration file, its absolute path, its file name, or else `*`.
+ * @returns {object|string|undefined} Parameter values, or the absolute path of a parameters file
+ */
+function selectPipelineParameters(projectConfig, pipelinePath) {
+    const { parameters, directory } = projectConfig;
+    const candidates = [
+        path.relative(directory, pipelinePath).split(path.sep).join('/'),
+        pipelinePath,
+        path.basename(pipelinePath),
+        '*',
+    ];
+    const key = candidates.find((candidate) => parameters[candidate] !== undefined);
+    return key === undefined ? undefined : parameters[key];
+}
+
+/**
+ * Merge configuration layers, lowest precedence first, value by value.
+ * @param {Array<{source: string, config: object}>} layers - Sections (see CONFIG_SECTIONS) of
+ *     each layer, with the source they came from (a file path or a CLI flag)
+ * @returns {{config: object, sources: object}} The merged sections, and the source of each
+ *     value keyed by `<section>.<name>`
+ */
+function mergeConfigLayers(layers) {
+    const config = Object.fromEntries(CONFIG_SECTIONS.map((name) => [name, {}]));
+    const sources = {};
+    for (const { source, config: layer } of layers) {
+        for (const name of CONFIG_SECTIONS) {
+            for (const [key, value] of Object.entries((layer && layer[name]) || {})) {
+                config[name][key] = value;
+                sources[`${name}.${key}`] = source;
+            }
+        }
+    }
+    return { config, sources };
+}
+
+/**
+ * Render a merged configuration with the source of each value as YAML-style lines.
+ * @param {{config: object, sources: object}} merged - Result of mergeConfigLayers
+ * @returns {string} One `<section>.<name>: <value>  # <source>` line per value
+ */
+function formatEffectiveConfig(merged) {
+    const lines = [];
+    for (const name of CONFIG_SECTIONS) {
+        for (const [key, value] of Object.entries(merged.config[name])) {
+            lines.push(`${name}.${key}: ${JSON.stringify(value)}  # ${merged.sources[`${name}.${key}`]}`);
+        }
+    }
+    return lines.length ? lines.join('\n') + '\n' : '# No configuration values are set\n';
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILES,
+    findProjectConfig,
+    loadProjectConfig,
+    selectPipelineParameters,
+    mergeConfigLayers,
+    formatEffectiveConfig,
+};
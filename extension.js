@@ -1,10 +1,24 @@
 const fs = require('fs');
 const path = require('path');
 const minimist = require('minimist');
+const YAML = require('yaml');
 
 // Import utility functions and formatter
-const { pickFirstString, resolveConfiguredPath, normalizeExtension } = require('./utils');
+const {
+    pickFirstString,
+    resolveConfiguredPath,
+    normalizeExtension,
+    createGitRefReader,
+    createUnifiedDiff,
+} = require('./utils');
 const { formatYaml } = require('./formatter');
+const {
+    findProjectConfig,
+    loadProjectConfig,
+    selectPipelineParameters,
+    mergeConfigLayers,
+    formatEffectiveConfig,
+} = require('./config');
 
 let vscode;
 try {
@@ -25,11 +39,21 @@ function activate(context) {
 
     const parser = new AzurePipelineParser();
     let lastRenderedDocument;
+    let lastRenderOptions = {};
+    // Expression evaluations of the last expansion, shown when hovering `${{ }}` in the sources
+    let lastEvaluations = [];
+    // Discovered repository locations already offered for saving, as "alias=location"
+    const offeredDiscoveries = new Set();
     const renderedScheme = 'ado-pipeline-expanded';
     const renderedContent = new Map();
+    const renderedSourceMaps = new Map();
     const renderedEmitter = new vscode.EventEmitter();
 
     context.subscriptions.push(renderedEmitter);
+
+    // Problems found while expanding the last rendered pipeline, in the pipeline and its templates
+    const diagnosticCollection = vscode.languages.createDiagnosticCollection('azurePipelineStudio');
+    context.subscriptions.push(diagnosticCollection);
     context.subscriptions.push(
         vscode.workspace.registerTextDocumentContentProvider(renderedScheme, {
             onDidChange: renderedEmitter.event,
@@ -37,16 +61,34 @@ function activate(context) {
         }),
     );
 
-    const getRenderTargetUri = (document) => {
+    const getRenderTargetUri = (document, variant = 'expanded') => {
         const baseName = path.basename(document.fileName || 'pipeline.yml') || 'pipeline.yml';
         const sourceId = encodeURIComponent(document.fileName || baseName);
         return vscode.Uri.from({
             scheme: renderedScheme,
             path: '/' + baseName,
-            query: `${sourceId}|expanded`,
+            query: `${sourceId}|${encodeURIComponent(variant)}`,
         });
     };
 
+    /** Project configuration (.azure-pipeline-studio.json/.yml) closest to a saved document */
+    const loadProjectConfigForDocument = (document) => {
+        if (document?.uri?.scheme !== 'file') return undefined;
+        const configFile = findProjectConfig(path.dirname(document.fileName));
+        return configFile ? loadProjectConfig(configFile) : undefined;
+    };
+
+    /** Whether a setting has a user, workspace or folder value instead of its default */
+    const isSettingConfigured = (config, key) => {
+        const inspected = config.inspect(key);
+        return (
+            Boolean(inspected) &&
+            [inspected.globalValue, inspected.workspaceValue, inspected.workspaceFolderValue].some(
+                (value) => value !== undefined,
+            )
+        );
+    };
+
     const getFormatSettings = (document) => {
         const defaults = {
             noArrayIndent: true,
@@ -104,6 +146,14 @@ function activate(context) {
                 result.newlineFormat = newlineFormat;
             }
 
+            // Project configuration values apply unless the setting is set explicitly
+            const projectFormat = loadProjectConfigForDocument(document)?.format || {};
+            for (const [key, value] of Object.entries(projectFormat)) {
+                if (!isSettingConfigured(config, `format.${key}`)) {
+                    result[key === 'blankLinesBetweenSections' ? 'betweenSectionBlankLines' : key] = value;
+                }
+            }
+
             return result;
         } catch (error) {
             console.warn('Failed to read azurePipelineStudio.format settings:', error);
@@ -154,35 +204,161 @@ function activate(context) {
         }
     };
 
-    const renderYamlDocument = async (document, options = {}) => {
-        if (!document) return;
+    /**
+     * Parser overrides for expanding a pipeline document with the user's settings.
+     * `options.scenario` applies scenario variables/parameters and `options.readFile`
+     * overrides how template files are read (e.g. from a git ref).
+     */
+    const buildExpansionOverrides = (document, options = {}) => {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const { scenario } = options;
+        const compileTimeVariables = {
+            ...loadProjectConfigForDocument(document)?.variables,
+            ...config.get('expansion.variables', {}),
+        };
+        const maxTemplateDepth = config.get('expansion.maxTemplateDepth');
+        const expansionLimits = config.get('expansion.limits', {});
+        const strictLimits = config.get('expansion.strictLimits', false);
+        const useRepositoryRefs = config.get('expansion.useRepositoryRefs', false);
+        const discoverRepositories = config.get('discoverResourceLocations', true);
+        const validateSchema = options.collectDiagnostics && config.get('expansion.validateSchema', true);
+        const taskManifests = options.collectDiagnostics && resolveTaskManifestsForDocument(document);
+        const resourceOverrides = buildResourceOverridesForDocument(document);
+        const resourceMetadata = config.get('expansion.resources', {});
+        const runtimeScenario = loadRuntimeScenarioForDocument(document);
+        const variableGroups = loadVariableGroupsForDocument(document);
+        const parameters = loadParametersForDocument(document);
+        const counterStore = resolveCounterStoreForDocument(document);
+        const pinnedCounters = config.get('expansion.counters', {});
+        const azureCompatible = options.azureCompatible ?? false;
+
+        const baseOverrides = {
+            fileName: document.fileName,
+            azureCompatible,
+            sourceMap: true,
+            ...(options.resolveMacros && { resolveMacros: true }),
+            ...(maxTemplateDepth && { maxTemplateDepth }),
+            ...(Object.keys(expansionLimits).length && { limits: expansionLimits }),
+            ...(strictLimits && { strictLimits }),
+            ...(useRepositoryRefs && { useRepositoryRefs }),
+            ...(discoverRepositories && { discoverRepositories }),
+            ...((resourceOverrides || Object.keys(resourceMetadata).length) && {
+                resources: { ...resourceMetadata, ...resourceOverrides },
+            }),
+            ...(parameters && { parameters }),
+            ...(Object.keys(compileTimeVariables).length && { variables: compileTimeVariables }),
+            ...(variableGroups && { variableGroups }),
+            ...(runtimeScenario && { runtimeScenario }),
+            ...(counterStore && { counterStore }),
+            ...(Object.keys(pinnedCounters).length && { counters: pinnedCounters }),
+            ...(options.readFile && { readFile: options.readFile }),
+            ...(options.collectDiagnostics && { collectDiagnostics: true }),
+            ...(validateSchema && { validateSchema: true }),
+            ...(taskManifests && { taskManifests }),
+        };
+        return scenario ? parser.createScenarioOverrides(baseOverrides, scenario) : baseOverrides;
+    };
 
-        lastRenderedDocument = document;
+    /**
+     * Expand and format a pipeline document as shown in the expanded view (options as for
+     * buildExpansionOverrides).
+     * @returns {{renderedText: string, sourceMap: object, evaluations: Array, diagnostics: Array,
+     *     warnings: Array, unresolvedMacros: Array|undefined, discoveredRepositories: Array|undefined}}
+     */
+    const expandDocumentForView = (document, options = {}) => {
         const sourceText = document.getText();
+        const { scenario } = options;
+        const parserOverrides = buildExpansionOverrides(document, options);
+
+        console.log('Parser overrides:', JSON.stringify(parserOverrides, null, 2));
+        const {
+            text: expandedYaml,
+            warnings,
+            unresolvedMacros,
+            sourcePaths,
+            evaluations,
+            diagnostics = [],
+            repositoryRefs,
+            discoveredRepositories,
+        } = parser.expandPipelineToResult(sourceText, parserOverrides);
 
-        try {
-            const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
-            const compileTimeVariables = config.get('expansion.variables', {});
-            const resourceOverrides = buildResourceOverridesForDocument(document);
-            const azureCompatible = options.azureCompatible ?? false;
+        const formatOptions = getFormatSettings(document);
+        formatOptions.fileName = document.fileName;
+        formatOptions.wasExpanded = true;
+        const formatted = formatYaml(expandedYaml, formatOptions);
+
+        // Diagnostics and expansion limit warnings are shown at the top of the rendered view
+        const errorHeader = diagnostics.map((diagnostic) => `# Error: ${diagnostic.message}\n`).join('');
+        const warningHeader = warnings.map((warning) => `# Warning: ${warning.message}\n`).join('');
+        const scenarioHeader = scenario ? `# Scenario: ${scenario.name}\n` : '';
+        const renderedText =
+            scenarioHeader + formatRepositoryRefHeader(repositoryRefs) + errorHeader + warningHeader + formatted.text;
+        return {
+            renderedText,
+            sourceMap: parser.createSourceMap(renderedText, sourcePaths),
+            evaluations,
+            diagnostics,
+            warnings,
+            unresolvedMacros,
+            discoveredRepositories,
+        };
+    };
+
+    /** Replace the published diagnostics with the problems of an expansion of `document` */
+    const publishDiagnostics = (document, problems) => {
+        const toRange = (line, column) => new vscode.Range(line - 1, column - 1, line - 1, Number.MAX_SAFE_INTEGER);
+        const byFile = new Map();
+        for (const problem of problems) {
+            const file = problem.file || document.fileName;
+            const diagnostic = new vscode.Diagnostic(
+                toRange(problem.line || 1, problem.column || 1),
+                problem.message,
+                vscode.DiagnosticSeverity.Error,
+            );
+            diagnostic.source = 'Azure Pipeline Studio';
+            diagnostic.code = problem.code;
+            diagnostic.relatedInformation = problem.related.map(
+                (related) =>
+                    new vscode.DiagnosticRelatedInformation(
+                        new vscode.Location(vscode.Uri.file(related.file), toRange(related.line, related.column)),
+                        related.message,
+                    ),
+            );
+            byFile.set(file, [...(byFile.get(file) || []), diagnostic]);
+        }
 
-            const parserOverrides = {
-                fileName: document.fileName,
-                azureCompatible,
-                ...(resourceOverrides && { resources: resourceOverrides }),
-                ...(Object.keys(compileTimeVariables).length && { variables: compileTimeVariables }),
-            };
+        diagnosticCollection.clear();
+        for (const [file, diagnostics] of byFile) {
+            const uri = file === document.fileName ? document.uri : vscode.Uri.file(file);
+            diagnosticCollection.set(uri, diagnostics);
+        }
+    };
 
-            console.log('Parser overrides:', JSON.stringify(parserOverrides, null, 2));
-            const expandedYaml = parser.expandPipelineToString(sourceText, parserOverrides);
+    const renderYamlDocument = async (document, options = {}) => {
+        if (!document) return;
 
-            const formatOptions = getFormatSettings(document);
-            formatOptions.fileName = document.fileName;
-            formatOptions.wasExpanded = true;
-            const formatted = formatYaml(expandedYaml, formatOptions);
+        lastRenderedDocument = document;
+        lastRenderOptions = {
+            azureCompatible: options.azureCompatible,
+            resolveMacros: options.resolveMacros,
+            scenario: options.scenario,
+        };
 
+        try {
+            const {
+                renderedText,
+                sourceMap,
+                evaluations,
+                diagnostics,
+                warnings,
+                unresolvedMacros,
+                discoveredRepositories,
+            } = expandDocumentForView(document, { ...options, collectDiagnostics: true });
+            lastEvaluations = evaluations;
+            publishDiagnostics(document, diagnostics);
             const targetUri = getRenderTargetUri(document);
-            renderedContent.set(targetUri.toString(), formatted.text);
+            renderedContent.set(targetUri.toString(), renderedText);
+            renderedSourceMaps.set(targetUri.toString(), { document, sourceMap });
             renderedEmitter.fire(targetUri);
 
             if (!options.silent) {
@@ -192,11 +368,30 @@ function activate(context) {
                     preview: false,
                     preserveFocus: true,
                 });
+
+                warnings.forEach((warning) => vscode.window.showWarningMessage(warning.message));
+
+                if (diagnostics.length) {
+                    vscode.window.showErrorMessage(
+                        `Found ${diagnostics.length} problem(s) while expanding the pipeline. See the Problems panel.`,
+                    );
+                }
+
+                if (unresolvedMacros && unresolvedMacros.length) {
+                    const names = [...new Set(unresolvedMacros.map((entry) => `$(${entry.name})`))];
+                    vscode.window.showWarningMessage(`Unresolved macros: ${names.join(', ')}`);
+                }
             }
+
+            void offerToSaveDiscoveredRepositories(discoveredRepositories);
         } catch (error) {
             console.error('Error expanding pipeline:', error);
+            lastEvaluations = [];
+            publishDiagnostics(document, [parser.errorToDiagnostic(error, document.fileName)]);
             const targetUri = getRenderTargetUri(document);
-            const errorMessage = `# Error Expanding Azure Pipeline\n\n${error.message}\n\n---\n\n${error.stack || ''}`;
+            renderedSourceMaps.delete(targetUri.toString());
+            const details = error.message.replace(/^/gm, '# ');
+            const errorMessage = `# Error Expanding Azure Pipeline (see the Problems panel)\n#\n${details}\n`;
             renderedContent.set(targetUri.toString(), errorMessage);
             renderedEmitter.fire(targetUri);
 
@@ -207,9 +402,8 @@ function activate(context) {
                     preview: false,
                     preserveFocus: true,
                 });
+                vscode.window.showErrorMessage(`Failed to expand Azure Pipeline: ${error.message}`);
             }
-
-            vscode.window.showErrorMessage(`Failed to expand Azure Pipeline: ${error.message}`);
         }
     };
 
@@ -218,17 +412,18 @@ function activate(context) {
 
         const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
         const configuredResources = config.get('resourceLocations');
-
-        if (!Array.isArray(configuredResources) || !configuredResources.length) {
-            return undefined;
-        }
-
         const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
         const workspaceDir = workspaceFolder?.uri.fsPath;
         const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
         const repositories = {};
 
-        for (const entry of configuredResources) {
+        // Locations of the project configuration, replaced by the setting's entries for the same alias
+        const projectLocations = loadProjectConfigForDocument(document)?.resourceLocations || {};
+        for (const [alias, location] of Object.entries(projectLocations)) {
+            repositories[alias] = { location };
+        }
+
+        for (const entry of Array.isArray(configuredResources) ? configuredResources : []) {
             if (!entry || typeof entry !== 'object') continue;
 
             const alias = entry.repository?.trim();
@@ -256,6 +451,252 @@ function activate(context) {
         return Object.keys(repositories).length ? { repositories } : undefined;
     }
 
+    function resolveCounterStoreForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const rawPath = pickFirstString(config.get('expansion.counterStore'));
+        if (!rawPath) return undefined;
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
+        return resolveConfiguredPath(rawPath, workspaceFolder?.uri.fsPath, documentDir);
+    }
+
+    function resolveTaskManifestsForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const rawPath = pickFirstString(config.get('expansion.taskManifests'));
+        if (!rawPath) return undefined;
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
+        return resolveConfiguredPath(rawPath, workspaceFolder?.uri.fsPath, documentDir);
+    }
+
+    function loadRuntimeScenarioForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const rawPath = pickFirstString(config.get('expansion.runtimeScenario'));
+        if (!rawPath) return undefined;
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
+        const scenarioPath = resolveConfiguredPath(rawPath, workspaceFolder?.uri.fsPath, documentDir);
+        return loadRuntimeScenario(scenarioPath);
+    }
+
+    /**
+     * Scenario matrix for a document from `expansion.scenarioFile`, or from a file picked by the
+     * user when the setting is empty. Returns the normalized scenarios, or undefined when cancelled.
+     */
+    async function loadScenariosForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const rawPath = pickFirstString(config.get('expansion.scenarioFile'));
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
+
+        let scenarioPath;
+        if (rawPath) {
+            scenarioPath = resolveConfiguredPath(rawPath, workspaceFolder?.uri.fsPath, documentDir);
+        } else {
+            const selection = await vscode.window.showOpenDialog({
+                canSelectFiles: true,
+                canSelectFolders: false,
+                canSelectMany: false,
+                openLabel: 'Use scenario file',
+                defaultUri: workspaceFolder?.uri,
+                filters: { 'Scenario files': ['yml', 'yaml', 'json'] },
+            });
+            if (!selection || selection.length === 0) return undefined;
+            scenarioPath = selection[0].fsPath;
+        }
+
+        return parser.normalizeScenarioMatrix(loadScenarioMatrix(scenarioPath));
+    }
+
+    /**
+     * Root parameter values for a document: the `parameters` of the project configuration,
+     * overridden per parameter by the `expansion.parameters` setting.
+     */
+    function loadParametersForDocument(document) {
+        const projectConfig = loadProjectConfigForDocument(document);
+        const projectEntry = projectConfig && selectPipelineParameters(projectConfig, document.fileName);
+        const projectParameters = typeof projectEntry === 'string' ? loadParametersFile(projectEntry) : projectEntry;
+        const configuredParameters = loadParameterSettingForDocument(document);
+        return projectParameters || configuredParameters
+            ? { ...projectParameters, ...configuredParameters }
+            : undefined;
+    }
+
+    /**
+     * Root parameter values for a document from `expansion.parameters`. Entries are keyed by
+     * the pipeline path (workspace-relative or absolute), its file name, or `*` for every
+     * pipeline; each value is a mapping of parameter values or the path of a parameters file.
+     */
+    function loadParameterSettingForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const configured = config.get('expansion.parameters');
+        if (!configured || typeof configured !== 'object' || !document.fileName) return undefined;
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const workspaceDir = workspaceFolder?.uri.fsPath;
+        const documentDir = path.dirname(document.fileName);
+        const relativePath = workspaceDir
+            ? path.relative(workspaceDir, document.fileName).split(path.sep).join('/')
+            : '';
+        const candidates = [relativePath, document.fileName, path.basename(document.fileName)];
+
+        const key =
+            candidates.find((candidate) => candidate && configured[candidate] !== undefined) ||
+            (configured['*'] !== undefined ? '*' : undefined);
+        if (!key) return undefined;
+
+        const entry = configured[key];
+        if (typeof entry === 'string') {
+            return loadParametersFile(resolveConfiguredPath(entry, workspaceDir, documentDir));
+        }
+        return entry && typeof entry === 'object' ? entry : undefined;
+    }
+
+    function loadVariableGroupsForDocument(document) {
+        const config = vscode.workspace.getConfiguration('azurePipelineStudio', document.uri);
+        const configuredGroups = config.get('variableGroups');
+        if (!configuredGroups || typeof configuredGroups !== 'object') return undefined;
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const documentDir = document.fileName ? path.dirname(document.fileName) : undefined;
+        const variableGroups = {};
+
+        for (const [name, rawPath] of Object.entries(configuredGroups)) {
+            const groupPath = resolveConfiguredPath(pickFirstString(rawPath), workspaceFolder?.uri.fsPath, documentDir);
+            if (!name.trim() || !groupPath) continue;
+            variableGroups[name.trim()] = loadVariableGroup(groupPath);
+        }
+
+        return Object.keys(variableGroups).length ? variableGroups : undefined;
+    }
+
+    // Locate the source (pipeline or template file) of a line in the expanded view
+    const findSourceLocation = (renderedUri, line) => {
+        const entry = renderedSourceMaps.get(renderedUri.toString());
+        const mapping = entry && parser.findSourceMapping(entry.sourceMap, line + 1);
+        if (!mapping || !mapping.source.file) {
+            return undefined;
+        }
+
+        const { file, line: sourceLine, column } = mapping.source;
+        const uri = file === entry.document.fileName ? entry.document.uri : vscode.Uri.file(file);
+        return new vscode.Location(uri, new vscode.Position(sourceLine - 1, column - 1));
+    };
+
+    context.subscriptions.push(
+        vscode.languages.registerDefinitionProvider(
+            { scheme: renderedScheme },
+            { provideDefinition: (document, position) => findSourceLocation(document.uri, position.line) },
+        ),
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('azurePipelineStudio.goToSource', async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.uri.scheme !== renderedScheme) {
+                vscode.window.showInformationMessage('Open an expanded pipeline view to go to the source of a line.');
+                return;
+            }
+
+            const location = findSourceLocation(editor.document.uri, editor.selection.active.line);
+            if (!location) {
+                vscode.window.showInformationMessage('No source location is known for this line.');
+                return;
+            }
+
+            const sourceDocument = await vscode.workspace.openTextDocument(location.uri);
+            await vscode.window.showTextDocument(sourceDocument, {
+                viewColumn: vscode.ViewColumn.One,
+                selection: location.range,
+            });
+        }),
+    );
+
+    context.subscriptions.push(
+        vscode.languages.registerHoverProvider(
+            { scheme: 'file', pattern: '**/*.{yml,yaml}' },
+            {
+                provideHover: (document, position) => {
+                    const expression = findExpressionAt(document.lineAt(position.line).text, position.character);
+                    if (!expression) {
+                        return undefined;
+                    }
+                    const records = parser.findEvaluations(
+                        lastEvaluations,
+                        document.fileName,
+                        position.line + 1,
+                        expression.text,
+                    );
+                    if (!records.length) {
+                        return undefined;
+                    }
+                    const range = new vscode.Range(position.line, expression.start, position.line, expression.end);
+                    return new vscode.Hover(new vscode.MarkdownString(formatEvaluationHover(records)), range);
+                },
+            },
+        ),
+    );
+
+    context.subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(
+            { scheme: 'file', pattern: '**/*.{yml,yaml}' },
+            {
+                provideCompletionItems: (document, position) => {
+                    const lines = document.getText().split(/\r?\n/);
+                    const completion = findTaskCompletionContext(lines, position.line, position.character);
+                    if (!completion) {
+                        return undefined;
+                    }
+                    const range = new vscode.Range(
+                        position.line,
+                        position.character - completion.prefix.length,
+                        position.line,
+                        position.character,
+                    );
+
+                    if (completion.kind === 'task') {
+                        return parser.listCatalogTasks().flatMap((task) =>
+                            task.versions.map((version) => {
+                                const item = new vscode.CompletionItem(
+                                    `${task.name}@${version.major}`,
+                                    vscode.CompletionItemKind.Module,
+                                );
+                                item.detail = task.friendlyName;
+                                item.documentation = task.description;
+                                item.range = range;
+                                return item;
+                            }),
+                        );
+                    }
+
+                    const found = parser.findCatalogTask(completion.task);
+                    if (!found) {
+                        return undefined;
+                    }
+                    return found.version.inputs
+                        .filter((input) =>
+                            [input.name, ...(input.aliases || [])].every(
+                                (name) => !completion.existing.includes(name.toLowerCase()),
+                            ),
+                        )
+                        .map((input, index) => {
+                            const item = new vscode.CompletionItem(input.name, vscode.CompletionItemKind.Property);
+                            item.insertText = `${input.name}: `;
+                            item.detail = formatTaskInputDetail(input);
+                            item.documentation = new vscode.MarkdownString(formatTaskInputDocumentation(input));
+                            // Required inputs first, then in manifest order
+                            item.sortText = `${input.required ? 0 : 1}${String(index).padStart(3, '0')}`;
+                            item.range = range;
+                            return item;
+                        });
+                },
+            },
+        ),
+    );
+
     const shouldRenderDocument = (document) => {
         if (!document || !document.fileName) {
             return false;
@@ -289,6 +730,253 @@ function activate(context) {
     );
     context.subscriptions.push(commandAzureCompatibleDisposable);
 
+    const commandResolveMacrosDisposable = vscode.commands.registerCommand(
+        'azurePipelineStudio.showRenderedYamlResolveMacros',
+        async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || !shouldRenderDocument(editor.document)) {
+                vscode.window.showInformationMessage('Open an Azure Pipeline YAML file to view the expanded contents.');
+                return;
+            }
+
+            await renderYamlDocument(editor.document, { azureCompatible: false, resolveMacros: true });
+        },
+    );
+    context.subscriptions.push(commandResolveMacrosDisposable);
+
+    const commandScenarioDisposable = vscode.commands.registerCommand(
+        'azurePipelineStudio.showRenderedYamlScenario',
+        async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || !shouldRenderDocument(editor.document)) {
+                vscode.window.showInformationMessage('Open an Azure Pipeline YAML file to view the expanded contents.');
+                return;
+            }
+
+            let scenarios;
+            try {
+                scenarios = await loadScenariosForDocument(editor.document);
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to load scenarios: ${error.message}`);
+                return;
+            }
+            if (!scenarios) return;
+
+            const describe = (values) =>
+                Object.entries(values || {})
+                    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                    .join(', ');
+            const selection = await vscode.window.showQuickPick(
+                scenarios.map((scenario) => ({
+                    label: scenario.name,
+                    description: describe(scenario.variables),
+                    detail: scenario.parameters ? `Parameters: ${describe(scenario.parameters)}` : undefined,
+                    scenario,
+                })),
+                { placeHolder: 'Select a scenario to expand the pipeline with' },
+            );
+            if (!selection) return;
+
+            await renderYamlDocument(editor.document, { azureCompatible: false, scenario: selection.scenario });
+        },
+    );
+    context.subscriptions.push(commandScenarioDisposable);
+
+    /**
+     * Ask which two expansions of a document to compare: two scenarios of the scenario file, or
+     * templates at a git ref against the working tree. Returns `[left, right]` sides with a label
+     * and expansion options, or undefined when cancelled.
+     */
+    async function pickExpansionsToCompare(document) {
+        const mode = await vscode.window.showQuickPick(
+            [
+                {
+                    label: '$(list-flat) Compare two scenarios',
+                    description: 'Expand with two scenarios of the scenario file',
+                    mode: 'scenarios',
+                },
+                {
+                    label: '$(git-compare) Compare with a git ref',
+                    description: 'Expand with templates from a git ref and from the working tree',
+                    mode: 'git',
+                },
+            ],
+            { placeHolder: 'Select the expansions to compare' },
+        );
+        if (!mode) return undefined;
+
+        if (mode.mode === 'scenarios') {
+            const scenarios = await loadScenariosForDocument(document);
+            if (!scenarios) return undefined;
+            if (scenarios.length < 2) {
+                vscode.window.showInformationMessage('The scenario file needs at least two scenarios to compare.');
+                return undefined;
+            }
+
+            const items = scenarios.map((scenario) => ({ label: scenario.name, scenario }));
+            const base = await vscode.window.showQuickPick(items, { placeHolder: 'Select the base scenario' });
+            if (!base) return undefined;
+            const compare = await vscode.window.showQuickPick(
+                items.filter((item) => item !== base),
+                { placeHolder: `Compare '${base.label}' with` },
+            );
+            if (!compare) return undefined;
+
+            return [base, compare].map((item) => ({ label: item.label, options: { scenario: item.scenario } }));
+        }
+
+        const ref = await vscode.window.showInputBox({
+            prompt: 'Git ref (branch, tag or commit) to read the templates from',
+            value: 'HEAD',
+            ignoreFocusOut: true,
+        });
+        if (!ref || !ref.trim().length) return undefined;
+
+        const readFile = createGitRefReader(ref.trim(), path.dirname(document.fileName));
+        return [
+            { label: ref.trim(), options: { readFile } },
+            { label: 'working tree', options: {} },
+        ];
+    }
+
+    const commandDiffDisposable = vscode.commands.registerCommand('azurePipelineStudio.diffExpansions', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || !shouldRenderDocument(editor.document)) {
+            vscode.window.showInformationMessage('Open an Azure Pipeline YAML file to compare its expansions.');
+            return;
+        }
+        const { document } = editor;
+
+        try {
+            const sides = await pickExpansionsToCompare(document);
+            if (!sides) return;
+
+            const uris = sides.map((side) => {
+                const { renderedText, sourceMap } = expandDocumentForView(document, side.options);
+                const uri = getRenderTargetUri(document, `diff:${side.label}`);
+                renderedContent.set(uri.toString(), renderedText);
+                // Source lines of a git ref side are not in the working tree, so it gets no source map
+                if (side.options.readFile) {
+                    renderedSourceMaps.delete(uri.toString());
+                } else {
+                    renderedSourceMaps.set(uri.toString(), { document, sourceMap });
+                }
+                renderedEmitter.fire(uri);
+                return uri;
+            });
+
+            const title = `${path.basename(document.fileName)} (${sides[0].label} ↔ ${sides[1].label})`;
+            await vscode.commands.executeCommand('vscode.diff', uris[0], uris[1], title, { preview: false });
+        } catch (error) {
+            console.error('Error comparing pipeline expansions:', error);
+            vscode.window.showErrorMessage(`Failed to compare expansions: ${error.message}`);
+        }
+    });
+    context.subscriptions.push(commandDiffDisposable);
+
+    // Root pipeline picked for each template file evaluated with "Evaluate Expression Here"
+    const evaluationPipelines = new Map();
+    let lastEvaluatedExpression = '';
+    let evaluationOutput;
+
+    const evaluateInPipeline = (pipelineDocument, expression, location) =>
+        parser.evaluateExpressionAt(
+            pipelineDocument.getText(),
+            expression,
+            location,
+            buildExpansionOverrides(pipelineDocument),
+        );
+
+    /**
+     * Evaluate at a location of `document`, expanding the document itself or, for a template,
+     * the pipeline that includes it (asked for once and remembered).
+     */
+    const evaluateAtLocation = async (document, expression, location) => {
+        const rememberedUri = evaluationPipelines.get(document.fileName);
+        if (rememberedUri) {
+            return evaluateInPipeline(await vscode.workspace.openTextDocument(rememberedUri), expression, location);
+        }
+
+        let ownError;
+        try {
+            const results = evaluateInPipeline(document, expression, location);
+            if (results.length) return results;
+        } catch (error) {
+            // A template usually cannot be expanded on its own; fall back to its pipeline
+            ownError = error;
+        }
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const picked = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Select Pipeline',
+            title: `Select the pipeline that includes ${path.basename(document.fileName)}`,
+            defaultUri: workspaceFolder?.uri,
+            filters: { YAML: ['yml', 'yaml'] },
+        });
+        if (!picked || !picked.length) {
+            if (ownError) throw ownError;
+            return undefined;
+        }
+
+        const results = evaluateInPipeline(await vscode.workspace.openTextDocument(picked[0]), expression, location);
+        if (results.length) {
+            evaluationPipelines.set(document.fileName, picked[0]);
+        }
+        return results;
+    };
+
+    const commandEvaluateDisposable = vscode.commands.registerCommand(
+        'azurePipelineStudio.evaluateExpressionHere',
+        async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || !shouldRenderDocument(editor.document)) {
+                vscode.window.showInformationMessage('Open an Azure Pipeline YAML file to evaluate an expression.');
+                return;
+            }
+            const { document } = editor;
+
+            const expression = await vscode.window.showInputBox({
+                prompt: 'Expression to evaluate with the parameters, variables and each locals at the cursor',
+                placeHolder: "eq(parameters.environment, 'prod')",
+                value: document.getText(editor.selection).trim() || lastEvaluatedExpression,
+                ignoreFocusOut: true,
+            });
+            if (!expression || !expression.trim().length) return;
+            lastEvaluatedExpression = expression.trim();
+
+            const line = editor.selection.active.line + 1;
+            try {
+                const results = await evaluateAtLocation(document, lastEvaluatedExpression, {
+                    file: document.fileName,
+                    line,
+                });
+                if (!results) return;
+                if (!results.length) {
+                    vscode.window.showWarningMessage(
+                        `Line ${line} is not expanded: it may be in a branch that is not taken or in a template the pipeline does not include.`,
+                    );
+                    return;
+                }
+
+                evaluationOutput = evaluationOutput || vscode.window.createOutputChannel('Azure Pipeline Studio');
+                evaluationOutput.appendLine(`${path.basename(document.fileName)}:${line}: ${lastEvaluatedExpression}`);
+                formatEvaluationResults(results).forEach((text) => evaluationOutput.appendLine(`  ${text}`));
+                evaluationOutput.show(true);
+
+                if (results.length === 1 && results[0].error) {
+                    vscode.window.showErrorMessage(results[0].error.message);
+                } else if (results.length === 1) {
+                    vscode.window.showInformationMessage(`${lastEvaluatedExpression} = ${results[0].text}`);
+                }
+            } catch (error) {
+                console.error('Error evaluating expression:', error);
+                vscode.window.showErrorMessage(`Failed to evaluate expression: ${error.message}`);
+            }
+        },
+    );
+    context.subscriptions.push(commandEvaluateDisposable);
+
     const formatOriginalCommandDisposable = vscode.commands.registerCommand(
         'azurePipelineStudio.formatOriginalYaml',
         async () => {
@@ -325,7 +1013,33 @@ function activate(context) {
         }),
     );
 
-    async function handleConfigureResourceLocationRequest(initialAlias) {
+    /**
+     * Offer once per session to save repository locations that were found through a git remote
+     * (locations from the project configuration file are already persisted there).
+     */
+    async function offerToSaveDiscoveredRepositories(discoveredRepositories) {
+        for (const discovered of discoveredRepositories || []) {
+            const key = `${discovered.repository}=${discovered.location}`;
+            if (discovered.source !== 'remote' || offeredDiscoveries.has(key)) {
+                continue;
+            }
+            offeredDiscoveries.add(key);
+            const choice = await vscode.window.showInformationMessage(
+                `Repository '${discovered.repository}' was found at ${discovered.location} (git remote ${discovered.detail}). Save this location?`,
+                'Save',
+                'Not Now',
+            );
+            if (choice === 'Save') {
+                await handleConfigureResourceLocationRequest(discovered.repository, discovered.location);
+            }
+        }
+    }
+
+    /**
+     * Ask for and save the local location of a repository resource. With `suggestedLocation`
+     * (a discovered location), the location is saved without asking.
+     */
+    async function handleConfigureResourceLocationRequest(initialAlias, suggestedLocation) {
         const targetDocument =
             lastRenderedDocument ||
             (vscode.window.activeTextEditor && shouldRenderDocument(vscode.window.activeTextEditor.document)
@@ -419,24 +1133,26 @@ function activate(context) {
         }
 
         const currentLocation = existingEntry ? pickFirstString(existingEntry.location, existingEntry.path) : undefined;
-        const methodChoice = await vscode.window.showQuickPick(
-            [
-                {
-                    label: '$(folder) Browse for folder',
-                    description: 'Open a folder picker dialog',
-                    method: 'browse',
-                },
-                {
-                    label: '$(edit) Enter path manually',
-                    description: 'Type or paste a file path',
-                    method: 'manual',
-                },
-            ],
-            {
-                placeHolder: `Select how to specify location for repository '${alias}'`,
-                ignoreFocusOut: true,
-            },
-        );
+        const methodChoice = suggestedLocation
+            ? { method: 'suggested' }
+            : await vscode.window.showQuickPick(
+                  [
+                      {
+                          label: '$(folder) Browse for folder',
+                          description: 'Open a folder picker dialog',
+                          method: 'browse',
+                      },
+                      {
+                          label: '$(edit) Enter path manually',
+                          description: 'Type or paste a file path',
+                          method: 'manual',
+                      },
+                  ],
+                  {
+                      placeHolder: `Select how to specify location for repository '${alias}'`,
+                      ignoreFocusOut: true,
+                  },
+              );
 
         if (!methodChoice) {
             return;
@@ -444,7 +1160,9 @@ function activate(context) {
 
         let newLocation;
 
-        if (methodChoice.method === 'browse') {
+        if (methodChoice.method === 'suggested') {
+            newLocation = suggestedLocation;
+        } else if (methodChoice.method === 'browse') {
             const folderUri = await vscode.window.showOpenDialog({
                 canSelectFiles: false,
                 canSelectFolders: true,
@@ -512,7 +1230,7 @@ function activate(context) {
 
             vscode.window.showInformationMessage(`Repository '${alias}' location saved.`);
 
-            await renderYamlDocument(targetDocument);
+            await renderYamlDocument(targetDocument, lastRenderOptions);
         } catch (error) {
             console.error(`[Azure Pipeline Studio] Error saving repository location:`, error);
             vscode.window.showErrorMessage(`Failed to save repository location: ${error.message}`);
@@ -530,7 +1248,7 @@ function activate(context) {
                 return;
             }
 
-            void renderYamlDocument(document, { silent: true });
+            void renderYamlDocument(document, { ...lastRenderOptions, silent: true });
         }),
     );
 
@@ -548,7 +1266,7 @@ function activate(context) {
             const refreshOnSave = config.get('refreshOnSave', true);
 
             if (refreshOnSave) {
-                void renderYamlDocument(document, { silent: true });
+                void renderYamlDocument(document, { ...lastRenderOptions, silent: true });
             }
         }),
     );
@@ -601,6 +1319,335 @@ function buildRepositoryOverridesFromCliEntries(entries, cwd) {
     return Object.keys(repositories).length ? repositories : undefined;
 }
 
+/**
+ * Load a runtime scenario file (YAML or JSON) used to simulate $[ ] expressions and conditions
+ * @param {string} filePath - Path to the scenario file
+ * @returns {object} The parsed scenario
+ */
+function loadRuntimeScenario(filePath) {
+    return loadMappingFile(filePath, 'runtime scenario');
+}
+
+/**
+ * Load a local stand-in for a library variable group (YAML or JSON)
+ * @param {string} filePath - Path to the variable group file
+ * @returns {object} The parsed group ({ variables: {...} } or a plain variable mapping)
+ */
+function loadVariableGroup(filePath) {
+    return loadMappingFile(filePath, 'variable group');
+}
+
+/**
+ * Load root pipeline parameter values (YAML or JSON mapping of parameter name to value)
+ * @param {string} filePath - Path to the parameters file
+ * @returns {object} The parameter values
+ */
+function loadParametersFile(filePath) {
+    return loadMappingFile(filePath, 'parameters file');
+}
+
+/**
+ * Load a scenario matrix file (YAML or JSON with named scenarios of variables and parameters)
+ * @param {string} filePath - Path to the scenario file
+ * @returns {object} The scenario matrix definition
+ */
+function loadScenarioMatrix(filePath) {
+    return loadMappingFile(filePath, 'scenario file');
+}
+
+/**
+ * Render the stage/job summary of a scenario matrix as aligned text lines.
+ * @param {object} matrix - Result of `expandScenarioMatrix`
+ * @returns {string} The summary text
+ */
+function formatScenarioSummary(matrix) {
+    const names = matrix.scenarios.map((scenario) => scenario.name);
+    const succeeded = names.filter((name) => !matrix.summary.failed.includes(name));
+    const lines = [`Scenario matrix (${names.length} scenario(s): ${names.join(', ')})`];
+
+    const appendSection = (title, entries) => {
+        const keys = Object.keys(entries);
+        if (!keys.length) return;
+        const width = Math.max(...keys.map((key) => key.length));
+        lines.push(`${title}:`);
+        for (const key of keys) {
+            const present = entries[key].length === succeeded.length ? 'all' : entries[key].join(', ');
+            lines.push(`  ${key.padEnd(width)}  ${present}`);
+        }
+    };
+    appendSection('Stages', matrix.summary.stages);
+    appendSection('Jobs', matrix.summary.jobs);
+
+    if (matrix.summary.failed.length) {
+        lines.push(`Failed: ${matrix.summary.failed.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Evaluate `--eval` at the `--at file:line` location and print one line per result.
+ * @returns {boolean} False if the location is invalid, not expanded, or evaluation failed
+ */
+function evaluateAtCliLocation(cliParser, sourceText, parserOptions, expression, at) {
+    const match = /^(.+):(\d+)$/.exec(String(at));
+    if (!match || Number(match[2]) < 1) {
+        console.error(`Invalid --at location "${at}". Expected format "file:line".`);
+        return false;
+    }
+    const location = { file: path.resolve(process.cwd(), match[1]), line: Number(match[2]) };
+
+    let results;
+    try {
+        results = cliParser.evaluateExpressionAt(sourceText, String(expression), location, parserOptions);
+    } catch (error) {
+        console.error(`Evaluation failed: ${error.message}`);
+        return false;
+    }
+    if (!results.length) {
+        console.error(
+            `No expanded node found at ${at}: the line may be in a branch that is not taken or in a template the pipeline does not include.`,
+        );
+        return false;
+    }
+
+    formatEvaluationResults(results).forEach((text) => console.log(text));
+    return results.every((result) => !result.error);
+}
+
+/**
+ * Format the results of evaluateExpressionAt, one line per expansion of the location. When the
+ * location was expanded more than once, each line is prefixed with the `each` locals in scope
+ * (or the including template).
+ */
+function formatEvaluationResults(results) {
+    return results.map((result) => {
+        const outcome = result.error ? `error: ${result.error.message}` : result.text;
+        if (results.length === 1) {
+            return outcome;
+        }
+        const locals = Object.entries(result.locals)
+            .map(([name, value]) => `${name}=${JSON.stringify(value)}`)
+            .join(', ');
+        return `[${locals || result.templateStack.join(' → ')}] ${outcome}`;
+    });
+}
+
+/**
+ * Header lines of an expanded pipeline naming the ref and commit each repository resource was
+ * read at (with `useRepositoryRefs`); repositories whose ref could not be read say so.
+ */
+function formatRepositoryRefHeader(repositoryRefs) {
+    return (repositoryRefs || [])
+        .map(({ repository, ref, commit }) =>
+            commit
+                ? `# Repository ${repository}: ${ref} (${commit.slice(0, 12)})\n`
+                : `# Repository ${repository}: working tree (ref '${ref}' not found)\n`,
+        )
+        .join('');
+}
+
+const BRANCH_OUTCOMES = {
+    taken: 'branch taken',
+    notTaken: 'branch not taken (the condition is False)',
+    skipped: 'not evaluated (an earlier branch was taken)',
+};
+
+/** Find the `${{ }}` expression of a line that contains the given character offset */
+function findExpressionAt(lineText, character) {
+    for (const match of lineText.matchAll(/\$\{\{(?:[^'}]|'(?:[^']|'')*'|\}(?!\}))*\}\}/g)) {
+        const end = match.index + match[0].length;
+        if (character >= match.index && character <= end) {
+            return { text: match[0], start: match.index, end };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Whether the cursor is completing a `task:` reference or a key of a task step's `inputs:`
+ * mapping. Works on the raw lines so it also helps while the document is not valid YAML.
+ * @returns {{kind: 'task', prefix: string}|{kind: 'input', prefix: string, task: string, existing: string[]}|undefined}
+ *   For inputs, the step's task reference and the lower-case input names already present
+ */
+function findTaskCompletionContext(lines, line, character) {
+    const before = lines[line].slice(0, character);
+    const taskMatch = /^\s*(?:-\s+)?task:\s*([\w.@-]*)$/.exec(before);
+    if (taskMatch) {
+        return { kind: 'task', prefix: taskMatch[1] };
+    }
+    const keyMatch = /^(\s+)([\w.-]*)$/.exec(before);
+    if (!keyMatch) {
+        return undefined;
+    }
+
+    // Column of a line's key, after any `- ` sequence marker, and its value
+    const parseKey = (text) => {
+        const match = /^(\s*)(-\s+)?([\w.-]+):(?:\s+(.*))?$/.exec(text);
+        if (!match) {
+            return { column: text.length - text.trimStart().length };
+        }
+        const value = (match[4] || '').replace(/\s+#.*$/, '').trim();
+        return {
+            column: match[1].length + (match[2] || '').length,
+            item: Boolean(match[2]),
+            key: match[3],
+            value: value.replace(/^(['"])(.*)\1$/, '$2'),
+        };
+    };
+    const isContent = (text) => text.trim() !== '' && !text.trim().startsWith('#');
+
+    const column = keyMatch[1].length;
+    let inputsLine = line - 1;
+    while (inputsLine >= 0 && (!isContent(lines[inputsLine]) || parseKey(lines[inputsLine]).column >= column)) {
+        inputsLine--;
+    }
+    const inputs = inputsLine >= 0 ? parseKey(lines[inputsLine]) : undefined;
+    if (!inputs || inputs.key !== 'inputs' || inputs.value) {
+        return undefined;
+    }
+
+    const existing = [];
+    for (let index = inputsLine + 1; index < lines.length; index++) {
+        if (!isContent(lines[index]) || index === line) {
+            continue;
+        }
+        const entry = parseKey(lines[index]);
+        if (entry.column < column) {
+            break;
+        }
+        if (entry.column === column && entry.key) {
+            existing.push(entry.key.toLowerCase());
+        }
+    }
+
+    // The `task:` key is a sibling of `inputs:` within the same sequence item
+    const isTask = (entry) => entry.column === inputs.column && entry.key === 'task';
+    let task;
+    for (let index = inputsLine; index >= 0 && !task; index--) {
+        if (!isContent(lines[index])) {
+            continue;
+        }
+        const entry = parseKey(lines[index]);
+        if (entry.column < inputs.column) {
+            break;
+        }
+        task = isTask(entry) ? entry.value : undefined;
+        if (entry.item && entry.column === inputs.column) {
+            break;
+        }
+    }
+    for (let index = inputsLine + 1; index < lines.length && !task; index++) {
+        if (!isContent(lines[index])) {
+            continue;
+        }
+        const entry = parseKey(lines[index]);
+        if (entry.column < inputs.column || (entry.item && entry.column === inputs.column)) {
+            break;
+        }
+        task = isTask(entry) ? entry.value : undefined;
+    }
+    return task ? { kind: 'input', prefix: keyMatch[2], task, existing } : undefined;
+}
+
+/** One-line summary of a task input for completion items, e.g. "pickList, required (default: build)" */
+function formatTaskInputDetail(input) {
+    const parts = [input.type || 'string'];
+    if (input.required) {
+        parts.push('required');
+    }
+    const defaultValue = input.defaultValue ? ` (default: ${input.defaultValue.split('\n')[0]})` : '';
+    return `${parts.join(', ')}${defaultValue}`;
+}
+
+/** Markdown documentation of a task input: its label, aliases, allowed values and visibility */
+function formatTaskInputDocumentation(input) {
+    const lines = [input.label || input.name];
+    if (input.aliases && input.aliases.length) {
+        lines.push('', `Aliases: ${input.aliases.map((alias) => `\`${alias}\``).join(', ')}`);
+    }
+    if (input.options) {
+        lines.push(
+            '',
+            `Values: ${Object.keys(input.options)
+                .map((option) => `\`${option}\``)
+                .join(', ')}`,
+        );
+    }
+    if (input.visibleRule) {
+        lines.push('', `Used when: \`${input.visibleRule}\``);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Markdown shown when hovering an expression: its value, whether its if/elseif/else branch
+ * was taken, or how many times its each loop iterated, in the last expansion. When the
+ * expression was expanded several times with different outcomes, each outcome is listed
+ * with the `each` locals in scope.
+ */
+function formatEvaluationHover(records) {
+    const describe = (record) => {
+        if (record.kind === 'each') {
+            return `${record.iterations} iteration${record.iterations === 1 ? '' : 's'}`;
+        }
+        if (record.kind === 'condition') {
+            return BRANCH_OUTCOMES[record.outcome];
+        }
+        // A code span can hold any text if its fence is longer than the backtick runs inside
+        const text = record.text.replace(/\r?\n/g, '↵');
+        const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length)) + 1);
+        return text ? `${fence} ${text} ${fence}` : '*(empty)*';
+    };
+
+    const outcomes = records.map(describe);
+    if (new Set(outcomes).size === 1) {
+        const times = records.length > 1 ? ` (${records.length} expansions)` : '';
+        return `**Last expansion:** ${outcomes[0]}${times}`;
+    }
+
+    const lines = records.map((record, index) => {
+        const locals = Object.entries(record.locals)
+            .map(([name, value]) => `${name}=${JSON.stringify(value)}`)
+            .join(', ');
+        return `- ${locals ? `${locals}: ` : ''}${outcomes[index]}`;
+    });
+    return [`**Last expansion** (${records.length} expansions):`, '', ...lines].join('\n');
+}
+
+/**
+ * Parse a `-p name=value` value like YAML does, so `true`, `3` or `[a, b]` get their
+ * natural types for parameter validation. Unparseable values are kept as strings.
+ */
+function parseParameterValue(value) {
+    try {
+        const parsed = YAML.parse(value);
+        return parsed === null || parsed === undefined ? value : parsed;
+    } catch {
+        return value;
+    }
+}
+
+function loadMappingFile(filePath, label) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${label} '${filePath}': ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to parse ${label} '${filePath}': ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${label.charAt(0).toUpperCase()}${label.slice(1)} '${filePath}' must contain a mapping.`);
+    }
+    return data;
+}
+
 function tryAssignIntegerOption(target, key, value, min, max) {
     const parsed = Number.parseInt(value, 10);
     if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
@@ -664,7 +1711,313 @@ function buildFormatOptionsFromCli(entries) {
     return Object.keys(options).length ? options : undefined;
 }
 
-function formatFilesRecursively(targets, extensions, formatOptions) {
+/**
+ * Expand a pipeline twice and create a unified diff of the formatted outputs. A spec of the form
+ * `<a>..<b>` compares two scenarios of the scenario matrix; otherwise the spec is a git ref whose
+ * template files (below `templatesDir`, default the repository root) are compared with the working tree.
+ * @returns {string} The unified diff, empty when the expansions are equal
+ */
+function createExpansionDiff(cliParser, sourceText, parserOptions, diffOptions) {
+    const { spec, scenarioMatrix, templatesDir, filePath, formatOverrides } = diffOptions;
+
+    let sides;
+    if (scenarioMatrix) {
+        const names = spec.split('..');
+        if (names.length !== 2 || !names[0] || !names[1]) {
+            throw new Error(`Invalid --diff value '${spec}'. Expected "<scenario>..<scenario>" with --scenarios.`);
+        }
+        const scenarios = cliParser.normalizeScenarioMatrix(scenarioMatrix);
+        sides = names.map((name) => {
+            const scenario = scenarios.find((entry) => entry.name === name);
+            if (!scenario) {
+                const available = scenarios.map((entry) => entry.name).join(', ');
+                throw new Error(`Unknown scenario '${name}'. Available scenarios: ${available}`);
+            }
+            return { label: name, options: cliParser.createScenarioOverrides(parserOptions, scenario) };
+        });
+    } else {
+        const readFile = createGitRefReader(spec, path.dirname(parserOptions.fileName), templatesDir);
+        sides = [
+            { label: spec, options: { ...parserOptions, readFile } },
+            { label: 'working tree', options: parserOptions },
+        ];
+    }
+
+    const [oldText, newText] = sides.map((side) => {
+        const { text, warnings } = cliParser.expandPipelineToResult(sourceText, side.options);
+        warnings.forEach((warning) => console.warn(`[${filePath}] Warning (${side.label}): ${warning.message}`));
+        const formatted = formatYaml(text, { ...formatOverrides, fileName: parserOptions.fileName, wasExpanded: true });
+        return formatted.error ? text : formatted.text;
+    });
+
+    return createUnifiedDiff(oldText, newText, `${filePath} (${sides[0].label})`, `${filePath} (${sides[1].label})`);
+}
+
+/**
+ * Expand a pipeline for every scenario of a scenario matrix. Each formatted output is written to
+ * `<outputDir>/<pipeline>.<scenario>.yml`, or printed as a multi-document stream when no output
+ * directory is given, followed by the stage/job summary.
+ * @returns {boolean} Whether every scenario expanded successfully
+ */
+function writeScenarioOutputs(
+    cliParser,
+    sourceText,
+    scenarioMatrix,
+    parserOptions,
+    filePath,
+    outputDir,
+    formatOverrides,
+) {
+    const matrix = cliParser.expandScenarioMatrix(sourceText, scenarioMatrix, parserOptions);
+    const baseName = path.basename(filePath).replace(/\.ya?ml$/i, '');
+    if (outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    for (const scenario of matrix.scenarios) {
+        if (scenario.error) {
+            console.error(`[${filePath}] Scenario '${scenario.name}' failed: ${scenario.error.message}`);
+            continue;
+        }
+        scenario.warnings.forEach((warning) => {
+            console.warn(`[${filePath}] Scenario '${scenario.name}' warning: ${warning.message}`);
+        });
+
+        const formatted = formatYaml(scenario.text, { ...formatOverrides, fileName: filePath, wasExpanded: true });
+        const outputText = formatted.error ? scenario.text : formatted.text;
+        if (formatted.error) {
+            console.warn(`[${filePath}] Scenario '${scenario.name}': ${formatted.error}`);
+        }
+
+        if (outputDir) {
+            const safeName = scenario.name.replace(/[^\w.-]+/g, '-');
+            const outputPath = path.join(outputDir, `${baseName}.${safeName}.yml`);
+            fs.writeFileSync(outputPath, outputText, 'utf8');
+            console.log(`Scenario '${scenario.name}' written to ${outputPath}`);
+        } else {
+            console.log(`---\n# Scenario: ${scenario.name}\n${outputText}`);
+        }
+    }
+
+    // Keep stdout a clean YAML stream when the outputs are printed
+    const summary = formatScenarioSummary(matrix);
+    if (outputDir) {
+        console.log(summary);
+    } else {
+        console.warn(summary);
+    }
+    return matrix.summary.failed.length === 0;
+}
+
+const VALIDATION_REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// SARIF rule descriptions for the diagnostic codes reported by validation
+const VALIDATION_RULES = {
+    'missing-parameter': 'A required template parameter is not provided',
+    'parameter-type': 'A template parameter value has the wrong type',
+    'parameter-value': 'A template parameter value is not one of its allowed values',
+    'unknown-parameter': 'A parameter is passed that the template does not define',
+    'missing-template': 'A template file does not exist',
+    'invalid-template': 'A template file cannot be parsed',
+    'unresolved-repository': 'A repository resource is not defined or has no local location',
+    'yaml-syntax': 'A pipeline or template file contains invalid YAML',
+    'expression-syntax': 'A template expression is not valid',
+    'template-include': 'Templates include each other in a cycle or nest too deeply',
+    'expansion-limit': 'An Azure DevOps expansion limit is exceeded',
+    'repository-ref': 'The declared ref of a repository resource cannot be read from its local clone',
+    'expansion-error': 'The pipeline cannot be expanded',
+    'schema-violation': 'The expanded pipeline does not match the Azure Pipelines schema',
+    'unknown-resource': 'A job or step references a container, pipeline, package or repository that is not declared',
+    'unknown-task': 'A step references a task that is not in the task manifests',
+    'task-version': 'A step references a task version that is not in the task manifests',
+    'unknown-task-input': 'A step sets an input that its task does not define',
+    'missing-task-input': 'A step does not set a required input of its task',
+    'task-input-value': 'A task input value is not one of its allowed options',
+};
+
+/**
+ * Expand a pipeline file without output and collect its problems. An error that stops the
+ * expansion is reported as a problem too. Problems include:
+ *
+ * - template parameter and resolution errors, and YAML syntax errors
+ * - schema violations and references to undeclared resources
+ * - task step problems, when `taskManifests` is set
+ * - expansion limit and other expansion warnings
+ *
+ * @returns {{file: string, problems: Array, time: number}}
+ */
+function validatePipelineFile(cliParser, parserOptions) {
+    const started = Date.now();
+    const file = parserOptions.fileName;
+    const problems = [];
+    try {
+        const sourceText = fs.readFileSync(file, 'utf8');
+        const { diagnostics, warnings } = cliParser.expandPipelineToResult(sourceText, {
+            ...parserOptions,
+            sourceMap: true,
+            validateSchema: true,
+            collectDiagnostics: true,
+        });
+        problems.push(...diagnostics);
+        for (const warning of warnings) {
+            const { source } = warning;
+            problems.push({
+                severity: 'warning',
+                code: warning.code || 'expansion-limit',
+                message: warning.message,
+                file: source ? source.file : file,
+                ...(source ? { line: source.line, column: source.column } : {}),
+                related: [],
+            });
+        }
+    } catch (error) {
+        problems.push(cliParser.errorToDiagnostic(error, file));
+    }
+    return { file, problems, time: (Date.now() - started) / 1000 };
+}
+
+/** Path of a reported file relative to the working directory, with forward slashes */
+function toReportPath(file) {
+    return (path.relative(process.cwd(), file) || file).split(path.sep).join('/');
+}
+
+function formatProblemLocation(problem) {
+    const position = problem.line ? `:${problem.line}:${problem.column || 1}` : '';
+    return `${toReportPath(problem.file)}${position}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format the results of validatePipelineFile as a text, JSON, SARIF 2.1.0 or JUnit XML report.
+ * @param {Array} results - One result per validated pipeline
+ * @param {string} format - One of VALIDATION_REPORT_FORMATS
+ */
+function formatValidationReport(results, format) {
+    const count = (result, severity) => result.problems.filter((problem) => problem.severity === severity).length;
+    const errors = results.reduce((total, result) => total + count(result, 'error'), 0);
+    const warnings = results.reduce((total, result) => total + count(result, 'warning'), 0);
+
+    if (format === 'json') {
+        const report = {
+            summary: { files: results.length, errors, warnings },
+            files: results.map((result) => ({
+                file: toReportPath(result.file),
+                status: count(result, 'error') ? 'failed' : 'passed',
+                problems: result.problems.map(({ templateStack, ...problem }) => ({
+                    ...problem,
+                    ...(problem.file && { file: toReportPath(problem.file) }),
+                    related: problem.related.map((related) => ({ ...related, file: toReportPath(related.file) })),
+                })),
+            })),
+        };
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    if (format === 'sarif') {
+        const { version } = require('./package.json');
+        const toLocation = (problem) => ({
+            physicalLocation: {
+                artifactLocation: { uri: toReportPath(problem.file) },
+                ...(problem.line && { region: { startLine: problem.line, startColumn: problem.column || 1 } }),
+            },
+        });
+        const problems = results.flatMap((result) => result.problems);
+        const ruleIds = [...new Set(problems.map((problem) => problem.code))];
+        const sarif = {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [
+                {
+                    tool: {
+                        driver: {
+                            name: 'Azure Pipeline Studio',
+                            version,
+                            rules: ruleIds.map((id) => ({
+                                id,
+                                shortDescription: { text: VALIDATION_RULES[id] || id },
+                            })),
+                        },
+                    },
+                    results: problems.map((problem) => ({
+                        ruleId: problem.code,
+                        ruleIndex: ruleIds.indexOf(problem.code),
+                        level: problem.severity,
+                        message: { text: problem.message },
+                        locations: [toLocation(problem)],
+                        ...(problem.related.length && {
+                            relatedLocations: problem.related.map((related, index) => ({
+                                id: index + 1,
+                                ...toLocation(related),
+                                message: { text: related.message },
+                            })),
+                        }),
+                    })),
+                },
+            ],
+        };
+        return JSON.stringify(sarif, null, 2) + '\n';
+    }
+
+    const describe = (problem) =>
+        `${formatProblemLocation(problem)}: ${problem.severity}: ${problem.message} [${problem.code}]`;
+
+    if (format === 'junit') {
+        const failures = results.filter((result) => count(result, 'error')).length;
+        const time = results.reduce((total, result) => total + result.time, 0).toFixed(3);
+        const testCases = results.map((result) => {
+            const name = escapeXml(toReportPath(result.file));
+            const attributes = `classname="azure-pipeline-studio.validate" name="${name}" time="${result.time.toFixed(3)}"`;
+            const resultErrors = result.problems.filter((problem) => problem.severity === 'error');
+            const resultWarnings = result.problems.filter((problem) => problem.severity === 'warning');
+            const children = [];
+            if (resultErrors.length) {
+                const message = escapeXml(resultErrors[0].message.split('\n')[0]);
+                const body = escapeXml(resultErrors.map(describe).join('\n'));
+                children.push(`      <failure message="${message}" type="${resultErrors[0].code}">${body}</failure>`);
+            }
+            if (resultWarnings.length) {
+                children.push(`      <system-out>${escapeXml(resultWarnings.map(describe).join('\n'))}</system-out>`);
+            }
+            return children.length
+                ? `    <testcase ${attributes}>\n${children.join('\n')}\n    </testcase>`
+                : `    <testcase ${attributes}/>`;
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="Azure Pipeline validation" tests="${results.length}" failures="${failures}" time="${time}">`,
+            `  <testsuite name="azure-pipeline-studio" tests="${results.length}" failures="${failures}" errors="0" time="${time}">`,
+            ...testCases,
+            '  </testsuite>',
+            '</testsuites>',
+            '',
+        ].join('\n');
+    }
+
+    const lines = results.flatMap((result) =>
+        result.problems.length ? result.problems.map(describe) : [`${toReportPath(result.file)}: OK`],
+    );
+    lines.push(`Validated ${results.length} pipeline(s): ${errors} error(s), ${warnings} warning(s).`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the YAML files of the given files and directories in place.
+ * @param {string[]} targets - Files and directories (searched recursively)
+ * @param {string[]} extensions - Extensions of the files to format (default .yml and .yaml)
+ * @param {object} formatOptions - Formatter options
+ * @param {object} [options] - `projectConfig: true` applies the format options of each file's
+ *     project configuration (or of `configFile`) under `formatOptions`
+ * @returns {{totalFiles: number, formattedFiles: string[], warnings: Array, errors: Array}}
+ */
+function formatFilesRecursively(targets, extensions, formatOptions, options = {}) {
     const normalizedExtensions = new Set(
         Array.isArray(extensions) ? extensions.map((ext) => normalizeExtension(ext)).filter(Boolean) : [],
     );
@@ -686,12 +2039,22 @@ function formatFilesRecursively(targets, extensions, formatOptions) {
     }
 
     const visited = new Set();
+    const projectConfigs = new Map();
+
+    const loadProjectFormat = (filePath) => {
+        const configFile = options.configFile || (options.projectConfig && findProjectConfig(path.dirname(filePath)));
+        if (!configFile) return {};
+        if (!projectConfigs.has(configFile)) {
+            projectConfigs.set(configFile, loadProjectConfig(configFile));
+        }
+        return projectConfigs.get(configFile).format;
+    };
 
     const handleFile = (filePath) => {
         results.totalFiles += 1;
         try {
             const source = fs.readFileSync(filePath, 'utf8');
-            const fileFormatOptions = { ...formatOptions, fileName: filePath };
+            const fileFormatOptions = { ...loadProjectFormat(filePath), ...formatOptions, fileName: filePath };
             const formatResult = formatYaml(source, fileFormatOptions);
 
             if (formatResult.error) {
@@ -791,16 +2154,89 @@ function runCli(args) {
         '  -o, --output <file>          Write output to file (default: in-place, only with single file)\n' +
         '  -r, --repo <alias=path>      Map repository alias to local path\n' +
         '  -v, --variables <key=value>  Set compile-time variables (e.g., Build.Reason=Manual)\n' +
+        '  -p, --parameter <name=value> Set a root pipeline parameter (value parsed as YAML, e.g. flag=true)\n' +
+        '  --parameters-file <file>     Load root pipeline parameter values from a YAML/JSON file\n' +
+        '  --diff <spec>                Print a unified diff of two expansions (with -x): "<a>..<b>" compares two\n' +
+        '                               scenarios of --scenarios, otherwise <spec> is a git ref whose templates are\n' +
+        '                               compared with the working tree\n' +
+        '  --templates-dir <dir>        Directory read from the git ref with --diff (default: repository root)\n' +
+        '  --use-repository-refs        Read repository templates from their local git clone at the declared ref\n' +
+        '  --discover-repositories      Find repositories without a location (sibling git clones whose remote\n' +
+        '                               matches the resource name)\n' +
+        '  --config <file>              Project configuration file (default: the closest .azure-pipeline-studio.json,\n' +
+        '                               .yml or .yaml above each pipeline); command-line options override its values\n' +
+        '  --print-config               Print the effective configuration of each file and where each value came from\n' +
+        '  --scenarios <file>           Expand once per scenario of a scenario matrix file (with -x; -o names a directory)\n' +
+        '  -g, --variable-group <name=file>  Load a local variable group file (JSON/YAML) for `- group:` entries\n' +
         '  -f, --format-option <key=value>  Set format option (e.g., indent=4)\n' +
         '  -R, --format-recursive <path>    Format files recursively in directory\n' +
         '  -e, --extension <ext>        File extensions to format (default: .yml, .yaml)\n' +
         '  -x, --expand-templates       Expand Azure Pipeline template expressions (${{}},$[],$())\n' +
         '  -a, --azure-compatible       Use Azure-compatible expansion mode (adds blank lines, etc.)\n' +
+        '  -m, --resolve-macros         Substitute known $(var) macros and report unresolved ones (with -x)\n' +
+        '  --max-template-depth <n>     Maximum template nesting depth (default: 100)\n' +
+        '  --limit <name=value>         Override an Azure expansion limit (e.g., maxTemplateFiles=150, 0 disables)\n' +
+        '  --strict-limits              Fail expansion when an Azure expansion limit is exceeded\n' +
+        '  --validate-schema            Check the expanded pipeline against the Azure Pipelines schema (with -x)\n' +
+        '  --task-manifests <dir>       Check task steps and inputs against the task.json files in a directory\n' +
+        '                               (with -x or --validate)\n' +
+        '  --source-map <file>          Write a JSON source map from output lines to template lines (with -x)\n' +
+        '  --runtime-scenario <file>    Simulate $[ ] variables and conditions using a scenario file (with -x)\n' +
+        '  --resources <file>           Simulated metadata of declared resources (YAML/JSON shaped like resources:,\n' +
+        '                               e.g. pipelines.upstream.sourceBranch) for ${{ resources.* }} expressions\n' +
+        '  --counter-store <file>       Keep counter() values between runs in a JSON file (with -x)\n' +
+        '  --counter <prefix=value>     Pin the value returned by counter() for a prefix (with -x)\n' +
+        '  --start-time <date>          Fix pipeline.startTime (ISO 8601) for reproducible output (with -x)\n' +
+        '  --eval <expression>          Evaluate an expression with the context at --at instead of printing the\n' +
+        '                               expansion (with -x)\n' +
+        '  --at <file:line>             Pipeline or template line whose parameters, variables and each locals\n' +
+        '                               --eval uses\n' +
+        '  --validate                   Expand the pipelines without printing them and report every problem;\n' +
+        '                               exits with 1 when there are errors (-o writes the report to a file)\n' +
+        '  --report <format>            Validation report format: text (default), json, sarif or junit\n' +
         '  -d, --debug                  Print files being formatted';
 
     const argv = minimist(args, {
-        string: ['output', 'repo', 'format-option', 'format-recursive', 'extension', 'variables'],
-        boolean: ['help', 'expand-templates', 'azure-compatible', 'debug'],
+        string: [
+            'output',
+            'repo',
+            'format-option',
+            'format-recursive',
+            'extension',
+            'variables',
+            'variable-group',
+            'runtime-scenario',
+            'resources',
+            'max-template-depth',
+            'limit',
+            'source-map',
+            'parameter',
+            'parameters-file',
+            'scenarios',
+            'diff',
+            'templates-dir',
+            'counter-store',
+            'counter',
+            'start-time',
+            'eval',
+            'at',
+            'report',
+            'task-manifests',
+            'config',
+        ],
+        boolean: [
+            'help',
+            'expand-templates',
+            'azure-compatible',
+            'resolve-macros',
+            'strict-limits',
+            'validate-schema',
+            'use-repository-refs',
+            'discover-repositories',
+            'validate',
+            'print-config',
+            'debug',
+        ],
         alias: {
             h: 'help',
             o: 'output',
@@ -809,14 +2245,24 @@ function runCli(args) {
             R: 'format-recursive',
             e: 'extension',
             v: 'variables',
+            g: 'variable-group',
+            p: 'parameter',
             x: 'expand-templates',
             a: 'azure-compatible',
+            m: 'resolve-macros',
             d: 'debug',
         },
         default: {
             extension: [],
             'expand-templates': false,
             'azure-compatible': false,
+            'resolve-macros': false,
+            'strict-limits': false,
+            'validate-schema': false,
+            'use-repository-refs': false,
+            'discover-repositories': false,
+            validate: false,
+            'print-config': false,
             debug: false,
         },
     });
@@ -829,11 +2275,19 @@ function runCli(args) {
     const toArray = (val) => [].concat(val || []);
     const repo = toArray(argv.repo);
     const variables = toArray(argv.variables);
+    const variableGroupEntries = toArray(argv['variable-group']);
+    const limitEntries = toArray(argv.limit);
+    const parameterEntries = toArray(argv.parameter);
+    const counterEntries = toArray(argv.counter);
     const formatOption = toArray(argv['format-option']);
     const formatRecursive = toArray(argv['format-recursive']);
     const extension = toArray(argv.extension);
     const repositoryEntries = [];
     const variablesMap = {};
+    const variableGroupFiles = {};
+    const expansionLimits = {};
+    const parameterValues = {};
+    const pinnedCounters = {};
     const errors = [];
 
     for (const entry of repo) {
@@ -854,6 +2308,42 @@ function runCli(args) {
         }
         variablesMap[key.trim()] = value;
     }
+    for (const entry of variableGroupEntries) {
+        const [name, ...pathParts] = entry.split('=');
+        const pathValue = pathParts.join('=').trim();
+        if (!name || !name.trim() || !pathValue) {
+            errors.push(`Invalid variable group "${entry}". Expected format "name=file".`);
+            continue;
+        }
+        variableGroupFiles[name.trim()] = pathValue;
+    }
+    for (const entry of parameterEntries) {
+        const [name, ...valueParts] = entry.split('=');
+        if (!name || !name.trim() || !valueParts.length) {
+            errors.push(`Invalid parameter "${entry}". Expected format "name=value".`);
+            continue;
+        }
+        parameterValues[name.trim()] = parseParameterValue(valueParts.join('='));
+    }
+    for (const entry of counterEntries) {
+        const separator = entry.lastIndexOf('=');
+        const prefix = entry.slice(0, separator);
+        const value = entry.slice(separator + 1).trim();
+        if (separator <= 0 || !/^-?\d+$/.test(value)) {
+            errors.push(`Invalid counter "${entry}". Expected format "prefix=integer".`);
+            continue;
+        }
+        pinnedCounters[prefix] = Number(value);
+    }
+    for (const entry of limitEntries) {
+        const [name, ...valueParts] = entry.split('=');
+        const value = valueParts.join('=').trim();
+        if (!name || !name.trim() || !value) {
+            errors.push(`Invalid limit "${entry}". Expected format "name=value".`);
+            continue;
+        }
+        expansionLimits[name.trim()] = value;
+    }
     for (const entry of formatOption) {
         if (!entry.includes('=')) {
             errors.push(`Invalid format option "${entry}". Expected format "key=value".`);
@@ -870,7 +2360,10 @@ function runCli(args) {
     if (formatRecursive.length) {
         const formatOverrides = buildFormatOptionsFromCli(formatOption) || {};
         const extensionFilters = extension.length ? extension : ['.yml', '.yaml'];
-        const recursiveResult = formatFilesRecursively(formatRecursive, extensionFilters, formatOverrides);
+        const recursiveResult = formatFilesRecursively(formatRecursive, extensionFilters, formatOverrides, {
+            projectConfig: true,
+            configFile: argv.config && path.resolve(process.cwd(), argv.config),
+        });
         recursiveResult.formattedFiles.forEach((filePath) => {
             const displayPath = path.relative(process.cwd(), filePath) || filePath;
             console.log(`Formatted: ${displayPath}`);
@@ -904,7 +2397,55 @@ function runCli(args) {
         return;
     }
 
-    if (argv.output && filesToFormat.length > 1) {
+    if (argv['source-map'] && (filesToFormat.length > 1 || !argv['expand-templates'])) {
+        console.error('Error: --source-map option requires --expand-templates and a single file.');
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.diff && (filesToFormat.length > 1 || !argv['expand-templates'] || argv['source-map'])) {
+        console.error(
+            'Error: --diff option requires --expand-templates and a single file, and cannot be combined with --source-map.',
+        );
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.scenarios && (!argv['expand-templates'] || argv['source-map'])) {
+        console.error(
+            'Error: --scenarios option requires --expand-templates and cannot be combined with --source-map.',
+        );
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.eval !== undefined && (filesToFormat.length > 1 || !argv['expand-templates'] || !argv.at)) {
+        console.error('Error: --eval option requires --expand-templates, --at and a single file.');
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.report !== undefined && (!argv.validate || !VALIDATION_REPORT_FORMATS.includes(argv.report))) {
+        console.error(
+            `Error: --report option requires --validate and one of: ${VALIDATION_REPORT_FORMATS.join(', ')}.`,
+        );
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.validate && (argv.diff || argv.scenarios || argv.eval !== undefined || argv['source-map'])) {
+        console.error('Error: --validate option cannot be combined with --diff, --scenarios, --eval or --source-map.');
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv.output && filesToFormat.length > 1 && !argv.validate) {
         console.error('Error: --output option is only supported when formatting a single file.');
         console.error(usage);
         process.exitCode = 1;
@@ -913,8 +2454,168 @@ function runCli(args) {
 
     const formatOverrides = buildFormatOptionsFromCli(formatOption) || {};
     const repositories = buildRepositoryOverridesFromCliEntries(repositoryEntries, process.cwd());
-    // Use the variables map we parsed earlier
-    const cliVariables = Object.keys(variablesMap).length > 0 ? variablesMap : undefined;
+    const cliResourceLocations = {};
+    for (const [alias, config] of Object.entries(repositories || {})) {
+        cliResourceLocations[alias] = config.location || config.path;
+    }
+
+    let runtimeScenario;
+    let resourceMetadata;
+    let variableGroups;
+    let parametersFileValues;
+    let scenarioMatrix;
+    // Effective configuration of each file: its project configuration overridden by the options
+    const effectiveConfigs = new Map();
+    try {
+        if (argv.scenarios) {
+            scenarioMatrix = loadScenarioMatrix(path.resolve(process.cwd(), argv.scenarios));
+        }
+        if (argv['parameters-file']) {
+            parametersFileValues = loadParametersFile(path.resolve(process.cwd(), argv['parameters-file']));
+        }
+        for (const filePath of filesToFormat) {
+            const absolutePath = path.resolve(process.cwd(), filePath);
+            const configFile = argv.config
+                ? path.resolve(process.cwd(), argv.config)
+                : findProjectConfig(path.dirname(absolutePath));
+            const projectConfig = configFile && loadProjectConfig(configFile);
+            const projectParameters = projectConfig && selectPipelineParameters(projectConfig, absolutePath);
+            effectiveConfigs.set(absolutePath, {
+                configFile,
+                ...mergeConfigLayers([
+                    {
+                        source: configFile && path.relative(process.cwd(), configFile),
+                        config: projectConfig && {
+                            ...projectConfig,
+                            parameters:
+                                typeof projectParameters === 'string'
+                                    ? loadParametersFile(projectParameters)
+                                    : projectParameters,
+                        },
+                    },
+                    { source: '--parameters-file', config: { parameters: parametersFileValues } },
+                    { source: '--parameter', config: { parameters: parameterValues } },
+                    { source: '--repo', config: { resourceLocations: cliResourceLocations } },
+                    { source: '--variables', config: { variables: variablesMap } },
+                    { source: '--format-option', config: { format: formatOverrides } },
+                ]),
+            });
+        }
+        if (argv['runtime-scenario']) {
+            runtimeScenario = loadRuntimeScenario(path.resolve(process.cwd(), argv['runtime-scenario']));
+        }
+        if (argv.resources) {
+            resourceMetadata = loadMappingFile(path.resolve(process.cwd(), argv.resources), 'resources file');
+        }
+        for (const [name, groupPath] of Object.entries(variableGroupFiles)) {
+            variableGroups = variableGroups || {};
+            variableGroups[name] = loadVariableGroup(path.resolve(process.cwd(), groupPath));
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (argv['print-config']) {
+        for (const [absolutePath, effective] of effectiveConfigs) {
+            const configFile = effective.configFile ? path.relative(process.cwd(), effective.configFile) : 'none';
+            console.log(`# ${path.relative(process.cwd(), absolutePath)} (project configuration: ${configFile})`);
+            process.stdout.write(formatEffectiveConfig(effective));
+        }
+        return;
+    }
+
+    // Expansion options shared by every mode that expands a pipeline file
+    const buildParserOptions = (absolutePath) => {
+        const { resourceLocations, variables, parameters } = effectiveConfigs.get(absolutePath).config;
+        const parserOptions = {
+            fileName: absolutePath,
+            azureCompatible: argv['azure-compatible'] || false,
+            resolveMacros: argv['resolve-macros'] || false,
+        };
+        if (argv['max-template-depth']) {
+            parserOptions.maxTemplateDepth = argv['max-template-depth'];
+        }
+        if (Object.keys(expansionLimits).length) {
+            parserOptions.limits = expansionLimits;
+        }
+        if (argv['strict-limits']) {
+            parserOptions.strictLimits = true;
+        }
+        if (argv['validate-schema']) {
+            parserOptions.validateSchema = true;
+        }
+        if (argv['task-manifests']) {
+            parserOptions.taskManifests = path.resolve(process.cwd(), argv['task-manifests']);
+        }
+        if (argv['use-repository-refs']) {
+            parserOptions.useRepositoryRefs = true;
+        }
+        if (argv['discover-repositories']) {
+            parserOptions.discoverRepositories = true;
+        }
+        if (argv['source-map']) {
+            parserOptions.sourceMap = true;
+        }
+        if (Object.keys(resourceLocations).length) {
+            parserOptions.resourceLocations = resourceLocations;
+            if (argv.debug) {
+                console.log('[DEBUG] Resource locations:', JSON.stringify(resourceLocations, null, 2));
+            }
+        }
+        if (Object.keys(variables).length) {
+            parserOptions.variables = variables;
+            if (argv.debug) {
+                console.log('[DEBUG] Compile-time variables:', JSON.stringify(variables, null, 2));
+            }
+        }
+        if (Object.keys(parameters).length) {
+            parserOptions.parameters = parameters;
+            if (argv.debug) {
+                console.log('[DEBUG] Pipeline parameters:', JSON.stringify(parameters, null, 2));
+            }
+        }
+        if (variableGroups) {
+            parserOptions.variableGroups = variableGroups;
+        }
+        if (runtimeScenario) {
+            parserOptions.runtimeScenario = runtimeScenario;
+        }
+        if (resourceMetadata) {
+            parserOptions.resources = resourceMetadata;
+        }
+        if (argv['counter-store']) {
+            parserOptions.counterStore = path.resolve(process.cwd(), argv['counter-store']);
+        }
+        if (Object.keys(pinnedCounters).length) {
+            parserOptions.counters = pinnedCounters;
+        }
+        if (argv['start-time']) {
+            parserOptions.startTime = argv['start-time'];
+        }
+        return parserOptions;
+    };
+
+    if (argv.validate) {
+        const validationParser = new AzurePipelineParser();
+        // Validation reads the counter store but never advances it (no persistCounters)
+        const results = filesToFormat.map((filePath) =>
+            validatePipelineFile(validationParser, buildParserOptions(path.resolve(process.cwd(), filePath))),
+        );
+        const report = formatValidationReport(results, argv.report || 'text');
+        if (argv.output) {
+            const absoluteOutput = path.resolve(process.cwd(), argv.output);
+            fs.writeFileSync(absoluteOutput, report, 'utf8');
+            console.warn(`Validation report written to ${absoluteOutput}`);
+        } else {
+            process.stdout.write(report);
+        }
+        if (results.some((result) => result.problems.some((problem) => problem.severity === 'error'))) {
+            process.exitCode = 1;
+        }
+        return;
+    }
 
     // Create parser instance if template expansion is needed
     const cliParser = argv['expand-templates'] ? new AzurePipelineParser() : null;
@@ -923,6 +2624,7 @@ function runCli(args) {
 
     for (const filePath of filesToFormat) {
         const absolutePath = path.resolve(process.cwd(), filePath);
+        const fileFormatOverrides = effectiveConfigs.get(absolutePath).config.format;
 
         if (argv.debug) {
             console.log(`[DEBUG] Formatting: ${absolutePath}`);
@@ -933,31 +2635,87 @@ function runCli(args) {
 
             // Expand templates if requested
             let yamlToFormat = sourceText;
+            let sourcePaths;
+            let outputHeader = '';
             if (argv['expand-templates'] && cliParser) {
-                const parserOptions = {
-                    fileName: absolutePath,
-                    azureCompatible: argv['azure-compatible'] || false,
-                };
-                if (repositories) {
-                    // Convert repository mappings to resourceLocations format
-                    const resourceLocations = {};
-                    for (const [alias, config] of Object.entries(repositories)) {
-                        resourceLocations[alias] = config.location || config.path;
-                    }
-                    parserOptions.resourceLocations = resourceLocations;
-                    if (argv.debug) {
-                        console.log('[DEBUG] Resource locations:', JSON.stringify(resourceLocations, null, 2));
-                    }
+                const parserOptions = buildParserOptions(absolutePath);
+                if (argv.eval !== undefined) {
+                    hasErrors =
+                        !evaluateAtCliLocation(cliParser, sourceText, parserOptions, argv.eval, argv.at) || hasErrors;
+                    continue;
                 }
-                if (cliVariables) {
-                    parserOptions.variables = cliVariables;
-                    if (argv.debug) {
-                        console.log('[DEBUG] Compile-time variables:', JSON.stringify(cliVariables, null, 2));
+                if (argv.diff) {
+                    try {
+                        const diff = createExpansionDiff(cliParser, sourceText, parserOptions, {
+                            spec: String(argv.diff),
+                            scenarioMatrix,
+                            templatesDir: argv['templates-dir'] && path.resolve(process.cwd(), argv['templates-dir']),
+                            filePath,
+                            formatOverrides: fileFormatOverrides,
+                        });
+                        if (!diff) {
+                            console.warn(`[${filePath}] No differences between the expansions.`);
+                        } else if (argv.output) {
+                            const absoluteOutput = path.resolve(process.cwd(), argv.output);
+                            fs.writeFileSync(absoluteOutput, diff, 'utf8');
+                            console.log(`Diff written to ${absoluteOutput}`);
+                        } else {
+                            process.stdout.write(diff);
+                        }
+                    } catch (diffError) {
+                        console.error(`[${filePath}] Diff failed: ${diffError.message}`);
+                        hasErrors = true;
                     }
+                    continue;
+                }
+                if (scenarioMatrix) {
+                    const succeeded = writeScenarioOutputs(
+                        cliParser,
+                        sourceText,
+                        scenarioMatrix,
+                        parserOptions,
+                        filePath,
+                        argv.output ? path.resolve(process.cwd(), argv.output) : undefined,
+                        fileFormatOverrides,
+                    );
+                    hasErrors = hasErrors || !succeeded;
+                    continue;
                 }
                 try {
-                    expandedYaml = cliParser.expandPipelineToString(sourceText, parserOptions);
-                    yamlToFormat = expandedYaml;
+                    // A single expansion is one run: it advances the counter store
+                    const expansion = cliParser.expandPipelineToResult(sourceText, {
+                        ...parserOptions,
+                        persistCounters: true,
+                    });
+                    yamlToFormat = expansion.text;
+                    sourcePaths = expansion.sourcePaths;
+                    outputHeader = formatRepositoryRefHeader(expansion.repositoryRefs);
+                    (expansion.discoveredRepositories || []).forEach((discovered) => {
+                        const origin = discovered.source === 'remote' ? 'git remote' : 'project configuration';
+                        console.warn(
+                            `[${filePath}] Repository '${discovered.repository}' found at ${discovered.location} (${origin} ${discovered.detail})`,
+                        );
+                    });
+                    expansion.warnings.forEach((warning) => {
+                        console.warn(`[${filePath}] Warning: ${warning.message}`);
+                    });
+                    (expansion.unresolvedMacros || []).forEach((entry) => {
+                        const location = cliParser.formatDocumentPath(entry.path);
+                        console.warn(`[${filePath}] Unresolved macro $(${entry.name}) at ${location}`);
+                    });
+                    const reportViolation = (kind, violation) => {
+                        const { source } = violation;
+                        const origin = source ? ` (${path.relative(process.cwd(), source.file)}:${source.line})` : '';
+                        console.error(`[${filePath}] ${kind} at ${violation.path}: ${violation.message}${origin}`);
+                        hasErrors = true;
+                    };
+                    (expansion.schemaViolations || []).forEach((violation) =>
+                        reportViolation('Schema violation', violation),
+                    );
+                    (expansion.resourceViolations || []).forEach((violation) =>
+                        reportViolation('Resource problem', violation),
+                    );
+                    (expansion.taskViolations || []).forEach((violation) => reportViolation('Task problem', violation));
                 } catch (expandError) {
                     console.error(`[${filePath}] Template expansion failed: ${expandError.message}`);
                     if (argv.debug) {
@@ -968,7 +2726,7 @@ function runCli(args) {
                 }
             }
 
-            const fileOptions = { ...(formatOverrides || {}), fileName: absolutePath };
+            const fileOptions = { ...fileFormatOverrides, fileName: absolutePath };
             // Don't set expandTemplates in formatter - we already expanded above
             delete fileOptions.expandTemplates;
             // Mark that expansion happened so Microsoft compatibility knows to apply transformations
@@ -985,7 +2743,14 @@ function runCli(args) {
             if (formatted.warning) {
                 console.warn(`[${filePath}] ${formatted.warning}`);
             }
-            const outputText = formatted.text;
+            const outputText = outputHeader + formatted.text;
+
+            if (sourcePaths) {
+                const sourceMap = cliParser.createSourceMap(outputText, sourcePaths);
+                const absoluteSourceMap = path.resolve(process.cwd(), argv['source-map']);
+                fs.writeFileSync(absoluteSourceMap, JSON.stringify(sourceMap, null, 2) + '\n', 'utf8');
+                console.warn(`Source map written to ${absoluteSourceMap}`);
+            }
 
             if (argv.output) {
                 const absoluteOutput = path.resolve(process.cwd(), argv.output);
@@ -2,11 +2,425 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const YAML = require('yaml');
-const jsep = require('jsep');
+const Ajv = require('ajv');
+const PIPELINE_SCHEMA = require('./schemas/azure-pipelines.schema.json');
+const TASK_CATALOG = require('./data/task-catalog.json');
+const { createGitRefReader } = require('./utils');
+const { findProjectConfig, loadProjectConfig } = require('./config');
+
+const RUNTIME_RESULTS = ['Succeeded', 'SucceededWithIssues', 'Failed', 'Canceled', 'Skipped'];
+const RUNTIME_SUCCESS_RESULTS = ['Succeeded', 'SucceededWithIssues'];
+const MACRO_PATTERN = /\$\(([A-Za-z0-9_][A-Za-z0-9_.-]*)\)/g;
+// ${{ }} expression within a line; '}}' inside a string literal does not close it
+const EXPRESSION_PATTERN = /\$\{\{\s*((?:[^'}\n]|'(?:[^'\n]|'')*'|\}(?!\}))+?)\s*\}\}/g;
+const MACRO_SCRIPT_KEYS = ['script', 'bash', 'pwsh', 'powershell'];
+// Azure DevOps allows 100 levels of template nesting; also the depth at which includes stop
+const DEFAULT_MAX_TEMPLATE_DEPTH = 100;
+// Task references that step shorthands (`- bash:`, `- checkout:`, ...) are converted to
+const SHORTHAND_TASKS = {};
+for (const task of TASK_CATALOG.tasks) {
+    for (const version of task.versions) {
+        for (const shorthand of version.shorthands || []) {
+            SHORTHAND_TASKS[shorthand] = `${task.referenceById ? task.id : task.name}@${version.major}`;
+        }
+    }
+}
+const CHECKOUT_TASK = SHORTHAND_TASKS.checkout;
+
+/** Kinds of `resources:` with the key that holds the alias of each resource */
+const RESOURCE_ALIAS_KEYS = {
+    repositories: 'repository',
+    pipelines: 'pipeline',
+    builds: 'build',
+    containers: 'container',
+    packages: 'package',
+    webhooks: 'webhook',
+};
+
+// Compiled on first use by validatePipelineSchema
+let pipelineSchemaValidator;
+
+// Returned by castValue when a value cannot be converted to the requested expression type
+const CAST_FAILED = Symbol('castFailed');
+const MAX_VERSION_COMPONENT = 2147483647;
+
+/**
+ * Expression `version` value (Major.Minor[.Build[.Revision]]). Missing components compare
+ * lower than zero, so 1.2 < 1.2.0 as in .NET's System.Version.
+ */
+class PipelineVersion {
+    constructor(components) {
+        this.components = components;
+    }
+
+    compareTo(other) {
+        for (let index = 0; index < 4; index++) {
+            const left = this.components[index] ?? -1;
+            const right = other.components[index] ?? -1;
+            if (left !== right) {
+                return left > right ? 1 : -1;
+            }
+        }
+        return 0;
+    }
+
+    toString() {
+        return this.components.join('.');
+    }
+}
+
+// Expression functions with their [minimum, maximum] argument counts
+const EXPRESSION_FUNCTIONS = {
+    always: [0, 0],
+    and: [2, Infinity],
+    canceled: [0, 0],
+    coalesce: [2, Infinity],
+    contains: [2, 2],
+    containsvalue: [2, 2],
+    converttojson: [1, 1],
+    counter: [2, 2],
+    endswith: [2, 2],
+    eq: [2, 2],
+    failed: [0, Infinity],
+    format: [1, Infinity],
+    ge: [2, 2],
+    gt: [2, 2],
+    iif: [3, 3],
+    in: [1, Infinity],
+    join: [2, 2],
+    le: [2, 2],
+    length: [1, 1],
+    lower: [1, 1],
+    lt: [2, 2],
+    ne: [2, 2],
+    not: [1, 1],
+    notin: [1, Infinity],
+    or: [2, Infinity],
+    replace: [3, 3],
+    split: [2, 2],
+    startswith: [2, 2],
+    succeeded: [0, Infinity],
+    succeededorfailed: [0, Infinity],
+    trim: [1, 1],
+    upper: [1, 1],
+    xor: [2, 2],
+};
+
+/**
+ * Raised when an expression does not follow the Azure expression grammar. `column` is the
+ * 1-based position within `expression`; `file`, `line` and `fileColumn` are filled in once
+ * the expression has been located in its YAML file.
+ */
+class ExpressionSyntaxError extends Error {
+    constructor(reason, expression, column) {
+        super(reason);
+        this.name = 'ExpressionSyntaxError';
+        this.reason = reason;
+        this.expression = expression;
+        this.column = column;
+        this.updateMessage();
+    }
+
+    /**
+     * Record where the expression appears and rebuild the message as `file:line:column: reason`.
+     * @param {object} location - { file, filePath, line, fileColumn, callStack }
+     */
+    setLocation({ file, filePath, line, fileColumn, callStack = '' }) {
+        this.file = file;
+        this.filePath = filePath;
+        this.line = line;
+        this.fileColumn = fileColumn;
+        this.updateMessage(callStack);
+    }
+
+    updateMessage(callStack = '') {
+        const position = this.line ? `:${this.line}:${this.fileColumn}` : '';
+        const location = this.file ? `${this.file}${position}: ` : '';
+        this.message =
+            `${location}Expression syntax error at column ${this.column}: ${this.reason}\n` +
+            `  ${this.expression}\n` +
+            `  ${' '.repeat(this.column - 1)}^` +
+            callStack;
+    }
+}
+
+/**
+ * Recursive-descent parser for the Azure Pipelines expression grammar: literals, named values,
+ * property dereferences (`.name`, `['name']`, `.*`) and function calls. JavaScript operators
+ * are not part of the grammar and are reported as syntax errors.
+ */
+class ExpressionParser {
+    constructor(expression) {
+        this.expression = expression;
+        this.position = 0;
+    }
+
+    parse() {
+        const node = this.parseValue();
+        this.skipWhitespace();
+        if (this.position < this.expression.length) {
+            this.fail(`Unexpected symbol '${this.peekSymbol()}'.`);
+        }
+        return node;
+    }
+
+    parseValue() {
+        this.skipWhitespace();
+        const start = this.position;
+        const char = this.expression[start];
+
+        if (char === undefined) {
+            this.fail('Unexpected end of expression: expected a value.');
+        }
+        if (char === "'") {
+            return this.parsePostfix({ type: 'Literal', value: this.readString(), start });
+        }
+        if (/[0-9]/.test(char) || (/[-+.]/.test(char) && /[0-9]/.test(this.expression[start + 1] || ''))) {
+            return { type: 'Literal', value: this.readNumber(), start };
+        }
+        if (/[A-Za-z_]/.test(char)) {
+            const name = this.readName();
+            const keyword = name.toLowerCase();
+            this.skipWhitespace();
+            if (this.expression[this.position] === '(') {
+                return this.parsePostfix(this.parseCall(name, start));
+            }
+            if (keyword === 'true' || keyword === 'false') {
+                return { type: 'Literal', value: keyword === 'true', start };
+            }
+            if (keyword === 'null') {
+                return { type: 'Literal', value: null, start };
+            }
+            return this.parsePostfix({ type: 'Identifier', name, start });
+        }
+
+        this.fail(`Unexpected symbol '${this.peekSymbol()}'.`);
+    }
+
+    parseCall(name, start) {
+        const signature = EXPRESSION_FUNCTIONS[name.toLowerCase()];
+        if (!signature) {
+            this.fail(`Unrecognized function '${name}'.`, start);
+        }
+
+        this.position++; // (
+        const args = [];
+        this.skipWhitespace();
+        if (this.expression[this.position] === ')') {
+            this.position++;
+        } else {
+            for (;;) {
+                args.push(this.parseValue());
+                this.skipWhitespace();
+                const next = this.expression[this.position];
+                if (next === ',') {
+                    this.position++;
+                } else if (next === ')') {
+                    this.position++;
+                    break;
+                } else if (next === undefined) {
+                    this.fail(`Unexpected end of expression: expected ',' or ')' in the call to '${name}'.`);
+                } else {
+                    this.fail(
+                        `Unexpected symbol '${this.peekSymbol()}': expected ',' or ')' in the call to '${name}'.`,
+                    );
+                }
+            }
+        }
+
+        const [min, max] = signature;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            this.fail(`Function '${name}' expects ${expected} argument(s) but was given ${args.length}.`, start);
+        }
+        return { type: 'CallExpression', name, arguments: args, start };
+    }
+
+    parsePostfix(node) {
+        let current = node;
+        let filtered = false;
+        for (;;) {
+            this.skipWhitespace();
+            const char = this.expression[this.position];
+            if (char === '.') {
+                this.position++;
+                if (this.expression[this.position] === '*') {
+                    this.position++;
+                    current = {
+                        type: 'MemberExpression',
+                        object: current,
+                        wildcard: true,
+                        filtered,
+                        start: node.start,
+                    };
+                    filtered = true;
+                    continue;
+                }
+                if (!/[A-Za-z0-9_]/.test(this.expression[this.position] || '')) {
+                    this.fail("Expected a property name after '.'.");
+                }
+                const property = { type: 'Literal', value: this.readName() };
+                current = { type: 'MemberExpression', object: current, property, filtered, start: node.start };
+            } else if (char === '[') {
+                this.position++;
+                this.skipWhitespace();
+                if (this.expression[this.position] === '*') {
+                    this.position++;
+                    this.expect(']');
+                    current = {
+                        type: 'MemberExpression',
+                        object: current,
+                        wildcard: true,
+                        filtered,
+                        start: node.start,
+                    };
+                    filtered = true;
+                    continue;
+                }
+                const property = this.parseValue();
+                this.expect(']');
+                current = { type: 'MemberExpression', object: current, property, filtered, start: node.start };
+            } else {
+                return current;
+            }
+        }
+    }
+
+    readString() {
+        let value = '';
+        let index = this.position + 1;
+        for (;;) {
+            const char = this.expression[index];
+            if (char === undefined) {
+                this.fail('Unterminated string literal.');
+            }
+            if (char === "'") {
+                if (this.expression[index + 1] !== "'") {
+                    break;
+                }
+                index++;
+            }
+            value += char;
+            index++;
+        }
+        this.position = index + 1;
+        return value;
+    }
+
+    readNumber() {
+        const start = this.position;
+        const match = /^[-+]?[0-9.]+(?:[eE][-+]?[0-9]+)?/.exec(this.expression.slice(start));
+        const text = match[0];
+        this.position += text.length;
+        if (/[A-Za-z_]/.test(this.expression[this.position] || '')) {
+            this.fail(`Unexpected symbol '${this.peekSymbol()}'.`);
+        }
+
+        // Literals with two or three dots are versions (1.2.3, 1.2.3.4)
+        if (/^[0-9]+(?:\.[0-9]+){2,3}$/.test(text)) {
+            return new PipelineVersion(text.split('.').map(Number));
+        }
+        const value = Number(text);
+        if (Number.isNaN(value)) {
+            this.fail(`Invalid number '${text}'.`, start);
+        }
+        return value;
+    }
+
+    readName() {
+        const match = /^[A-Za-z0-9_][A-Za-z0-9_-]*/.exec(this.expression.slice(this.position));
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    expect(symbol) {
+        this.skipWhitespace();
+        const char = this.expression[this.position];
+        if (char !== symbol) {
+            this.fail(
+                char === undefined
+                    ? `Unexpected end of expression: expected '${symbol}'.`
+                    : `Unexpected symbol '${this.peekSymbol()}': expected '${symbol}'.`,
+            );
+        }
+        this.position++;
+    }
+
+    skipWhitespace() {
+        while (/\s/.test(this.expression[this.position] || '')) {
+            this.position++;
+        }
+    }
+
+    /** The offending token for error messages: a word, a quoted string or a single character */
+    peekSymbol() {
+        const rest = this.expression.slice(this.position);
+        const match = /^(?:[A-Za-z0-9_.-]+|'[^']*'?|[=!<>&|]+|.)/.exec(rest);
+        return match[0];
+    }
+
+    fail(reason, position = this.position) {
+        const error = new Error(reason);
+        error.column = position + 1;
+        throw error;
+    }
+}
+
+// Expansion limits enforced by Azure DevOps (0 disables a limit). Template nesting is capped by
+// maxTemplateDepth instead. maxEachIterations is not an Azure limit but a local check for
+// runaway loops, off unless configured.
+const DEFAULT_EXPANSION_LIMITS = {
+    maxTemplateFiles: 100,
+    maxDocumentSize: 20 * 1024 * 1024,
+    maxEachIterations: 0,
+};
+
+/**
+ * Raised when template includes form a cycle or exceed the maximum template depth.
+ * `includeChain` lists the templates from the root pipeline down to the failing include.
+ */
+class TemplateIncludeError extends Error {
+    constructor(message, includeChain = []) {
+        super(message);
+        this.name = 'TemplateIncludeError';
+        this.includeChain = includeChain;
+    }
+}
+
+/**
+ * Raised in strict limits mode when an expansion exceeds an Azure DevOps limit.
+ * `violations` holds one { limit, value, max, message } entry per exceeded limit.
+ */
+class ExpansionLimitError extends Error {
+    constructor(message, violations = []) {
+        super(message);
+        this.name = 'ExpansionLimitError';
+        this.violations = violations;
+    }
+}
+
+/**
+ * Raised when a template cannot be loaded: its file is missing or invalid, or its repository
+ * resource is unknown or has no local location. `code` is 'missing-template',
+ * 'invalid-template' or 'unresolved-repository'.
+ */
+class TemplateResolutionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TemplateResolutionError';
+        this.code = code;
+    }
+}
 
 class AzurePipelineParser {
     constructor(options = {}) {
         this.expressionCache = new Map();
+        // Task manifests by directory, reused until the tree changes (see loadTaskManifests)
+        this.taskManifestCache = new Map();
+        // Git ref readers by location and ref, reused while the ref resolves to the same commit (see getGitRefReader)
+        this.gitRefReaderCache = new Map();
+        // Project configuration files and the git remotes of sibling clones, reused until they change (see discoverRepositoryLocation)
+        this.discoveryCache = { configs: new Map(), siblings: new Map() };
     }
 
     expandPipelineFromFile(filePath, overrides = {}) {
@@ -23,7 +437,47 @@ class AzurePipelineParser {
     }
 
     expandPipelineToString(sourceText, overrides = {}) {
-        const { document } = this.expandPipeline(sourceText, overrides);
+        return this.expandPipelineToResult(sourceText, overrides).text;
+    }
+
+    /**
+     * Expand a pipeline to YAML text and return it together with the expansion report.
+     * `warnings` (expansion limits and similar) are always included; options add the rest:
+     *
+     * - `resolveMacros`: `unresolvedMacros`
+     * - `runtimeScenario`: `runtime` simulation results
+     * - `sourceMap`: `sourceMap`, `sourcePaths` and expression `evaluations`
+     * - `validateSchema`: `schemaViolations` and `resourceViolations` (undeclared resources)
+     * - `taskManifests`: `taskViolations`, checked against the task.json manifests of that directory
+     * - `useRepositoryRefs`: `repositoryRefs`, the repositories read at their declared ref
+     * - `discoverRepositories`: `discoveredRepositories`, the repository locations found
+     * - `collectDiagnostics`: `diagnostics` ({ code, message, file, line, column, related }).
+     *   Template parameter problems and templates that cannot be loaded are reported instead
+     *   of failing the expansion, and templates that cannot be loaded are left out.
+     *
+     * @returns {{text: string, warnings: Array, unresolvedMacros: Array|undefined, runtime: object|undefined,
+     *     sourceMap: object|undefined, sourcePaths: Map|undefined, evaluations: Array|undefined,
+     *     schemaViolations: Array|undefined, resourceViolations: Array|undefined,
+     *     taskViolations: Array|undefined, diagnostics: Array|undefined,
+     *     repositoryRefs: Array<{repository: string, ref: string, location: string, commit: string|undefined}>|undefined,
+     *     discoveredRepositories: Array<{repository: string, location: string, source: string, detail: string}>|undefined}}
+     */
+    expandPipelineToResult(sourceText, overrides = {}) {
+        const {
+            document,
+            context,
+            sourcePaths,
+            evaluations,
+            schemaViolations,
+            resourceViolations,
+            taskViolations,
+            diagnostics,
+            warnings,
+            unresolvedMacros,
+            runtime,
+            repositoryRefs,
+            discoveredRepositories,
+        } = this.expandPipeline(sourceText, overrides);
 
         // Extract and remove quote styles metadata
         const quoteStyles = document.__quoteStyles || new Map();
@@ -35,15 +489,20 @@ class AzurePipelineParser {
         const scriptsWithLastLineExpressions = document.__scriptsWithLastLineExpressions || new Set();
         delete document.__scriptsWithLastLineExpressions;
 
+        // Extract runtime simulation annotations (only present when a runtime scenario was given)
+        const runtimeAnnotations = document.__runtimeAnnotations || [];
+        delete document.__runtimeAnnotations;
+
         // Create YAML document and restore quote styles
         const yamlDoc = YAML.parseDocument(YAML.stringify(document));
         this.restoreQuoteStyles(yamlDoc.contents, [], quoteStyles);
+        this.applyRuntimeAnnotations(yamlDoc, runtimeAnnotations);
 
         // Always apply block scalar styles to control formatting
         // When azureCompatible=false, use literal style to preserve exact formatting
         // When azureCompatible=true, apply Azure-specific transformations
         const azureCompatible = overrides.azureCompatible || false;
-        console.log(`Azure Compatibility mode: ${azureCompatible}`);
+        console.warn(`Azure Compatibility mode: ${azureCompatible}`);
         this.applyBlockScalarStyles(
             yamlDoc.contents,
             scriptsWithExpressions,
@@ -91,17 +550,39 @@ class AzurePipelineParser {
         } else {
             output = output.replace(/\n*$/, '\n');
         }
-        return output;
+        const sizeWarnings = this.checkExpansionLimits(
+            { maxDocumentSize: Buffer.byteLength(output, 'utf8') },
+            context.expansionLimits,
+            overrides.strictLimits,
+        );
+
+        return {
+            text: output,
+            warnings: [...warnings, ...sizeWarnings],
+            unresolvedMacros,
+            runtime,
+            sourceMap: sourcePaths ? this.createSourceMap(output, sourcePaths) : undefined,
+            sourcePaths,
+            evaluations,
+            schemaViolations,
+            resourceViolations,
+            taskViolations,
+            diagnostics,
+            repositoryRefs,
+            discoveredRepositories,
+        };
     }
 
     expandPipeline(sourceText, overrides = {}) {
         const normalized = this.preprocessCompileTimeExpressions(sourceText);
 
         let document;
+        let yamlDoc;
         let quoteStyles = new Map();
+        const lineCounter = new YAML.LineCounter();
         try {
             // Parse as document to extract quote information
-            const yamlDoc = YAML.parseDocument(normalized);
+            yamlDoc = YAML.parseDocument(normalized, { lineCounter });
             this.extractQuoteStyles(yamlDoc.contents, [], quoteStyles);
 
             document = yamlDoc.toJSON() || {};
@@ -112,11 +593,79 @@ class AzurePipelineParser {
         document = this.restoreCompileTimeExpressions(document);
 
         const context = this.buildExecutionContext(document, overrides);
+        if (context.diagnostics) {
+            this.reportYamlErrors(yamlDoc, overrides.fileName, context);
+        }
+
+        // Opt-in source maps: track where every mapping and sequence came from (schema and
+        // task step problems are located with the same positions)
+        if (overrides.sourceMap || overrides.validateSchema || overrides.taskManifests) {
+            context.provenance = new WeakMap();
+            if (overrides.sourceMap) {
+                context.evaluations = [];
+            }
+            this.recordProvenance(yamlDoc, document, { file: overrides.fileName }, normalized, lineCounter, context);
+        }
+
+        // Supplied root parameter values follow the same rules as template parameters
+        if (overrides.parameters !== undefined) {
+            const pipelineName = overrides.fileName ? path.basename(overrides.fileName) : undefined;
+            this.validateTemplateParameters(document, overrides.parameters, pipelineName, context, 'pipeline');
+        }
+        context.parameters = this.bindParameterTypes(document, context.parameters);
 
         // Store quote styles in context so they're available during template expansion
         context.quoteStyles = quoteStyles;
 
-        const expandedDocument = this.expandNode(document, context);
+        let expandedDocument;
+        try {
+            expandedDocument = this.expandDocument(document, context);
+        } catch (error) {
+            const file = overrides.fileName || 'pipeline';
+            const source = { file: overrides.fileName };
+            this.locateExpressionError(error, sourceText, {
+                file,
+                filePath: overrides.fileName,
+                provenance: this.provenanceOf(context, yamlDoc, document, source, normalized, lineCounter),
+            });
+            throw error;
+        }
+
+        const stats = context.expansionStats;
+        const warnings = this.checkExpansionLimits(
+            {
+                maxTemplateFiles: stats.templateFiles.size,
+                maxEachIterations: stats.eachIterations,
+            },
+            context.expansionLimits,
+            overrides.strictLimits,
+        );
+
+        // Repositories read at their declared ref, and the ones that fell back to the working tree
+        let repositoryRefs;
+        if (context.repositoryRefs) {
+            repositoryRefs = [...context.repositoryRefs.values()].map((record) => ({
+                repository: record.repository,
+                ref: record.ref,
+                location: record.location,
+                commit: record.commit,
+            }));
+            for (const record of context.repositoryRefs.values()) {
+                if (record.warning) {
+                    warnings.push({ code: 'repository-ref', repository: record.repository, message: record.warning });
+                }
+            }
+        }
+
+        const discoveredRepositories = context.repositoryDiscovery
+            ? [...context.repositoryDiscovery.results.values()].filter(Boolean)
+            : undefined;
+
+        // Opt-in macro pass: substitute statically known $(var) macros
+        let unresolvedMacros;
+        if (overrides.resolveMacros) {
+            unresolvedMacros = this.resolveMacros(expandedDocument, context.variables, context.variableGroups);
+        }
 
         // Merge quote styles from all templates (context-aware hashes don't conflict)
         const allQuoteStyles = new Map(quoteStyles);
@@ -138,10 +687,305 @@ class AzurePipelineParser {
         expandedDocument.__scriptsWithExpressions = context.scriptsWithExpressions || new Set();
         expandedDocument.__scriptsWithLastLineExpressions = context.scriptsWithLastLineExpressions || new Set();
 
+        // Opt-in runtime simulation: evaluate $[ ] variables and conditions against a scenario
+        let runtime;
+        if (overrides.runtimeScenario) {
+            runtime = this.simulateRuntime(expandedDocument, context, overrides.runtimeScenario);
+            expandedDocument.__runtimeAnnotations = runtime.annotations;
+        }
+
+        // Secret variable group values never appear in the rendered output
+        const secretValues = this.collectSecretValues(expandedDocument, context.variableGroups);
+        this.maskSecretValues(expandedDocument, secretValues);
+        if (runtime) {
+            for (const annotation of runtime.annotations) {
+                annotation.message = this.maskSecrets(annotation.message, secretValues);
+            }
+        }
+
+        // Counters are written back only when the caller asks for it, once per user-visible run:
+        // previews, diffs, scenario matrices and validation read the store without advancing it
+        if (overrides.persistCounters) {
+            this.saveCounterStore(context.counters);
+        }
+
+        const sourcePaths = context.provenance
+            ? this.collectSourcePaths(expandedDocument, context.provenance)
+            : undefined;
+
+        // Opt-in schema validation of the expanded document
+        let schemaViolations;
+        if (overrides.validateSchema) {
+            schemaViolations = this.validatePipelineSchema(expandedDocument, sourcePaths);
+            if (context.diagnostics) {
+                for (const violation of schemaViolations) {
+                    const message = `${violation.message} (${violation.path})`;
+                    this.reportDiagnostic(context, 'schema-violation', message, violation.source);
+                }
+            }
+        }
+
+        // Resource references are checked together with the schema
+        let resourceViolations;
+        if (overrides.validateSchema) {
+            const references = this.validateResourceReferences(expandedDocument, context.resources, sourcePaths);
+            resourceViolations = references.filter((violation) => violation.severity !== 'warning');
+            for (const violation of references.filter((reference) => reference.severity === 'warning')) {
+                const message = `${violation.message} (${violation.path})`;
+                warnings.push({ code: violation.code, message, source: violation.source });
+            }
+            if (context.diagnostics) {
+                for (const violation of resourceViolations) {
+                    this.reportDiagnostic(context, violation.code, violation.message, violation.source);
+                }
+            }
+        }
+
+        // Opt-in task step validation against local task.json manifests
+        let taskViolations;
+        if (overrides.taskManifests) {
+            const { manifests, problems } = this.loadTaskManifests(overrides.taskManifests);
+            for (const problem of problems) {
+                if (context.diagnostics) {
+                    const position = { file: problem.file, line: 1, column: 1 };
+                    this.reportDiagnostic(context, 'invalid-task-manifest', problem.message, position);
+                } else {
+                    warnings.push({ code: 'invalid-task-manifest', message: problem.message });
+                }
+            }
+            taskViolations = this.validateTaskSteps(expandedDocument, manifests, sourcePaths);
+            if (context.diagnostics) {
+                for (const violation of taskViolations) {
+                    this.reportDiagnostic(context, violation.code, violation.message, violation.source);
+                }
+            }
+        }
+
         return {
             document: expandedDocument,
             context,
+            sourcePaths: overrides.sourceMap ? sourcePaths : undefined,
+            evaluations: context.evaluations,
+            schemaViolations,
+            resourceViolations,
+            taskViolations,
+            diagnostics: context.diagnostics,
+            warnings,
+            unresolvedMacros,
+            runtime,
+            repositoryRefs,
+            discoveredRepositories,
+        };
+    }
+
+    /**
+     * Expand a pipeline once per scenario of a scenario matrix and summarize which stages and
+     * jobs appear in which scenarios. Scenario variables and parameters are merged over the
+     * ones in `overrides`; a scenario that fails to expand is reported with its error instead
+     * of aborting the whole matrix.
+     * @param {string} sourceText - Pipeline YAML
+     * @param {object} matrix - Scenario matrix definition (see normalizeScenarioMatrix)
+     * @param {object} overrides - Expansion overrides shared by all scenarios
+     * @returns {{scenarios: Array<{name: string, text?: string, warnings?: Array, stages?: string[],
+     *     jobs?: string[], error?: Error}>, summary: {stages: object, jobs: object, failed: string[]}}}
+     */
+    expandScenarioMatrix(sourceText, matrix, overrides = {}) {
+        const scenarios = this.normalizeScenarioMatrix(matrix).map((scenario) => {
+            try {
+                const { text, warnings } = this.expandPipelineToResult(
+                    sourceText,
+                    this.createScenarioOverrides(overrides, scenario),
+                );
+                return { name: scenario.name, text, warnings, ...this.collectPipelineStructure(YAML.parse(text)) };
+            } catch (error) {
+                return { name: scenario.name, error };
+            }
+        });
+
+        const summary = { stages: {}, jobs: {}, failed: [] };
+        for (const scenario of scenarios) {
+            if (scenario.error) {
+                summary.failed.push(scenario.name);
+                continue;
+            }
+            for (const stage of scenario.stages) {
+                (summary.stages[stage] = summary.stages[stage] || []).push(scenario.name);
+            }
+            for (const job of scenario.jobs) {
+                (summary.jobs[job] = summary.jobs[job] || []).push(scenario.name);
+            }
+        }
+
+        return { scenarios, summary };
+    }
+
+    /**
+     * Merge a normalized scenario's variables and parameters over expansion overrides.
+     * @returns {object} The overrides for expanding the scenario
+     */
+    createScenarioOverrides(overrides, scenario) {
+        const scenarioOverrides = {
+            ...overrides,
+            variables: { ...(overrides.variables || {}), ...scenario.variables },
+        };
+        if (overrides.parameters !== undefined || scenario.parameters !== undefined) {
+            scenarioOverrides.parameters = { ...(overrides.parameters || {}), ...(scenario.parameters || {}) };
+        }
+        return scenarioOverrides;
+    }
+
+    /**
+     * Normalize a scenario matrix definition. Scenarios are given either as a `scenarios`
+     * mapping of name to `{ variables, parameters }` or as a list of such entries with a
+     * `name`; top-level `variables` and `parameters` apply to every scenario.
+     * @returns {Array<{name: string, variables: object, parameters: object|undefined}>}
+     */
+    normalizeScenarioMatrix(matrix) {
+        const source = matrix && typeof matrix === 'object' && !Array.isArray(matrix) ? matrix : {};
+        const isMapping = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+        let entries;
+        if (Array.isArray(source.scenarios)) {
+            entries = source.scenarios.map((entry, index) => {
+                if (!isMapping(entry) || typeof entry.name !== 'string' || !entry.name.trim()) {
+                    throw new Error(`Invalid scenario at index ${index}: expected a mapping with a 'name'.`);
+                }
+                return [entry.name.trim(), entry];
+            });
+        } else if (isMapping(source.scenarios)) {
+            entries = Object.entries(source.scenarios).map(([name, entry]) => [name, entry || {}]);
+        } else {
+            throw new Error("Invalid scenario matrix: expected a 'scenarios' mapping or list.");
+        }
+
+        if (!entries.length) {
+            throw new Error('Invalid scenario matrix: no scenarios defined.');
+        }
+
+        const seen = new Set();
+        return entries.map(([name, entry]) => {
+            if (seen.has(name)) {
+                throw new Error(`Duplicate scenario '${name}'.`);
+            }
+            seen.add(name);
+
+            for (const key of ['variables', 'parameters']) {
+                if (entry[key] !== undefined && !isMapping(entry[key])) {
+                    throw new Error(`Invalid ${key} for scenario '${name}': expected a mapping.`);
+                }
+            }
+
+            const parameters =
+                source.parameters !== undefined || entry.parameters !== undefined
+                    ? { ...(source.parameters || {}), ...(entry.parameters || {}) }
+                    : undefined;
+            return {
+                name,
+                variables: { ...(source.variables || {}), ...(entry.variables || {}) },
+                parameters,
+            };
+        });
+    }
+
+    /**
+     * List the stages and jobs of an expanded pipeline. Jobs are named `<stage>.<job>` when the
+     * pipeline has stages; unnamed stages and jobs get positional names (`stage1`, `job2`).
+     * @returns {{stages: string[], jobs: string[]}}
+     */
+    collectPipelineStructure(document) {
+        const structure = { stages: [], jobs: [] };
+        if (!document || typeof document !== 'object') {
+            return structure;
+        }
+
+        const collectJobs = (jobs, prefix) => {
+            if (!Array.isArray(jobs)) return;
+            jobs.forEach((job, index) => {
+                if (!job || typeof job !== 'object') return;
+                const name = String(this.pickFirstDefined(job.job, job.deployment, `job${index + 1}`));
+                structure.jobs.push(prefix ? `${prefix}.${name}` : name);
+            });
         };
+
+        if (Array.isArray(document.stages)) {
+            document.stages.forEach((stage, index) => {
+                if (!stage || typeof stage !== 'object') return;
+                const name = String(this.pickFirstDefined(stage.stage, `stage${index + 1}`));
+                structure.stages.push(name);
+                collectJobs(stage.jobs, name);
+            });
+        } else {
+            collectJobs(document.jobs);
+        }
+
+        return structure;
+    }
+
+    /**
+     * Evaluate an expression against the context expansion had at a source location: the
+     * parameters, variables and `each` locals in scope for the innermost node that contains
+     * the line. A node expanded several times (an `each` body, a template included twice)
+     * yields one result per expansion; no results means no expanded node contains the line
+     * (a branch that is not taken, or a template the pipeline does not include).
+     * @param {string} sourceText - Root pipeline YAML
+     * @param {string} expression - Expression, with or without ${{ }} delimiters
+     * @param {{file: string, line: number}} location - File (root pipeline or template) and 1-based line
+     * @param {object} overrides - Expansion overrides (as for expandPipeline)
+     * @returns {Array<{value: *, text: string, locals: object, templateStack: Array}|{error: Error, locals: object, templateStack: Array}>}
+     */
+    evaluateExpressionAt(sourceText, expression, location, overrides = {}) {
+        const trimmed = String(expression).trim();
+        const expr = this.isFullExpression(trimmed) ? this.stripExpressionDelimiters(trimmed) : trimmed;
+        this.parseExpressionAst(expr);
+
+        const capture = { file: path.resolve(location.file), line: location.line, startLine: 0, contexts: [] };
+        try {
+            this.expandPipeline(sourceText, { ...overrides, sourceMap: true, capture });
+        } catch (error) {
+            // Expansion may fail after the location was reached; the captured context is still valid
+            if (!capture.contexts.length) {
+                throw error;
+            }
+        }
+
+        return capture.contexts.map((context) => {
+            const scope = { locals: { ...context.locals }, templateStack: context.templateStack || [] };
+            try {
+                const value = this.evaluateExpression(expr, context);
+                return { value, text: this.formatRuntimeValue(value), ...scope };
+            } catch (error) {
+                return { error, ...scope };
+            }
+        });
+    }
+
+    /** Track the innermost source node containing the capture location (see evaluateExpressionAt) */
+    recordCaptureCandidate(range, capture) {
+        if (capture && this.rangeContainsCapture(range, capture)) {
+            capture.startLine = Math.max(capture.startLine, range.line);
+        }
+    }
+
+    rangeContainsCapture(range, capture) {
+        return (
+            Boolean(range.file) &&
+            range.endLine !== undefined &&
+            range.line <= capture.line &&
+            range.endLine >= capture.line &&
+            path.resolve(range.file) === capture.file
+        );
+    }
+
+    /** Remember the context each time the innermost node containing the capture location is expanded */
+    captureNodeContext(node, context) {
+        const { capture, provenance } = context;
+        const entry = provenance && node && typeof node === 'object' ? provenance.get(node) : undefined;
+        if (!entry || entry.line !== capture.startLine || !this.rangeContainsCapture(entry, capture)) {
+            return;
+        }
+        if (!capture.contexts.includes(context)) {
+            capture.contexts.push(context);
+        }
     }
 
     /**
@@ -528,7 +1372,8 @@ class AzurePipelineParser {
 
     buildExecutionContext(document, overrides) {
         const parameters = this.extractParameters(document);
-        const variables = this.extractVariables(document);
+        const variableGroups = this.normalizeVariableGroups(overrides.variableGroups);
+        const variables = this.extractVariables(document, variableGroups);
         const resources = this.normalizeResourcesConfig(
             document && typeof document === 'object' ? document.resources : undefined,
         );
@@ -538,25 +1383,84 @@ class AzurePipelineParser {
         const overrideResources = this.normalizeResourcesConfig(overrides.resources);
         const locals = overrides.locals || {};
         const baseDir = overrides.baseDir || (overrides.fileName ? path.dirname(overrides.fileName) : process.cwd());
-        const repositoryBaseDir = overrides.repositoryBaseDir !== undefined ? overrides.repositoryBaseDir : baseDir;
 
         const mergedResources = this.mergeResourcesConfig(resources, overrideResources);
         const resourceLocations = overrides.resourceLocations || {};
+        const selfRepositoryDir =
+            overrides.repositoryBaseDir !== undefined
+                ? overrides.repositoryBaseDir
+                : this.resolveSelfRepositoryDirectory(mergedResources, resourceLocations, baseDir);
+
+        const maxTemplateDepth =
+            overrides.maxTemplateDepth !== undefined ? Number(overrides.maxTemplateDepth) : DEFAULT_MAX_TEMPLATE_DEPTH;
+        if (!Number.isInteger(maxTemplateDepth) || maxTemplateDepth < 1) {
+            throw new Error(
+                `Invalid maximum template depth '${overrides.maxTemplateDepth}': expected a positive integer.`,
+            );
+        }
 
         return {
             parameters: { ...parameters, ...overrideParameters },
             variables: { ...variables, ...overrideVariables },
+            variableGroups,
             resources: mergedResources,
             locals: { ...locals },
             baseDir,
-            repositoryBaseDir,
+            // Root of the repository of the current file, and of the one containing the root pipeline
+            repositoryBaseDir: selfRepositoryDir,
+            selfRepositoryDir,
             resourceLocations,
-            templateStack: overrides.templateStack || [],
+            readFile: overrides.readFile,
+            // Repository resources read at their declared ref, by alias (see resolveRepositoryReader)
+            repositoryRefs: overrides.useRepositoryRefs ? new Map() : undefined,
+            // Locations found for repositories without one, by alias (see discoverRepositoryLocation)
+            repositoryDiscovery: overrides.discoverRepositories ? { root: baseDir, results: new Map() } : undefined,
+            capture: overrides.capture,
+            diagnostics: overrides.collectDiagnostics ? [] : undefined,
+            counters: this.createCounterState(overrides),
+            pipelineStartTime: this.normalizeStartTime(overrides.startTime),
+            templateStack: overrides.templateStack || (overrides.fileName ? [overrides.fileName] : []),
+            templateIncludes: [],
+            maxTemplateDepth,
+            expansionLimits: this.normalizeExpansionLimits(overrides.limits),
+            expansionStats: { templateFiles: new Set(), eachIterations: 0 },
             scriptsWithExpressions: new Set(), // Track scripts that had ${{}} before expansion
             scriptsWithLastLineExpressions: new Set(), // Track scripts that had ${{}} on last line before expansion
         };
     }
 
+    /**
+     * Root directory of the `self` repository, which contains the root pipeline: the location
+     * configured for `self` (in the resources or resourceLocations), else the closest directory
+     * above the pipeline with a `.git` entry, else the pipeline's directory.
+     */
+    resolveSelfRepositoryDirectory(resources, resourceLocations, baseDir) {
+        const lookup = { resources, resourceLocations, baseDir };
+        const location = this.resolveRepositoryLocation(this.resolveRepositoryEntry('self', lookup), lookup);
+        if (location) {
+            return this.resolveRepositoryBaseDirectory(location, lookup);
+        }
+        const gitEntry = this.findUpwards(baseDir, '.git');
+        return gitEntry ? path.dirname(gitEntry) : baseDir;
+    }
+
+    /** Pipeline start time for `pipeline.startTime`; fixed by the `startTime` override for reproducible output */
+    normalizeStartTime(startTime) {
+        if (startTime === undefined) {
+            return new Date();
+        }
+        const date = new Date(startTime);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid pipeline start time '${startTime}': expected an ISO 8601 date.`);
+        }
+        return date;
+    }
+
+    /**
+     * Normalize a `resources:` section: each kind of RESOURCE_ALIAS_KEYS becomes a list that
+     * can also be indexed by alias (`resources.pipelines.upstream`), written either as a list
+     * or as a mapping from alias to resource.
+     */
     normalizeResourcesConfig(resourcesNode) {
         if (!resourcesNode || typeof resourcesNode !== 'object') {
             return {};
@@ -572,12 +1476,19 @@ class AzurePipelineParser {
             if (key === 'repositories') {
                 continue;
             }
-            normalized[key] = this.deepClone(value);
+            normalized[key] = RESOURCE_ALIAS_KEYS[key]
+                ? this.normalizeResourceList(value, RESOURCE_ALIAS_KEYS[key])
+                : this.deepClone(value);
         }
 
         return normalized;
     }
 
+    /**
+     * Merge override resources over the declared ones. Repository overrides may add
+     * repositories; for the other kinds, overrides only add simulated metadata (such as
+     * `runID` or `sourceBranch` of a pipeline resource) to declared resources with the same alias.
+     */
     mergeResourcesConfig(baseResources = {}, overrideResources = {}) {
         const merged = {};
 
@@ -585,7 +1496,9 @@ class AzurePipelineParser {
             if (key === 'repositories') {
                 continue;
             }
-            merged[key] = this.deepClone(value);
+            merged[key] = RESOURCE_ALIAS_KEYS[key]
+                ? this.normalizeResourceList(value, RESOURCE_ALIAS_KEYS[key])
+                : this.deepClone(value);
         }
 
         merged.repositories = this.mergeRepositoryConfigs(baseResources.repositories, overrideResources.repositories);
@@ -594,12 +1507,63 @@ class AzurePipelineParser {
             if (key === 'repositories') {
                 continue;
             }
-            merged[key] = this.deepClone(value);
-        }
-
+            const aliasKey = RESOURCE_ALIAS_KEYS[key];
+            if (!aliasKey) {
+                merged[key] = this.deepClone(value);
+                continue;
+            }
+            const metadata = new Map(
+                this.normalizeResourceList(value, aliasKey).map((entry) => [entry[aliasKey], entry]),
+            );
+            const declared = this.normalizeResourceList(baseResources[key], aliasKey);
+            merged[key] = this.attachResourceAliases(
+                declared.map((entry) => ({ ...entry, ...metadata.get(entry[aliasKey]) })),
+                aliasKey,
+            );
+        }
+
         return merged;
     }
 
+    /** Resources of one kind (other than repositories) as a list indexed by alias */
+    normalizeResourceList(value, aliasKey) {
+        const list = [];
+        if (Array.isArray(value)) {
+            value.forEach((entry) => {
+                if (entry && typeof entry === 'object') {
+                    list.push(this.deepClone(entry));
+                }
+            });
+        } else if (value && typeof value === 'object') {
+            for (const [key, entry] of Object.entries(value)) {
+                if (entry && typeof entry === 'object') {
+                    list.push({ [aliasKey]: key, ...this.deepClone(entry) });
+                }
+            }
+        }
+        return this.attachResourceAliases(list, aliasKey);
+    }
+
+    attachResourceAliases(list, aliasKey) {
+        for (const entry of list) {
+            const alias = entry[aliasKey];
+            if (
+                typeof alias === 'string' &&
+                alias &&
+                !this.isNumericString(alias) &&
+                !Object.prototype.hasOwnProperty.call(list, alias)
+            ) {
+                Object.defineProperty(list, alias, {
+                    value: entry,
+                    writable: true,
+                    enumerable: true,
+                    configurable: true,
+                });
+            }
+        }
+        return list;
+    }
+
     normalizeRepositoryList(value) {
         if (!value) {
             return [];
@@ -790,7 +1754,58 @@ class AzurePipelineParser {
         return result;
     }
 
-    validateTemplateParameters(templateDocument, providedParameters, templatePath, context) {
+    /**
+     * Convert parameter values to their declared type as Azure does when it binds them:
+     * `true`/`false` strings (and boolean markers) given to `type: boolean` parameters become
+     * booleans, so `'false'` from a variable is False in conditions.
+     * @returns {object} A copy of `values` with the converted values
+     */
+    bindParameterTypes(templateDocument, values) {
+        const definitions = templateDocument && templateDocument.parameters;
+        if (!definitions || typeof definitions !== 'object' || !values) {
+            return values;
+        }
+
+        const entries = Array.isArray(definitions)
+            ? definitions.map((definition) => [definition && definition.name, definition])
+            : Object.entries(definitions);
+        const bound = { ...values };
+        for (const [name, definition] of entries) {
+            const isBoolean =
+                definition && typeof definition === 'object' && String(definition.type).toLowerCase() === 'boolean';
+            if (isBoolean && Object.prototype.hasOwnProperty.call(bound, name)) {
+                bound[name] = this.parseBooleanString(bound[name]);
+            }
+        }
+        return bound;
+    }
+
+    /** `true`/`false` strings and boolean markers as booleans, ignoring case; other values unchanged */
+    parseBooleanString(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        const lower = value.trim().toLowerCase();
+        if (lower === 'true' || lower === '__true__') {
+            return true;
+        }
+        return lower === 'false' || lower === '__false__' ? false : value;
+    }
+
+    /**
+     * Check the parameters passed to a template (or supplied for the root pipeline) against its
+     * parameter definitions: required parameters, types, allowed values and unknown names.
+     * Problems are thrown as one error, or reported one by one as diagnostics when the context
+     * collects diagnostics (`callNode` is the `template:` node, used to locate them).
+     */
+    validateTemplateParameters(
+        templateDocument,
+        providedParameters,
+        templatePath,
+        context,
+        kind = 'template',
+        callNode = undefined,
+    ) {
         if (!templateDocument || typeof templateDocument !== 'object') {
             return;
         }
@@ -978,46 +1993,58 @@ class AzurePipelineParser {
             }
         }
 
+        if (context && context.diagnostics) {
+            this.reportParameterProblems(
+                { missingRequired, typeErrors, invalidValues, unknownParameters },
+                templateDocument,
+                templatePath || kind,
+                kind,
+                callNode,
+                context,
+            );
+            return;
+        }
+
         // Report errors
         const errors = [];
 
         if (missingRequired.length > 0) {
-            const templateName = templatePath || 'template';
+            const templateName = templatePath || kind;
             const paramList = missingRequired.map((p) => `'${p}'`).join(', ');
             errors.push(
-                `Missing required parameter(s) for template '${templateName}': ${paramList}. ` +
+                `Missing required parameter(s) for ${kind} '${templateName}': ${paramList}. ` +
                     `These parameters do not have default values and must be provided when calling the template.`,
             );
         }
 
         if (typeErrors.length > 0) {
-            const templateName = templatePath || 'template';
+            const templateName = templatePath || kind;
             const errorDetails = typeErrors
                 .map(
                     (err) =>
                         `Parameter '${err.name}' expects type '${err.expected}' but received '${err.actual}' (value: ${JSON.stringify(err.value)})`,
                 )
                 .join('\n    ');
-            errors.push(`Invalid parameter type(s) for template '${templateName}':\n    ${errorDetails}`);
+            errors.push(`Invalid parameter type(s) for ${kind} '${templateName}':\n    ${errorDetails}`);
         }
 
         if (invalidValues.length > 0) {
-            const templateName = templatePath || 'template';
+            const templateName = templatePath || kind;
             const errorDetails = invalidValues
                 .map(
                     (err) =>
                         `Parameter '${err.name}' has value '${err.value}' which is not in allowed values: [${err.allowed.join(', ')}]`,
                 )
                 .join('\n    ');
-            errors.push(`Invalid parameter value(s) for template '${templateName}':\n    ${errorDetails}`);
+            errors.push(`Invalid parameter value(s) for ${kind} '${templateName}':\n    ${errorDetails}`);
         }
 
         if (unknownParameters.length > 0) {
-            const templateName = templatePath || 'template';
+            const templateName = templatePath || kind;
             const paramList = unknownParameters.map((p) => `'${p}'`).join(', ');
             errors.push(
-                `Unknown parameter(s) for template '${templateName}': ${paramList}. ` +
-                    `These parameters are not defined in the template.`,
+                `Unknown parameter(s) for ${kind} '${templateName}': ${paramList}. ` +
+                    `These parameters are not defined in the ${kind}.`,
             );
         }
 
@@ -1025,19 +2052,242 @@ class AzurePipelineParser {
             let errorMessage = errors.join('\n\n');
 
             // Add template call stack if available
-            if (context && context.templateStack && context.templateStack.length > 0) {
-                errorMessage += '\n  Template call stack:';
-                errorMessage += '\n    ' + context.templateStack[0];
-                for (let i = 1; i < context.templateStack.length; i++) {
-                    errorMessage += '\n    ' + '  '.repeat(i) + '└── ' + context.templateStack[i];
-                }
-            }
+            errorMessage += this.formatTemplateCallStack(context && context.templateStack);
 
             throw new Error(errorMessage);
         }
     }
 
-    extractVariables(document) {
+    /**
+     * Report each parameter problem found by validateTemplateParameters as a diagnostic at the
+     * passed parameter (or the `template:` key when the parameter is missing), linked to the
+     * parameter's definition in the template.
+     */
+    reportParameterProblems(problems, templateDocument, templateName, kind, callNode, context) {
+        const { missingRequired, typeErrors, invalidValues, unknownParameters } = problems;
+        const callSite = this.sourcePositionOf(callNode, 'template', context);
+        const passedAt = (name) =>
+            this.sourcePositionOf(callNode && callNode.parameters, name, context) ||
+            this.sourcePositionOf(callNode, 'parameters', context) ||
+            callSite;
+        const definedAt = (name) => {
+            const definition = this.parameterDefinitionPosition(templateDocument, name, context);
+            return definition ? [{ ...definition, message: `Parameter '${name}' is defined here` }] : [];
+        };
+
+        for (const name of missingRequired) {
+            this.reportDiagnostic(
+                context,
+                'missing-parameter',
+                `Missing required parameter '${name}' for ${kind} '${templateName}'.`,
+                callSite || this.parameterDefinitionPosition(templateDocument, name, context),
+                definedAt(name),
+            );
+        }
+        for (const error of typeErrors) {
+            this.reportDiagnostic(
+                context,
+                'parameter-type',
+                `Parameter '${error.name}' of ${kind} '${templateName}' expects type '${error.expected}' but received '${error.actual}' (value: ${JSON.stringify(error.value)}).`,
+                passedAt(error.name) || this.parameterDefinitionPosition(templateDocument, error.name, context),
+                definedAt(error.name),
+            );
+        }
+        for (const error of invalidValues) {
+            this.reportDiagnostic(
+                context,
+                'parameter-value',
+                `Parameter '${error.name}' of ${kind} '${templateName}' has value '${error.value}' which is not in allowed values: [${error.allowed.join(', ')}].`,
+                passedAt(error.name) || this.parameterDefinitionPosition(templateDocument, error.name, context),
+                definedAt(error.name),
+            );
+        }
+        for (const name of unknownParameters) {
+            const parametersAt = this.sourcePositionOf(templateDocument, 'parameters', context);
+            this.reportDiagnostic(
+                context,
+                'unknown-parameter',
+                `Unknown parameter '${name}' for ${kind} '${templateName}'.`,
+                passedAt(name) || parametersAt,
+                parametersAt ? [{ ...parametersAt, message: `Parameters of ${kind} '${templateName}'` }] : [],
+            );
+        }
+    }
+
+    /** Source position of the definition of a parameter (its `name:` or its key) in a document */
+    parameterDefinitionPosition(document, name, context) {
+        const parameters = document && document.parameters;
+        if (Array.isArray(parameters)) {
+            const definition = parameters.find((param) => param && param.name === name);
+            return this.sourcePositionOf(definition, 'name', context);
+        }
+        return this.sourcePositionOf(parameters, name, context);
+    }
+
+    /**
+     * Add a problem to the diagnostics collected during expansion (see `collectDiagnostics`).
+     * @param {object} context - Execution context holding the diagnostics list
+     * @param {string} code - Problem kind, such as 'missing-parameter' or 'missing-template'
+     * @param {string} message - Problem description
+     * @param {object} [position] - Source position ({ file, line, column }) of the problem
+     * @param {Array} [related] - Related positions, each with a `message`
+     */
+    reportDiagnostic(context, code, message, position, related = []) {
+        const location = position ? { file: position.file, line: position.line, column: position.column } : {};
+        // Templates included from each loops report the same problem once per iteration
+        const duplicate = context.diagnostics.some(
+            (existing) =>
+                existing.code === code &&
+                existing.message === message &&
+                existing.file === location.file &&
+                existing.line === location.line,
+        );
+        if (duplicate) {
+            return;
+        }
+        context.diagnostics.push({
+            severity: 'error',
+            code,
+            message,
+            ...location,
+            related: related.map(({ file, line, column, message: relatedMessage }) => ({
+                file,
+                line,
+                column,
+                message: relatedMessage,
+            })),
+            templateStack: context.templateStack || [],
+        });
+    }
+
+    /** Report the syntax errors the YAML parser recovered from, which are otherwise ignored */
+    reportYamlErrors(yamlDoc, file, context) {
+        for (const error of yamlDoc.errors) {
+            const [start] = error.linePos || [];
+            const reason = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+            const message = `YAML syntax error: ${reason}`;
+            this.reportDiagnostic(
+                context,
+                'yaml-syntax',
+                message,
+                start && { file, line: start.line, column: start.col },
+            );
+        }
+    }
+
+    /**
+     * Describe an error that failed the expansion as a diagnostic. Expression syntax errors are
+     * placed at the expression; other errors at the start of `file` (the root pipeline).
+     */
+    errorToDiagnostic(error, file) {
+        if (error instanceof ExpressionSyntaxError && error.filePath) {
+            return {
+                severity: 'error',
+                code: 'expression-syntax',
+                message: `Expression syntax error: ${error.reason}`,
+                file: error.filePath,
+                line: error.line || 1,
+                column: error.fileColumn || 1,
+                related: [],
+                templateStack: [],
+            };
+        }
+        const codes = { TemplateIncludeError: 'template-include', ExpansionLimitError: 'expansion-limit' };
+        return {
+            severity: 'error',
+            code: error instanceof TemplateResolutionError ? error.code : codes[error.name] || 'expansion-error',
+            message: error.message,
+            file,
+            line: 1,
+            column: 1,
+            related: [],
+            templateStack: [],
+        };
+    }
+
+    formatTemplateCallStack(templateStack) {
+        if (!templateStack || templateStack.length === 0) {
+            return '';
+        }
+
+        let text = '\n  Template call stack:';
+        text += '\n    ' + templateStack[0];
+        for (let i = 1; i < templateStack.length; i++) {
+            text += '\n    ' + '  '.repeat(i) + '└── ' + templateStack[i];
+        }
+        return text;
+    }
+
+    /**
+     * Remember which mapping entry or sequence item was being expanded when an expression
+     * failed. Every enclosing level adds its own, innermost first (see locateExpressionError).
+     */
+    recordExpressionOrigin(error, container, slot) {
+        if (error instanceof ExpressionSyntaxError && !error.file) {
+            error.origins = error.origins || [];
+            error.origins.push({ container, slot });
+        }
+    }
+
+    /**
+     * Point a syntax error at its expression in a pipeline or template file. The innermost node
+     * being expanded (see recordExpressionOrigin) that comes from this file gives the position to
+     * search the expression from, so repeated expression text is located at the failing
+     * occurrence. Nodes from other files (such as step lists passed as parameters) are left to the
+     * file that contains them.
+     * @param {WeakMap} provenance - Source positions of the file's nodes (see recordProvenance)
+     * @returns {boolean} Whether the error was located in this file
+     */
+    locateExpressionError(error, sourceText, { file, filePath, templateStack, provenance }) {
+        if (!(error instanceof ExpressionSyntaxError) || error.file || typeof sourceText !== 'string') {
+            return false;
+        }
+
+        let searchFrom = 0;
+        if (error.origins && provenance) {
+            const position = error.origins
+                .map(({ container, slot }) => {
+                    const entry = provenance.get(container);
+                    return entry && (Array.isArray(container) ? entry.items[slot] : entry.keys[slot]);
+                })
+                .find((candidate) => candidate && candidate.file === filePath);
+            if (!position) {
+                return false;
+            }
+            const lines = sourceText.split('\n');
+            for (let line = 1; line < position.line; line += 1) {
+                searchFrom += lines[line - 1].length + 1;
+            }
+            searchFrom += position.column - 1;
+        }
+
+        const offset = sourceText.indexOf(error.expression, searchFrom);
+        if (offset === -1) {
+            return false;
+        }
+
+        const lineStart = sourceText.lastIndexOf('\n', offset - 1) + 1;
+        error.setLocation({
+            file,
+            filePath,
+            line: sourceText.slice(0, offset).split('\n').length,
+            fileColumn: offset - lineStart + error.column,
+            callStack: this.formatTemplateCallStack(templateStack),
+        });
+        return true;
+    }
+
+    /** Source positions of a parsed file's nodes: the expansion's, or recorded now when it keeps none */
+    provenanceOf(context, yamlDoc, document, source, normalizedText, lineCounter) {
+        if (context.provenance) {
+            return context.provenance;
+        }
+        const provenance = new WeakMap();
+        this.recordProvenance(yamlDoc, document, source, normalizedText, lineCounter, { provenance });
+        return provenance;
+    }
+
+    extractVariables(document, variableGroups = {}) {
         const result = {};
         if (!document || typeof document !== 'object') {
             return result;
@@ -1052,6 +2302,8 @@ class AzurePipelineParser {
             for (const variable of variables) {
                 if (variable && typeof variable === 'object' && variable.name) {
                     result[variable.name] = this.pickFirstDefined(variable.value, variable.default);
+                } else if (variable && typeof variable === 'object' && variable.group !== undefined) {
+                    Object.assign(result, this.getVariableGroupVariables(variable.group, variableGroups));
                 }
             }
         } else if (typeof variables === 'object') {
@@ -1067,7 +2319,129 @@ class AzurePipelineParser {
         return result;
     }
 
+    /**
+     * Normalize local stand-ins for library variable groups. Each group is either a plain
+     * mapping of variables or `{ variables: {...} }`; a variable given as
+     * `{ value, isSecret: true }` is marked secret and masked in the rendered output.
+     * @param {object} groups - Map of group name to group contents
+     * @returns {object} Map of group name to { variables, secrets }
+     */
+    normalizeVariableGroups(groups) {
+        const result = {};
+        if (!groups || typeof groups !== 'object') {
+            return result;
+        }
+
+        for (const [name, group] of Object.entries(groups)) {
+            if (!group || typeof group !== 'object' || Array.isArray(group)) {
+                throw new Error(`Variable group '${name}' must be a mapping of variable names to values.`);
+            }
+            const source =
+                group.variables && typeof group.variables === 'object' && !Array.isArray(group.variables)
+                    ? group.variables
+                    : group;
+            const variables = {};
+            const secrets = [];
+            for (const [variableName, value] of Object.entries(source)) {
+                if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value) {
+                    variables[variableName] = value.value;
+                    if (value.isSecret === true || String(value.isSecret).toLowerCase() === 'true') {
+                        secrets.push(variableName);
+                    }
+                } else {
+                    variables[variableName] = value;
+                }
+            }
+            result[name] = { variables, secrets };
+        }
+
+        return result;
+    }
+
+    getVariableGroup(name, variableGroups = {}) {
+        const key = Object.keys(variableGroups).find(
+            (candidate) => candidate.toLowerCase() === String(name).toLowerCase(),
+        );
+        return key !== undefined ? variableGroups[key] : undefined;
+    }
+
+    getVariableGroupVariables(name, variableGroups = {}) {
+        const group = this.getVariableGroup(name, variableGroups);
+        return group ? group.variables : {};
+    }
+
+    /**
+     * Collect the values of secret variables from every variable group referenced
+     * by the expanded document.
+     */
+    collectSecretValues(document, variableGroups = {}) {
+        const values = new Set();
+        const visit = (node, key) => {
+            if (Array.isArray(node)) {
+                for (const item of node) {
+                    if (key === 'variables' && item && typeof item === 'object' && item.group !== undefined) {
+                        const group = this.getVariableGroup(item.group, variableGroups);
+                        for (const secret of group ? group.secrets : []) {
+                            const value = this.formatRuntimeValue(group.variables[secret]);
+                            if (value) values.add(value);
+                        }
+                    } else {
+                        visit(item);
+                    }
+                }
+            } else if (node && typeof node === 'object') {
+                for (const [childKey, value] of Object.entries(node)) {
+                    visit(value, childKey);
+                }
+            }
+        };
+        visit(document);
+        // Longest first so a secret containing another secret is masked as a whole
+        return [...values].sort((a, b) => b.length - a.length);
+    }
+
+    /** Replace every occurrence of a secret value in the document's strings with `***`, like Azure log masking. */
+    maskSecretValues(node, secretValues) {
+        const visit = (current) => {
+            for (const [key, value] of Object.entries(current)) {
+                if (key.startsWith('__')) {
+                    continue;
+                }
+                if (typeof value === 'string') {
+                    current[key] = this.maskSecrets(value, secretValues);
+                } else if (value && typeof value === 'object') {
+                    visit(value);
+                }
+            }
+        };
+        if (secretValues.length && node && typeof node === 'object') {
+            visit(node);
+        }
+    }
+
+    maskSecrets(text, secretValues) {
+        return secretValues.reduce((masked, secret) => masked.split(secret).join('***'), text);
+    }
+
+    /**
+     * Expand a whole pipeline or template document.
+     * Documents with a root-level `extends: template:` are expanded through the
+     * extended template, which itself may extend another template.
+     * @param {object} document - Parsed YAML document
+     * @param {object} context - Execution context
+     * @returns {object} The expanded document
+     */
+    expandDocument(document, context) {
+        if (this.isExtendsDocument(document)) {
+            return this.expandExtendsDocument(document, context);
+        }
+        return this.expandNode(document, context);
+    }
+
     expandNode(node, context, parentKey = null) {
+        if (context.capture) {
+            this.captureNodeContext(node, context);
+        }
         if (Array.isArray(node)) {
             return this.expandArray(node, context, parentKey);
         }
@@ -1079,169 +2453,209 @@ class AzurePipelineParser {
 
     expandArray(array, context, parentKey = null) {
         const result = [];
+        const itemOrigins = {};
         const isVariablesArray = parentKey === 'variables';
 
-        for (let index = 0; index < array.length; index += 1) {
-            const element = array[index];
-
-            if (this.isTemplateReference(element)) {
-                const templateItems = this.expandTemplateReference(element, context);
-                result.push(...templateItems);
-
-                // If we're in a variables array, add template variables to context
-                // This makes them available within the same scope (job/stage/global)
-                if (isVariablesArray && Array.isArray(templateItems)) {
-                    for (const item of templateItems) {
-                        if (item && typeof item === 'object' && !Array.isArray(item)) {
-                            const varName = item.name;
-                            const varValue = this.pickFirstDefined(item.value, item.default);
-                            if (varName && varValue !== undefined) {
-                                context.variables[varName] = varValue;
+        let index = 0;
+        try {
+            for (; index < array.length; index += 1) {
+                const element = array[index];
+
+                if (this.isTemplateReference(element)) {
+                    const templateItems = this.expandTemplateReference(element, context);
+                    result.push(...templateItems);
+
+                    // If we're in a variables array, add template variables to context
+                    // This makes them available within the same scope (job/stage/global)
+                    if (isVariablesArray && Array.isArray(templateItems)) {
+                        for (const item of templateItems) {
+                            if (item && typeof item === 'object' && !Array.isArray(item) && item.group !== undefined) {
+                                Object.assign(
+                                    context.variables,
+                                    this.getVariableGroupVariables(item.group, context.variableGroups),
+                                );
+                            } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+                                const varName = item.name;
+                                const varValue = this.pickFirstDefined(item.value, item.default);
+                                if (varName && varValue !== undefined) {
+                                    context.variables[varName] = varValue;
+                                }
                             }
                         }
                     }
+                    continue;
                 }
-                continue;
-            }
 
-            if (this.isSingleKeyObject(element)) {
-                const key = Object.keys(element)[0];
+                if (this.isSingleKeyObject(element)) {
+                    const key = Object.keys(element)[0];
+
+                    if (this.isEachDirective(key)) {
+                        const applied = this.applyEachDirective(key, element[key], context);
+                        this.recordEachIterations(
+                            context,
+                            applied.iterations,
+                            this.evaluationSite(element, key, context),
+                        );
+                        result.push(...applied.items);
+                        continue;
+                    }
 
-                if (this.isEachDirective(key)) {
-                    const applied = this.applyEachDirective(key, element[key], context);
-                    result.push(...applied.items);
-                    continue;
+                    if (this.isConditionalDirective(key)) {
+                        const expanded = this.expandConditionalBlock(array, index, context);
+                        result.push(...expanded.items);
+                        index = expanded.nextIndex;
+                        continue;
+                    }
                 }
 
-                if (this.isConditionalDirective(key)) {
-                    const expanded = this.expandConditionalBlock(array, index, context);
-                    result.push(...expanded.items);
-                    index = expanded.nextIndex;
+                const expandedElement = this.expandNode(element, context);
+                this.recordExpressionValues(array, index, element, context);
+                if (expandedElement === undefined) {
                     continue;
                 }
-            }
 
-            const expandedElement = this.expandNode(element, context);
-            if (expandedElement === undefined) {
-                continue;
-            }
-
-            if (Array.isArray(expandedElement)) {
-                for (const item of expandedElement) {
-                    if (this.isTemplateReference(item)) {
-                        const templateItems = this.expandTemplateReference(item, context);
-                        result.push(...templateItems);
-                    } else {
-                        result.push(item);
+                if (Array.isArray(expandedElement)) {
+                    for (const item of expandedElement) {
+                        if (this.isTemplateReference(item)) {
+                            const templateItems = this.expandTemplateReference(item, context);
+                            result.push(...templateItems);
+                        } else {
+                            result.push(item);
+                        }
                     }
+                } else {
+                    result.push(expandedElement);
+                    itemOrigins[result.length - 1] = index;
                 }
-            } else {
-                result.push(expandedElement);
-            }
 
-            // If we're in a variables array, extract the variable and add it to context
-            // This allows forward references within the same variables section
-            if (
-                isVariablesArray &&
-                expandedElement &&
-                typeof expandedElement === 'object' &&
-                !Array.isArray(expandedElement)
-            ) {
-                const varName = expandedElement.name;
-                const varValue = this.pickFirstDefined(expandedElement.value, expandedElement.default);
-                if (varName && varValue !== undefined) {
-                    // Update the context so subsequent variables can reference this one
-                    context.variables[varName] = varValue;
+                // If we're in a variables array, extract the variable and add it to context
+                // This allows forward references within the same variables section
+                if (
+                    isVariablesArray &&
+                    expandedElement &&
+                    typeof expandedElement === 'object' &&
+                    !Array.isArray(expandedElement)
+                ) {
+                    const varName = expandedElement.name;
+                    const varValue = this.pickFirstDefined(expandedElement.value, expandedElement.default);
+                    if (varName && varValue !== undefined) {
+                        // Update the context so subsequent variables can reference this one
+                        context.variables[varName] = varValue;
+                    } else if (expandedElement.group !== undefined) {
+                        // Variable groups are merged in declaration order
+                        Object.assign(
+                            context.variables,
+                            this.getVariableGroupVariables(expandedElement.group, context.variableGroups),
+                        );
+                    }
                 }
             }
+        } catch (error) {
+            this.recordExpressionOrigin(error, array, index);
+            throw error;
         }
+        this.inheritArrayProvenance(array, result, context, itemOrigins);
         return result;
     }
 
     expandObject(object, context, parentKey = null) {
         const entries = Object.entries(object);
         const result = {};
+        const keyOrigins = {};
 
-        for (let index = 0; index < entries.length; index += 1) {
-            const [rawKey, value] = entries[index];
+        let index = 0;
+        try {
+            for (; index < entries.length; index += 1) {
+                const [rawKey, value] = entries[index];
 
-            if (typeof rawKey === 'string' && this.isEachDirective(rawKey)) {
-                const eachResult = this.expandEachEntries(entries, index, context);
-                Object.assign(result, eachResult.merged);
-                index = eachResult.nextIndex;
-                continue;
-            }
+                if (typeof rawKey === 'string' && this.isEachDirective(rawKey)) {
+                    const eachResult = this.expandEachEntries(object, entries, index, context);
+                    Object.assign(result, eachResult.merged);
+                    index = eachResult.nextIndex;
+                    continue;
+                }
 
-            if (typeof rawKey === 'string' && this.isConditionalDirective(rawKey)) {
-                const conditional = this.expandConditionalEntries(entries, index, context);
-                Object.assign(result, conditional.merged);
-                index = conditional.nextIndex;
-                continue;
-            }
+                if (typeof rawKey === 'string' && this.isConditionalDirective(rawKey)) {
+                    const conditional = this.expandConditionalEntries(object, entries, index, context);
+                    Object.assign(result, conditional.merged);
+                    index = conditional.nextIndex;
+                    continue;
+                }
 
-            // Handle ${{ insert }} directive to merge object properties
-            if (typeof rawKey === 'string' && this.isFullExpression(rawKey.trim())) {
-                const expr = this.stripExpressionDelimiters(rawKey.trim());
-                if (expr.trim() === 'insert') {
-                    const expandedValue = this.expandNodePreservingTemplates(value, context);
-                    if (expandedValue && typeof expandedValue === 'object' && !Array.isArray(expandedValue)) {
-                        Object.assign(result, expandedValue);
-                        continue;
+                // Handle ${{ insert }} directive to merge object properties
+                if (typeof rawKey === 'string' && this.isFullExpression(rawKey.trim())) {
+                    const expr = this.stripExpressionDelimiters(rawKey.trim());
+                    if (expr.trim() === 'insert') {
+                        const expandedValue = this.expandNodePreservingTemplates(value, context);
+                        if (expandedValue && typeof expandedValue === 'object' && !Array.isArray(expandedValue)) {
+                            Object.assign(result, expandedValue);
+                            continue;
+                        }
                     }
                 }
-            }
 
-            const key = typeof rawKey === 'string' ? this.replaceExpressionsInString(rawKey, context) : rawKey;
-
-            // Track if any multiline string values have ${{}} before expansion
-            const originalHadExpressions = typeof value === 'string' && value.includes('${{') && value.includes('\n');
-            // Track if last line has ${{}} - used to determine + chomping
-            const originalLastLineHadExpression = originalHadExpressions && this.lastLineHasTemplateExpression(value);
+                const key = typeof rawKey === 'string' ? this.replaceExpressionsInString(rawKey, context) : rawKey;
+                if (key !== rawKey) {
+                    keyOrigins[key] = rawKey;
+                }
 
-            // Also check if original value is a single-line full expression that might expand to multiline
-            // Pattern: value is just "${{ ... }}" (with possible whitespace)
-            const isSingleLineFullExpression =
-                typeof value === 'string' && !value.includes('\n') && /^\s*\$\{\{.*\}\}\s*$/.test(value.trim());
+                // Track if any multiline string values have ${{}} before expansion
+                const originalHadExpressions =
+                    typeof value === 'string' && value.includes('${{') && value.includes('\n');
+                // Track if last line has ${{}} - used to determine + chomping
+                const originalLastLineHadExpression =
+                    originalHadExpressions && this.lastLineHasTemplateExpression(value);
+
+                // Also check if original value is a single-line full expression that might expand to multiline
+                // Pattern: value is just "${{ ... }}" (with possible whitespace)
+                const isSingleLineFullExpression =
+                    typeof value === 'string' && !value.includes('\n') && /^\s*\$\{\{.*\}\}\s*$/.test(value.trim());
+
+                const expandedValue = this.expandNode(value, context, key);
+                this.recordExpressionValues(object, rawKey, rawKey, context);
+                this.recordExpressionValues(object, rawKey, value, context);
+                if (expandedValue === undefined) {
+                    continue;
+                }
 
-            const expandedValue = this.expandNode(value, context, key);
-            if (expandedValue === undefined) {
-                continue;
-            }
+                // If this value had ${{}} expressions, track it for block scalar style
+                // Use trimmed content as key (trailing whitespace may change through YAML round-trip)
+                if (originalHadExpressions && typeof expandedValue === 'string') {
+                    if (!context.scriptsWithExpressions) {
+                        context.scriptsWithExpressions = new Set();
+                    }
+                    const contentKey = expandedValue.replace(/\s+$/, '');
+                    context.scriptsWithExpressions.add(contentKey);
 
-            // If this value had ${{}} expressions, track it for block scalar style
-            // Use trimmed content as key (trailing whitespace may change through YAML round-trip)
-            if (originalHadExpressions && typeof expandedValue === 'string') {
-                if (!context.scriptsWithExpressions) {
-                    context.scriptsWithExpressions = new Set();
+                    // If last line had ${{}} expression, track for + chomping
+                    if (originalLastLineHadExpression) {
+                        if (!context.scriptsWithLastLineExpressions) {
+                            context.scriptsWithLastLineExpressions = new Set();
+                        }
+                        context.scriptsWithLastLineExpressions.add(contentKey);
+                    }
                 }
-                const contentKey = expandedValue.replace(/\s+$/, '');
-                context.scriptsWithExpressions.add(contentKey);
 
-                // If last line had ${{}} expression, track for + chomping
-                if (originalLastLineHadExpression) {
+                // If original was a single-line full expression that expanded to multiline,
+                // also track for + chomping (the whole value was a template expression)
+                if (isSingleLineFullExpression && typeof expandedValue === 'string' && expandedValue.includes('\n')) {
+                    if (!context.scriptsWithExpressions) {
+                        context.scriptsWithExpressions = new Set();
+                    }
+                    const contentKey = expandedValue.replace(/\s+$/, '');
+                    context.scriptsWithExpressions.add(contentKey);
+
                     if (!context.scriptsWithLastLineExpressions) {
                         context.scriptsWithLastLineExpressions = new Set();
                     }
                     context.scriptsWithLastLineExpressions.add(contentKey);
                 }
-            }
-
-            // If original was a single-line full expression that expanded to multiline,
-            // also track for + chomping (the whole value was a template expression)
-            if (isSingleLineFullExpression && typeof expandedValue === 'string' && expandedValue.includes('\n')) {
-                if (!context.scriptsWithExpressions) {
-                    context.scriptsWithExpressions = new Set();
-                }
-                const contentKey = expandedValue.replace(/\s+$/, '');
-                context.scriptsWithExpressions.add(contentKey);
 
-                if (!context.scriptsWithLastLineExpressions) {
-                    context.scriptsWithLastLineExpressions = new Set();
-                }
-                context.scriptsWithLastLineExpressions.add(contentKey);
+                result[key] = expandedValue;
             }
-
-            result[key] = expandedValue;
+        } catch (error) {
+            this.recordExpressionOrigin(error, object, entries[index][0]);
+            throw error;
         }
 
         // Convert bash/script/pwsh/powershell/checkout shortcuts to task format (like Azure Pipelines does)
@@ -1264,14 +2678,7 @@ class AzurePipelineParser {
                       ? 'powershell'
                       : 'checkout';
 
-            const taskType =
-                shorthandKey === 'script'
-                    ? 'CmdLine@2'
-                    : shorthandKey === 'pwsh' || shorthandKey === 'powershell'
-                      ? 'PowerShell@2'
-                      : shorthandKey === 'checkout'
-                        ? '6d15af64-176c-496d-b583-fd2ae21d4df4@1'
-                        : 'Bash@3';
+            const taskType = SHORTHAND_TASKS[shorthandKey];
 
             const shorthandValue = result[shorthandKey];
             delete result[shorthandKey];
@@ -1287,6 +2694,7 @@ class AzurePipelineParser {
 
             // Build task structure
             const taskResult = { task: taskType };
+            this.inheritProvenance(object, taskResult, context, { task: shorthandKey, inputs: shorthandKey });
 
             if (shorthandKey === 'checkout') {
                 // Separate task-level properties from input properties
@@ -1306,6 +2714,7 @@ class AzurePipelineParser {
                     repository: shorthandValue,
                     ...inputProps,
                 };
+                this.inheritProvenance(object, taskResult.inputs, context, { repository: shorthandKey }, shorthandKey);
 
                 return taskResult;
             } else {
@@ -1329,6 +2738,7 @@ class AzurePipelineParser {
                 }
 
                 taskResult.inputs = inputs;
+                this.inheritProvenance(object, inputs, context, { script: shorthandKey }, shorthandKey);
 
                 return taskResult;
             }
@@ -1356,6 +2766,7 @@ class AzurePipelineParser {
             result.condition = false;
         }
 
+        this.inheritProvenance(object, result, context, keyOrigins);
         return result;
     }
 
@@ -1377,6 +2788,9 @@ class AzurePipelineParser {
             if (typeof result === 'boolean') {
                 return this.returnBoolean(result);
             }
+            if (result instanceof PipelineVersion || result instanceof Date) {
+                return this.toExpressionString(result);
+            }
             return result;
         }
 
@@ -1406,7 +2820,7 @@ class AzurePipelineParser {
                 break;
             }
 
-            if (!branchTaken && this.evaluateConditional(key, context)) {
+            if (this.evaluateChainBranch(element, key, branchTaken, context)) {
                 items = this.flattenBranchValue(body, context);
                 branchTaken = true;
             }
@@ -1421,7 +2835,7 @@ class AzurePipelineParser {
         };
     }
 
-    expandConditionalEntries(entries, startIndex, context) {
+    expandConditionalEntries(object, entries, startIndex, context) {
         let index = startIndex;
         let branchTaken = false;
         let merged = {};
@@ -1432,7 +2846,7 @@ class AzurePipelineParser {
                 break;
             }
 
-            if (!branchTaken && this.evaluateConditional(key, context)) {
+            if (this.evaluateChainBranch(object, key, branchTaken, context)) {
                 merged = this.expandConditionalMappingBranch(body, context);
                 branchTaken = true;
             }
@@ -1470,7 +2884,7 @@ class AzurePipelineParser {
         return { value: scalar };
     }
 
-    expandEachEntries(entries, startIndex, context) {
+    expandEachEntries(object, entries, startIndex, context) {
         let index = startIndex;
         const merged = {};
 
@@ -1488,6 +2902,7 @@ class AzurePipelineParser {
 
             const collectionValue = this.evaluateExpression(loop.collection, context);
             const normalizedCollection = this.normalizeCollection(collectionValue);
+            this.recordEachIterations(context, normalizedCollection.length, this.evaluationSite(object, key, context));
 
             normalizedCollection.forEach((item, itemIndex) => {
                 const locals = {
@@ -1584,7 +2999,7 @@ class AzurePipelineParser {
     applyEachDirective(directive, body, context) {
         const loop = this.parseEachDirective(directive);
         if (!loop) {
-            return { items: [] };
+            return { items: [], iterations: 0 };
         }
 
         const collectionValue = this.evaluateExpression(loop.collection, context);
@@ -1598,7 +3013,7 @@ class AzurePipelineParser {
             items.push(...expanded);
         });
 
-        return { items };
+        return { items, iterations: normalizedCollection.length };
     }
 
     replaceExpressionsInString(input, context) {
@@ -1606,7 +3021,7 @@ class AzurePipelineParser {
             return input;
         }
 
-        let result = input.replace(/\$\{\{\s*(.+?)\s*\}\}/g, (match, expr) => {
+        let result = input.replace(EXPRESSION_PATTERN, (match, expr) => {
             const value = this.evaluateExpression(expr, context);
             if (value === undefined || value === null) {
                 // Check if this is a parameter reference that might be a runtime variable
@@ -1618,6 +3033,9 @@ class AzurePipelineParser {
                 }
                 return '';
             }
+            if (value instanceof PipelineVersion || value instanceof Date) {
+                return this.toExpressionString(value);
+            }
             if (typeof value === 'object') {
                 return JSON.stringify(value);
             }
@@ -1651,24 +3069,10 @@ class AzurePipelineParser {
             return undefined;
         }
 
-        const ast = this.parseExpressionAst(expr);
-        if (ast) {
-            return this.evaluateAst(ast, context);
-        }
-
-        const resolved = this.resolveContextValue(expr, context);
-        if (resolved !== undefined) {
-            return resolved;
-        }
-
-        if (this.looksLikeContextPath(expr)) {
-            return undefined;
-        }
-
-        return expr;
+        return this.evaluateAst(this.parseExpressionAst(expr), context);
     }
 
-    evaluateFunction(name, args) {
+    evaluateFunction(name, args, context) {
         const fn = name.toLowerCase();
         switch (fn) {
             case 'eq':
@@ -1676,13 +3080,13 @@ class AzurePipelineParser {
             case 'ne':
                 return this.returnBoolean(this.compareValues(args[0], args[1]) !== 0);
             case 'gt':
-                return this.returnBoolean(this.compareValues(args[0], args[1]) > 0);
+                return this.returnBoolean(this.compareOrdered(args[0], args[1], fn) > 0);
             case 'ge':
-                return this.returnBoolean(this.compareValues(args[0], args[1]) >= 0);
+                return this.returnBoolean(this.compareOrdered(args[0], args[1], fn) >= 0);
             case 'lt':
-                return this.returnBoolean(this.compareValues(args[0], args[1]) < 0);
+                return this.returnBoolean(this.compareOrdered(args[0], args[1], fn) < 0);
             case 'le':
-                return this.returnBoolean(this.compareValues(args[0], args[1]) <= 0);
+                return this.returnBoolean(this.compareOrdered(args[0], args[1], fn) <= 0);
 
             // Logical functions
             case 'and':
@@ -1712,15 +3116,15 @@ class AzurePipelineParser {
 
             // String functions
             case 'lower':
-                return typeof args[0] === 'string' ? args[0].toLowerCase() : args[0];
+                return this.toExpressionString(args[0]).toLowerCase();
             case 'upper':
-                return typeof args[0] === 'string' ? args[0].toUpperCase() : args[0];
+                return this.toExpressionString(args[0]).toUpperCase();
             case 'startswith':
                 return this.returnBoolean(this.startsWith(args[0], args[1]));
             case 'endswith':
                 return this.returnBoolean(this.endsWith(args[0], args[1]));
             case 'trim':
-                return typeof args[0] === 'string' ? args[0].trim() : args[0];
+                return this.toExpressionString(args[0]).trim();
             case 'replace':
                 return this.replaceString(args[0], args[1], args[2]);
             case 'split':
@@ -1742,7 +3146,7 @@ class AzurePipelineParser {
             case 'converttojson':
                 return this.convertToJson(args[0]);
             case 'counter':
-                return this.counter(args[0], args[1]);
+                return this.counter(args[0], args[1], context);
             case 'iif':
                 return this.toBoolean(args[0]) ? args[1] : args[2];
 
@@ -1750,13 +3154,13 @@ class AzurePipelineParser {
             case 'always':
                 return this.returnBoolean(true);
             case 'canceled':
-                return this.returnBoolean(this.isCanceled(args));
+                return this.returnBoolean(this.isCanceled(args, context));
             case 'failed':
-                return this.returnBoolean(this.isFailed(args));
+                return this.returnBoolean(this.isFailed(args, context));
             case 'succeeded':
-                return this.returnBoolean(this.isSucceeded(args));
+                return this.returnBoolean(this.isSucceeded(args, context));
             case 'succeededorfailed':
-                return this.returnBoolean(this.isSucceededOrFailed(args));
+                return this.returnBoolean(this.isSucceededOrFailed(args, context));
 
             default:
                 return undefined;
@@ -1764,313 +3168,349 @@ class AzurePipelineParser {
     }
 
     // Helper functions for string operations
+    // String functions cast their parameters to String and compare ordinal ignore-case
     startsWith(str, prefix) {
-        if (typeof str !== 'string' || typeof prefix !== 'string') {
+        const text = this.castValue(str, 'string');
+        const search = this.castValue(prefix, 'string');
+        if (text === CAST_FAILED || search === CAST_FAILED) {
             return false;
         }
-        return str.toLowerCase().startsWith(prefix.toLowerCase());
+        return text.toUpperCase().startsWith(search.toUpperCase());
     }
 
     endsWith(str, suffix) {
-        if (typeof str !== 'string' || typeof suffix !== 'string') {
+        const text = this.castValue(str, 'string');
+        const search = this.castValue(suffix, 'string');
+        if (text === CAST_FAILED || search === CAST_FAILED) {
             return false;
         }
-        return str.toLowerCase().endsWith(suffix.toLowerCase());
+        return text.toUpperCase().endsWith(search.toUpperCase());
     }
 
+    // replace is ordinal (case-sensitive) and replaces every occurrence
     replaceString(str, search, replacement) {
-        if (typeof str !== 'string') {
-            return str;
-        }
-        if (typeof search !== 'string') {
-            search = String(search);
-        }
-        if (typeof replacement !== 'string') {
-            replacement = String(replacement);
-        }
-        return str.split(search).join(replacement);
+        const text = this.toExpressionString(str);
+        const target = this.toExpressionString(search);
+        return target.length ? text.split(target).join(this.toExpressionString(replacement)) : text;
     }
 
+    // Empty entries are kept, so consecutive or trailing delimiters produce empty strings
     splitString(str, delimiter) {
-        if (typeof str !== 'string') {
-            return [str];
-        }
-        if (typeof delimiter !== 'string') {
-            delimiter = String(delimiter);
-        }
-        return str.split(delimiter);
+        const text = this.toExpressionString(str);
+        const separator = this.toExpressionString(delimiter);
+        return separator.length ? text.split(separator) : [text];
     }
 
+    // A non-array collection is returned as a string; objects inside the array become ''
     joinArray(separator, array) {
         if (!Array.isArray(array)) {
-            return typeof array === 'string' ? array : String(array);
-        }
-        if (typeof separator !== 'string') {
-            separator = String(separator);
+            return this.toExpressionString(array);
         }
+        const glue = this.toExpressionString(separator);
         return array
             .map((item) => {
-                if (item === null || item === undefined) {
-                    return '';
-                }
-                if (typeof item === 'object') {
-                    return '';
-                }
-                return String(item);
+                const text = this.castValue(item, 'string');
+                return text === CAST_FAILED ? '' : text;
             })
-            .join(separator);
+            .join(glue);
     }
 
+    /**
+     * Azure's format(): `{N}` inserts argument N (dates accept `{N:format}` specifiers) and
+     * `{{`/`}}` are literal braces. Any other brace, or a reference to a missing argument,
+     * makes the format string invalid.
+     */
     formatString(args) {
-        if (args.length === 0) {
-            return '';
-        }
-
-        let format = String(args[0]);
+        const format = this.toExpressionString(args[0]);
         const values = args.slice(1);
-
-        // Handle positional placeholders {0}, {1}, etc.
-        format = format.replace(/\{(\d+)(?::([^}]+))?\}/g, (match, index, formatSpec) => {
-            const idx = parseInt(index, 10);
-            if (idx >= values.length) {
-                return match;
+        const invalid = (reason) => new Error(`Invalid format string '${format}': ${reason}.`);
+
+        let result = '';
+        let index = 0;
+        while (index < format.length) {
+            const char = format[index];
+            if (char === '}') {
+                if (format[index + 1] !== '}') {
+                    throw invalid(`unescaped '}' at position ${index + 1}`);
+                }
+                result += '}';
+                index += 2;
+            } else if (char !== '{') {
+                result += char;
+                index++;
+            } else if (format[index + 1] === '{') {
+                result += '{';
+                index += 2;
+            } else {
+                const match = /^\{(\d+)(?::([^}]*))?\}/.exec(format.slice(index));
+                if (!match) {
+                    throw invalid(`unescaped '{' at position ${index + 1}`);
+                }
+                const argumentIndex = Number(match[1]);
+                if (argumentIndex >= values.length) {
+                    throw invalid(`argument {${argumentIndex}} was not supplied`);
+                }
+                result += this.formatArgument(values[argumentIndex], match[2]);
+                index += match[0].length;
             }
+        }
+        return result;
+    }
 
-            let value = values[idx];
-
-            // Handle date/time formatting if formatSpec is provided
-            if (formatSpec && value instanceof Date) {
-                return this.formatDateTime(value, formatSpec);
-            }
-
-            if (value === null || value === undefined) {
-                return '';
-            }
-
-            return String(value);
-        });
-
-        // Handle literal braces {{ and }}
-        format = format.replace(/\{\{/g, '{').replace(/\}\}/g, '}');
-
-        return format;
+    formatArgument(value, formatSpec) {
+        if (value instanceof Date) {
+            return this.formatDateTime(value, formatSpec || 'yyyy-MM-dd HH:mm:ssK');
+        }
+        if (formatSpec) {
+            throw new Error(`The format specifier '${formatSpec}' is only valid for date/time values.`);
+        }
+        return this.toExpressionString(value);
     }
 
+    /**
+     * Format a date (in UTC) with Azure's date/time specifiers: yyyy, yy, MM, M, dd, d, HH, H,
+     * mm, m, ss, s, ffff, ff, f and K (UTC offset). Other letters are rejected; everything else
+     * is copied literally.
+     */
     formatDateTime(date, formatSpec) {
-        // Basic date/time format support
         const pad = (num, size = 2) => String(num).padStart(size, '0');
+        const milliseconds = date.getUTCMilliseconds();
+        const tokens = {
+            yyyy: () => pad(date.getUTCFullYear(), 4),
+            yy: () => pad(date.getUTCFullYear() % 100),
+            MM: () => pad(date.getUTCMonth() + 1),
+            M: () => String(date.getUTCMonth() + 1),
+            dd: () => pad(date.getUTCDate()),
+            d: () => String(date.getUTCDate()),
+            HH: () => pad(date.getUTCHours()),
+            H: () => String(date.getUTCHours()),
+            mm: () => pad(date.getUTCMinutes()),
+            m: () => String(date.getUTCMinutes()),
+            ss: () => pad(date.getUTCSeconds()),
+            s: () => String(date.getUTCSeconds()),
+            ffff: () => pad(milliseconds * 10, 4),
+            ff: () => pad(Math.floor(milliseconds / 10)),
+            f: () => String(Math.floor(milliseconds / 100)),
+            K: () => '+00:00',
+        };
 
-        return formatSpec
-            .replace(/yyyy/g, date.getFullYear())
-            .replace(/yy/g, String(date.getFullYear()).slice(-2))
-            .replace(/MM/g, pad(date.getMonth() + 1))
-            .replace(/M/g, date.getMonth() + 1)
-            .replace(/dd/g, pad(date.getDate()))
-            .replace(/d/g, date.getDate())
-            .replace(/HH/g, pad(date.getHours()))
-            .replace(/H/g, date.getHours())
-            .replace(/mm/g, pad(date.getMinutes()))
-            .replace(/m/g, date.getMinutes())
-            .replace(/ss/g, pad(date.getSeconds()))
-            .replace(/s/g, date.getSeconds())
-            .replace(/ffff/g, pad(date.getMilliseconds(), 4))
-            .replace(/ff/g, pad(Math.floor(date.getMilliseconds() / 10)))
-            .replace(/f/g, Math.floor(date.getMilliseconds() / 100));
+        return formatSpec.replace(/yyyy|yy|MM|M|dd|d|HH|H|mm|m|ss|s|ffff|ff|f|K|[A-Za-z]/g, (token) => {
+            if (!tokens[token]) {
+                throw new Error(`Invalid date/time format '${formatSpec}': unsupported specifier '${token}'.`);
+            }
+            return tokens[token]();
+        });
     }
 
+    /**
+     * Serialize a value as indented JSON. Strings stay strings (even when they look like
+     * numbers), booleans are JSON booleans and versions/dates are written as strings.
+     */
     convertToJson(value) {
-        if (value === undefined) {
-            return 'null';
-        }
-        try {
-            // Convert booleans to "True"/"False" and numeric strings to numbers (Azure format)
-            return JSON.stringify(
-                value,
-                (key, val) => {
-                    if (typeof val === 'boolean') return val ? 'True' : 'False';
-                    if (typeof val === 'string' && /^-?\d+(\.\d+)?$/.test(val)) return parseFloat(val);
-                    return val;
-                },
-                2,
-            );
-        } catch (error) {
-            return String(value);
-        }
+        return JSON.stringify(
+            value === undefined ? null : value,
+            (key, val) => {
+                if (val === '__TRUE__' || val === '__FALSE__') return val === '__TRUE__';
+                if (val instanceof PipelineVersion) return val.toString();
+                return val;
+            },
+            2,
+        );
     }
 
-    counter(prefix, seed) {
-        // Counter is stateful and would require persistent storage
-        // For now, return the seed value or a simple implementation
-        if (!this._counters) {
-            this._counters = new Map();
+    /**
+     * counter(prefix, seed): the first use of a prefix returns `seed`, and each later expansion
+     * returns one more than the previous one. Within one expansion a prefix always yields the
+     * same value. Values persist only when a counter store file is configured, and pinned
+     * values (`counters` override) are returned as-is.
+     */
+    counter(prefix, seed, context) {
+        const key = this.toExpressionString(prefix);
+        const seedValue = this.castValue(seed, 'number');
+        if (seedValue === CAST_FAILED || !Number.isInteger(seedValue)) {
+            throw new Error(`Invalid seed '${seed}' for counter '${key}': expected an integer.`);
         }
 
-        const key = String(prefix || '');
-        const seedValue = typeof seed === 'number' ? seed : parseInt(seed, 10) || 0;
+        const state = context && context.counters;
+        if (!state) {
+            return seedValue;
+        }
+        if (Object.prototype.hasOwnProperty.call(state.pinned, key)) {
+            return state.pinned[key];
+        }
+        if (!state.values.has(key)) {
+            const stored = this.loadCounterStore(state)[key];
+            state.values.set(key, Number.isInteger(stored) ? stored + 1 : seedValue);
+        }
+        return state.values.get(key);
+    }
 
-        if (!this._counters.has(key)) {
-            this._counters.set(key, seedValue);
+    /**
+     * Counter state for one expansion.
+     * @param {object} overrides - { counterStore: JSON file path, counters: { prefix: value } };
+     *     the store is only written with `persistCounters` (see expandPipeline)
+     */
+    createCounterState(overrides) {
+        const pinned = {};
+        for (const [prefix, value] of Object.entries(overrides.counters || {})) {
+            const number = typeof value === 'string' && value.trim().length ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                throw new Error(`Invalid value '${value}' for counter '${prefix}': expected an integer.`);
+            }
+            pinned[prefix] = number;
         }
+        return { storePath: overrides.counterStore, pinned, values: new Map(), stored: undefined };
+    }
 
-        const current = this._counters.get(key);
-        this._counters.set(key, current + 1);
+    loadCounterStore(state) {
+        if (state.stored !== undefined) {
+            return state.stored;
+        }
+        state.stored = {};
+        if (state.storePath && fs.existsSync(state.storePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(state.storePath, 'utf8'));
+                if (data && typeof data === 'object' && !Array.isArray(data)) {
+                    state.stored = data;
+                }
+            } catch (error) {
+                throw new Error(`Failed to read counter store '${state.storePath}': ${error.message}`);
+            }
+        }
+        return state.stored;
+    }
 
-        return current;
+    /** Write the counter values used by an expansion back to the counter store file */
+    saveCounterStore(state) {
+        if (!state || !state.storePath || state.values.size === 0) {
+            return;
+        }
+        const data = { ...this.loadCounterStore(state), ...Object.fromEntries(state.values) };
+        fs.mkdirSync(path.dirname(state.storePath), { recursive: true });
+        fs.writeFileSync(state.storePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
     }
 
+    // Items are converted to the type of the searched value, so the value is the left operand
     containsValue(container, value) {
         if (Array.isArray(container)) {
-            return container.some((item) => this.compareValues(item, value) === 0);
+            return container.some((item) => this.compareValues(value, item) === 0);
         }
 
         if (container && typeof container === 'object') {
-            return Object.values(container).some((item) => this.compareValues(item, value) === 0);
+            return Object.values(container).some((item) => this.compareValues(value, item) === 0);
         }
 
         return false;
     }
 
     // Job status check functions
-    isCanceled(args) {
-        // In a real pipeline context, this would check if the pipeline was canceled
-        // For parsing/expansion purposes, we'll return false
-        return false;
-    }
-
-    isFailed(args) {
-        // In a real pipeline context, this would check job dependencies
-        // For parsing/expansion purposes, we'll return false
-        return false;
-    }
-
-    isSucceeded(args) {
-        // In a real pipeline context, this would check job dependencies
-        // For parsing/expansion purposes, we'll return true
-        return true;
+    // Without a runtime scenario (context.runtime) these assume a healthy, uncanceled run.
+    isCanceled(args, context) {
+        const runtime = context && context.runtime;
+        return runtime ? Boolean(runtime.canceled) : false;
     }
 
-    isSucceededOrFailed(args) {
-        // In a real pipeline context, this would check job dependencies
-        // For parsing/expansion purposes, we'll return true
-        return true;
+    isFailed(args, context) {
+        const runtime = context && context.runtime;
+        if (!runtime) {
+            return false;
+        }
+        return this.getDependencyResults(args, runtime).some((result) => result === 'Failed');
     }
 
-    parseExpressionAst(expr) {
-        if (this.expressionCache.has(expr)) {
-            return this.expressionCache.get(expr);
+    isSucceeded(args, context) {
+        const runtime = context && context.runtime;
+        if (!runtime) {
+            return true;
         }
-
-        try {
-            const preprocessed = this.preprocessExpressionString(expr);
-            const ast = jsep(preprocessed);
-            this.expressionCache.set(expr, ast);
-            return ast;
-        } catch (error) {
-            this.expressionCache.set(expr, null);
-            return null;
+        if (runtime.canceled) {
+            return false;
         }
+        return this.getDependencyResults(args, runtime).every((result) => RUNTIME_SUCCESS_RESULTS.includes(result));
     }
 
-    preprocessExpressionString(expr) {
-        if (typeof expr !== 'string') {
-            return expr;
+    isSucceededOrFailed(args, context) {
+        const runtime = context && context.runtime;
+        if (!runtime) {
+            return true;
         }
+        if (runtime.canceled) {
+            return false;
+        }
+        return this.getDependencyResults(args, runtime).every((result) => result !== 'Canceled');
+    }
 
-        // Fix unescaped backslashes in string literals for Azure Pipelines compatibility
-        // Azure Pipelines allows '\' in strings, but JavaScript requires '\\'
-        // Use regex to find string literals and escape single backslashes within them
-
-        return expr.replace(/(['"])((?:\\.|(?!\1).)*?)\1/g, (match, quote, content) => {
-            // Process the string content to escape single backslashes
-            // Replace single backslash with double, but preserve existing escape sequences
-            const escaped = content.replace(/\\(?![\\'"nrtbfv0xu])/g, '\\\\');
-            return quote + escaped + quote;
+    /**
+     * Results the status functions check: the named dependencies when arguments are given,
+     * otherwise every job/stage in the dependency graph (or the job status so far for steps).
+     */
+    getDependencyResults(args, runtime) {
+        const graphResults = runtime.graphResults || {};
+        const names = (args || []).filter((arg) => arg !== undefined && arg !== null && arg !== '').map(String);
+        if (!names.length) {
+            return Object.values(graphResults);
+        }
+        return names.map((name) => {
+            const match = Object.keys(graphResults).find((key) => key.toLowerCase() === name.toLowerCase());
+            return match !== undefined ? graphResults[match] : undefined;
         });
     }
 
-    evaluateAst(node, context) {
-        if (!node) {
-            return undefined;
+    /**
+     * Parse an expression into an AST. Results and syntax errors are cached per expression text;
+     * each failure throws a fresh ExpressionSyntaxError so it can be located independently.
+     * @param {string} expr - Expression without its ${{ }} or $[ ] delimiters
+     * @returns {object} AST node
+     */
+    parseExpressionAst(expr) {
+        if (!this.expressionCache.has(expr)) {
+            try {
+                this.expressionCache.set(expr, { ast: new ExpressionParser(expr).parse() });
+            } catch (error) {
+                this.expressionCache.set(expr, { reason: error.message, column: error.column });
+            }
+        }
+
+        const entry = this.expressionCache.get(expr);
+        if (entry.reason !== undefined) {
+            throw new ExpressionSyntaxError(entry.reason, expr, entry.column);
         }
+        return entry.ast;
+    }
 
+    evaluateAst(node, context) {
         switch (node.type) {
             case 'Literal':
                 return node.value;
             case 'Identifier':
                 return this.resolveIdentifier(node.name, context);
-            case 'ThisExpression':
-                return context;
-            case 'ArrayExpression':
-                return node.elements.map((element) => this.evaluateAst(element, context));
-            case 'ObjectExpression': {
-                const obj = {};
-                node.properties.forEach((prop) => {
-                    const keyNode = prop.key;
-                    const key = prop.computed
-                        ? this.evaluateAst(keyNode, context)
-                        : keyNode.type === 'Identifier'
-                          ? keyNode.name
-                          : this.evaluateAst(keyNode, context);
-                    if (key === undefined) {
-                        return;
-                    }
-                    obj[key] = this.evaluateAst(prop.value, context);
-                });
-                return obj;
-            }
-            case 'UnaryExpression':
-                return this.evaluateUnary(node.operator, this.evaluateAst(node.argument, context));
-            case 'BinaryExpression':
-                return this.evaluateBinary(
-                    node.operator,
-                    this.evaluateAst(node.left, context),
-                    this.evaluateAst(node.right, context),
-                );
-            case 'LogicalExpression': {
-                const left = this.evaluateAst(node.left, context);
-                if (node.operator === '&&') {
-                    return this.toBoolean(left) ? this.evaluateAst(node.right, context) : left;
-                }
-                if (node.operator === '||') {
-                    return this.toBoolean(left) ? left : this.evaluateAst(node.right, context);
-                }
-                if (node.operator === '??') {
-                    return left !== undefined && left !== null ? left : this.evaluateAst(node.right, context);
-                }
-                return undefined;
-            }
-            case 'ConditionalExpression':
-                return this.toBoolean(this.evaluateAst(node.test, context))
-                    ? this.evaluateAst(node.consequent, context)
-                    : this.evaluateAst(node.alternate, context);
             case 'MemberExpression': {
                 const target = this.evaluateAst(node.object, context);
                 if (target === undefined || target === null) {
                     return undefined;
                 }
-                const property = node.computed
-                    ? this.evaluateAst(node.property, context)
-                    : node.property.type === 'Identifier'
-                      ? node.property.name
-                      : this.evaluateAst(node.property, context);
+                if (node.wildcard) {
+                    // `.*` filters every element (or property value) into an array; applied to an
+                    // already filtered array it flattens one level
+                    const items = node.filtered ? target : [target];
+                    return items.flatMap((item) =>
+                        Array.isArray(item) ? item : item && typeof item === 'object' ? Object.values(item) : [],
+                    );
+                }
+                const property = this.evaluateAst(node.property, context);
                 if (property === undefined || property === null) {
                     return undefined;
                 }
-                return target[property];
+                if (node.filtered) {
+                    return target
+                        .map((item) => (item && typeof item === 'object' ? item[property] : undefined))
+                        .filter((value) => value !== undefined);
+                }
+                return typeof target === 'object' ? target[property] : undefined;
             }
             case 'CallExpression': {
-                const callable = this.resolveCallable(node.callee, context);
                 const args = node.arguments.map((arg) => this.evaluateAst(arg, context));
-                if (callable && callable.builtinName) {
-                    const result = this.evaluateFunction(callable.builtinName, args);
-                    if (result !== undefined) {
-                        return result;
-                    }
-                }
-                if (callable && typeof callable.fn === 'function') {
-                    return callable.fn.apply(callable.thisArg !== undefined ? callable.thisArg : context, args);
-                }
-                return undefined;
+                return this.evaluateFunction(node.name, args, context);
             }
             default:
                 return undefined;
@@ -2117,248 +3557,203 @@ class AzurePipelineParser {
                 return context.resources;
             case 'locals':
                 return context.locals;
-            default:
-                return undefined;
-        }
-    }
-
-    resolveCallable(callee, context) {
-        if (!callee) {
-            return {};
-        }
-
-        if (callee.type === 'Identifier') {
-            const name = callee.name;
-            const value = this.resolveIdentifier(name, context);
-            if (typeof value === 'function') {
-                return { fn: value };
-            }
-            return { builtinName: name };
-        }
-
-        if (callee.type === 'MemberExpression') {
-            const target = this.evaluateAst(callee.object, context);
-            if (target === undefined || target === null) {
-                return {};
-            }
-
-            const property = callee.computed
-                ? this.evaluateAst(callee.property, context)
-                : callee.property.type === 'Identifier'
-                  ? callee.property.name
-                  : this.evaluateAst(callee.property, context);
-
-            if (property === undefined || property === null) {
-                return {};
-            }
-
-            const fn = target[property];
-            if (typeof fn === 'function') {
-                return { fn, thisArg: target };
-            }
-
-            return { builtinName: property };
-        }
-
-        const value = this.evaluateAst(callee, context);
-        if (typeof value === 'function') {
-            return { fn: value };
-        }
-
-        return {};
-    }
-
-    evaluateUnary(operator, value) {
-        switch (operator) {
-            case '!':
-                return !this.toBoolean(value);
-            case '+':
-                return Number(value);
-            case '-':
-                return -Number(value);
-            default:
-                return undefined;
-        }
-    }
-
-    evaluateBinary(operator, left, right) {
-        switch (operator) {
-            case '==':
-            case '===':
-                return this.compareValues(left, right) === 0;
-            case '!=':
-            case '!==':
-                return this.compareValues(left, right) !== 0;
-            case '<':
-                return this.compareValues(left, right) < 0;
-            case '<=':
-                return this.compareValues(left, right) <= 0;
-            case '>':
-                return this.compareValues(left, right) > 0;
-            case '>=':
-                return this.compareValues(left, right) >= 0;
-            case '+':
-                if (typeof left === 'string' || typeof right === 'string') {
-                    return `${left ?? ''}${right ?? ''}`;
-                }
-                return (Number(left) || 0) + (Number(right) || 0);
-            case '-':
-                return (Number(left) || 0) - (Number(right) || 0);
-            case '*':
-                return (Number(left) || 0) * (Number(right) || 0);
-            case '/':
-                return (Number(left) || 0) / (Number(right) || 0);
-            case '%':
-                return (Number(left) || 0) % (Number(right) || 0);
+            case 'dependencies':
+                return context.runtime ? context.runtime.dependencies : undefined;
+            case 'stageDependencies':
+                return context.runtime ? context.runtime.stageDependencies : undefined;
+            case 'pipeline':
+                return { startTime: context.pipelineStartTime };
             default:
                 return undefined;
         }
     }
 
     contains(container, value) {
-        if (typeof container === 'string') {
-            return typeof value === 'string' ? container.includes(value) : false;
-        }
         if (Array.isArray(container)) {
             return container.some((item) => this.compareValues(item, value) === 0);
         }
-        if (container && typeof container === 'object') {
+        if (container && typeof container === 'object' && !(container instanceof PipelineVersion)) {
             return Object.prototype.hasOwnProperty.call(container, value);
         }
-        return false;
-    }
-
-    compareValues(left, right) {
-        const normalize = (input) => {
-            if (input === undefined || input === null) {
-                return '';
-            }
-            if (typeof input === 'string') {
-                const trimmed = input.trim();
-                if (trimmed.length === 0) {
-                    return '';
-                }
-                const lowered = trimmed.toLowerCase();
-                if (lowered === 'true' || lowered === '__true__') {
-                    return true;
-                }
-                if (lowered === 'false' || lowered === '__false__') {
-                    return false;
-                }
-                if (/^-?\d+(?:\.\d+)?$/.test(trimmed)) {
-                    return Number(trimmed);
-                }
-                return trimmed;
-            }
-            return input;
-        };
-
-        const a = normalize(left);
-        const b = normalize(right);
-
-        if (a === b) {
-            return 0;
-        }
-
-        if (typeof a === typeof b && (typeof a === 'number' || typeof a === 'boolean')) {
-            return a > b ? 1 : -1;
-        }
-
-        const aString = String(a);
-        const bString = String(b);
-
-        if (aString === bString) {
-            return 0;
+        const text = this.castValue(container, 'string');
+        const search = this.castValue(value, 'string');
+        if (text === CAST_FAILED || search === CAST_FAILED) {
+            return false;
         }
+        return text.toUpperCase().includes(search.toUpperCase());
+    }
 
-        return aString > bString ? 1 : -1;
+    /**
+     * Azure expression type of a value: 'null', 'boolean', 'number', 'string', 'version', 'array'
+     * or 'object'. Boolean markers (__TRUE__/__FALSE__) returned by functions are booleans.
+     */
+    getExpressionType(value) {
+        if (value === undefined || value === null) return 'null';
+        if (typeof value === 'boolean' || value === '__TRUE__' || value === '__FALSE__') return 'boolean';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'string') return 'string';
+        if (value instanceof PipelineVersion) return 'version';
+        return Array.isArray(value) ? 'array' : 'object';
     }
 
-    resolveContextValue(path, context) {
-        const sanitized = this.sanitizePath(path);
-        const segments = sanitized.split('.').filter((segment) => segment.length > 0);
-        if (segments.length === 0) {
-            return undefined;
+    /**
+     * Convert a value to an expression type following Azure's type-casting matrix:
+     *
+     * | from \ to | boolean      | null       | number        | string        | version        |
+     * |-----------|--------------|------------|---------------|---------------|----------------|
+     * | boolean   | -            | no         | 0 / 1         | False / True  | no             |
+     * | null      | False        | -          | 0             | ''            | no             |
+     * | number    | 0 is False   | no         | -             | decimal text  | if > 0, x.y    |
+     * | string    | '' is False  | '' only    | if numeric    | -             | if x.y[.z[.w]] |
+     * | version   | True         | no         | no            | x.y[.z[.w]]   | -              |
+     *
+     * Arrays and objects are True and do not convert to any other type.
+     * @returns {*} The converted value, or CAST_FAILED
+     */
+    castValue(value, type) {
+        const sourceType = this.getExpressionType(value);
+        if (sourceType === 'boolean') {
+            value = value === true || value === '__TRUE__';
         }
-
-        const [first, ...rest] = segments;
-
-        if (context.locals && Object.prototype.hasOwnProperty.call(context.locals, first)) {
-            return this.walkSegments(context.locals[first], rest);
+        if (sourceType === type) {
+            return sourceType === 'null' ? null : value;
         }
 
-        if (first === 'parameters') {
-            return this.walkSegments(context.parameters, rest);
+        switch (type) {
+            case 'boolean':
+                if (sourceType === 'null') return false;
+                if (sourceType === 'number') return value !== 0 && !Number.isNaN(value);
+                if (sourceType === 'string') return value.length > 0;
+                return true;
+            case 'null':
+                return value === '' ? null : CAST_FAILED;
+            case 'number':
+                if (sourceType === 'null') return 0;
+                if (sourceType === 'boolean') return value ? 1 : 0;
+                if (sourceType === 'string') return this.parseNumber(value);
+                return CAST_FAILED;
+            case 'string':
+                if (sourceType === 'null') return '';
+                if (sourceType === 'boolean') return value ? 'True' : 'False';
+                if (sourceType === 'number' || sourceType === 'version') return String(value);
+                return CAST_FAILED;
+            case 'version':
+                if (sourceType === 'number') {
+                    return value > 0 && !Number.isInteger(value) ? this.parseVersion(String(value)) : CAST_FAILED;
+                }
+                return sourceType === 'string' ? this.parseVersion(value) : CAST_FAILED;
+            default:
+                return CAST_FAILED;
         }
+    }
 
-        if (first === 'variables') {
-            return this.walkSegments(context.variables, rest);
+    /**
+     * Parse a string as a number the way Azure does: surrounding whitespace, a leading sign,
+     * thousands separators and a decimal point are allowed; the empty string is 0.
+     */
+    parseNumber(text) {
+        const trimmed = text.trim();
+        if (!trimmed.length) {
+            return text.length ? CAST_FAILED : 0;
         }
-
-        if (first === 'resources') {
-            return this.walkSegments(context.resources, rest);
+        if (!/^[+-]?(?:\d[\d,]*(?:\.\d*)?|\.\d+)$/.test(trimmed)) {
+            return CAST_FAILED;
         }
+        return Number(trimmed.replace(/,/g, ''));
+    }
 
-        if (Object.prototype.hasOwnProperty.call(context.parameters, first)) {
-            return this.walkSegments(context.parameters[first], rest);
+    /** Parse `Major.Minor[.Build[.Revision]]` into a version value */
+    parseVersion(text) {
+        if (!/^\d+(?:\.\d+){1,3}$/.test(text)) {
+            return CAST_FAILED;
         }
+        const components = text.split('.').map(Number);
+        return components.every((component) => component <= MAX_VERSION_COMPONENT)
+            ? new PipelineVersion(components)
+            : CAST_FAILED;
+    }
 
-        if (Object.prototype.hasOwnProperty.call(context.variables, first)) {
-            return this.walkSegments(context.variables[first], rest);
+    /**
+     * Compare two values the way Azure's comparison functions do: the right operand is converted
+     * to the type of the left one, strings compare ordinal ignore-case. With `orderVersions`, two
+     * strings that both look like versions (`3.220`, `2.190.1`) are ordered as versions; equality
+     * and membership always compare them as strings. Returns a negative number, 0 or a positive
+     * number, or NaN when the right operand cannot be converted (the values are not equal).
+     */
+    compareValues(left, right, orderVersions = false) {
+        let type = this.getExpressionType(left);
+        let leftValue = this.castValue(left, type);
+        if (orderVersions && type === 'string' && typeof right === 'string') {
+            const leftVersion = this.parseVersion(left);
+            if (leftVersion !== CAST_FAILED && this.parseVersion(right) !== CAST_FAILED) {
+                type = 'version';
+                leftValue = leftVersion;
+            }
         }
 
-        if (context.locals && Object.prototype.hasOwnProperty.call(context.locals, first)) {
-            return this.walkSegments(context.locals[first], rest);
+        const rightValue = this.castValue(right, type);
+        if (rightValue === CAST_FAILED) {
+            return NaN;
         }
 
-        return undefined;
-    }
-
-    walkSegments(current, segments) {
-        let value = current;
-        for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
-            if (value === undefined || value === null) {
-                return undefined;
-            }
-            // If we're accessing a nested property (not top-level) that doesn't exist on an object,
-            // return empty string instead of undefined (Azure DevOps behavior)
-            if (i > 0 && typeof value === 'object' && !Array.isArray(value) && !(segment in value)) {
-                return '';
+        switch (type) {
+            case 'null':
+                return 0;
+            case 'version':
+                return leftValue.compareTo(rightValue);
+            case 'string': {
+                const a = leftValue.toUpperCase();
+                const b = rightValue.toUpperCase();
+                return a === b ? 0 : a > b ? 1 : -1;
             }
-            value = value[segment];
+            case 'array':
+            case 'object':
+                // Collections are only ever equal, never ordered
+                return JSON.stringify(leftValue) === JSON.stringify(rightValue) ? 0 : NaN;
+            default:
+                return leftValue === rightValue ? 0 : leftValue > rightValue ? 1 : -1;
         }
-        return value;
     }
 
-    sanitizePath(path) {
-        return path.replace(/\[(\d+)\]/g, '.$1').replace(/\[(?:'|")([^'"]+)(?:'|")\]/g, '.$1');
+    /**
+     * Compare values for lt/le/gt/ge. Unlike equality, ordering fails with an error when the
+     * right operand cannot be converted to the type of the left one, or for arrays and objects.
+     * Version strings are ordered as versions (`ge(variables.agentVersion, '3.220')`).
+     */
+    compareOrdered(left, right, functionName) {
+        const result = this.compareValues(left, right, true);
+        if (Number.isNaN(result)) {
+            const display = (value) => {
+                if (value === undefined || value === null) return 'null';
+                const text = this.castValue(value, 'string');
+                return `'${text === CAST_FAILED ? JSON.stringify(value) : text}'`;
+            };
+            throw new Error(
+                `Unable to compare ${display(left)} with ${display(right)} in '${functionName}': ` +
+                    `cannot convert ${display(right)} to type '${this.getExpressionType(left)}'.`,
+            );
+        }
+        return result;
     }
 
-    looksLikeContextPath(expr) {
-        if (typeof expr !== 'string') {
-            return false;
+    /**
+     * Cast a value to String for string functions. Arrays and objects, which have no string
+     * form, become 'Array' and 'Object' as in Azure; dates are written in ISO 8601.
+     */
+    toExpressionString(value) {
+        if (value instanceof Date) {
+            return value.toISOString();
         }
-        return /^[a-zA-Z_][\w]*[.\[]/.test(expr.trim());
+        const text = this.castValue(value, 'string');
+        if (text !== CAST_FAILED) {
+            return text;
+        }
+        return Array.isArray(value) ? 'Array' : 'Object';
     }
 
+    /** Cast a value to Boolean (empty strings, null and 0 are False; arrays, objects and versions are True) */
     toBoolean(value) {
-        if (typeof value === 'boolean') {
-            return value;
-        }
-        if (typeof value === 'number') {
-            return value !== 0;
-        }
-        if (typeof value === 'string') {
-            const lowered = value.toLowerCase();
-            if (lowered === '__true__' || lowered === 'true') {
-                return true;
-            }
-            if (lowered === '__false__' || lowered === 'false' || lowered.length === 0) {
-                return false;
-            }
-        }
-        return Boolean(value);
+        return this.castValue(value, 'boolean');
     }
 
     /** Returns boolean as marker string (__TRUE__/__FALSE__) for Azure-compatible output. */
@@ -2370,11 +3765,27 @@ class AzurePipelineParser {
         return {
             parameters: parent.parameters,
             variables: parent.variables,
+            variableGroups: parent.variableGroups,
             resources: parent.resources,
             locals: { ...parent.locals, ...locals },
             baseDir: parent.baseDir,
             repositoryBaseDir: parent.repositoryBaseDir,
+            selfRepositoryDir: parent.selfRepositoryDir,
             resourceLocations: parent.resourceLocations || {},
+            readFile: parent.readFile,
+            repositoryRefs: parent.repositoryRefs,
+            repositoryDiscovery: parent.repositoryDiscovery,
+            capture: parent.capture,
+            diagnostics: parent.diagnostics,
+            counters: parent.counters,
+            pipelineStartTime: parent.pipelineStartTime,
+            templateStack: parent.templateStack || [],
+            templateIncludes: parent.templateIncludes || [],
+            maxTemplateDepth: parent.maxTemplateDepth,
+            expansionLimits: parent.expansionLimits,
+            expansionStats: parent.expansionStats,
+            provenance: parent.provenance,
+            evaluations: parent.evaluations,
             scriptsWithExpressions: parent.scriptsWithExpressions, // Preserve scripts tracking
             scriptsWithLastLineExpressions: parent.scriptsWithLastLineExpressions, // Preserve last line tracking
         };
@@ -2384,13 +3795,28 @@ class AzurePipelineParser {
         return {
             parameters: { ...parent.parameters, ...parameterOverrides },
             variables: { ...parent.variables }, // Preserve variables from parent context (includes overrides)
+            variableGroups: parent.variableGroups,
             resources: parent.resources,
             locals: { ...parent.locals },
             baseDir: baseDir || parent.baseDir,
             repositoryBaseDir:
                 options.repositoryBaseDir !== undefined ? options.repositoryBaseDir : parent.repositoryBaseDir,
+            selfRepositoryDir: parent.selfRepositoryDir,
             resourceLocations: parent.resourceLocations || {},
+            readFile: options.readFile !== undefined ? options.readFile : parent.readFile,
+            repositoryRefs: parent.repositoryRefs,
+            repositoryDiscovery: parent.repositoryDiscovery,
+            capture: parent.capture,
+            diagnostics: parent.diagnostics,
+            counters: parent.counters,
+            pipelineStartTime: parent.pipelineStartTime,
             templateStack: parent.templateStack || [],
+            templateIncludes: parent.templateIncludes || [],
+            maxTemplateDepth: parent.maxTemplateDepth,
+            expansionLimits: parent.expansionLimits,
+            expansionStats: parent.expansionStats,
+            provenance: parent.provenance,
+            evaluations: parent.evaluations,
             quoteStyles: parent.quoteStyles, // Preserve quote styles
             templateQuoteStyles: parent.templateQuoteStyles, // Preserve template quote styles map
             scriptsWithExpressions: parent.scriptsWithExpressions, // Preserve scripts tracking
@@ -2417,6 +3843,22 @@ class AzurePipelineParser {
     }
 
     expandTemplateReference(node, context) {
+        const expandedTemplate = this.expandTemplateDocument(node, context);
+        if (expandedTemplate === undefined) {
+            return [];
+        }
+        return this.extractTemplateBody(expandedTemplate);
+    }
+
+    /**
+     * Resolve, validate and expand the template referenced by a `template:` node.
+     * Returns the whole expanded template document (including non-body keys such as
+     * `variables` or `pool`), or undefined when the template path evaluates to nothing.
+     * @param {object} node - Object containing `template` and optional `parameters`
+     * @param {object} context - Current execution context
+     * @returns {object|array|undefined} The expanded template document
+     */
+    expandTemplateDocument(node, context) {
         const templateRaw = node.template;
         const templatePathValue =
             typeof templateRaw === 'string'
@@ -2424,82 +3866,184 @@ class AzurePipelineParser {
                 : this.expandScalar(templateRaw, context);
 
         if (!templatePathValue || typeof templatePathValue !== 'string') {
-            return [];
+            return undefined;
+        }
+
+        let loaded;
+        try {
+            loaded = this.loadTemplateDocument(templatePathValue, context);
+        } catch (error) {
+            // When collecting diagnostics, a template that cannot be loaded is reported and skipped
+            if (!context.diagnostics || !(error instanceof TemplateResolutionError)) {
+                throw error;
+            }
+            this.reportDiagnostic(context, error.code, error.message, this.sourcePositionOf(node, 'template', context));
+            return undefined;
+        }
+        const {
+            repositoryRef,
+            resolvedPath,
+            templateBaseDir,
+            repositoryBaseDirectoryForContext,
+            readFile,
+            templateSource,
+            normalizedSource,
+            yamlDoc,
+            lineCounter,
+            templateDocument,
+        } = loaded;
+        if (context.diagnostics) {
+            this.reportYamlErrors(yamlDoc, resolvedPath, context);
+        }
+
+        const defaultParameters = this.extractParameters(templateDocument);
+        const providedParameters = this.normalizeTemplateParameters(node.parameters, context);
+
+        const templateDisplayPath = repositoryRef
+            ? `${repositoryRef.templatePath}@${repositoryRef.repository}`
+            : templatePathValue;
+
+        if (context.provenance) {
+            const source = {
+                file: resolvedPath,
+                template: templateDisplayPath,
+                ...(repositoryRef && { repository: repositoryRef.repository }),
+            };
+            this.recordProvenance(yamlDoc, templateDocument, source, normalizedSource, lineCounter, context);
+        }
+
+        const include = { path: resolvedPath, parameters: JSON.stringify(providedParameters) };
+        this.checkTemplateInclude(include, templateDisplayPath, context);
+        this.recordTemplateInclude(context, resolvedPath);
+
+        const updatedContext = {
+            ...context,
+            templateStack: [...(context.templateStack || []), templateDisplayPath],
+            templateIncludes: [...(context.templateIncludes || []), include],
+        };
+
+        this.validateTemplateParameters(
+            templateDocument,
+            providedParameters,
+            templatePathValue,
+            updatedContext,
+            'template',
+            node,
+        );
+
+        const mergedParameters = this.bindParameterTypes(templateDocument, {
+            ...defaultParameters,
+            ...providedParameters,
+        });
+
+        const templateContext = this.createTemplateContext(updatedContext, mergedParameters, templateBaseDir, {
+            repositoryBaseDir: repositoryBaseDirectoryForContext,
+            readFile,
+        });
+
+        try {
+            return this.expandDocument(templateDocument, templateContext) || {};
+        } catch (error) {
+            const source = { file: resolvedPath };
+            this.locateExpressionError(error, templateSource, {
+                file: templateDisplayPath,
+                filePath: resolvedPath,
+                templateStack: updatedContext.templateStack,
+                provenance: this.provenanceOf(
+                    context,
+                    yamlDoc,
+                    templateDocument,
+                    source,
+                    normalizedSource,
+                    lineCounter,
+                ),
+            });
+            throw error;
         }
+    }
 
+    /**
+     * Resolve the file of a template reference, read and parse it. Paths follow Azure's rules:
+     * - `path@repository` is relative to the root of that repository, and `path@self` to the root
+     *   of the repository containing the root pipeline (see resolveSelfRepositoryDirectory)
+     * - a path starting with `/` is relative to the root of the repository of the including file
+     * - any other path is relative to the directory of the including file
+     * @throws {TemplateResolutionError} When the repository, the file or its YAML is not usable
+     */
+    loadTemplateDocument(templatePathValue, context) {
         const repositoryRef = this.parseRepositoryTemplateReference(templatePathValue);
+        const selfRepositoryDir = context.selfRepositoryDir || context.repositoryBaseDir || context.baseDir;
 
         let resolvedPath;
-        let templateBaseDir;
+        let rule; // The path rule that was applied, for "not found" errors
         let repositoryBaseDirectoryForContext = context.repositoryBaseDir || undefined;
+        let readFile = context.readFile;
 
-        if (repositoryRef) {
+        if (repositoryRef && repositoryRef.repository === 'self') {
+            resolvedPath = this.resolveTemplatePath(repositoryRef.templatePath, selfRepositoryDir);
+            rule = "relative to the root of repository 'self'";
+            repositoryBaseDirectoryForContext = selfRepositoryDir;
+        } else if (repositoryRef) {
             const repositoryEntry = this.resolveRepositoryEntry(repositoryRef.repository, context);
             if (!repositoryEntry) {
-                throw new Error(
+                throw new TemplateResolutionError(
                     `Repository resource '${repositoryRef.repository}' is not defined for template '${templatePathValue}'.`,
+                    'unresolved-repository',
                 );
             }
 
             const repositoryLocation = this.resolveRepositoryLocation(repositoryEntry, context);
             if (!repositoryLocation) {
-                throw new Error(
+                throw new TemplateResolutionError(
                     `Repository resource '${repositoryRef.repository}' does not define a local location. ` +
                         `Set a 'location' for this resource (for example via the 'azurePipelineStudio.resourceLocations' setting).`,
+                    'unresolved-repository',
                 );
             }
 
             const repositoryBaseDirectory = this.resolveRepositoryBaseDirectory(repositoryLocation, context);
             repositoryBaseDirectoryForContext = repositoryBaseDirectory;
-            const currentDirectory = context.baseDir || repositoryBaseDirectory;
-            resolvedPath = this.resolveTemplateWithinRepository(
-                repositoryRef.templatePath,
-                currentDirectory,
+
+            // Templates of the repository, including the ones they include, are read at its ref
+            const refReader = this.resolveRepositoryReader(
+                repositoryRef.repository,
+                repositoryEntry,
                 repositoryBaseDirectory,
+                context,
             );
+            if (refReader) {
+                const parentReader = context.readFile;
+                readFile = (filePath) => {
+                    const content = refReader(filePath);
+                    return content !== undefined || !parentReader ? content : parentReader(filePath);
+                };
+            }
 
-            if (!resolvedPath) {
-                throw new Error(
-                    `Template file not found for repository '${repositoryRef.repository}': ${repositoryRef.templatePath}`,
-                );
-            }
-
-            templateBaseDir = path.dirname(resolvedPath);
+            resolvedPath = this.resolveTemplatePath(repositoryRef.templatePath, repositoryBaseDirectory);
+            rule = `relative to the root of repository '${repositoryRef.repository}'`;
+        } else if (/^[\\/]/.test(templatePathValue)) {
+            resolvedPath = this.resolveTemplatePath(templatePathValue, context.repositoryBaseDir || selfRepositoryDir);
+            rule = 'relative to the repository root';
         } else {
-            const repositoryBaseDirectory = context.repositoryBaseDir || undefined;
-            const candidatePath = this.resolveTemplateWithinRepository(
-                templatePathValue,
-                context.baseDir,
-                repositoryBaseDirectory,
-            );
-
-            if (candidatePath) {
-                resolvedPath = candidatePath;
-                templateBaseDir = path.dirname(resolvedPath);
-                repositoryBaseDirectoryForContext = repositoryBaseDirectoryForContext || repositoryBaseDirectory;
-            } else {
-                const baseDir = context.baseDir || process.cwd();
-                resolvedPath = path.isAbsolute(templatePathValue)
-                    ? templatePathValue
-                    : path.resolve(baseDir, templatePathValue);
-                templateBaseDir = path.dirname(resolvedPath);
-            }
-        }
-
-        if (!fs.existsSync(resolvedPath)) {
-            const identifier = repositoryRef
-                ? `${repositoryRef.templatePath}@${repositoryRef.repository}`
-                : templatePathValue;
-            throw new Error(`Template file not found: ${identifier}`);
+            resolvedPath = this.resolveTemplatePath(templatePathValue, context.baseDir || process.cwd());
+            rule = 'relative to the including file';
         }
+        const templateBaseDir = path.dirname(resolvedPath);
 
-        const templateSource = fs.readFileSync(resolvedPath, 'utf8');
+        const templateSource = this.readTemplateSource(
+            resolvedPath,
+            repositoryRef ? `${repositoryRef.templatePath}@${repositoryRef.repository}` : templatePathValue,
+            readFile === context.readFile ? context : { ...context, readFile },
+            rule,
+        );
         const normalizedSource = this.preprocessCompileTimeExpressions(templateSource);
 
         let templateDocument;
+        let yamlDoc;
+        const lineCounter = new YAML.LineCounter();
         try {
             // Parse as document to extract quote styles
-            const yamlDoc = YAML.parseDocument(normalizedSource);
+            yamlDoc = YAML.parseDocument(normalizedSource, { lineCounter });
             const templateQuoteStyles = new Map();
             this.extractQuoteStyles(yamlDoc.contents, [], templateQuoteStyles);
 
@@ -2513,34 +4057,626 @@ class AzurePipelineParser {
 
             templateDocument = yamlDoc.toJSON() || {};
         } catch (error) {
-            throw new Error(`Failed to parse template '${templatePathValue}': ${error.message}`);
+            throw new TemplateResolutionError(
+                `Failed to parse template '${templatePathValue}': ${error.message}`,
+                'invalid-template',
+            );
         }
 
         templateDocument = this.restoreCompileTimeExpressions(templateDocument);
 
-        const defaultParameters = this.extractParameters(templateDocument);
-        const providedParameters = this.normalizeTemplateParameters(node.parameters, context);
+        return {
+            repositoryRef,
+            resolvedPath,
+            templateBaseDir,
+            repositoryBaseDirectoryForContext,
+            readFile,
+            templateSource,
+            normalizedSource,
+            yamlDoc,
+            lineCounter,
+            templateDocument,
+        };
+    }
 
-        const templateDisplayPath = repositoryRef
-            ? `${repositoryRef.templatePath}@${repositoryRef.repository}`
-            : templatePathValue;
+    /**
+     * Guard against runaway template recursion before a template is expanded.
+     * Including a template that is already being expanded with the same parameters can
+     * never terminate and is reported as a cycle; templates that recurse with changing
+     * parameters are bounded by the maximum template depth (Azure allows 100 levels).
+     * @param {object} include - Resolved template path and serialized parameters
+     * @param {string} templateDisplayPath - Template reference as written (file@repo)
+     * @param {object} context - Current execution context
+     */
+    checkTemplateInclude(include, templateDisplayPath, context) {
+        const includes = context.templateIncludes || [];
+        const includeChain = [...(context.templateStack || []), templateDisplayPath];
+        const formattedChain = includeChain.join(' → ');
 
-        const updatedContext = {
-            ...context,
-            templateStack: [...(context.templateStack || []), templateDisplayPath],
+        const isCycle = includes.some(
+            (entry) => entry.path === include.path && entry.parameters === include.parameters,
+        );
+        if (isCycle) {
+            throw new TemplateIncludeError(
+                `Circular template reference detected: '${templateDisplayPath}' includes itself.\n` +
+                    `  Include chain: ${formattedChain}`,
+                includeChain,
+            );
+        }
+
+        const maxDepth = context.maxTemplateDepth || DEFAULT_MAX_TEMPLATE_DEPTH;
+        if (includes.length + 1 > maxDepth) {
+            throw new TemplateIncludeError(
+                `Maximum template depth of ${maxDepth} exceeded while including '${templateDisplayPath}'.\n` +
+                    `  Include chain: ${formattedChain}`,
+                includeChain,
+            );
+        }
+    }
+
+    recordTemplateInclude(context, resolvedPath) {
+        const stats = context.expansionStats;
+        if (!stats) return;
+        stats.templateFiles.add(resolvedPath);
+    }
+
+    recordEachIterations(context, count, site) {
+        if (context.expansionStats) {
+            context.expansionStats.eachIterations += count;
+        }
+        if (site) {
+            this.recordEvaluation(site, site.key, { kind: 'each', iterations: count }, context);
+        }
+    }
+
+    /**
+     * Merge configured expansion limits over the Azure DevOps defaults (see DEFAULT_EXPANSION_LIMITS).
+     * @param {object} limits - Partial limits ({ maxTemplateFiles, maxDocumentSize, maxEachIterations })
+     * @returns {object} Complete limits; 0 disables a limit
+     */
+    normalizeExpansionLimits(limits) {
+        const result = { ...DEFAULT_EXPANSION_LIMITS };
+        if (!limits || typeof limits !== 'object') {
+            return result;
+        }
+
+        for (const [name, value] of Object.entries(limits)) {
+            if (!(name in DEFAULT_EXPANSION_LIMITS)) {
+                throw new Error(
+                    `Unknown expansion limit '${name}'. Supported limits: ${Object.keys(DEFAULT_EXPANSION_LIMITS).join(', ')}.`,
+                );
+            }
+            const numeric = Number(value);
+            if (!Number.isInteger(numeric) || numeric < 0) {
+                throw new Error(
+                    `Invalid value '${value}' for expansion limit '${name}': expected a non-negative integer.`,
+                );
+            }
+            result[name] = numeric;
+        }
+        return result;
+    }
+
+    /**
+     * Compare measured expansion values against the limits. Exceeded limits are returned
+     * as warnings, or raised as an ExpansionLimitError when `strict` is set (Azure DevOps
+     * rejects such pipelines).
+     * @param {object} measurements - Measured value per limit name
+     * @param {object} limits - Normalized limits
+     * @param {boolean} strict - Throw instead of returning warnings
+     * @returns {Array<{limit: string, value: number, max: number, message: string}>} Warnings
+     */
+    checkExpansionLimits(measurements, limits = DEFAULT_EXPANSION_LIMITS, strict = false) {
+        const descriptions = {
+            maxTemplateFiles: (value, max) =>
+                `Pipeline includes ${value} template files; Azure DevOps allows at most ${max}.`,
+            maxDocumentSize: (value, max) =>
+                `Expanded pipeline is ${value} bytes; Azure DevOps allows at most ${max} bytes.`,
+            maxEachIterations: (value, max) => `\${{ each }} loops expanded ${value} iterations; the limit is ${max}.`,
         };
 
-        this.validateTemplateParameters(templateDocument, providedParameters, templatePathValue, updatedContext);
+        const violations = [];
+        for (const [limit, value] of Object.entries(measurements)) {
+            const max = limits[limit];
+            if (max && value > max) {
+                violations.push({ limit, value, max, message: descriptions[limit](value, max) });
+            }
+        }
 
-        const mergedParameters = { ...defaultParameters, ...providedParameters };
+        if (strict && violations.length) {
+            throw new ExpansionLimitError(
+                `Expansion limits exceeded:\n  ${violations.map((violation) => violation.message).join('\n  ')}`,
+                violations,
+            );
+        }
+        return violations;
+    }
 
-        const templateContext = this.createTemplateContext(updatedContext, mergedParameters, templateBaseDir, {
-            repositoryBaseDir: repositoryBaseDirectoryForContext,
-        });
+    /**
+     * Check an expanded pipeline against the bundled Azure Pipelines schema
+     * (schemas/azure-pipelines.schema.json): unknown or misplaced keys and missing or
+     * mistyped sections of the pipeline, its stages, jobs and steps.
+     * @param {object} document - Expanded pipeline document
+     * @param {Map<string, object>} [sourcePaths] - Result of collectSourcePaths, used to locate violations
+     * @returns {Array<{path: string, message: string, source: object|undefined}>} Violations with the
+     *     path to the offending node and the file, line and template it came from when known
+     */
+    validatePipelineSchema(document, sourcePaths) {
+        if (!pipelineSchemaValidator) {
+            const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+            pipelineSchemaValidator = ajv.compile(PIPELINE_SCHEMA);
+        }
+
+        // Expansion metadata (__quoteStyles, ...) is not part of the pipeline
+        const pipeline = Object.fromEntries(Object.entries(document).filter(([key]) => !key.startsWith('__')));
+        if (pipelineSchemaValidator(pipeline)) {
+            return [];
+        }
+
+        const violations = [];
+        for (const error of pipelineSchemaValidator.errors) {
+            // if/then failures only repeat the errors of the selected branch
+            if (error.keyword === 'if') {
+                continue;
+            }
+            const documentPath = [];
+            let node = pipeline;
+            for (const segment of error.instancePath.split('/').slice(1)) {
+                const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+                const step = Array.isArray(node) ? Number(key) : key;
+                documentPath.push(step);
+                node = node[step];
+            }
+            if (error.keyword === 'additionalProperties') {
+                documentPath.push(error.params.additionalProperty);
+            }
+
+            const violationPath = this.formatDocumentPath(documentPath);
+            const message = this.describeSchemaError(error, documentPath);
+            if (violations.some((violation) => violation.path === violationPath && violation.message === message)) {
+                continue;
+            }
+            violations.push({
+                path: violationPath,
+                message,
+                source: sourcePaths ? sourcePaths.get(violationPath) : undefined,
+            });
+        }
+        return violations;
+    }
+
+    describeSchemaError(error, documentPath) {
+        const kind = error.parentSchema.title || 'value';
+        const lastKey = documentPath.map((segment) => typeof segment).lastIndexOf('string');
+        const name = documentPath.length
+            ? this.formatDocumentPath(documentPath.slice(Math.max(lastKey, 0)))
+            : 'pipeline';
+
+        switch (error.keyword) {
+            case 'additionalProperties': {
+                const property = error.params.additionalProperty;
+                const suggestion = this.closestName(property, Object.keys(error.parentSchema.properties || {}));
+                const hint = suggestion ? `; did you mean '${suggestion}'?` : '';
+                return `Unknown property '${property}' in ${kind}${hint}`;
+            }
+            case 'required':
+                return `Missing required property '${error.params.missingProperty}' in ${kind}`;
+            case 'type': {
+                const types = []
+                    .concat(error.params.type)
+                    .map((type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`));
+                return `'${name}' must be ${types.join(' or ')}`;
+            }
+            case 'enum':
+                return `'${name}' must be one of: ${error.params.allowedValues.join(', ')}`;
+            case 'not':
+                return error.parentSchema.description;
+            default:
+                return `'${name}' ${error.message}`;
+        }
+    }
+
+    /** The candidate closest to a misspelled name (case-insensitive edit distance), if any is close enough */
+    closestName(name, candidates) {
+        const distance = (left, right) => {
+            let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+            for (let i = 1; i <= left.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= right.length; j++) {
+                    const substitution = previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1);
+                    current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+                }
+                previous = current;
+            }
+            return previous[right.length];
+        };
+
+        const maxDistance = Math.min(2, Math.floor(name.length / 3));
+        let best;
+        let bestDistance = Infinity;
+        for (const candidate of candidates) {
+            const candidateDistance = distance(name.toLowerCase(), candidate.toLowerCase());
+            if (candidateDistance <= maxDistance && candidateDistance < bestDistance) {
+                best = candidate;
+                bestDistance = candidateDistance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Load the task.json manifests under a directory (a local stand-in for the task catalog),
+     * indexed by lower-case task name and id, then by major version (highest minor wins).
+     * Manifests that cannot be read are skipped and returned as problems. The result is reused
+     * until a directory or task.json file of the tree changes (modification time or size).
+     * @param {string} directory - Directory searched recursively for task.json files
+     * @returns {{manifests: Map<string, Map<number, object>>, problems: Array<{file: string, message: string}>}}
+     */
+    loadTaskManifests(directory) {
+        if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+            throw new Error(`Task manifest directory not found: ${directory}`);
+        }
+
+        const root = path.resolve(directory);
+        const cached = this.taskManifestCache.get(root);
+        if (cached && cached.stamps.every(([entryPath, stamp]) => this.fileStamp(entryPath) === stamp)) {
+            return cached.result;
+        }
+
+        const manifests = new Map();
+        const problems = [];
+        const stamps = [];
+        const add = (key, manifest) => {
+            const versions = manifests.get(key) || new Map();
+            const existing = versions.get(manifest.major);
+            if (!existing || manifest.minor > existing.minor) {
+                versions.set(manifest.major, manifest);
+            }
+            manifests.set(key, versions);
+        };
+        const visit = (current) => {
+            stamps.push([current, this.fileStamp(current)]);
+            for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+                const entryPath = path.join(current, entry.name);
+                if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                    visit(entryPath);
+                    continue;
+                }
+                if (!entry.isFile() || entry.name !== 'task.json') {
+                    continue;
+                }
+                stamps.push([entryPath, this.fileStamp(entryPath)]);
+                let task;
+                try {
+                    task = JSON.parse(fs.readFileSync(entryPath, 'utf8').replace(/^\uFEFF/, ''));
+                } catch (error) {
+                    problems.push({ file: entryPath, message: `Invalid task manifest ${entryPath}: ${error.message}` });
+                    continue;
+                }
+                if (!task || typeof task.name !== 'string' || !task.version) {
+                    const message = `Invalid task manifest ${entryPath}: 'name' and 'version' are required`;
+                    problems.push({ file: entryPath, message });
+                    continue;
+                }
+                const manifest = {
+                    file: entryPath,
+                    name: task.name,
+                    major: Number(task.version.Major),
+                    minor: Number(task.version.Minor) || 0,
+                    inputs: Array.isArray(task.inputs) ? task.inputs : [],
+                };
+                add(task.name.toLowerCase(), manifest);
+                if (task.id) {
+                    add(String(task.id).toLowerCase(), manifest);
+                }
+            }
+        };
+        visit(root);
+
+        const result = { manifests, problems };
+        this.taskManifestCache.set(root, { stamps, result });
+        return result;
+    }
+
+    /** Modification time and size of a file or directory, or undefined when it is gone */
+    fileStamp(entryPath) {
+        try {
+            const stat = fs.statSync(entryPath);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Check that an expanded pipeline only references declared resources: `container:` and
+     * `services:` of the pipeline and its jobs and step `target:` name a container resource,
+     * `download:` a pipeline resource, `getPackage:` a package resource and `checkout:` a
+     * repository resource. Macros, inline containers and inline repositories are not checked.
+     * An undeclared `container:` of the pipeline or a job is an image name (`container: ubuntu:22.04`);
+     * it is only reported, as a warning, when it looks like a misspelled container alias.
+     * @param {object} document - Expanded pipeline document
+     * @param {object} resources - Resources of the execution context (normalizeResourcesConfig)
+     * @param {Map<string, object>} [sourcePaths] - Result of collectSourcePaths, used to locate problems
+     * @returns {Array<{path: string, code: string, message: string, source: object|undefined, severity?: string}>}
+     */
+    validateResourceReferences(document, resources, sourcePaths) {
+        const violations = [];
+        const check = (reference, kind, label, referencePath, builtIns = [], imageName = false) => {
+            if (typeof reference !== 'string' || !reference.trim() || /\$[([{]|:\/\//.test(reference)) {
+                return;
+            }
+            const alias = reference.trim();
+            const declared = (resources[kind] || [])
+                .map((entry) =>
+                    kind === 'repositories' ? this.getRepositoryAlias(entry) : entry[RESOURCE_ALIAS_KEYS[kind]],
+                )
+                .filter((name) => typeof name === 'string');
+            const known = [...builtIns, ...declared].some((name) => name.toLowerCase() === alias.toLowerCase());
+            if (known) {
+                return;
+            }
+            const suggestion = this.closestName(alias, declared);
+            if (imageName && !suggestion) {
+                return;
+            }
+            const hint = suggestion ? `; did you mean '${suggestion}'?` : '';
+            const violationPath = this.formatDocumentPath(referencePath);
+            const violation = {
+                path: violationPath,
+                code: 'unknown-resource',
+                message: `${label} '${alias}' is not declared in resources.${kind}${hint}`,
+                source: sourcePaths ? sourcePaths.get(violationPath) : undefined,
+            };
+            if (imageName) {
+                violation.message = `${label} '${alias}' is not declared in resources.${kind} and is used as an image name${hint}`;
+                violation.severity = 'warning';
+            }
+            violations.push(violation);
+        };
+
+        const checkContainers = (node, nodePath) => {
+            check(node.container, 'containers', 'Container', [...nodePath, 'container'], [], true);
+            if (node.services && typeof node.services === 'object' && !Array.isArray(node.services)) {
+                for (const [name, service] of Object.entries(node.services)) {
+                    check(service, 'containers', 'Container', [...nodePath, 'services', name]);
+                }
+            }
+        };
+
+        const checkStep = (step, stepPath) => {
+            const target = step.target && typeof step.target === 'object' ? step.target.container : step.target;
+            const targetPath =
+                typeof step.target === 'object' ? [...stepPath, 'target', 'container'] : [...stepPath, 'target'];
+            check(target, 'containers', 'Container', targetPath, ['host']);
+            check(step.download, 'pipelines', 'Pipeline resource', [...stepPath, 'download'], ['current', 'none']);
+            check(step.getPackage, 'packages', 'Package', [...stepPath, 'getPackage']);
+            if (typeof step.task === 'string' && step.task.toLowerCase() === CHECKOUT_TASK && step.inputs) {
+                const repositoryPath = [...stepPath, 'inputs', 'repository'];
+                check(step.inputs.repository, 'repositories', 'Repository', repositoryPath, ['self', 'none']);
+            }
+        };
+
+        const visit = (node, nodePath) => {
+            if (Array.isArray(node)) {
+                node.forEach((item, index) => visit(item, [...nodePath, index]));
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key.startsWith('__') || key === 'resources') continue;
+                if (Array.isArray(value) && (key === 'jobs' || key === 'steps')) {
+                    value.forEach((item, index) => {
+                        const itemPath = [...nodePath, key, index];
+                        if (item && typeof item === 'object') {
+                            (key === 'jobs' ? checkContainers : checkStep)(item, itemPath);
+                        }
+                        visit(item, itemPath);
+                    });
+                    continue;
+                }
+                visit(value, [...nodePath, key]);
+            }
+        };
+        checkContainers(document, []);
+        visit(document, []);
+        return violations;
+    }
+
+    /**
+     * Check the `task` steps of an expanded pipeline against task manifests: the task and its
+     * major version exist, input names or aliases are known, required inputs are set unless
+     * their visibleRule hides them, and pick list inputs use one of their options.
+     * @param {object} document - Expanded pipeline document
+     * @param {Map} manifests - The `manifests` of loadTaskManifests
+     * @param {Map<string, object>} [sourcePaths] - Result of collectSourcePaths, used to locate problems
+     * @returns {Array<{path: string, code: string, message: string, source: object|undefined}>}
+     */
+    validateTaskSteps(document, manifests, sourcePaths) {
+        const violations = [];
+        const report = (documentPath, code, message) => {
+            const violationPath = this.formatDocumentPath(documentPath);
+            const source = sourcePaths ? sourcePaths.get(violationPath) : undefined;
+            violations.push({ path: violationPath, code, message, source });
+        };
+
+        const visit = (node, nodePath) => {
+            if (Array.isArray(node)) {
+                node.forEach((item, index) => visit(item, [...nodePath, index]));
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key.startsWith('__')) continue;
+                if (key === 'steps' && Array.isArray(value)) {
+                    value.forEach((step, index) => {
+                        if (step && typeof step.task === 'string') {
+                            this.validateTaskStep(step, [...nodePath, key, index], manifests, report);
+                        }
+                    });
+                }
+                visit(value, [...nodePath, key]);
+            }
+        };
+        visit(document, []);
+        return violations;
+    }
+
+    validateTaskStep(step, stepPath, manifests, report) {
+        if (step.task.toLowerCase() === CHECKOUT_TASK) {
+            return;
+        }
+        const [name, version] = step.task.split('@').map((part) => part.trim());
+        const taskPath = [...stepPath, 'task'];
+        const versions = manifests.get(name.toLowerCase());
+        if (!versions) {
+            report(taskPath, 'unknown-task', `Task '${name}' is not defined in the task manifests`);
+            return;
+        }
+        const available = [...versions.keys()].sort((left, right) => left - right);
+        const versionMatch = /^(\d+)(\.\d+){0,2}$/.exec(version || '');
+        if (!versionMatch) {
+            const example = `${name}@${available[available.length - 1]}`;
+            report(
+                taskPath,
+                'task-version',
+                `Task '${step.task}' must reference a major version, such as '${example}'`,
+            );
+            return;
+        }
+        const manifest = versions.get(Number(versionMatch[1]));
+        if (!manifest) {
+            const message = `Task '${name}' has no version ${versionMatch[1]}; available: ${available.join(', ')}`;
+            report(taskPath, 'task-version', message);
+            return;
+        }
+
+        const taskName = `${manifest.name}@${manifest.major}`;
+        const definitions = new Map();
+        for (const definition of manifest.inputs) {
+            for (const alias of [definition.name, ...(definition.aliases || [])]) {
+                definitions.set(String(alias).toLowerCase(), definition);
+            }
+        }
+
+        // Provided inputs by definition name, with the key they were given under
+        const provided = new Map();
+        const inputs = step.inputs && typeof step.inputs === 'object' ? step.inputs : {};
+        for (const [key, value] of Object.entries(inputs)) {
+            const definition = definitions.get(key.toLowerCase());
+            if (!definition) {
+                const names = manifest.inputs.flatMap((input) => [input.name, ...(input.aliases || [])]);
+                const suggestion = this.closestName(key, names);
+                const hint = suggestion ? `; did you mean '${suggestion}'?` : '';
+                report(
+                    [...stepPath, 'inputs', key],
+                    'unknown-task-input',
+                    `Unknown input '${key}' for task '${taskName}'${hint}`,
+                );
+                continue;
+            }
+            provided.set(definition.name.toLowerCase(), { key, value });
+        }
+
+        const toText = (value) =>
+            String(value === undefined || value === null ? '' : value).replace(/^__(TRUE|FALSE)__$/, '$1');
+        const valueOf = (inputName) => {
+            const entry = provided.get(inputName.toLowerCase());
+            if (entry) return toText(entry.value);
+            const definition = definitions.get(inputName.toLowerCase());
+            return definition ? toText(definition.defaultValue) : '';
+        };
+
+        for (const definition of manifest.inputs) {
+            const entry = provided.get(definition.name.toLowerCase());
+            if (!entry) {
+                const hasDefault = toText(definition.defaultValue) !== '';
+                if (definition.required && !hasDefault && this.isTaskInputVisible(definition.visibleRule, valueOf)) {
+                    const at = step.inputs ? [...stepPath, 'inputs'] : taskPath;
+                    report(
+                        at,
+                        'missing-task-input',
+                        `Missing required input '${definition.name}' for task '${taskName}'`,
+                    );
+                }
+                continue;
+            }
+
+            const properties = definition.properties || {};
+            const fixedOptions =
+                definition.type === 'pickList' &&
+                definition.options &&
+                String(properties.EditableOptions).toLowerCase() !== 'true' &&
+                !Object.keys(properties).some((property) => property.startsWith('MultiSelect'));
+            const value = toText(entry.value);
+            // Macros and runtime expressions are only known on the agent
+            if (!fixedOptions || /\$[([]/.test(value)) {
+                continue;
+            }
+            const options = Object.keys(definition.options);
+            if (!options.some((option) => option.toLowerCase() === value.toLowerCase())) {
+                report(
+                    [...stepPath, 'inputs', entry.key],
+                    'task-input-value',
+                    `Input '${entry.key}' of task '${taskName}' has value '${value}' which is not one of: ${options.join(', ')}`,
+                );
+            }
+        }
+    }
+
+    /**
+     * Evaluate a task input visibleRule such as "command = build || command = test" or
+     * "a = b && c != d" (case-insensitive). Other operators are treated as visible.
+     */
+    isTaskInputVisible(rule, valueOf) {
+        if (!rule) {
+            return true;
+        }
+        return rule.split('||').some((alternative) =>
+            alternative.split('&&').every((condition) => {
+                const match = /^\s*([\w.]+)\s*(==|!=|=)\s*(.*?)\s*$/.exec(condition);
+                if (!match) {
+                    return true;
+                }
+                const [, inputName, operator, expected] = match;
+                const equal = valueOf(inputName).toLowerCase() === expected.toLowerCase();
+                return operator === '!=' ? !equal : equal;
+            }),
+        );
+    }
 
-        const expandedTemplate = this.expandNode(templateDocument, templateContext) || {};
-        const body = this.extractTemplateBody(expandedTemplate);
-        return body;
+    /**
+     * Tasks of the bundled catalog (data/task-catalog.json) that can be written as `task:` steps,
+     * i.e. without tasks such as checkout that are only available as step shorthands.
+     * @returns {Array<object>} Catalog entries with name, id, friendlyName, description and versions
+     */
+    listCatalogTasks() {
+        return TASK_CATALOG.tasks.filter((task) => !task.shorthandOnly);
+    }
+
+    /**
+     * Look up a `task:` reference such as "Bash@3", "bash" or a task id in the bundled catalog.
+     * Without a version the latest major version is returned.
+     * @param {string} reference - Task name or id, optionally followed by @major[.minor[.patch]]
+     * @returns {{task: object, version: object}|undefined} Catalog entry and its major version
+     */
+    findCatalogTask(reference) {
+        const [name, version = ''] = String(reference || '')
+            .split('@')
+            .map((part) => part.trim().toLowerCase());
+        const task = TASK_CATALOG.tasks.find((entry) => entry.name.toLowerCase() === name || entry.id === name);
+        if (!task) {
+            return undefined;
+        }
+        const major = version.split('.')[0];
+        const match = major
+            ? task.versions.find((entry) => String(entry.major) === major)
+            : task.versions[task.versions.length - 1];
+        return match ? { task, version: match } : undefined;
     }
 
     parseRepositoryTemplateReference(templatePathValue) {
@@ -2612,34 +4748,198 @@ class AzurePipelineParser {
             };
         }
 
+        // Declared repositories without any location may still be found on disk
+        if (
+            repositoryEntry &&
+            context.repositoryDiscovery &&
+            !this.resolveRepositoryLocation(repositoryEntry, context)
+        ) {
+            const discovered = this.discoverRepositoryLocation(alias, repositoryEntry, context.repositoryDiscovery);
+            if (discovered) {
+                repositoryEntry = { ...repositoryEntry, location: discovered.location };
+            }
+        }
+
         return repositoryEntry;
     }
 
-    resolveRepositoryLocation(repositoryEntry, context) {
-        if (!repositoryEntry || typeof repositoryEntry !== 'object') {
-            return undefined;
+    /**
+     * Find the local location of a repository resource that has none configured (with
+     * `discoverRepositories`). The `resourceLocations` of the project configuration file
+     * (`.azure-pipeline-studio.json` or `.yml`, see config.js) in the pipeline's directory or
+     * one of its parents are consulted first. Otherwise the git clones next to the
+     * pipeline's repository are searched for a remote URL ending in the resource's `name`
+     * (`project/repo`, `org/repo` or `repo`); when several match, the one whose URL contains the
+     * `endpoint` wins. Each alias is discovered once per expansion; the configuration file and
+     * the sibling clones are read again only when they change (see readSiblingRemotes).
+     * @param {object} discovery - Discovery state of the expansion ({ root, results })
+     * @returns {{repository: string, location: string, source: string, detail: string}|undefined}
+     */
+    discoverRepositoryLocation(alias, repositoryEntry, discovery) {
+        if (discovery.results.has(alias)) {
+            return discovery.results.get(alias);
+        }
+
+        let result;
+        const configFile = findProjectConfig(discovery.root);
+        const configured = configFile && this.readProjectConfig(configFile).resourceLocations[alias];
+        if (configured) {
+            result = { repository: alias, location: configured, source: 'manifest', detail: configFile };
+        }
+
+        const name = typeof repositoryEntry.name === 'string' ? repositoryEntry.name.trim() : '';
+        if (!result && name) {
+            const gitRoot = path.dirname(this.findUpwards(discovery.root, '.git') || path.join(discovery.root, '.git'));
+            const candidates = [];
+            for (const { directory, urls } of this.readSiblingRemotes(path.dirname(gitRoot))) {
+                const url = directory !== gitRoot && urls.find((remote) => this.remoteMatchesName(remote, name));
+                if (url) {
+                    candidates.push({ repository: alias, location: directory, source: 'remote', detail: url });
+                }
+            }
+            const endpoint = typeof repositoryEntry.endpoint === 'string' ? repositoryEntry.endpoint.toLowerCase() : '';
+            result =
+                (endpoint && candidates.find((candidate) => candidate.detail.toLowerCase().includes(endpoint))) ||
+                candidates[0];
         }
 
-        const location = [
-            repositoryEntry.location,
-            repositoryEntry.path,
-            repositoryEntry.directory,
-            repositoryEntry.localPath,
-        ].find((value) => typeof value === 'string' && value.trim().length);
+        discovery.results.set(alias, result);
+        return result;
+    }
 
-        if (!location) {
-            return undefined;
+    /** The project configuration file at `configFile` (loadProjectConfig), read again when it changes */
+    readProjectConfig(configFile) {
+        const stamp = this.fileStamp(configFile);
+        const cached = this.discoveryCache.configs.get(configFile);
+        if (cached && cached.stamp === stamp) {
+            return cached.config;
         }
+        const config = loadProjectConfig(configFile);
+        this.discoveryCache.configs.set(configFile, { stamp, config });
+        return config;
+    }
 
-        const replaced = this.replaceExpressionsInString(location, context);
-        if (!replaced || typeof replaced !== 'string') {
-            return undefined;
+    /**
+     * Remote URLs of the directories in `parent`, sorted by path. The result is reused until
+     * `parent` or the `.git` of one of its directories changes (modification time or size):
+     * adding or removing a clone changes the parent, and git rewrites a config by renaming it
+     * into `.git`.
+     * @returns {Array<{directory: string, urls: string[]}>}
+     */
+    readSiblingRemotes(parent) {
+        const cached = this.discoveryCache.siblings.get(parent);
+        if (cached && cached.stamps.every(([entryPath, stamp]) => this.fileStamp(entryPath) === stamp)) {
+            return cached.remotes;
         }
 
-        const trimmed = replaced.trim();
-        if (!trimmed) {
-            return undefined;
-        }
+        const stamps = [[parent, this.fileStamp(parent)]];
+        let directories = [];
+        try {
+            directories = fs
+                .readdirSync(parent, { withFileTypes: true })
+                .filter((entry) => entry.isDirectory())
+                .map((entry) => path.join(parent, entry.name))
+                .sort();
+        } catch {
+            // Unreadable parent directory: nothing to discover
+        }
+        const remotes = directories.map((directory) => {
+            const gitEntry = path.join(directory, '.git');
+            stamps.push([gitEntry, this.fileStamp(gitEntry)]);
+            return { directory, urls: this.readGitRemoteUrls(directory) };
+        });
+        this.discoveryCache.siblings.set(parent, { stamps, remotes });
+        return remotes;
+    }
+
+    /** Path of a file or directory named `name` in `directory` or the closest parent that has one */
+    findUpwards(directory, name) {
+        for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+            const candidate = path.join(current, name);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+            if (path.dirname(current) === current) {
+                return undefined;
+            }
+        }
+    }
+
+    /** Remote URLs configured in the git clone at `directory` (none when it is not a clone) */
+    readGitRemoteUrls(directory) {
+        let gitDir = path.join(directory, '.git');
+        try {
+            if (fs.statSync(gitDir).isFile()) {
+                // Worktrees and submodules point to their git directory; worktrees share the main config
+                const pointer = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(gitDir, 'utf8'));
+                gitDir = pointer ? path.resolve(directory, pointer[1].trim()) : gitDir;
+                const commonDir = path.join(gitDir, 'commondir');
+                if (fs.existsSync(commonDir)) {
+                    gitDir = path.resolve(gitDir, fs.readFileSync(commonDir, 'utf8').trim());
+                }
+            }
+            const config = fs.readFileSync(path.join(gitDir, 'config'), 'utf8');
+            return [...config.matchAll(/^\s*url\s*=\s*(.+?)\s*$/gm)].map((match) => match[1]);
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Whether a git remote URL points to the repository named by a resource's `name`, comparing
+     * the trailing path segments case-insensitively (Azure Repos `_git` and SSH `v3` segments are ignored).
+     */
+    remoteMatchesName(url, name) {
+        const segments = url
+            .replace(/^[a-z+]+:\/\//i, '')
+            .replace(/^[^@/]+@/, '')
+            .replace(/\.git\/?$/i, '')
+            .split(/[/:]+/)
+            .filter((segment) => segment && segment !== '_git' && segment !== 'v3')
+            .map((segment) => {
+                try {
+                    return decodeURIComponent(segment).toLowerCase();
+                } catch {
+                    // Malformed escapes (a literal '%') are compared as written
+                    return segment.toLowerCase();
+                }
+            });
+        const expected = name
+            .toLowerCase()
+            .split('/')
+            .filter((segment) => segment);
+        return (
+            expected.length > 0 &&
+            expected.length < segments.length &&
+            expected.every((segment, index) => segments[segments.length - expected.length + index] === segment)
+        );
+    }
+
+    resolveRepositoryLocation(repositoryEntry, context) {
+        if (!repositoryEntry || typeof repositoryEntry !== 'object') {
+            return undefined;
+        }
+
+        const location = [
+            repositoryEntry.location,
+            repositoryEntry.path,
+            repositoryEntry.directory,
+            repositoryEntry.localPath,
+        ].find((value) => typeof value === 'string' && value.trim().length);
+
+        if (!location) {
+            return undefined;
+        }
+
+        const replaced = this.replaceExpressionsInString(location, context);
+        if (!replaced || typeof replaced !== 'string') {
+            return undefined;
+        }
+
+        const trimmed = replaced.trim();
+        if (!trimmed) {
+            return undefined;
+        }
 
         const expanded = this.expandUserHome(trimmed);
 
@@ -2661,6 +4961,89 @@ class AzurePipelineParser {
         return expanded;
     }
 
+    /**
+     * Reader serving the templates of a repository resource at its declared `ref:` from the
+     * local clone at its location (with `useRepositoryRefs`). A `refs/heads/` branch that only
+     * exists as a remote-tracking branch is read from `origin`. When the ref cannot be read,
+     * templates come from the working tree and the record carries a warning.
+     * Each repository is resolved once per expansion; the records are reported as `repositoryRefs`.
+     * @returns {function|undefined} Reader for readTemplateSource, or undefined for the working tree
+     */
+    resolveRepositoryReader(alias, repositoryEntry, repositoryBaseDirectory, context) {
+        if (!context.repositoryRefs || typeof repositoryEntry.ref !== 'string') {
+            return undefined;
+        }
+        if (!context.repositoryRefs.has(alias)) {
+            const ref = String(this.replaceExpressionsInString(repositoryEntry.ref, context)).trim();
+            const record = { repository: alias, ref, location: repositoryBaseDirectory };
+            const candidates = [...new Set([ref, `origin/${ref.replace(/^refs\/heads\//, '')}`])];
+            let lastError;
+            for (const candidate of ref ? candidates : []) {
+                try {
+                    record.readFile = this.getGitRefReader(candidate, repositoryBaseDirectory);
+                    record.commit = record.readFile.commit;
+                    break;
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            if (!record.readFile) {
+                const reason = lastError ? ` (${lastError.message.replace(/\.$/, '')})` : '';
+                record.warning =
+                    `Ref '${ref}' of repository '${alias}' could not be read from ${repositoryBaseDirectory}${reason}; ` +
+                    `its templates are read from the working tree.`;
+            }
+            context.repositoryRefs.set(alias, record);
+        }
+        return context.repositoryRefs.get(alias).readFile;
+    }
+
+    /**
+     * Reader of the files below `location` at a git ref (createGitRefReader), shared by the
+     * expansions of this parser so that re-renders do not run git for every template again.
+     * The ref is resolved again only when the git files it can come from (HEAD, packed-refs and
+     * the loose refs it may name) change; a reader is reused as long as the ref resolves to the
+     * same commit. Refs that cannot be resolved are remembered the same way.
+     * @throws {Error} When `location` is not in a git repository or the ref is unknown
+     */
+    getGitRefReader(ref, location) {
+        const key = `${path.resolve(location)}\0${ref}`;
+        const cached = this.gitRefReaderCache.get(key);
+        const current = (stamps) => stamps && stamps.every(([entryPath, stamp]) => this.fileStamp(entryPath) === stamp);
+        if (cached && current(cached.stamps)) {
+            if (cached.error) {
+                throw cached.error;
+            }
+            return cached.reader;
+        }
+
+        // Loose ref files `ref` may name (gitrevisions), plus HEAD and packed-refs. Refs of worktrees
+        // and submodules, whose .git is a file, and revision expressions are resolved every time.
+        const gitDir = this.findUpwards(location, '.git');
+        let stamps;
+        if (gitDir && fs.statSync(gitDir).isDirectory() && /^[\w./-]+$/.test(ref) && ref !== 'HEAD') {
+            const refFiles = [ref, `refs/${ref}`, `refs/tags/${ref}`, `refs/heads/${ref}`, `refs/remotes/${ref}`];
+            stamps = ['HEAD', 'packed-refs', ...refFiles, `refs/remotes/${ref}/HEAD`].map((name) => {
+                const entryPath = path.join(gitDir, name);
+                return [entryPath, this.fileStamp(entryPath)];
+            });
+        }
+
+        let reader;
+        try {
+            reader = createGitRefReader(ref, location, location);
+        } catch (error) {
+            this.gitRefReaderCache.set(key, { stamps, error });
+            throw error;
+        }
+        // Files read at a commit never change, so the reader of the same commit keeps its contents
+        if (cached && cached.reader && cached.reader.commit === reader.commit) {
+            reader = cached.reader;
+        }
+        this.gitRefReaderCache.set(key, { stamps, reader });
+        return reader;
+    }
+
     expandUserHome(input) {
         if (typeof input !== 'string') {
             return input;
@@ -2673,6 +5056,20 @@ class AzurePipelineParser {
         return input;
     }
 
+    /**
+     * Read a template file. A `readFile` override (for example one serving files from a git ref)
+     * is consulted first: it returns the content, `null` when the file does not exist, or
+     * `undefined` to fall back to the file on disk. `rule` tells how the path was resolved.
+     */
+    readTemplateSource(resolvedPath, identifier, context, rule) {
+        const content = typeof context.readFile === 'function' ? context.readFile(resolvedPath) : undefined;
+        if (content === null || (content === undefined && !fs.existsSync(resolvedPath))) {
+            const lookedFor = rule ? ` (looked for ${resolvedPath} ${rule})` : '';
+            throw new TemplateResolutionError(`Template file not found: ${identifier}${lookedFor}`, 'missing-template');
+        }
+        return content !== undefined ? content : fs.readFileSync(resolvedPath, 'utf8');
+    }
+
     resolveRepositoryBaseDirectory(repositoryLocation, context) {
         const fallback = context.baseDir || process.cwd();
 
@@ -2699,55 +5096,22 @@ class AzurePipelineParser {
         return absoluteLocation;
     }
 
-    resolveTemplateWithinRepository(templatePath, currentDirectory, repositoryBaseDirectory) {
-        if (!templatePath) {
-            return undefined;
-        }
-
+    /** Absolute path of a template path below a directory; leading slashes do not make it absolute */
+    resolveTemplatePath(templatePath, baseDirectory) {
         const parts = String(templatePath)
             .replace(/^[\\/]+/, '')
             .split(/[\\/]+/)
-            .filter((segment) => segment && segment.length);
-
-        const candidateBases = [];
-
-        if (repositoryBaseDirectory) {
-            candidateBases.push(repositoryBaseDirectory);
-        }
-
-        if (
-            currentDirectory &&
-            (!repositoryBaseDirectory || path.normalize(repositoryBaseDirectory) !== path.normalize(currentDirectory))
-        ) {
-            candidateBases.push(currentDirectory);
-        }
-
-        if (!candidateBases.length) {
-            return undefined;
-        }
-
-        const candidateFiles = candidateBases.map((base) =>
-            parts.length ? path.resolve(base, ...parts) : path.normalize(base),
-        );
-
-        for (const candidate of candidateFiles) {
-            try {
-                const stat = fs.statSync(candidate);
-                if (stat.isFile()) {
-                    return path.normalize(candidate);
-                }
-            } catch (error) {
-                // Candidate does not exist relative to this base; continue searching
-            }
-        }
-
-        return candidateFiles[0];
+            .filter((segment) => segment.length);
+        return path.resolve(baseDirectory, ...parts);
     }
 
     expandNodePreservingTemplates(node, context) {
         if (node === null || node === undefined) {
             return node;
         }
+        if (context.capture) {
+            this.captureNodeContext(node, context);
+        }
 
         // Helper to push expanded values into result array
         const pushExpanded = (result, expanded) => {
@@ -2790,19 +5154,7 @@ class AzurePipelineParser {
                             const [condKey, condBody] = chainEntries[0];
                             if (!this.isConditionalDirective(condKey)) break;
 
-                            const shouldExecute =
-                                !branchTaken &&
-                                (this.isElseDirective(condKey) ||
-                                    this.toBoolean(
-                                        this.evaluateExpression(
-                                            this.isIfDirective(condKey)
-                                                ? this.parseIfCondition(condKey)
-                                                : this.parseElseIfCondition(condKey),
-                                            context,
-                                        ),
-                                    ));
-
-                            if (shouldExecute) {
+                            if (this.evaluateChainBranch(chainItem, condKey, branchTaken, context)) {
                                 pushExpanded(result, this.expandNodePreservingTemplates(condBody, context));
                                 branchTaken = true;
                             }
@@ -2829,6 +5181,7 @@ class AzurePipelineParser {
                 }
 
                 const expanded = this.expandNodePreservingTemplates(item, context);
+                this.recordExpressionValues(node, i, item, context);
                 if (expanded !== null && expanded !== undefined) {
                     if (
                         typeof expanded === 'object' &&
@@ -2871,7 +5224,7 @@ class AzurePipelineParser {
                             break;
                         }
 
-                        if (!branchTaken && this.evaluateConditional(condKey, context)) {
+                        if (this.evaluateChainBranch(node, condKey, branchTaken, context)) {
                             const expanded = this.expandNodePreservingTemplates(condBody, context);
                             if (expanded && typeof expanded === 'object' && !Array.isArray(expanded)) {
                                 Object.assign(result, expanded);
@@ -2901,8 +5254,11 @@ class AzurePipelineParser {
 
                 const expandedKey = typeof key === 'string' ? this.replaceExpressionsInString(key, context) : key;
                 result[expandedKey] = this.expandNodePreservingTemplates(value, context);
+                this.recordExpressionValues(node, key, key, context);
+                this.recordExpressionValues(node, key, value, context);
                 i++;
             }
+            this.inheritProvenance(node, result, context);
             return result;
         }
 
@@ -2988,6 +5344,909 @@ class AzurePipelineParser {
         return [];
     }
 
+    isExtendsDocument(document) {
+        return (
+            document &&
+            typeof document === 'object' &&
+            !Array.isArray(document) &&
+            this.isTemplateReference(document.extends)
+        );
+    }
+
+    /**
+     * Expand a document whose root contains `extends: template:`.
+     * Root keys (trigger, resources, variables, ...) are expanded first so the extended
+     * template sees root variables, then the template's stages/jobs/steps are merged in.
+     * @param {object} document - Document with an `extends` template reference
+     * @param {object} context - Execution context
+     * @returns {object} The merged, expanded document
+     */
+    expandExtendsDocument(document, context) {
+        const { extends: extendsNode, ...rootEntries } = document;
+        this.inheritProvenance(document, rootEntries, context);
+        const expandedRoot = this.expandNode(rootEntries, context) || {};
+        const expandedTemplate = this.expandTemplateDocument(extendsNode, context);
+        const merged = this.mergeExtendedDocument(expandedRoot, expandedTemplate);
+        this.inheritProvenance(expandedTemplate, merged, context);
+        this.inheritProvenance(expandedRoot, merged, context);
+        return merged;
+    }
+
+    mergeExtendedDocument(rootDocument, templateDocument) {
+        if (!templateDocument || typeof templateDocument !== 'object' || Array.isArray(templateDocument)) {
+            return rootDocument;
+        }
+
+        const merged = { ...rootDocument };
+        for (const [key, value] of Object.entries(templateDocument)) {
+            // Template parameter definitions are not part of the resulting pipeline
+            if (key === 'parameters') {
+                continue;
+            }
+            if (key === 'variables' && merged.variables !== undefined) {
+                merged.variables = this.mergeVariableBlocks(merged.variables, value);
+                continue;
+            }
+            merged[key] = value;
+        }
+
+        return merged;
+    }
+
+    mergeVariableBlocks(baseVariables, extraVariables) {
+        if (extraVariables === undefined || extraVariables === null) {
+            return baseVariables;
+        }
+
+        const isMapping = (value) => value && typeof value === 'object' && !Array.isArray(value);
+        if (isMapping(baseVariables) && isMapping(extraVariables)) {
+            return { ...baseVariables, ...extraVariables };
+        }
+
+        const toList = (value) => {
+            if (Array.isArray(value)) {
+                return value;
+            }
+            if (isMapping(value)) {
+                return Object.entries(value).map(([name, entry]) => ({ name, value: entry }));
+            }
+            return [];
+        };
+
+        return [...toList(baseVariables), ...toList(extraVariables)];
+    }
+
+    /**
+     * Simulate a pipeline run against a runtime scenario.
+     * Evaluates `$[ ]` variables and `condition:` fields in dependency order using the
+     * job/stage results and outputs supplied by the scenario, and records an annotation
+     * (document path + message) for every stage, job, step and runtime variable.
+     * @param {object} document - Expanded pipeline document
+     * @param {object} context - Execution context used for expansion
+     * @param {object} scenario - Runtime scenario ({ canceled, variables, stages, jobs })
+     * @returns {object} Simulation results ({ annotations, stages, jobs })
+     */
+    simulateRuntime(document, context, scenario = {}) {
+        const state = {
+            scenario: this.normalizeRuntimeScenario(scenario),
+            annotations: [],
+            stages: {},
+            jobs: {},
+        };
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return state;
+        }
+
+        const baseVariables = { ...context.variables, ...state.scenario.variables };
+
+        if (Array.isArray(document.stages)) {
+            const rootVariables = this.evaluateRuntimeVariables(
+                document.variables,
+                ['variables'],
+                baseVariables,
+                this.createRuntimeState(state, {}, {}),
+                context,
+                state,
+            );
+            const stageResults = this.simulateDependencyGroup(
+                document.stages,
+                ['stages'],
+                'stage',
+                state,
+                context,
+                (stage, stagePath, name) => this.simulateStage(stage, stagePath, name, rootVariables, state, context),
+                rootVariables,
+            );
+            for (const [stageName, result] of Object.entries(stageResults)) {
+                if (!state.stages[stageName]) {
+                    state.stages[stageName] = { result, outputs: {}, jobs: {} };
+                }
+            }
+        } else if (Array.isArray(document.jobs)) {
+            // Stage-less pipelines run their jobs in an implicit stage
+            this.simulateStage(document, [], '__default', baseVariables, state, context);
+        } else if (Array.isArray(document.steps)) {
+            const runtime = this.createRuntimeState(state, {}, {});
+            this.simulateJob(document, [], '__default', 'Job', baseVariables, runtime, state, context);
+        }
+
+        return state;
+    }
+
+    normalizeRuntimeScenario(scenario) {
+        const source = scenario && typeof scenario === 'object' ? scenario : {};
+        const normalizeEntries = (entries) => {
+            const result = {};
+            if (!entries || typeof entries !== 'object') {
+                return result;
+            }
+            for (const [name, entry] of Object.entries(entries)) {
+                const value = entry && typeof entry === 'object' ? { ...entry } : { result: entry };
+                if (value.result !== undefined) {
+                    value.result = this.normalizeRuntimeResult(value.result);
+                }
+                result[name] = value;
+            }
+            return result;
+        };
+
+        return {
+            canceled: this.toBoolean(this.parseBooleanString(source.canceled)),
+            variables: source.variables && typeof source.variables === 'object' ? { ...source.variables } : {},
+            stages: normalizeEntries(source.stages),
+            jobs: normalizeEntries(source.jobs),
+        };
+    }
+
+    normalizeRuntimeResult(value) {
+        const lowered = String(value).trim().toLowerCase();
+        const match = RUNTIME_RESULTS.find((result) => result.toLowerCase() === lowered);
+        if (!match) {
+            throw new Error(
+                `Invalid runtime result '${value}' in runtime scenario. Expected one of: ${RUNTIME_RESULTS.join(', ')}.`,
+            );
+        }
+        return match;
+    }
+
+    /**
+     * Walk stages or jobs in dependency order, evaluating each condition against the
+     * results of the items it depends on. `run` simulates an item that will execute and
+     * returns its result.
+     */
+    simulateDependencyGroup(items, basePath, kind, state, context, run, scopeVariables = {}) {
+        const nodes = items
+            .map((item, index) => {
+                if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                    return undefined;
+                }
+                const name = String(this.pickFirstDefined(item[kind], item.deployment, `${kind}${index + 1}`));
+                let dependsOn = item.dependsOn;
+                if (dependsOn === undefined) {
+                    // Stages implicitly depend on the previous stage; jobs run in parallel
+                    const previous = kind === 'stage' && index > 0 ? items[index - 1] : undefined;
+                    dependsOn = previous && previous.stage ? [previous.stage] : [];
+                }
+                return { item, index, name, dependsOn: [].concat(dependsOn || []).map(String) };
+            })
+            .filter(Boolean);
+
+        const results = {};
+        const outputs = {};
+        const pending = [...nodes];
+
+        while (pending.length) {
+            let readyIndex = pending.findIndex((node) =>
+                node.dependsOn.every((dep) => results[dep] !== undefined || !nodes.some((n) => n.name === dep)),
+            );
+            if (readyIndex === -1) {
+                // Dependency cycle: process in declaration order rather than looping forever
+                readyIndex = 0;
+            }
+            const [node] = pending.splice(readyIndex, 1);
+            const itemPath = [...basePath, node.index];
+
+            const graphResults = {};
+            const collectAncestors = (names) => {
+                names.forEach((dep) => {
+                    if (graphResults[dep] !== undefined) {
+                        return;
+                    }
+                    graphResults[dep] = results[dep] !== undefined ? results[dep] : 'Skipped';
+                    const parent = nodes.find((n) => n.name === dep);
+                    if (parent) {
+                        collectAncestors(parent.dependsOn);
+                    }
+                });
+            };
+            collectAncestors(node.dependsOn);
+
+            const dependencies = {};
+            node.dependsOn.forEach((dep) => {
+                dependencies[dep] = { result: graphResults[dep], outputs: outputs[dep] || {} };
+            });
+
+            const runtime = this.createRuntimeState(state, graphResults, dependencies);
+            const evaluation = this.evaluateRuntimeCondition(node.item.condition, runtime, scopeVariables, context);
+
+            let result;
+            if (evaluation.runs) {
+                const outcome = run(node.item, itemPath, node.name, runtime);
+                result = outcome.result;
+                outputs[node.name] = outcome.outputs || {};
+                this.addRuntimeAnnotation(
+                    state,
+                    itemPath,
+                    `runtime: runs, result ${result} (condition: ${evaluation.condition})`,
+                );
+            } else {
+                result = 'Skipped';
+                outputs[node.name] = {};
+                this.addRuntimeAnnotation(
+                    state,
+                    itemPath,
+                    `runtime: skipped (condition: ${evaluation.condition} evaluated to False)`,
+                );
+            }
+            results[node.name] = result;
+        }
+
+        return results;
+    }
+
+    simulateStage(stage, stagePath, stageName, parentVariables, state, context) {
+        const stageRuntime = this.createRuntimeState(state, {}, {});
+        const stageVariables = this.evaluateRuntimeVariables(
+            stage.variables,
+            [...stagePath, 'variables'],
+            parentVariables,
+            stageRuntime,
+            context,
+            state,
+        );
+
+        const jobs = Array.isArray(stage.jobs) ? stage.jobs : [];
+        const jobResults = this.simulateDependencyGroup(
+            jobs,
+            [...stagePath, 'jobs'],
+            'job',
+            state,
+            context,
+            (job, jobPath, jobName, runtime) =>
+                this.simulateJob(job, jobPath, stageName, jobName, stageVariables, runtime, state, context),
+            stageVariables,
+        );
+
+        const stageOutputs = {};
+        for (const [jobName, jobResult] of Object.entries(jobResults)) {
+            const jobKey = `${stageName}.${jobName}`;
+            if (!state.jobs[jobKey]) {
+                state.jobs[jobKey] = { result: jobResult, outputs: {} };
+            }
+            for (const [key, value] of Object.entries(state.jobs[jobKey].outputs)) {
+                stageOutputs[`${jobName}.${key}`] = value;
+            }
+        }
+
+        const scenarioStage = state.scenario.stages[stageName] || {};
+        const result = scenarioStage.result || this.aggregateRuntimeResults(Object.values(jobResults));
+        state.stages[stageName] = { result, outputs: stageOutputs, jobs: jobResults };
+
+        return { result, outputs: stageOutputs };
+    }
+
+    simulateJob(job, jobPath, stageName, jobName, parentVariables, runtime, state, context) {
+        const scenarioJob = state.scenario.jobs[`${stageName}.${jobName}`] || state.scenario.jobs[jobName] || {};
+        const jobVariables = this.evaluateRuntimeVariables(
+            job.variables,
+            [...jobPath, 'variables'],
+            parentVariables,
+            runtime,
+            context,
+            state,
+        );
+
+        let jobStatus = 'Succeeded';
+        const stepResults = scenarioJob.steps && typeof scenarioJob.steps === 'object' ? scenarioJob.steps : {};
+        const steps = Array.isArray(job.steps) ? job.steps : [];
+
+        steps.forEach((step, index) => {
+            if (!step || typeof step !== 'object') {
+                return;
+            }
+            const stepPath = [...jobPath, 'steps', index];
+            const stepRuntime = this.createRuntimeState(state, { [jobName]: jobStatus }, runtime.dependencies);
+            const evaluation = this.evaluateRuntimeCondition(step.condition, stepRuntime, jobVariables, context);
+
+            if (!evaluation.runs) {
+                this.addRuntimeAnnotation(
+                    state,
+                    stepPath,
+                    `runtime: skipped (condition: ${evaluation.condition} evaluated to False)`,
+                );
+                return;
+            }
+
+            const stepName = step.name !== undefined ? String(step.name) : undefined;
+            const stepResult =
+                stepName && stepResults[stepName] !== undefined
+                    ? this.normalizeRuntimeResult(stepResults[stepName])
+                    : 'Succeeded';
+
+            if (stepResult === 'Failed' || stepResult === 'Canceled') {
+                const continueOnError = this.toBoolean(this.parseBooleanString(step.continueOnError));
+                if (continueOnError) {
+                    jobStatus = jobStatus === 'Succeeded' ? 'SucceededWithIssues' : jobStatus;
+                } else {
+                    jobStatus = stepResult;
+                }
+            }
+
+            this.addRuntimeAnnotation(
+                state,
+                stepPath,
+                `runtime: runs, result ${stepResult} (condition: ${evaluation.condition})`,
+            );
+        });
+
+        const result = scenarioJob.result || jobStatus;
+        const outputs =
+            scenarioJob.outputs && typeof scenarioJob.outputs === 'object' ? { ...scenarioJob.outputs } : {};
+        state.jobs[`${stageName}.${jobName}`] = { result, outputs };
+
+        return { result, outputs };
+    }
+
+    aggregateRuntimeResults(results) {
+        if (!results.length) {
+            return 'Succeeded';
+        }
+        if (results.includes('Failed')) {
+            return 'Failed';
+        }
+        if (results.includes('Canceled')) {
+            return 'Canceled';
+        }
+        if (results.every((result) => result === 'Skipped')) {
+            return 'Skipped';
+        }
+        if (results.includes('SucceededWithIssues')) {
+            return 'SucceededWithIssues';
+        }
+        return 'Succeeded';
+    }
+
+    createRuntimeState(state, graphResults, dependencies) {
+        const stageDependencies = {};
+        for (const [key, job] of Object.entries(state.jobs)) {
+            const separator = key.indexOf('.');
+            const stageName = key.slice(0, separator);
+            const jobName = key.slice(separator + 1);
+            stageDependencies[stageName] = stageDependencies[stageName] || {};
+            stageDependencies[stageName][jobName] = { result: job.result, outputs: job.outputs };
+        }
+
+        return {
+            canceled: state.scenario.canceled,
+            graphResults,
+            dependencies,
+            stageDependencies,
+        };
+    }
+
+    createRuntimeContext(context, variables, runtime) {
+        return {
+            parameters: context.parameters,
+            variables,
+            resources: context.resources,
+            locals: {},
+            counters: context.counters,
+            pipelineStartTime: context.pipelineStartTime,
+            runtime,
+        };
+    }
+
+    evaluateRuntimeCondition(condition, runtime, variables, context) {
+        if (condition === undefined || condition === null || condition === '') {
+            const runs = this.isSucceeded([], { runtime });
+            return { runs, condition: 'succeeded()' };
+        }
+
+        if (typeof condition === 'boolean') {
+            return { runs: condition, condition: condition ? 'True' : 'False' };
+        }
+
+        const text = String(condition).trim();
+        const lowered = text.toLowerCase();
+        if (lowered === '__true__' || lowered === '__false__') {
+            const runs = lowered === '__true__';
+            return { runs, condition: runs ? 'True' : 'False' };
+        }
+
+        const expression = this.stripRuntimeExpressionDelimiters(text);
+        const value = this.evaluateExpression(expression, this.createRuntimeContext(context, variables, runtime));
+        return { runs: this.toBoolean(value), condition: text };
+    }
+
+    /**
+     * Evaluate `$[ ]` variables in a variables block (mapping or list form) and return the
+     * variables visible to the scope. Each evaluated value is annotated in the output.
+     */
+    evaluateRuntimeVariables(variablesNode, variablesPath, parentVariables, runtime, context, state) {
+        const scopeVariables = { ...parentVariables };
+        if (!variablesNode || typeof variablesNode !== 'object') {
+            return scopeVariables;
+        }
+
+        const evaluate = (name, value, valuePath) => {
+            if (!this.isRuntimeExpression(value)) {
+                scopeVariables[name] = value;
+                return;
+            }
+            const expression = this.stripRuntimeExpressionDelimiters(value);
+            const evaluated = this.evaluateExpression(
+                expression,
+                this.createRuntimeContext(context, scopeVariables, runtime),
+            );
+            const display = this.formatRuntimeValue(evaluated);
+            scopeVariables[name] = display;
+            this.addRuntimeAnnotation(state, valuePath, `runtime value: ${display}`);
+        };
+
+        if (Array.isArray(variablesNode)) {
+            variablesNode.forEach((entry, index) => {
+                if (entry && typeof entry === 'object' && entry.name !== undefined) {
+                    evaluate(String(entry.name), entry.value, [...variablesPath, index, 'value']);
+                } else if (entry && typeof entry === 'object' && entry.group !== undefined) {
+                    Object.assign(scopeVariables, this.getVariableGroupVariables(entry.group, context.variableGroups));
+                }
+            });
+        } else {
+            for (const [name, value] of Object.entries(variablesNode)) {
+                evaluate(name, value, [...variablesPath, name]);
+            }
+        }
+
+        return scopeVariables;
+    }
+
+    isRuntimeExpression(value) {
+        return typeof value === 'string' && /^\s*\$\[[\s\S]*\]\s*$/.test(value);
+    }
+
+    stripRuntimeExpressionDelimiters(expr) {
+        return this.isRuntimeExpression(expr)
+            ? expr.trim().replace(/^\$\[/, '').replace(/\]$/, '').trim()
+            : String(expr).trim();
+    }
+
+    formatRuntimeValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (typeof value === 'string') {
+            const lowered = value.toLowerCase();
+            if (lowered === '__true__') return 'True';
+            if (lowered === '__false__') return 'False';
+            return value;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        if (value instanceof PipelineVersion || value instanceof Date) {
+            return this.toExpressionString(value);
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    addRuntimeAnnotation(state, annotationPath, message) {
+        state.annotations.push({ path: annotationPath, message });
+    }
+
+    /**
+     * Attach runtime simulation annotations to the YAML AST as comments:
+     * before the stage/job/step mapping, or trailing a runtime variable value.
+     */
+    applyRuntimeAnnotations(yamlDoc, annotations) {
+        for (const annotation of annotations) {
+            const node = annotation.path.length ? yamlDoc.getIn(annotation.path, true) : yamlDoc.contents;
+            if (!node || typeof node !== 'object') {
+                continue;
+            }
+            const message = ` ${annotation.message}`;
+            if (node.items) {
+                node.commentBefore = node.commentBefore ? `${node.commentBefore}\n${message}` : message;
+            } else {
+                node.comment = message;
+            }
+        }
+    }
+
+    /**
+     * Substitute `$(name)` macros with statically known variable values in displayNames,
+     * step inputs and inline scripts. Stage and job variables are visible to their children;
+     * macro names are matched case-insensitively like Azure does. Unknown macros and
+     * variables holding `$[ ]` runtime expressions are left intact.
+     * @param {object} document - Expanded pipeline document (modified in place)
+     * @param {object} variables - Variables visible at the document root
+     * @returns {Array<{name: string, path: Array}>} Macros that could not be resolved
+     */
+    resolveMacros(document, variables = {}, variableGroups = {}) {
+        const unresolved = [];
+        this.resolveMacrosInNode(document, [], variables, unresolved, variableGroups);
+        return unresolved;
+    }
+
+    resolveMacrosInNode(node, nodePath, variables, unresolved, variableGroups = {}) {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) =>
+                this.resolveMacrosInNode(item, [...nodePath, index], variables, unresolved, variableGroups),
+            );
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+
+        const isScope =
+            nodePath.length > 0 &&
+            (node.stage !== undefined || node.job !== undefined || node.deployment !== undefined);
+        const scopeVariables =
+            isScope && node.variables ? { ...variables, ...this.extractVariables(node, variableGroups) } : variables;
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'variables' || key.startsWith('__')) {
+                continue;
+            }
+            const valuePath = [...nodePath, key];
+            if (typeof value === 'string' && (key === 'displayName' || MACRO_SCRIPT_KEYS.includes(key))) {
+                node[key] = this.substituteMacros(value, scopeVariables, valuePath, unresolved);
+            } else if (key === 'inputs' && value && typeof value === 'object') {
+                this.substituteMacrosInValues(value, valuePath, scopeVariables, unresolved);
+            } else {
+                this.resolveMacrosInNode(value, valuePath, scopeVariables, unresolved, variableGroups);
+            }
+        }
+    }
+
+    substituteMacrosInValues(node, nodePath, variables, unresolved) {
+        for (const [key, value] of Object.entries(node)) {
+            const valuePath = [...nodePath, Array.isArray(node) ? Number(key) : key];
+            if (typeof value === 'string') {
+                node[key] = this.substituteMacros(value, variables, valuePath, unresolved);
+            } else if (value && typeof value === 'object') {
+                this.substituteMacrosInValues(value, valuePath, variables, unresolved);
+            }
+        }
+    }
+
+    /**
+     * Replace known macros in a single string. Variable values that contain macros
+     * themselves are resolved recursively; self-references are reported as unresolved.
+     */
+    substituteMacros(text, variables, valuePath, unresolved, resolving = []) {
+        if (!text.includes('$(')) {
+            return text;
+        }
+
+        return text.replace(MACRO_PATTERN, (match, name) => {
+            const key = Object.keys(variables).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+            const value = key !== undefined ? variables[key] : undefined;
+            const lowered = name.toLowerCase();
+            if (
+                value === undefined ||
+                value === null ||
+                this.isRuntimeExpression(value) ||
+                resolving.includes(lowered)
+            ) {
+                if (!unresolved.some((entry) => entry.name === name && entry.path.join('.') === valuePath.join('.'))) {
+                    unresolved.push({ name, path: valuePath });
+                }
+                return match;
+            }
+            return this.substituteMacros(this.formatRuntimeValue(value), variables, valuePath, unresolved, [
+                ...resolving,
+                lowered,
+            ]);
+        });
+    }
+
+    /**
+     * Format a document path (['stages', 0, 'jobs', 1]) for messages: `stages[0].jobs[1]`.
+     */
+    formatDocumentPath(documentPath) {
+        return documentPath
+            .map((segment, index) =>
+                typeof segment === 'number' ? `[${segment}]` : index === 0 ? segment : `.${segment}`,
+            )
+            .join('');
+    }
+
+    /**
+     * Record the source position of every mapping, sequence, key and sequence item of a
+     * parsed document in `context.provenance` (keyed by the parsed JSON objects).
+     * Positions are 1-based and measured on the original text, before `${{ }}` masking.
+     * @param {YAML.Document} yamlDoc - Parsed YAML document (parsed with a LineCounter)
+     * @param {object} document - The document's JSON value (after restoreCompileTimeExpressions)
+     * @param {object} source - { file, template, repository } describing the document
+     * @param {string} normalizedText - Text that was parsed
+     * @param {YAML.LineCounter} lineCounter - Line counter used while parsing
+     * @param {object} context - Execution context holding the provenance map
+     */
+    recordProvenance(yamlDoc, document, source, normalizedText, lineCounter, context) {
+        const lines = normalizedText.split('\n');
+        const positionOf = (offset) => {
+            const { line, col } = lineCounter.linePos(offset);
+            const column = this.restoreCompileTimeExpressions((lines[line - 1] || '').slice(0, col - 1)).length + 1;
+            return { ...source, line, column };
+        };
+        // Nodes also record their last line, so a line can be matched to the node containing it
+        const rangeOf = (node) => {
+            const range = { ...positionOf(node.range[0]), endLine: lineCounter.linePos(node.range[1]).line };
+            this.recordCaptureCandidate(range, context.capture);
+            return range;
+        };
+
+        const visit = (node, value) => {
+            if (!node || !node.range || !value || typeof value !== 'object') {
+                return;
+            }
+            if (YAML.isMap(node) && !Array.isArray(value)) {
+                const entry = { ...rangeOf(node), keys: {} };
+                for (const pair of node.items) {
+                    if (!pair.key || !pair.key.range || pair.key.value === undefined) continue;
+                    const key = this.restoreCompileTimeExpressions(String(pair.key.value));
+                    entry.keys[key] = positionOf(pair.key.range[0]);
+                    visit(pair.value, value[key]);
+                }
+                context.provenance.set(value, entry);
+            } else if (YAML.isSeq(node) && Array.isArray(value)) {
+                const entry = { ...rangeOf(node), items: {} };
+                node.items.forEach((item, index) => {
+                    if (item && item.range) {
+                        entry.items[index] = positionOf(item.range[0]);
+                    }
+                    visit(item, value[index]);
+                });
+                context.provenance.set(value, entry);
+            }
+        };
+
+        visit(yamlDoc.contents, document);
+    }
+
+    /**
+     * Give an object produced during expansion the provenance of the object it was built from.
+     * @param {object} source - Original object
+     * @param {object} target - Expanded object
+     * @param {object} context - Execution context
+     * @param {object} keyOrigins - Map of target key to the source key it came from
+     * @param {string} positionKey - Use the position of this source key as the target's position
+     */
+    inheritProvenance(source, target, context, keyOrigins = {}, positionKey = undefined) {
+        const provenance = context && context.provenance;
+        const entry = provenance && source && typeof source === 'object' ? provenance.get(source) : undefined;
+        if (!entry || !target || typeof target !== 'object' || provenance.has(target)) {
+            return;
+        }
+
+        const keys = { ...entry.keys };
+        for (const [key, origin] of Object.entries(keyOrigins)) {
+            if (keys[origin]) keys[key] = keys[origin];
+        }
+        const position = positionKey && keys[positionKey] ? keys[positionKey] : entry;
+        provenance.set(target, { ...position, keys });
+    }
+
+    inheritArrayProvenance(source, target, context, itemOrigins) {
+        const provenance = context && context.provenance;
+        const entry = provenance ? provenance.get(source) : undefined;
+        if (!entry || provenance.has(target)) {
+            return;
+        }
+
+        const items = {};
+        for (const [index, origin] of Object.entries(itemOrigins)) {
+            if (entry.items[origin]) items[index] = entry.items[origin];
+        }
+        provenance.set(target, { ...entry, items });
+    }
+
+    /**
+     * Resolve the source of every node of an expanded document. Nodes without a recorded
+     * position (for example objects produced by expressions) use the position of their key.
+     * @returns {Map<string, object>} Document path (see formatDocumentPath) to source position
+     */
+    collectSourcePaths(document, provenance) {
+        const sources = new Map();
+        const toSource = ({ keys, items, endLine, ...source }) => source;
+
+        // `located` is where the parent places this node (its key or sequence item position)
+        const visit = (node, nodePath, located) => {
+            const entry = node && typeof node === 'object' ? provenance.get(node) : undefined;
+            const position = located || entry;
+            if (position) {
+                sources.set(this.formatDocumentPath(nodePath), toSource(position));
+            }
+
+            const own = entry || located;
+            if (Array.isArray(node)) {
+                node.forEach((item, index) => {
+                    const itemSource = entry && entry.items && entry.items[index];
+                    visit(item, [...nodePath, index], itemSource || own);
+                });
+            } else if (node && typeof node === 'object') {
+                for (const [key, value] of Object.entries(node)) {
+                    if (key.startsWith('__')) continue;
+                    const keySource = entry && entry.keys && entry.keys[key];
+                    visit(value, [...nodePath, key], keySource || own);
+                }
+            }
+        };
+
+        visit(document, [], undefined);
+        return sources;
+    }
+
+    /**
+     * Map the lines of rendered YAML text back to their sources. The text is parsed again
+     * so the map stays valid after reformatting.
+     * @param {string} text - Rendered YAML
+     * @param {Map<string, object>} sourcePaths - Result of collectSourcePaths
+     * @returns {{version: number, mappings: Array<{line: number, column: number, path: string, source: object}>}}
+     */
+    createSourceMap(text, sourcePaths) {
+        const lineCounter = new YAML.LineCounter();
+        const yamlDoc = YAML.parseDocument(text, { lineCounter });
+        const mappings = [];
+
+        const add = (offset, nodePath) => {
+            const documentPath = this.formatDocumentPath(nodePath);
+            const source = sourcePaths.get(documentPath);
+            if (source) {
+                const { line, col } = lineCounter.linePos(offset);
+                mappings.push({ line, column: col, path: documentPath, source });
+            }
+        };
+
+        const visit = (node, nodePath) => {
+            if (YAML.isMap(node)) {
+                for (const pair of node.items) {
+                    if (!pair.key || !pair.key.range) continue;
+                    const childPath = [...nodePath, String(pair.key.value)];
+                    add(pair.key.range[0], childPath);
+                    visit(pair.value, childPath);
+                }
+            } else if (YAML.isSeq(node)) {
+                node.items.forEach((item, index) => {
+                    if (!item || !item.range) return;
+                    add(item.range[0], [...nodePath, index]);
+                    visit(item, [...nodePath, index]);
+                });
+            }
+        };
+
+        visit(yamlDoc.contents, []);
+        return { version: 1, mappings };
+    }
+
+    /**
+     * Find the source of a rendered line: the innermost node starting on that line, or
+     * the closest node above it (for example inside a multi-line script).
+     * @param {object} sourceMap - Result of createSourceMap
+     * @param {number} line - 1-based line in the rendered text
+     * @returns {object|undefined} The matching mapping
+     */
+    findSourceMapping(sourceMap, line) {
+        let match;
+        for (const mapping of sourceMap.mappings) {
+            if (mapping.line > line) continue;
+            if (!match || mapping.line >= match.line) {
+                match = mapping;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Source position of a key or sequence item of a parsed node, used to record expression
+     * evaluations. Only available when source maps are enabled.
+     * @returns {object|undefined} Position ({ file, line, column, ... }) plus the `key` text
+     */
+    evaluationSite(container, slot, context) {
+        const position = context.evaluations ? this.sourcePositionOf(container, slot, context) : undefined;
+        return position && position.file ? { ...position, key: slot } : undefined;
+    }
+
+    /**
+     * Source position of a key (string slot) or sequence item (numeric slot) of a parsed node,
+     * or of the node itself when no slot is given. Requires source maps.
+     * @returns {object|undefined} { file, line, column, template, repository }
+     */
+    sourcePositionOf(container, slot, context) {
+        const entry =
+            context.provenance && container && typeof container === 'object'
+                ? context.provenance.get(container)
+                : undefined;
+        if (!entry) {
+            return undefined;
+        }
+        const position = slot === undefined ? entry : (typeof slot === 'number' ? entry.items : entry.keys)?.[slot];
+        if (!position) {
+            return undefined;
+        }
+        const { keys, items, endLine, ...source } = position;
+        return source;
+    }
+
+    /**
+     * Record the outcome of a `${{ }}` expression at a source position: the value of an
+     * expression, whether an if/elseif/else branch ran, or the iteration count of an each loop.
+     * Every expansion of the position (each iteration, each template include) adds a record.
+     */
+    recordEvaluation(site, directive, details, context) {
+        context.evaluations.push({
+            file: site.file,
+            line: site.line,
+            column: site.column,
+            expression: this.isFullExpression(String(directive).trim())
+                ? this.stripExpressionDelimiters(String(directive).trim())
+                : String(directive).trim(),
+            locals: { ...context.locals },
+            ...details,
+        });
+    }
+
+    /** Record the value of every `${{ }}` expression in a key or scalar value at a source position */
+    recordExpressionValues(container, slot, text, context) {
+        if (typeof text !== 'string' || !text.includes('${{')) {
+            return;
+        }
+        const site = this.evaluationSite(container, slot, context);
+        if (!site) {
+            return;
+        }
+        for (const [, expr] of text.matchAll(EXPRESSION_PATTERN)) {
+            const value = this.evaluateExpression(expr, context);
+            this.recordEvaluation(site, expr, { kind: 'value', text: this.formatRuntimeValue(value) }, context);
+        }
+    }
+
+    /**
+     * Find the recorded evaluations of an expression on a source line. Values of block scalars
+     * are recorded at their key, so the closest position at or above the line is used.
+     * @param {Array} evaluations - Result of expandPipelineToResult with `sourceMap` set
+     * @param {string} file - Pipeline or template file
+     * @param {number} line - 1-based line of the expression
+     * @param {string} expression - Expression text, with or without ${{ }} delimiters
+     * @returns {Array} Records of the expression, one per expansion
+     */
+    findEvaluations(evaluations, file, line, expression) {
+        const trimmed = String(expression).trim();
+        const expr = this.isFullExpression(trimmed) ? this.stripExpressionDelimiters(trimmed) : trimmed;
+        const resolved = path.resolve(file);
+        const candidates = (evaluations || []).filter(
+            (record) => record.expression === expr && record.line <= line && path.resolve(record.file) === resolved,
+        );
+        const closest = Math.max(...candidates.map((record) => record.line));
+        return candidates.filter((record) => record.line === closest);
+    }
+
+    /** Whether a branch of an if/elseif/else chain runs, recording the outcome for hovers */
+    evaluateChainBranch(container, key, branchTaken, context) {
+        const runs = !branchTaken && this.evaluateConditional(key, context);
+        const site = this.evaluationSite(container, key, context);
+        if (site) {
+            const outcome = branchTaken ? 'skipped' : runs ? 'taken' : 'notTaken';
+            this.recordEvaluation(site, key, { kind: 'condition', outcome }, context);
+        }
+        return runs;
+    }
+
     /** Evaluates a conditional directive key and returns true if the branch should execute. */
     evaluateConditional(condKey, context) {
         if (this.isElseDirective(condKey)) {
@@ -3003,8 +6262,16 @@ class AzurePipelineParser {
         if (!text || !text.startsWith('${{') || !text.endsWith('}}')) {
             return false;
         }
-        const withoutOuter = text.slice(3, -2);
-        return !withoutOuter.includes('}}');
+        // The first '}}' outside a string literal must be the closing one
+        let inString = false;
+        for (let index = 3; index < text.length - 2; index++) {
+            if (text[index] === "'") {
+                inString = !inString;
+            } else if (!inString && text[index] === '}' && text[index + 1] === '}') {
+                return false;
+            }
+        }
+        return true;
     }
 
     stripExpressionDelimiters(expr) {
@@ -3064,6 +6331,10 @@ class AzurePipelineParser {
 
 module.exports = {
     AzurePipelineParser,
+    TemplateIncludeError,
+    ExpansionLimitError,
+    ExpressionSyntaxError,
+    TemplateResolutionError,
 };
 
 if (require.main === module) {
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Test diagnostics collected during expansion (collectDiagnostics) and errorToDiagnostic
+ *
+ * Verifies that:
+ * 1. Template parameter problems are reported one by one at the passed parameter or call site
+ * 2. Each parameter problem links to the parameter definition in the template
+ * 3. Missing templates and unresolved repositories are reported and skipped
+ * 4. Problems repeated by each loops are reported once
+ * 5. Without collectDiagnostics the first problem still fails the expansion
+ * 6. Errors that fail the expansion are placed at the expression or the pipeline
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-diagnostics-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'build.yml');
+
+const pipeline = [
+    'resources:', //  1
+    '  repositories:', //  2
+    '  - repository: shared', //  3
+    '    type: git', //  4
+    '    name: org/shared', //  5
+    'steps:', //  6
+    '- template: templates/build.yml', //  7
+    '  parameters:', //  8
+    '    count: abc', //  9
+    '    mode: fast', // 10
+    '    extra: 1', // 11
+    '- template: templates/missing.yml', // 12
+    '- template: build.yml@shared', // 13
+    '- template: build.yml@unknown', // 14
+    "- ${{ each name in split('a,b', ',') }}:", // 15
+    '  - template: templates/build.yml', // 16
+    '- script: echo done', // 17
+    '',
+].join('\n');
+
+const template = [
+    'parameters:', //  1
+    '- name: required', //  2
+    '  type: string', //  3
+    '- name: count', //  4
+    '  type: number', //  5
+    '  default: 1', //  6
+    '- name: mode', //  7
+    '  values: [slow, safe]', //  8
+    '  default: slow', //  9
+    'steps:', // 10
+    '- script: echo ${{ parameters.required }}', // 11
+    '',
+].join('\n');
+
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, pipeline);
+fs.writeFileSync(templatePath, template);
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, sourceMap: true, collectDiagnostics: true };
+const { text, diagnostics } = parser.expandPipelineToResult(pipeline, overrides);
+const byCode = (code) => diagnostics.filter((diagnostic) => diagnostic.code === code);
+const results = [];
+
+results.push(
+    test('Parameter problems are reported at the passed parameter or call site', () => {
+        const [missing] = byCode('missing-parameter');
+        assert.strictEqual(
+            missing.message,
+            "Missing required parameter 'required' for template 'templates/build.yml'.",
+        );
+        assert.deepStrictEqual([missing.file, missing.line, missing.column], [pipelinePath, 7, 3]);
+
+        const [type] = byCode('parameter-type');
+        assert(/'count' .* expects type 'number' but received 'string'/.test(type.message), type.message);
+        assert.deepStrictEqual([type.line, type.column], [9, 5]);
+
+        const [value] = byCode('parameter-value');
+        assert(/'mode' .* has value 'fast' which is not in allowed values: \[slow, safe\]/.test(value.message));
+        assert.strictEqual(value.line, 10);
+
+        const [unknown] = byCode('unknown-parameter');
+        assert.strictEqual(unknown.message, "Unknown parameter 'extra' for template 'templates/build.yml'.");
+        assert.strictEqual(unknown.line, 11);
+    }),
+);
+
+results.push(
+    test('Parameter problems link to the parameter definition', () => {
+        const [missing] = byCode('missing-parameter');
+        assert.deepStrictEqual(missing.related, [
+            { file: templatePath, line: 2, column: 3, message: "Parameter 'required' is defined here" },
+        ]);
+        const [value] = byCode('parameter-value');
+        assert.deepStrictEqual([value.related[0].file, value.related[0].line], [templatePath, 7]);
+        const [unknown] = byCode('unknown-parameter');
+        assert.deepStrictEqual([unknown.related[0].file, unknown.related[0].line], [templatePath, 1]);
+    }),
+);
+
+results.push(
+    test('Templates that cannot be loaded are reported and skipped', () => {
+        const [missing] = byCode('missing-template');
+        assert.strictEqual(
+            missing.message,
+            `Template file not found: templates/missing.yml (looked for ${path.join(tempDir, 'templates', 'missing.yml')} relative to the including file)`,
+        );
+        assert.strictEqual(missing.line, 12);
+
+        const repositories = byCode('unresolved-repository');
+        assert.deepStrictEqual(
+            repositories.map((diagnostic) => diagnostic.line),
+            [13, 14],
+        );
+        assert(/'shared' does not define a local location/.test(repositories[0].message));
+        assert(/'unknown' is not defined/.test(repositories[1].message));
+        assert(text.includes('echo done'), 'the rest of the pipeline is expanded');
+    }),
+);
+
+results.push(
+    test('Problems repeated by each loops are reported once', () => {
+        const inLoop = byCode('missing-parameter').filter((diagnostic) => diagnostic.line === 16);
+        assert.strictEqual(inLoop.length, 1);
+        assert.strictEqual(diagnostics.length, 8);
+    }),
+);
+
+results.push(
+    test('Without collectDiagnostics the first problem fails the expansion', () => {
+        assert.throws(
+            () => parser.expandPipelineToResult(pipeline, { fileName: pipelinePath }),
+            /Missing required parameter\(s\) for template 'templates\/build.yml': 'required'/,
+        );
+    }),
+);
+
+results.push(
+    test('Expansion errors are placed at the expression or the pipeline', () => {
+        const broken = 'steps:\n- script: echo ${{ upper(variables.env }}\n';
+        try {
+            parser.expandPipelineToResult(broken, { ...overrides });
+            assert.fail('expected a syntax error');
+        } catch (error) {
+            const diagnostic = parser.errorToDiagnostic(error, pipelinePath);
+            assert.strictEqual(diagnostic.code, 'expression-syntax');
+            assert.deepStrictEqual([diagnostic.file, diagnostic.line, diagnostic.column], [pipelinePath, 2, 39]);
+            assert(diagnostic.message.startsWith('Expression syntax error: Unexpected end of expression'));
+        }
+
+        const generic = parser.errorToDiagnostic(new Error('boom'), pipelinePath);
+        assert.deepStrictEqual(
+            [generic.code, generic.file, generic.line, generic.message],
+            ['expansion-error', pipelinePath, 1, 'boom'],
+        );
+    }),
+);
+
+results.push(
+    test('Root parameter values are checked against their definitions', () => {
+        const root = 'parameters:\n- name: env\n  values: [dev, prod]\nsteps:\n- script: echo ${{ parameters.env }}\n';
+        const { diagnostics: rootDiagnostics } = parser.expandPipelineToResult(root, {
+            ...overrides,
+            parameters: { env: 'qa' },
+        });
+        assert.strictEqual(rootDiagnostics.length, 1);
+        assert.strictEqual(rootDiagnostics[0].code, 'parameter-value');
+        assert.deepStrictEqual([rootDiagnostics[0].file, rootDiagnostics[0].line], [pipelinePath, 2]);
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} diagnostics tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
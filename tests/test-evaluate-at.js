@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test evaluating expressions with the context at a source location (evaluateExpressionAt)
+ *
+ * Verifies that:
+ * 1. Lines of the root pipeline see its parameters and variables
+ * 2. Lines inside an each loop of a template yield one result per iteration, with the locals
+ * 3. Template parameters passed by the caller are in scope inside the template
+ * 4. Lines that are not expanded (branch not taken) produce no results
+ * 5. Evaluation errors are reported per result; syntax errors fail immediately
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser, ExpressionSyntaxError } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-eval-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'deploy.yml');
+
+const pipeline = [
+    'parameters:', //  1
+    '- name: region', //  2
+    '  default: west', //  3
+    'variables:', //  4
+    '  configuration: Release', //  5
+    'steps:', //  6
+    '- script: echo build', //  7
+    '- template: templates/deploy.yml', //  8
+    '  parameters:', //  9
+    '    environments: [dev, prod]', // 10
+    "- ${{ if eq(parameters.region, 'east') }}:", // 11
+    '  - script: echo east', // 12
+    '',
+].join('\n');
+
+const template = [
+    'parameters:', //  1
+    '- name: environments', //  2
+    '  type: object', //  3
+    'steps:', //  4
+    '- ${{ each environment in parameters.environments }}:', //  5
+    '  - script: echo ${{ environment }}', //  6
+    '    displayName: Deploy', //  7
+    '- script: echo done', //  8
+    '',
+].join('\n');
+
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, pipeline);
+fs.writeFileSync(templatePath, template);
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath };
+const evaluateAt = (expression, file, line) =>
+    parser.evaluateExpressionAt(pipeline, expression, { file, line }, overrides);
+const results = [];
+
+results.push(
+    test('Root pipeline lines see pipeline parameters and variables', () => {
+        const [result] = evaluateAt("format('{0}/{1}', parameters.region, variables.configuration)", pipelinePath, 7);
+        assert.strictEqual(result.text, 'west/Release');
+        assert.deepStrictEqual(result.locals, {});
+    }),
+);
+
+results.push(
+    test('Each loop lines yield one result per iteration', () => {
+        const evaluated = evaluateAt('${{ upper(environment) }}', templatePath, 7);
+        assert.deepStrictEqual(
+            evaluated.map((result) => result.text),
+            ['DEV', 'PROD'],
+        );
+        assert.deepStrictEqual(evaluated[1].locals, { environment: 'prod', environmentIndex: 1 });
+        assert.deepStrictEqual(evaluated[0].templateStack, [pipelinePath, 'templates/deploy.yml']);
+    }),
+);
+
+results.push(
+    test('Template lines see the parameters passed by the caller', () => {
+        const [result] = evaluateAt('length(parameters.environments)', templatePath, 8);
+        assert.strictEqual(result.text, '2');
+        assert.deepStrictEqual(result.locals, {}, 'the each locals are not in scope after the loop');
+    }),
+);
+
+results.push(
+    test('Lines that are not expanded produce no results', () => {
+        assert.deepStrictEqual(evaluateAt('parameters.region', pipelinePath, 12), []);
+        assert.deepStrictEqual(evaluateAt('parameters.region', path.join(tempDir, 'other.yml'), 1), []);
+    }),
+);
+
+results.push(
+    test('Evaluation errors are reported per result', () => {
+        const [failed] = evaluateAt("gt(5, 'abc')", pipelinePath, 7);
+        assert(/Unable to compare '5' with 'abc'/.test(failed.error.message), failed.error.message);
+        assert.throws(() => evaluateAt('eq(1', pipelinePath, 7), ExpressionSyntaxError);
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} evaluate-at tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test comparing two expansions (createUnifiedDiff, readFile override, createGitRefReader)
+ *
+ * Verifies that:
+ * 1. Unified diffs contain hunks with context and correct line ranges
+ * 2. Equal texts produce no diff
+ * 3. A readFile override replaces template files during expansion
+ * 4. Templates can be read from a git ref and compared with the working tree
+ * 5. Unknown git refs are reported
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { AzurePipelineParser } = require('../parser');
+const { createUnifiedDiff, createGitRefReader } = require('../utils');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-diff-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'build.yml');
+const pipeline = 'steps:\n- template: templates/build.yml\n';
+
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, pipeline);
+fs.writeFileSync(templatePath, 'steps:\n- bash: echo before\n');
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Unified diff lists changed lines with context', () => {
+        const oldText = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n') + '\n';
+        const newText = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n') + '\n';
+        const diff = createUnifiedDiff(oldText, newText, 'old.yml', 'new.yml');
+
+        assert.strictEqual(
+            diff,
+            [
+                '--- old.yml',
+                '+++ new.yml',
+                '@@ -1,5 +1,5 @@',
+                ' a',
+                '-b',
+                '+B',
+                ' c',
+                ' d',
+                ' e',
+                '@@ -8,3 +8,4 @@',
+                ' h',
+                ' i',
+                ' j',
+                '+k',
+                '',
+            ].join('\n'),
+        );
+    }),
+);
+
+results.push(
+    test('Equal texts produce no diff', () => {
+        assert.strictEqual(createUnifiedDiff('a\nb\n', 'a\nb\n', 'old', 'new'), '');
+    }),
+);
+
+results.push(
+    test('readFile override replaces template contents', () => {
+        const readFile = (filePath) =>
+            path.resolve(filePath) === templatePath ? 'steps:\n- bash: echo override\n' : undefined;
+        const output = parser.expandPipelineToString(pipeline, { fileName: pipelinePath, readFile });
+        assert(output.includes('echo override'), 'override content should be expanded');
+
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { fileName: pipelinePath, readFile: () => null }),
+            /Template file not found: templates\/build.yml/,
+        );
+    }),
+);
+
+let gitAvailable = true;
+try {
+    const git = (...args) => execFileSync('git', args, { cwd: tempDir, stdio: 'pipe' });
+    git('init', '-q');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'add', '-A');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'initial');
+    fs.writeFileSync(templatePath, 'steps:\n- bash: echo after\n');
+} catch (error) {
+    gitAvailable = false;
+    console.log(`⚠️  SKIP git ref tests (git unavailable: ${error.message.split('\n')[0]})`);
+}
+
+if (gitAvailable) {
+    results.push(
+        test('Templates are read from a git ref', () => {
+            const readFile = createGitRefReader('HEAD', tempDir);
+            const before = parser.expandPipelineToString(pipeline, { fileName: pipelinePath, readFile });
+            const after = parser.expandPipelineToString(pipeline, { fileName: pipelinePath });
+
+            const diff = createUnifiedDiff(before, after, 'HEAD', 'working tree');
+            assert(diff.includes('-      script: echo before\n+      script: echo after\n'), diff);
+            assert.strictEqual(readFile(path.join(tempDir, 'templates', 'missing.yml')), null);
+            assert.strictEqual(
+                createGitRefReader('HEAD', tempDir, path.join(tempDir, 'other'))(templatePath),
+                undefined,
+            );
+        }),
+    );
+
+    results.push(
+        test('Unknown git refs are reported', () => {
+            assert.throws(() => createGitRefReader('no-such-ref', tempDir), /Unknown git ref 'no-such-ref'/);
+        }),
+    );
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} expansion diff tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test Azure DevOps expansion limits (limits / strictLimits options)
+ *
+ * Verifies that:
+ * 1. Pipelines within the limits produce no warnings
+ * 2. Template file count, document size and each iterations are measured
+ * 3. Exceeded limits are returned as warnings, or raised as ExpansionLimitError in strict mode
+ * 4. Limits can be overridden or disabled and invalid limits are reported
+ * 5. Defaults follow Azure DevOps; the each iteration cap is off unless configured and nesting is left to maxTemplateDepth
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser, ExpansionLimitError } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-expansion-limits-'));
+fs.writeFileSync(path.join(testDir, 'step.yml'), 'steps:\n- script: echo step\n');
+fs.writeFileSync(path.join(testDir, 'other.yml'), 'steps:\n- script: echo other\n');
+fs.writeFileSync(path.join(testDir, 'level1.yml'), 'steps:\n- template: level2.yml\n');
+fs.writeFileSync(path.join(testDir, 'level2.yml'), 'steps:\n- template: step.yml\n');
+
+const pipeline = `
+parameters:
+- name: targets
+  type: object
+  default: [a, b, c, d]
+
+steps:
+- \${{ each target in parameters.targets }}:
+  - template: step.yml
+- template: other.yml
+- template: level1.yml
+`;
+
+const fileName = path.join(testDir, 'azure-pipelines.yml');
+const parser = new AzurePipelineParser();
+const results = [];
+
+const limitsOf = (warnings) => warnings.map((warning) => warning.limit);
+
+results.push(
+    test('Pipelines within the limits produce no warnings', () => {
+        const { warnings } = parser.expandPipelineToResult(pipeline, { fileName });
+        assert.deepStrictEqual(warnings, []);
+    }),
+);
+
+results.push(
+    test('Exceeded limits are reported as warnings with measured values', () => {
+        const { text, warnings } = parser.expandPipelineToResult(pipeline, {
+            fileName,
+            limits: { maxTemplateFiles: 3, maxEachIterations: 3, maxDocumentSize: 100 },
+        });
+
+        assert(text.includes('echo other'), 'expansion output is still produced');
+        assert.deepStrictEqual(limitsOf(warnings), ['maxTemplateFiles', 'maxEachIterations', 'maxDocumentSize']);
+        assert.strictEqual(warnings[0].value, 4, 'distinct template files are counted once');
+        assert.strictEqual(warnings[1].value, 4);
+        assert.strictEqual(warnings[2].value, Buffer.byteLength(text, 'utf8'));
+        assert.strictEqual(warnings[0].message, 'Pipeline includes 4 template files; Azure DevOps allows at most 3.');
+    }),
+);
+
+results.push(
+    test('Strict mode raises an ExpansionLimitError', () => {
+        let caught;
+        try {
+            parser.expandPipelineToResult(pipeline, { fileName, strictLimits: true, limits: { maxEachIterations: 2 } });
+        } catch (error) {
+            caught = error;
+        }
+        assert(caught instanceof ExpansionLimitError, 'expected an ExpansionLimitError');
+        assert(/Expansion limits exceeded:\n {2}\$\{\{ each \}\} loops expanded 4 iterations/.test(caught.message));
+        assert.deepStrictEqual(limitsOf(caught.violations), ['maxEachIterations']);
+    }),
+);
+
+results.push(
+    test('A limit of 0 disables the check', () => {
+        const { warnings } = parser.expandPipelineToResult(pipeline, {
+            fileName,
+            limits: { maxTemplateFiles: 0, maxEachIterations: 1 },
+        });
+        assert.deepStrictEqual(limitsOf(warnings), ['maxEachIterations']);
+    }),
+);
+
+results.push(
+    test('Invalid limits are rejected', () => {
+        assert.throws(
+            () => parser.expandPipelineToResult('steps: []', { limits: { maxFiles: 1 } }),
+            /Unknown expansion limit 'maxFiles'/,
+        );
+        assert.throws(
+            () => parser.expandPipelineToResult('steps: []', { limits: { maxTemplateFiles: -1 } }),
+            /Invalid value '-1' for expansion limit 'maxTemplateFiles'/,
+        );
+    }),
+);
+
+results.push(
+    test('Defaults follow Azure DevOps and the each cap is opt-in', () => {
+        const limits = parser.normalizeExpansionLimits();
+        assert(!('maxTemplateNesting' in limits), 'nesting is capped by maxTemplateDepth');
+        assert.throws(
+            () => parser.expandPipelineToResult('steps: []', { limits: { maxTemplateNesting: 2 } }),
+            /Unknown expansion limit 'maxTemplateNesting'/,
+        );
+        assert.strictEqual(limits.maxEachIterations, 0);
+
+        const items = Array.from({ length: 1200 }, (_, index) => index).join(', ');
+        const loop = [
+            'parameters:',
+            '- name: items',
+            '  type: object',
+            `  default: [${items}]`,
+            'steps:',
+            '- ${{ each item in parameters.items }}:',
+            '  - script: echo ${{ item }}',
+            '',
+        ].join('\n');
+        const { warnings } = parser.expandPipelineToResult(loop, { fileName });
+        assert.deepStrictEqual(warnings, [], 'many iterations are not an Azure DevOps error');
+    }),
+);
+
+fs.rmSync(testDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} expansion limit tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
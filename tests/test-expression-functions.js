@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test Azure semantics of string, format, convertToJson and counter expression functions
+ *
+ * Verifies that:
+ * 1. lower/upper/trim/replace/split/join cast their arguments to strings as Azure does
+ * 2. format() supports {N}, escaped braces and date/time specifiers, and rejects invalid formats
+ * 3. convertToJson keeps strings as strings and writes JSON booleans
+ * 4. counter() values persist in a counter store and increase once per run; previews, diffs and
+ *    scenario matrices read the store without writing it
+ * 5. Pinned counter values and a fixed pipeline start time make expansions reproducible
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+const startTime = new Date('2026-03-04T05:06:07.089Z');
+const context = {
+    parameters: { list: ['a', 'b'], config: { port: '8080', debug: true, retries: 3 } },
+    variables: { empty: '' },
+    pipelineStartTime: startTime,
+};
+const evaluate = (expression) => parser.evaluateExpression(expression, context);
+
+results.push(
+    test('String functions cast their arguments to strings', () => {
+        assert.strictEqual(evaluate('lower(true)'), 'true');
+        assert.strictEqual(evaluate('upper(1.5)'), '1.5');
+        assert.strictEqual(evaluate('lower(variables.missing)'), '');
+        assert.strictEqual(evaluate('upper(parameters.list)'), 'ARRAY');
+        assert.strictEqual(evaluate('trim(parameters.config)'), 'Object');
+        assert.strictEqual(evaluate("replace(12012, 1, 'x')"), 'x20x2');
+        assert.strictEqual(evaluate("replace('aAa', 'a', 'b')"), 'bAb', 'replace is case-sensitive');
+    }),
+);
+
+results.push(
+    test('split keeps empty entries and join formats items as strings', () => {
+        assert.deepStrictEqual(evaluate("split('a,,b,', ',')"), ['a', '', 'b', '']);
+        assert.deepStrictEqual(evaluate("split('a::b', '::')"), ['a', 'b']);
+        assert.deepStrictEqual(evaluate("split('abc', '')"), ['abc']);
+        assert.deepStrictEqual(evaluate("split(variables.empty, ',')"), ['']);
+        assert.strictEqual(evaluate("join(';', parameters.list)"), 'a;b');
+        assert.strictEqual(parser.joinArray('-', [true, 1, null, {}]), 'True-1--');
+        assert.strictEqual(evaluate("join(',', 'single')"), 'single');
+    }),
+);
+
+results.push(
+    test('format supports escaped braces and date/time specifiers', () => {
+        assert.strictEqual(evaluate("format('{0}-{1}-{0}', 'a', true)"), 'a-True-a');
+        assert.strictEqual(evaluate("format('{{{0}}}', 'x')"), '{x}');
+        assert.strictEqual(evaluate("format('{0:yyyyMMdd.HHmmss}', pipeline.startTime)"), '20260304.050607');
+        assert.strictEqual(evaluate("format('{0:yy-M-d H:m:s.ff K}', pipeline.startTime)"), '26-3-4 5:6:7.08 +00:00');
+        assert.strictEqual(evaluate("format('{0:ffff}', pipeline.startTime)"), '0890');
+    }),
+);
+
+results.push(
+    test('Invalid format strings are rejected', () => {
+        assert.throws(() => evaluate("format('{0', 'a')"), /Invalid format string '\{0': unescaped '\{' at position 1/);
+        assert.throws(() => evaluate("format('a}', 'a')"), /unescaped '\}' at position 2/);
+        assert.throws(() => evaluate("format('{1}', 'a')"), /argument \{1\} was not supplied/);
+        assert.throws(() => evaluate("format('{0:x}', 'a')"), /only valid for date\/time values/);
+        assert.throws(() => evaluate("format('{0:yyyyQ}', pipeline.startTime)"), /unsupported specifier 'Q'/);
+    }),
+);
+
+results.push(
+    test('convertToJson keeps value types', () => {
+        assert.strictEqual(
+            evaluate('convertToJson(parameters.config)'),
+            '{\n  "port": "8080",\n  "debug": true,\n  "retries": 3\n}',
+        );
+        assert.strictEqual(evaluate('convertToJson(eq(1, 1))'), 'true');
+        assert.strictEqual(evaluate('convertToJson(variables.missing)'), 'null');
+        assert.strictEqual(evaluate('convertToJson(1.2.3)'), '"1.2.3"');
+    }),
+);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-counter-'));
+const counterStore = path.join(tempDir, 'state', 'counters.json');
+const cli = path.join(__dirname, '..', 'extension.js');
+const pipeline = [
+    'steps:',
+    "- script: echo ${{ counter('build', 10) }} ${{ counter('build', 10) }} ${{ counter('other', 0) }}",
+    "- script: echo ${{ format('{0:yyyy-MM-dd}', pipeline.startTime) }}",
+    '',
+].join('\n');
+
+results.push(
+    test('Counters persist in the counter store between expansions', () => {
+        const expand = (options) => parser.expandPipelineToString(pipeline, { counterStore, ...options });
+        assert(expand().includes('echo 10 10 0'), 'first expansion starts at the seed');
+        assert(!fs.existsSync(counterStore), 'the store is only written with persistCounters');
+        assert(expand({ persistCounters: true }).includes('echo 10 10 0'));
+        assert(expand({ persistCounters: true }).includes('echo 11 11 1'), 'second run increments once per prefix');
+        assert(expand().includes('echo 12 12 2'), 'previews show the next values');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(counterStore, 'utf8')), { build: 11, other: 1 });
+    }),
+);
+
+results.push(
+    test('Only single CLI expansions advance the counter store', () => {
+        const cliStore = path.join(tempDir, 'cli-counters.json');
+        fs.writeFileSync(path.join(tempDir, 'counters.yml'), pipeline);
+        fs.writeFileSync(path.join(tempDir, 'scenarios.yml'), 'scenarios:\n  a: {}\n  b: {}\n');
+        const run = (...args) =>
+            spawnSync(process.execPath, [cli, 'counters.yml', '-x', '--counter-store', cliStore, ...args], {
+                cwd: tempDir,
+                encoding: 'utf8',
+            });
+
+        assert(run().stdout.includes('echo 10 10 0'));
+        const diff = run('--scenarios', 'scenarios.yml', '--diff', 'a..b');
+        assert.strictEqual(diff.status, 0, diff.stderr);
+        assert(diff.stderr.includes('No differences'), diff.stdout);
+        run('--scenarios', 'scenarios.yml');
+        assert(run().stdout.includes('echo 11 11 1'), 'diffs and scenario matrices do not advance counters');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(cliStore, 'utf8')), { build: 11, other: 1 });
+    }),
+);
+
+results.push(
+    test('Without a counter store counters return their seed', () => {
+        assert(parser.expandPipelineToString(pipeline).includes('echo 10 10 0'));
+        assert.throws(() => evaluate("counter('x', 'abc')"), /Invalid seed 'abc' for counter 'x'/);
+    }),
+);
+
+results.push(
+    test('Pinned counters and start time make expansions reproducible', () => {
+        const output = parser.expandPipelineToString(pipeline, {
+            counterStore,
+            persistCounters: true,
+            counters: { build: 42 },
+            startTime: '2026-12-31T23:00:00Z',
+        });
+        assert(output.includes('echo 42 42 2'), 'pinned counter is used; other counters still advance');
+        assert(output.includes('echo 2026-12-31'), 'pipeline.startTime is fixed');
+        assert.strictEqual(JSON.parse(fs.readFileSync(counterStore, 'utf8')).build, 11, 'pinned values are not stored');
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { counters: { build: 'x' } }),
+            /Invalid value 'x' for counter 'build'/,
+        );
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { startTime: 'soon' }),
+            /Invalid pipeline start time/,
+        );
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} expression function tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test the expression evaluations recorded for hovers in the source editor (findEvaluations)
+ *
+ * Verifies that:
+ * 1. Values of `${{ }}` expressions in keys and values are recorded at their source line
+ * 2. Each branch of an if/elseif/else chain records whether it was taken
+ * 3. each loops record their iteration count, and expressions in the loop one value per iteration
+ * 4. Expressions in block scalars are found from any line of the block
+ * 5. Evaluations are only recorded when source maps are enabled
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-hover-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'deploy.yml');
+
+const pipeline = [
+    'parameters:', //  1
+    '- name: region', //  2
+    '  default: west', //  3
+    'steps:', //  4
+    '- script: echo ${{ parameters.region }}', //  5
+    "- ${{ if eq(parameters.region, 'east') }}:", //  6
+    '  - script: echo east', //  7
+    "- ${{ elseif eq(parameters.region, 'west') }}:", //  8
+    '  - script: echo west', //  9
+    '- ${{ else }}:', // 10
+    '  - script: echo other', // 11
+    '- template: templates/deploy.yml', // 12
+    '  parameters:', // 13
+    '    environments: [dev, prod]', // 14
+    '    label: ${{ upper(parameters.region) }}', // 15
+    '',
+].join('\n');
+
+const template = [
+    'parameters:', //  1
+    '- name: environments', //  2
+    '  type: object', //  3
+    '- name: label', //  4
+    'steps:', //  5
+    '- ${{ each environment in parameters.environments }}:', //  6
+    '  - script: |', //  7
+    '      echo ${{ environment }}', //  8
+    '      echo ${{ parameters.label }}', //  9
+    '',
+].join('\n');
+
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, pipeline);
+fs.writeFileSync(templatePath, template);
+
+const parser = new AzurePipelineParser();
+const { evaluations } = parser.expandPipelineToResult(pipeline, { fileName: pipelinePath, sourceMap: true });
+const find = (file, line, expression) => parser.findEvaluations(evaluations, file, line, expression);
+const results = [];
+
+results.push(
+    test('Expression values are recorded at their source line', () => {
+        const [region] = find(pipelinePath, 5, '${{ parameters.region }}');
+        assert.strictEqual(region.kind, 'value');
+        assert.strictEqual(region.text, 'west');
+        assert.strictEqual(region.line, 5);
+
+        const [label] = find(pipelinePath, 15, 'upper(parameters.region)');
+        assert.strictEqual(label.text, 'WEST', 'template parameters passed by the caller are recorded');
+    }),
+);
+
+results.push(
+    test('Conditional chains record which branch was taken', () => {
+        const outcome = (line, expression) => find(pipelinePath, line, expression).map((record) => record.outcome);
+        assert.deepStrictEqual(outcome(6, "${{ if eq(parameters.region, 'east') }}"), ['notTaken']);
+        assert.deepStrictEqual(outcome(8, "${{ elseif eq(parameters.region, 'west') }}"), ['taken']);
+        assert.deepStrictEqual(outcome(10, '${{ else }}'), ['skipped']);
+    }),
+);
+
+results.push(
+    test('each loops record their iteration count and one value per iteration', () => {
+        const [loop] = find(templatePath, 6, '${{ each environment in parameters.environments }}');
+        assert.strictEqual(loop.kind, 'each');
+        assert.strictEqual(loop.iterations, 2);
+
+        const values = find(templatePath, 8, '${{ environment }}');
+        assert.deepStrictEqual(
+            values.map((record) => record.text),
+            ['dev', 'prod'],
+        );
+        assert.deepStrictEqual(values[1].locals, { environment: 'prod', environmentIndex: 1 });
+    }),
+);
+
+results.push(
+    test('Expressions in block scalars are found from their own line', () => {
+        const labels = find(templatePath, 9, '${{ parameters.label }}');
+        assert.deepStrictEqual(
+            labels.map((record) => record.text),
+            ['WEST', 'WEST'],
+        );
+        assert.deepStrictEqual(find(templatePath, 5, '${{ parameters.label }}'), [], 'lines above are not matched');
+        assert.deepStrictEqual(find(pipelinePath, 9, '${{ parameters.label }}'), [], 'other files are not matched');
+    }),
+);
+
+results.push(
+    test('Evaluations are only recorded with source maps', () => {
+        const { evaluations: none } = parser.expandPipelineToResult(pipeline, { fileName: pipelinePath });
+        assert.strictEqual(none, undefined);
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} expression hover tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Azure expression grammar (parseExpressionAst) and syntax error reporting
+ *
+ * Verifies that:
+ * 1. Literals, named values, indexers, property filters and function calls parse and evaluate
+ * 2. JavaScript operators, unknown functions and wrong argument counts are syntax errors
+ * 3. Syntax errors report the offending column instead of evaluating to the raw text
+ * 4. Errors in templates point at the template file, line and column with the call stack
+ * 5. Errors in the root pipeline point at the pipeline file
+ * 6. Errors point at the failing expression when the same text appears earlier in the file
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser, ExpressionSyntaxError } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+const context = {
+    parameters: { env: 'prod', 'build-config': 'Release', jobs: [{ name: 'a' }, { name: 'b' }] },
+    variables: { 'Build.Reason': 'Manual' },
+};
+const evaluate = (expression) => parser.evaluateExpression(expression, context);
+
+/** Assert that `expression` fails to parse at `column` with a reason matching `pattern` */
+function assertSyntaxError(expression, column, pattern) {
+    assert.throws(
+        () => evaluate(expression),
+        (error) => {
+            assert(error instanceof ExpressionSyntaxError, `${expression}: expected an ExpressionSyntaxError`);
+            assert.strictEqual(error.column, column, `${expression}: column`);
+            assert(pattern.test(error.reason), `${expression}: unexpected reason '${error.reason}'`);
+            return true;
+        },
+    );
+}
+
+results.push(
+    test('Literals and named values evaluate', () => {
+        assert.strictEqual(evaluate("'it''s'"), "it's");
+        assert.strictEqual(evaluate('-1.5'), -1.5);
+        assert.strictEqual(evaluate('TRUE'), true);
+        assert.strictEqual(evaluate('null'), null);
+        assert.strictEqual(String(evaluate('1.2.3')), '1.2.3');
+        assert.strictEqual(evaluate('parameters.env'), 'prod');
+        assert.strictEqual(evaluate('parameters.build-config'), 'Release', 'names may contain dashes');
+        assert.strictEqual(evaluate("variables['Build.Reason']"), 'Manual');
+        assert.strictEqual(evaluate('parameters.jobs[1].name'), 'b');
+        assert.deepStrictEqual(evaluate('parameters.jobs.*.name'), ['a', 'b']);
+    }),
+);
+
+results.push(
+    test('Function calls are case-insensitive and may nest', () => {
+        assert.strictEqual(evaluate("and(EQ(parameters.env, 'PROD'), not(eq(1, 2)))"), '__TRUE__');
+        assert.strictEqual(evaluate("format('{0}-{1}', parameters.env, 'x')"), 'prod-x');
+        assert.strictEqual(evaluate('  succeeded()  '), '__TRUE__');
+    }),
+);
+
+results.push(
+    test('Malformed expressions report the offending column', () => {
+        assertSyntaxError("eq(parameters.env, 'prod'", 26, /expected ',' or '\)' in the call to 'eq'/);
+        assertSyntaxError("eq(parameters.env, 'prod'))", 27, /Unexpected symbol '\)'/);
+        assertSyntaxError("eq(parameters.env, 'prod", 20, /Unterminated string literal/);
+        assertSyntaxError('and(true,)', 10, /Unexpected symbol '\)'/);
+        assertSyntaxError('parameters.', 12, /Expected a property name/);
+        assertSyntaxError("variables['a'", 14, /expected '\]'/);
+    }),
+);
+
+results.push(
+    test('JavaScript operators are not part of the grammar', () => {
+        assertSyntaxError("parameters.env == 'prod'", 16, /Unexpected symbol '=='/);
+        assertSyntaxError('and(a, b) && c', 11, /Unexpected symbol '&&'/);
+        assertSyntaxError('not(!parameters.env)', 5, /Unexpected symbol '!'/);
+        assertSyntaxError('parameters.env ? 1 : 2', 16, /Unexpected symbol '\?'/);
+    }),
+);
+
+results.push(
+    test('Unknown functions and wrong argument counts are rejected', () => {
+        assertSyntaxError("equals(parameters.env, 'prod')", 1, /Unrecognized function 'equals'/);
+        assertSyntaxError('not(eq(parameters.env))', 5, /'eq' expects 2 argument\(s\) but was given 1/);
+        assertSyntaxError('iif(true, 1)', 1, /'iif' expects 3 argument\(s\)/);
+        assertSyntaxError('and(true)', 1, /'and' expects at least 2 argument\(s\)/);
+    }),
+);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-expr-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'build.yml');
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, 'steps:\n- template: templates/build.yml\n  parameters:\n    env: prod\n');
+fs.writeFileSync(
+    templatePath,
+    [
+        'parameters:',
+        '- name: env',
+        '  type: string',
+        '',
+        'steps:',
+        "- ${{ if eq(parameters.env, 'prod' }}:",
+        '  - script: echo prod',
+        '',
+    ].join('\n'),
+);
+
+results.push(
+    test('Template syntax errors point at the template file and line', () => {
+        assert.throws(
+            () => parser.expandPipelineFromFile(pipelinePath, { fileName: pipelinePath }),
+            (error) => {
+                assert(error instanceof ExpressionSyntaxError, error.message);
+                assert.strictEqual(error.file, 'templates/build.yml');
+                assert.strictEqual(error.filePath, templatePath);
+                assert.strictEqual(error.line, 6);
+                assert.strictEqual(error.fileColumn, 35);
+                assert(error.message.startsWith('templates/build.yml:6:35: Expression syntax error'), error.message);
+                assert(/Template call stack:[\s\S]*└── templates\/build.yml/.test(error.message), error.message);
+                return true;
+            },
+        );
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+results.push(
+    test('Root pipeline syntax errors point at the pipeline file', () => {
+        const pipeline = 'variables:\n  env: dev\nsteps:\n- script: echo ${{ upper(variables.env }}\n';
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { fileName: 'azure-pipelines.yml' }),
+            /azure-pipelines.yml:4:39: Expression syntax error at column 20: Unexpected end of expression/,
+        );
+    }),
+);
+
+results.push(
+    test('Errors point at the failing occurrence of repeated expression text', () => {
+        const pipeline = [
+            'variables:',
+            '  env: dev',
+            'steps:',
+            "- script: echo 'upper(variables.env'",
+            '- ${{ if false }}:',
+            '  - script: echo ${{ upper(variables.env }}',
+            '- script: |',
+            '    echo ${{ upper(variables.env }}',
+            '',
+        ].join('\n');
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { fileName: 'azure-pipelines.yml' }),
+            /azure-pipelines.yml:8:33: Expression syntax error at column 20/,
+        );
+        assert.throws(
+            () => parser.expandPipelineToString(pipeline, { fileName: 'azure-pipelines.yml', sourceMap: true }),
+            /azure-pipelines.yml:8:33: /,
+            'the positions recorded for source maps are used as well',
+        );
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} expression parser tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
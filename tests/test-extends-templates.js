@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test expansion of root-level `extends: template:` documents
+ *
+ * Verifies that:
+ * 1. The extended template's stages are merged into the root document
+ * 2. Root keys (trigger, variables) are kept and root variables are visible to the template
+ * 3. Templates are resolved through repository resources
+ * 4. Parameters are validated against the extended template
+ * 5. Nested extends chains are expanded
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-extends-'));
+const templatesDir = path.join(testDir, 'templates');
+fs.mkdirSync(templatesDir);
+
+fs.writeFileSync(
+    path.join(templatesDir, 'pipeline.yml'),
+    `parameters:
+- name: environment
+  type: string
+  values:
+  - dev
+  - prod
+- name: buildSteps
+  type: stepList
+  default: []
+
+variables:
+  templateVar: fromTemplate
+
+stages:
+- stage: Build
+  jobs:
+  - job: Build
+    steps:
+    - \${{ each step in parameters.buildSteps }}:
+      - \${{ step }}
+    - script: echo \${{ parameters.environment }} \${{ variables.rootVar }}
+`,
+);
+
+fs.writeFileSync(
+    path.join(templatesDir, 'base.yml'),
+    `parameters:
+- name: stageName
+  type: string
+
+stages:
+- stage: \${{ parameters.stageName }}
+  jobs:
+  - job: Base
+    steps:
+    - script: echo base
+`,
+);
+
+fs.writeFileSync(
+    path.join(templatesDir, 'middle.yml'),
+    `parameters:
+- name: name
+  type: string
+  default: Middle
+
+extends:
+  template: base.yml
+  parameters:
+    stageName: \${{ parameters.name }}
+`,
+);
+
+const options = {
+    fileName: path.join(testDir, 'azure-pipelines.yml'),
+    resourceLocations: { templates: templatesDir },
+};
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Extends template stages are merged into the root document', () => {
+        const yaml = `
+trigger: none
+
+resources:
+  repositories:
+  - repository: templates
+    type: git
+    name: shared/templates
+
+variables:
+  rootVar: fromRoot
+
+extends:
+  template: pipeline.yml@templates
+  parameters:
+    environment: prod
+    buildSteps:
+    - task: Custom@1
+`;
+        const output = parser.expandPipelineToString(yaml, options);
+        const document = YAML.parse(output);
+
+        assert.strictEqual(document.extends, undefined, 'extends should be removed from the output');
+        assert.strictEqual(document.trigger, 'none', 'root trigger should be preserved');
+        assert.strictEqual(document.parameters, undefined, 'template parameters should not be emitted');
+        assert.deepStrictEqual(document.variables, { rootVar: 'fromRoot', templateVar: 'fromTemplate' });
+        assert.strictEqual(document.stages.length, 1);
+
+        const steps = document.stages[0].jobs[0].steps;
+        assert.strictEqual(steps.length, 2);
+        assert.strictEqual(steps[0].task, 'Custom@1');
+        assert.strictEqual(steps[1].inputs.script, 'echo prod fromRoot');
+    }),
+);
+
+results.push(
+    test('Extends template parameters are validated', () => {
+        const yaml = `
+extends:
+  template: pipeline.yml@templates
+  parameters:
+    environment: staging
+`;
+        assert.throws(
+            () => parser.expandPipelineToString(yaml, options),
+            /Invalid parameter value\(s\) for template 'pipeline.yml@templates'/,
+        );
+    }),
+);
+
+results.push(
+    test('Missing required extends parameters are reported', () => {
+        const yaml = `
+extends:
+  template: base.yml@templates
+`;
+        assert.throws(
+            () => parser.expandPipelineToString(yaml, options),
+            /Missing required parameter\(s\).*'stageName'/,
+        );
+    }),
+);
+
+results.push(
+    test('Nested extends chains are expanded', () => {
+        const yaml = `
+extends:
+  template: middle.yml@templates
+  parameters:
+    name: Nested
+`;
+        const document = YAML.parse(parser.expandPipelineToString(yaml, options));
+
+        assert.strictEqual(document.extends, undefined);
+        assert.strictEqual(document.stages[0].stage, 'Nested');
+        assert.strictEqual(document.stages[0].jobs[0].job, 'Base');
+    }),
+);
+
+results.push(
+    test('Variable lists and mappings are merged', () => {
+        const merged = parser.mergeVariableBlocks([{ name: 'a', value: '1' }, { group: 'shared' }], { b: '2' });
+        assert.deepStrictEqual(merged, [{ name: 'a', value: '1' }, { group: 'shared' }, { name: 'b', value: '2' }]);
+    }),
+);
+
+fs.rmSync(testDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} extends tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
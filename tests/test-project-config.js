@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Test project configuration files (.azure-pipeline-studio.json/.yml) and the CLI options that use them
+ *
+ * Verifies that:
+ * 1. The closest configuration file above a directory is found and validated
+ * 2. Parameters are selected per pipeline and paths are relative to the configuration file; keys that
+ *    match no pipeline are rejected
+ * 3. The CLI expands and formats pipelines with the configuration, and its options override it
+ * 4. --print-config shows the effective configuration and where each value came from
+ * 5. --config selects a configuration file, also when formatting recursively
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { findProjectConfig, loadProjectConfig, selectPipelineParameters, mergeConfigLayers } = require('../config');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'aps-config-')));
+const projectDir = path.join(tempDir, 'project');
+const configPath = path.join(projectDir, '.azure-pipeline-studio.yml');
+const cli = path.join(__dirname, '..', 'extension.js');
+
+fs.mkdirSync(path.join(projectDir, 'pipelines'), { recursive: true });
+fs.mkdirSync(path.join(tempDir, 'shared'));
+fs.writeFileSync(path.join(tempDir, 'shared', 'build.yml'), 'steps:\n- script: echo shared\n');
+fs.writeFileSync(
+    configPath,
+    [
+        'format:',
+        '  indent: 4',
+        'resourceLocations:',
+        '  shared: ../shared',
+        'variables:',
+        '  environment: staging',
+        'parameters:',
+        '  pipelines/app.yml:',
+        '    configuration: Release',
+        "  '*': defaults.yml",
+        '',
+    ].join('\n'),
+);
+fs.writeFileSync(path.join(projectDir, 'defaults.yml'), 'configuration: Debug\nplatform: x64\n');
+
+const pipeline = [
+    'parameters:',
+    '- name: configuration',
+    '  default: none',
+    '- name: platform',
+    '  default: any',
+    'jobs:',
+    '- job: Build',
+    '  steps:',
+    '  - template: build.yml@shared',
+    '  - script: echo ${{ parameters.configuration }} ${{ parameters.platform }} ${{ variables.environment }}',
+    '',
+].join('\n');
+const appPath = path.join(projectDir, 'pipelines', 'app.yml');
+const otherPath = path.join(projectDir, 'pipelines', 'other.yml');
+fs.writeFileSync(appPath, pipeline);
+fs.writeFileSync(otherPath, pipeline);
+
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { cwd: projectDir, encoding: 'utf8' });
+const results = [];
+
+results.push(
+    test('The closest configuration file is found and validated', () => {
+        assert.strictEqual(findProjectConfig(path.join(projectDir, 'pipelines')), configPath);
+        assert.strictEqual(findProjectConfig(path.join(tempDir, 'shared')), undefined);
+
+        const jsonPath = path.join(projectDir, 'pipelines', '.azure-pipeline-studio.json');
+        fs.writeFileSync(jsonPath, JSON.stringify({ format: { sortKeys: true } }));
+        assert.strictEqual(findProjectConfig(path.join(projectDir, 'pipelines')), jsonPath);
+        assert.deepStrictEqual(loadProjectConfig(jsonPath).format, { sortKeys: true });
+
+        fs.writeFileSync(jsonPath, JSON.stringify({ format: { indent: 12 } }));
+        assert.throws(
+            () => loadProjectConfig(jsonPath),
+            /Invalid project configuration .*: format.indent must be an integer/,
+        );
+        fs.writeFileSync(jsonPath, JSON.stringify({ formats: {} }));
+        assert.throws(() => loadProjectConfig(jsonPath), /unknown section 'formats'/);
+        fs.rmSync(jsonPath);
+    }),
+);
+
+results.push(
+    test('Parameters are selected per pipeline with paths relative to the file', () => {
+        const config = loadProjectConfig(configPath);
+        assert.deepStrictEqual(config.resourceLocations, { shared: path.join(tempDir, 'shared') });
+        assert.deepStrictEqual(config.variables, { environment: 'staging' });
+        assert.deepStrictEqual(selectPipelineParameters(config, appPath), { configuration: 'Release' });
+        assert.strictEqual(selectPipelineParameters(config, otherPath), path.join(projectDir, 'defaults.yml'));
+
+        const rejects = (parameters, pattern) => {
+            const badPath = path.join(projectDir, 'pipelines', '.azure-pipeline-studio.json');
+            fs.writeFileSync(badPath, JSON.stringify({ parameters }));
+            try {
+                assert.throws(() => loadProjectConfig(badPath), pattern);
+            } finally {
+                fs.rmSync(badPath);
+            }
+        };
+        rejects({ environment: 'prod' }, /parameters key 'environment' matches no pipeline/);
+        rejects({ environment: { value: 'prod' } }, /parameters key 'environment' matches no pipeline/);
+        rejects({ 'ci/missing.yml': {} }, /parameters key 'ci\/missing.yml' matches no pipeline/);
+        rejects({ 'app.yml': 'missing.yml' }, /parameters file for 'app.yml' not found: .*missing\.yml/);
+        rejects({ 'app.yml': ['Release'] }, /parameters for 'app.yml' must be a mapping/);
+
+        const merged = mergeConfigLayers([
+            { source: 'file', config },
+            { source: '--variables', config: { variables: { environment: 'prod' } } },
+        ]);
+        assert.strictEqual(merged.config.variables.environment, 'prod');
+        assert.deepStrictEqual(
+            [merged.sources['variables.environment'], merged.sources['format.indent']],
+            ['--variables', 'file'],
+        );
+    }),
+);
+
+results.push(
+    test('The CLI uses the configuration and its options override it', () => {
+        const { stdout, status } = run('-x', 'pipelines/app.yml');
+        assert.strictEqual(status, 0);
+        assert(stdout.includes('script: echo shared'), stdout);
+        assert(stdout.includes('script: echo Release any staging'), stdout);
+        assert(stdout.includes('\n        inputs:\n            script:'), 'format.indent applies');
+
+        const overridden = run(
+            '-x',
+            'pipelines/other.yml',
+            '-v',
+            'environment=prod',
+            '-p',
+            'platform=arm',
+            '-f',
+            'indent=2',
+        );
+        assert(overridden.stdout.includes('script: echo Debug arm prod'), overridden.stdout);
+        assert(overridden.stdout.includes('\n    inputs:\n      script:'), 'format options override the file');
+    }),
+);
+
+results.push(
+    test('--print-config shows each value with its source', () => {
+        const { stdout, status } = run('pipelines/other.yml', '--print-config', '-p', 'platform=arm');
+        assert.strictEqual(status, 0);
+        assert.deepStrictEqual(stdout.split('\n'), [
+            '# pipelines/other.yml (project configuration: .azure-pipeline-studio.yml)',
+            'format.indent: 4  # .azure-pipeline-studio.yml',
+            `resourceLocations.shared: ${JSON.stringify(path.join(tempDir, 'shared'))}  # .azure-pipeline-studio.yml`,
+            'variables.environment: "staging"  # .azure-pipeline-studio.yml',
+            'parameters.configuration: "Debug"  # .azure-pipeline-studio.yml',
+            'parameters.platform: "arm"  # --parameter',
+            '',
+        ]);
+        assert.strictEqual(fs.readFileSync(otherPath, 'utf8'), pipeline, 'files are not formatted');
+    }),
+);
+
+results.push(
+    test('--config selects a configuration file', () => {
+        const alternatePath = path.join(tempDir, 'ci.json');
+        fs.writeFileSync(alternatePath, JSON.stringify({ format: { indent: 3 }, variables: { environment: 'ci' } }));
+        const printed = run('pipelines/app.yml', '--print-config', '--config', alternatePath).stdout;
+        assert(printed.includes('(project configuration: ../ci.json)'), printed);
+        assert(printed.includes('variables.environment: "ci"  # ../ci.json'));
+        assert(!printed.includes('resourceLocations'), 'the discovered file is not used');
+
+        const formatted = run('-R', 'pipelines', '--config', alternatePath);
+        assert.strictEqual(formatted.status, 0, formatted.stderr);
+        assert(fs.readFileSync(appPath, 'utf8').includes('\n   steps:\n'), fs.readFileSync(appPath, 'utf8'));
+
+        const missing = run('pipelines/app.yml', '--config', 'missing.json');
+        assert.strictEqual(missing.status, 1);
+        assert(missing.stderr.includes('Invalid project configuration'), missing.stderr);
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} project configuration tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test discovery of repository resource locations (discoverRepositories)
+ *
+ * Verifies that:
+ * 1. Sibling git clones are matched by their remote URL against the resource name
+ * 2. The endpoint picks between several matching clones
+ * 3. The resourceLocations of a project configuration file map aliases to locations
+ * 4. Configured locations take precedence and discovery is opt-in
+ * 5. Remote URLs of Azure Repos, GitHub and SSH remotes are recognized; malformed ones do not break discovery
+ * 6. Sibling clones are read again only when a clone is added or removed or its git config changes
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'aps-discovery-')));
+const appDir = path.join(tempDir, 'app');
+const pipelinePath = path.join(appDir, 'pipelines', 'azure-pipelines.yml');
+
+// A git clone is recognized by its .git/config, so no git binary is needed
+const createClone = (name, url, template) => {
+    const directory = path.join(tempDir, name);
+    fs.mkdirSync(path.join(directory, '.git'), { recursive: true });
+    if (url) {
+        fs.writeFileSync(
+            path.join(directory, '.git', 'config'),
+            `[core]\n\tbare = false\n[remote "origin"]\n\turl = ${url}\n\tfetch = +refs/heads/*:refs/remotes/origin/*\n`,
+        );
+    }
+    if (template) {
+        fs.writeFileSync(path.join(directory, 'build.yml'), `steps:\n- script: echo ${template}\n`);
+    }
+    return directory;
+};
+createClone('app');
+const sharedDir = createClone('shared-templates', 'https://dev.azure.com/org/Project/_git/shared', 'shared');
+createClone('other', 'https://github.com/org/other.git', 'other');
+const forkDir = createClone('other-fork', 'git@ghe.example.com:fork/other.git', 'fork');
+const vendoredDir = createClone('vendored', undefined, 'vendored');
+createClone('malformed', 'https://dev.azure.com/org/100%/_git/tools');
+fs.mkdirSync(path.dirname(pipelinePath));
+
+const pipeline = [
+    'resources:',
+    '  repositories:',
+    '  - repository: shared',
+    '    type: git',
+    '    name: project/shared',
+    '  - repository: fork',
+    '    type: githubenterprise',
+    '    name: other',
+    '    endpoint: ghe',
+    '  - repository: vendored',
+    '    type: git',
+    '    name: project/vendored',
+    'steps:',
+    '- template: build.yml@shared',
+    '- template: build.yml@fork',
+    '- template: build.yml@vendored',
+    '',
+].join('\n');
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, discoverRepositories: true, collectDiagnostics: true };
+const results = [];
+
+results.push(
+    test('Sibling clones are matched by their remote URL', () => {
+        const { text, discoveredRepositories } = parser.expandPipelineToResult(pipeline, overrides);
+        assert(text.includes('echo shared'), text);
+        assert.deepStrictEqual(discoveredRepositories[0], {
+            repository: 'shared',
+            location: sharedDir,
+            source: 'remote',
+            detail: 'https://dev.azure.com/org/Project/_git/shared',
+        });
+    }),
+);
+
+results.push(
+    test('The endpoint picks between matching clones', () => {
+        const { text, discoveredRepositories } = parser.expandPipelineToResult(pipeline, overrides);
+        assert(text.includes('echo fork') && !text.includes('echo other'), text);
+        assert.strictEqual(discoveredRepositories[1].location, forkDir);
+    }),
+);
+
+results.push(
+    test('A project configuration maps aliases to locations', () => {
+        const { diagnostics } = parser.expandPipelineToResult(pipeline, overrides);
+        assert.deepStrictEqual(
+            diagnostics.map((diagnostic) => diagnostic.message),
+            [
+                "Repository resource 'vendored' does not define a local location. Set a 'location' for this resource (for example via the 'azurePipelineStudio.resourceLocations' setting).",
+            ],
+        );
+
+        const manifestPath = path.join(appDir, '.azure-pipeline-studio.json');
+        fs.writeFileSync(manifestPath, JSON.stringify({ resourceLocations: { vendored: '../vendored' } }));
+        const { text, discoveredRepositories } = parser.expandPipelineToResult(pipeline, overrides);
+        assert(text.includes('echo vendored'), text);
+        assert.deepStrictEqual(discoveredRepositories[2], {
+            repository: 'vendored',
+            location: vendoredDir,
+            source: 'manifest',
+            detail: manifestPath,
+        });
+
+        fs.writeFileSync(
+            manifestPath,
+            JSON.stringify({ resourceLocations: [{ repository: 'shared', location: 'x' }] }),
+        );
+        const fromList = parser.expandPipelineToResult(pipeline, overrides);
+        assert.strictEqual(fromList.discoveredRepositories[0].location, path.join(appDir, 'x'));
+
+        fs.writeFileSync(manifestPath, '{ broken');
+        assert.throws(
+            () => parser.expandPipelineToResult(pipeline, overrides),
+            /Invalid project configuration .*\.azure-pipeline-studio\.json/,
+        );
+        fs.rmSync(manifestPath);
+    }),
+);
+
+results.push(
+    test('Configured locations win and discovery is opt-in', () => {
+        const configured = parser.expandPipelineToResult(pipeline, {
+            ...overrides,
+            resourceLocations: { shared: path.join(tempDir, 'other') },
+        });
+        assert(configured.text.includes('echo other'));
+        assert.deepStrictEqual(
+            configured.discoveredRepositories.map((discovered) => discovered.repository),
+            ['fork'],
+        );
+
+        const { discoverRepositories, ...withoutDiscovery } = overrides;
+        assert(discoverRepositories);
+        const { diagnostics, discoveredRepositories } = parser.expandPipelineToResult(pipeline, withoutDiscovery);
+        assert.strictEqual(diagnostics.length, 3);
+        assert.strictEqual(discoveredRepositories, undefined);
+    }),
+);
+
+results.push(
+    test('Remote URLs are compared by their trailing segments', () => {
+        const matches = (url, name) => parser.remoteMatchesName(url, name);
+        assert(matches('git@ssh.dev.azure.com:v3/org/Project/shared', 'project/shared'));
+        assert(matches('https://org.visualstudio.com/Project/_git/shared', 'shared'));
+        assert(matches('https://user@github.com/org/other.git/', 'org/other'));
+        assert(matches('https://dev.azure.com/org/My%20Project/_git/shared', 'My Project/shared'));
+        assert(!matches('https://github.com/org/other.git', 'hared'));
+        assert(!matches('https://github.com/org/other.git', 'fork/other'));
+        assert(matches('https://dev.azure.com/org/100%/_git/tools', '100%/tools'), 'malformed escapes do not throw');
+    }),
+);
+
+results.push(
+    test('Sibling clones are read again only when they change', () => {
+        const cachingParser = new AzurePipelineParser();
+        let reads = 0;
+        const readGitRemoteUrls = cachingParser.readGitRemoteUrls.bind(cachingParser);
+        cachingParser.readGitRemoteUrls = (directory) => {
+            reads++;
+            return readGitRemoteUrls(directory);
+        };
+        const expand = () => {
+            reads = 0;
+            return cachingParser.expandPipelineToResult(pipeline, overrides);
+        };
+
+        assert(expand().text.includes('echo shared'));
+        assert(reads > 0);
+        assert(expand().text.includes('echo shared'));
+        assert.strictEqual(reads, 0, 'unchanged clones are not read again');
+
+        // git rewrites its config through a lock file renamed into .git
+        const configPath = path.join(sharedDir, '.git', 'config');
+        const lockPath = `${configPath}.lock`;
+        fs.writeFileSync(lockPath, fs.readFileSync(configPath, 'utf8').replace('/shared', '/renamed'));
+        fs.renameSync(lockPath, configPath);
+        const renamed = expand();
+        assert(reads > 0);
+        assert(!renamed.text.includes('echo shared'), renamed.text);
+
+        const addedDir = createClone('added', 'https://dev.azure.com/org/Project/_git/shared', 'added');
+        assert(expand().text.includes('echo added'), 'a new clone is found');
+        fs.rmSync(addedDir, { recursive: true, force: true });
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} repository discovery tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Test reading repository templates at their declared ref (useRepositoryRefs)
+ *
+ * Verifies that:
+ * 1. Templates of a repository resource, and the templates they include, are read at its `ref`
+ * 2. Branches that only exist as remote-tracking branches and tags are found
+ * 3. Missing refs fall back to the working tree with a warning
+ * 4. Without the option the working tree is used
+ * 5. The CLI prints the ref and commit in the output header
+ * 6. Re-expanding with the same parser runs git again only when the ref changes
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-repository-refs-'));
+const upstreamDir = path.join(tempDir, 'upstream');
+const cloneDir = path.join(tempDir, 'shared');
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const cli = path.join(__dirname, '..', 'extension.js');
+
+const git = (cwd, ...args) =>
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+        cwd,
+        stdio: 'pipe',
+        encoding: 'utf8',
+    });
+const writeTemplate = (directory, name, content) => {
+    fs.mkdirSync(path.join(directory, 'templates'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'templates', name), content);
+};
+
+let gitAvailable = true;
+try {
+    fs.mkdirSync(upstreamDir);
+    git(upstreamDir, 'init', '-q', '-b', 'main');
+    writeTemplate(upstreamDir, 'build.yml', 'steps:\n- template: steps.yml\n');
+    writeTemplate(upstreamDir, 'steps.yml', 'steps:\n- script: echo release\n');
+    git(upstreamDir, 'add', '-A');
+    git(upstreamDir, 'commit', '-q', '-m', 'release');
+    git(upstreamDir, 'tag', 'v1');
+    git(upstreamDir, 'branch', 'release');
+    writeTemplate(upstreamDir, 'steps.yml', 'steps:\n- script: echo feature\n');
+    git(upstreamDir, 'checkout', '-q', '-b', 'feature');
+    git(upstreamDir, 'commit', '-q', '-am', 'feature');
+    git(upstreamDir, 'checkout', '-q', 'main');
+
+    // The clone has main and release checked out locally; feature only exists as origin/feature
+    git(tempDir, 'clone', '-q', upstreamDir, cloneDir);
+    git(cloneDir, 'branch', 'release', 'origin/release');
+    writeTemplate(cloneDir, 'build.yml', 'steps:\n- script: echo working tree\n');
+    fs.rmSync(path.join(cloneDir, 'templates', 'steps.yml'));
+} catch (error) {
+    gitAvailable = false;
+    console.log(`⚠️  SKIP repository ref tests (git unavailable: ${error.message.split('\n')[0]})`);
+}
+
+const pipelineFor = (ref) =>
+    [
+        'resources:',
+        '  repositories:',
+        '  - repository: shared',
+        '    type: git',
+        '    name: org/shared',
+        ...(ref ? [`    ref: ${ref}`] : []),
+        'steps:',
+        '- template: templates/build.yml@shared',
+        '',
+    ].join('\n');
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, resourceLocations: { shared: cloneDir }, useRepositoryRefs: true };
+const results = [];
+
+if (gitAvailable) {
+    const commitOf = (ref) => git(upstreamDir, 'rev-parse', ref).trim();
+
+    results.push(
+        test('Repository templates and their includes are read at the ref', () => {
+            const { text, repositoryRefs, warnings } = parser.expandPipelineToResult(
+                pipelineFor('refs/heads/release'),
+                overrides,
+            );
+            assert(text.includes('echo release'), text);
+            assert(!text.includes('working tree'));
+            assert.deepStrictEqual(repositoryRefs, [
+                { repository: 'shared', ref: 'refs/heads/release', location: cloneDir, commit: commitOf('release') },
+            ]);
+            assert.deepStrictEqual(warnings, []);
+        }),
+    );
+
+    results.push(
+        test('Remote-tracking branches and tags are found', () => {
+            const feature = parser.expandPipelineToResult(pipelineFor('refs/heads/feature'), overrides);
+            assert(feature.text.includes('echo feature'), feature.text);
+            assert.strictEqual(feature.repositoryRefs[0].commit, commitOf('feature'));
+
+            const tag = parser.expandPipelineToResult(pipelineFor('refs/tags/v1'), overrides);
+            assert(tag.text.includes('echo release'));
+        }),
+    );
+
+    results.push(
+        test('Missing refs fall back to the working tree with a warning', () => {
+            const { text, repositoryRefs, warnings } = parser.expandPipelineToResult(
+                pipelineFor('refs/heads/missing'),
+                overrides,
+            );
+            assert(text.includes('echo working tree'), text);
+            assert.strictEqual(repositoryRefs[0].commit, undefined);
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].code, 'repository-ref');
+            assert(
+                warnings[0].message.startsWith(
+                    `Ref 'refs/heads/missing' of repository 'shared' could not be read from ${cloneDir}`,
+                ),
+                warnings[0].message,
+            );
+            assert(warnings[0].message.endsWith('its templates are read from the working tree.'));
+        }),
+    );
+
+    results.push(
+        test('Without the option or a ref the working tree is used', () => {
+            const { useRepositoryRefs, ...workingTree } = overrides;
+            assert(useRepositoryRefs);
+            const withoutOption = parser.expandPipelineToResult(pipelineFor('refs/heads/release'), workingTree);
+            assert(withoutOption.text.includes('echo working tree'));
+            assert.strictEqual(withoutOption.repositoryRefs, undefined);
+
+            const withoutRef = parser.expandPipelineToResult(pipelineFor(), overrides);
+            assert(withoutRef.text.includes('echo working tree'));
+            assert.deepStrictEqual(withoutRef.repositoryRefs, []);
+        }),
+    );
+
+    results.push(
+        test('The CLI prints the ref and commit in the output header', () => {
+            fs.writeFileSync(pipelinePath, pipelineFor('refs/heads/release'));
+            const { stdout, status } = spawnSync(
+                process.execPath,
+                [cli, pipelinePath, '-x', '--use-repository-refs', '-r', `shared=${cloneDir}`],
+                { cwd: tempDir, encoding: 'utf8' },
+            );
+            assert.strictEqual(status, 0);
+            const header = `# Repository shared: refs/heads/release (${commitOf('release').slice(0, 12)})`;
+            assert(stdout.startsWith(header), stdout);
+            assert(stdout.includes('echo release'));
+        }),
+    );
+
+    results.push(
+        test('Re-expanding runs git again only when the ref changes', () => {
+            // A git wrapper first on the PATH logs every git command the parser runs
+            const gitPath = process.env.PATH.split(path.delimiter)
+                .map((directory) => path.join(directory, 'git'))
+                .find((candidate) => fs.existsSync(candidate));
+            const binDir = path.join(tempDir, 'bin');
+            const logPath = path.join(tempDir, 'git.log');
+            fs.mkdirSync(binDir);
+            fs.writeFileSync(
+                path.join(binDir, 'git'),
+                `#!/bin/sh\necho "$1" >> "${logPath}"\nexec "${gitPath}" "$@"\n`,
+            );
+            fs.chmodSync(path.join(binDir, 'git'), 0o755);
+            const gitCommands = (fn) => {
+                fs.writeFileSync(logPath, '');
+                const originalPath = process.env.PATH;
+                process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+                try {
+                    return { result: fn(), commands: fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean) };
+                } finally {
+                    process.env.PATH = originalPath;
+                }
+            };
+
+            const cachingParser = new AzurePipelineParser();
+            const expand = () => cachingParser.expandPipelineToResult(pipelineFor('refs/heads/release'), overrides);
+            const first = gitCommands(expand);
+            assert(first.result.text.includes('echo release'));
+            assert(first.commands.includes('show'), first.commands.join(' '));
+
+            const again = gitCommands(expand);
+            assert(again.result.text.includes('echo release'));
+            assert.deepStrictEqual(again.commands, [], 'nothing changed');
+
+            git(cloneDir, 'pack-refs', '--all');
+            const packed = gitCommands(expand);
+            assert(packed.result.text.includes('echo release'));
+            assert(packed.commands.includes('rev-parse'), 'the ref is resolved again');
+            assert(!packed.commands.includes('show'), 'templates of the same commit are not read again');
+
+            git(cloneDir, 'branch', '-f', 'release', 'origin/feature');
+            const moved = gitCommands(expand);
+            assert(moved.result.text.includes('echo feature'), moved.result.text);
+            assert.strictEqual(moved.result.repositoryRefs[0].commit, commitOf('feature'));
+        }),
+    );
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} repository ref tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test macro resolution mode (resolveMacros option)
+ *
+ * Verifies that:
+ * 1. Macros are left untouched unless resolution is requested
+ * 2. Known macros are substituted in scripts, inputs and displayNames using scoped variables
+ * 3. Macro names are matched case-insensitively and nested macros are resolved
+ * 4. Unknown macros and runtime ($[ ]) variables are kept and reported with their location
+ */
+
+const assert = require('assert');
+const YAML = require('yaml');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const pipeline = `
+variables:
+  environment: prod
+  fullName: $(environment)-eu
+  computed: $[ variables.environment ]
+
+stages:
+- stage: Deploy
+  displayName: Deploy $(ENVIRONMENT)
+  variables:
+    region: westeurope
+  jobs:
+  - job: Release
+    steps:
+    - script: echo $(fullName) $(region) $(unknown) $(computed)
+      displayName: Release on $(Build.Reason)
+    - task: AzureCLI@2
+      inputs:
+        scriptLocation: inlineScript
+        inlineScript: az group show -n rg-$(region)
+    - script: echo $(region)
+      env:
+        REGION: $(region)
+`;
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Macros are untouched without resolveMacros', () => {
+        const result = parser.expandPipelineToResult(pipeline, {});
+        assert.strictEqual(result.unresolvedMacros, undefined);
+        assert(result.text.includes('displayName: Deploy $(ENVIRONMENT)'));
+    }),
+);
+
+results.push(
+    test('Known macros are substituted in scripts, inputs and displayNames', () => {
+        const { text } = parser.expandPipelineToResult(pipeline, {
+            resolveMacros: true,
+            variables: { 'Build.Reason': 'Manual' },
+        });
+        const document = YAML.parse(text);
+        const stage = document.stages[0];
+        const steps = stage.jobs[0].steps;
+
+        assert.strictEqual(stage.displayName, 'Deploy prod', 'macro names are case-insensitive');
+        assert.strictEqual(steps[0].displayName, 'Release on Manual');
+        assert.strictEqual(steps[0].inputs.script, 'echo prod-eu westeurope $(unknown) $(computed)');
+        assert.strictEqual(steps[1].inputs.inlineScript, 'az group show -n rg-westeurope');
+        assert.strictEqual(steps[2].env.REGION, '$(region)', 'env values are not substituted');
+        assert.strictEqual(document.variables.fullName, '$(environment)-eu', 'variable definitions are kept');
+    }),
+);
+
+results.push(
+    test('Unresolved macros are reported with their location', () => {
+        const { unresolvedMacros } = parser.expandPipelineToResult(pipeline, { resolveMacros: true });
+        const reported = unresolvedMacros.map((entry) => `${entry.name}@${parser.formatDocumentPath(entry.path)}`);
+
+        assert.deepStrictEqual(reported, [
+            'Build.Reason@stages[0].jobs[0].steps[0].displayName',
+            'unknown@stages[0].jobs[0].steps[0].inputs.script',
+            'computed@stages[0].jobs[0].steps[0].inputs.script',
+        ]);
+    }),
+);
+
+results.push(
+    test('Self-referencing variables do not recurse forever', () => {
+        const unresolved = [];
+        const value = parser.substituteMacros('$(loop)', { loop: 'x$(LOOP)' }, ['displayName'], unresolved);
+        assert.strictEqual(value, 'x$(LOOP)');
+        assert.deepStrictEqual(unresolved, [{ name: 'LOOP', path: ['displayName'] }]);
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} macro resolution tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Test pipeline, container, package and other resources in the expansion context
+ *
+ * Verifies that:
+ * 1. Every kind of resource is available by alias in ${{ resources.* }} expressions
+ * 2. Simulated metadata from the resources override is added to declared resources only
+ * 3. Services and step targets must name declared containers; an undeclared job container is an image name
+ * 4. download, getPackage and checkout steps must name declared resources; built-in names and macros are accepted
+ * 5. Problems point at their source and are reported as diagnostics (with validateSchema)
+ * 6. The CLI reads simulated metadata from --resources and reports resource problems
+ * 7. --validate accepts image names as pipeline and job containers and warns about misspelled aliases
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-resources-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const cli = path.join(__dirname, '..', 'extension.js');
+
+const pipeline = [
+    'resources:', //  1
+    '  repositories:', //  2
+    '  - repository: shared', //  3
+    '    type: git', //  4
+    '    name: project/shared', //  5
+    '  pipelines:', //  6
+    '  - pipeline: upstream', //  7
+    '    source: Upstream CI', //  8
+    '    branch: main', //  9
+    '  containers:', // 10
+    '  - container: linux', // 11
+    '    image: ubuntu:22.04', // 12
+    '  - container: postgres', // 13
+    '    image: postgres:16', // 14
+    '  packages:', // 15
+    '  - package: tools', // 16
+    '    type: npm', // 17
+    '    name: build-tools', // 18
+    'jobs:', // 19
+    '- job: Build', // 20
+    '  container: linux', // 21
+    '  services:', // 22
+    '    db: postgres', // 23
+    '    cache: redis', // 24
+    '  steps:', // 25
+    '  - checkout: shared', // 26
+    '  - checkout: self', // 27
+    '  - download: upstream', // 28
+    '  - download: current', // 29
+    '  - getPackage: tools', // 30
+    '  - script: echo ${{ resources.pipelines.upstream.source }} ${{ resources.containers.linux.image }}', // 31
+    '    target: host', // 32
+    '  - script: echo ${{ resources.packages.tools.name }}', // 33
+    '    target: linx', // 34
+    '- job: Deploy', // 35
+    '  container: linus', // 36
+    '  steps:', // 37
+    '  - download: upstram', // 38
+    '  - getPackage: $(packageAlias)', // 39
+    '  - checkout: templates', // 40
+    '  - checkout: git://project/other', // 41
+    '  - script: echo ${{ resources.pipelines.upstream.sourceBranch }}', // 42
+    '- job: Test', // 43
+    '  container: ubuntu:22.04', // 44
+    '  steps:', // 45
+    '  - script: echo test', // 46
+    '',
+].join('\n');
+fs.writeFileSync(pipelinePath, pipeline);
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, validateSchema: true };
+const { text, resourceViolations, warnings } = parser.expandPipelineToResult(pipeline, overrides);
+const results = [];
+
+results.push(
+    test('Resources are available by alias in expressions', () => {
+        assert(text.includes('script: echo Upstream CI ubuntu:22.04'), text);
+        assert(text.includes('script: echo build-tools'), text);
+
+        const mapped = ['resources:', '  builds:', '    legacy: { type: Jenkins, connection: ci }', 'steps:'];
+        mapped.push('- script: echo ${{ resources.builds.legacy.type }} ${{ length(resources.builds) }}', '');
+        const expanded = parser.expandPipelineToResult(mapped.join('\n'), { fileName: pipelinePath }).text;
+        assert(expanded.includes('script: echo Jenkins 1'), expanded);
+    }),
+);
+
+results.push(
+    test('Simulated metadata is added to declared resources only', () => {
+        const { text: simulated } = parser.expandPipelineToResult(pipeline, {
+            ...overrides,
+            resources: {
+                pipelines: {
+                    upstream: { sourceBranch: 'refs/heads/release' },
+                    other: { sourceBranch: 'refs/heads/other' },
+                },
+            },
+        });
+        assert(simulated.includes('script: echo refs/heads/release'), simulated);
+        assert(simulated.includes('script: echo Upstream CI ubuntu:22.04'), 'declared properties are kept');
+
+        const { resourceViolations: violations } = parser.expandPipelineToResult(
+            pipeline.replace('download: upstram', 'download: other'),
+            { ...overrides, resources: { pipelines: [{ pipeline: 'other', runID: '1' }] } },
+        );
+        assert(violations.some((violation) => violation.message.startsWith("Pipeline resource 'other'")));
+    }),
+);
+
+results.push(
+    test('Services and step targets must be declared, job containers may be images', () => {
+        const containers = resourceViolations.filter((violation) => violation.message.startsWith('Container'));
+        assert.deepStrictEqual(
+            containers.map((violation) => [violation.path, violation.message]),
+            [
+                ['jobs[0].services.cache', "Container 'redis' is not declared in resources.containers"],
+                [
+                    'jobs[0].steps[6].target',
+                    "Container 'linx' is not declared in resources.containers; did you mean 'linux'?",
+                ],
+            ],
+        );
+        assert.deepStrictEqual(
+            warnings.map(({ code, message, source }) => [code, message, source.line]),
+            [
+                [
+                    'unknown-resource',
+                    "Container 'linus' is not declared in resources.containers and is used as an image name; did you mean 'linux'? (jobs[1].container)",
+                    36,
+                ],
+            ],
+        );
+    }),
+);
+
+results.push(
+    test('download, getPackage and checkout steps must name declared resources', () => {
+        const steps = resourceViolations.filter((violation) => !violation.message.startsWith('Container'));
+        assert.deepStrictEqual(
+            steps.map((violation) => [violation.path, violation.message]),
+            [
+                [
+                    'jobs[1].steps[0].download',
+                    "Pipeline resource 'upstram' is not declared in resources.pipelines; did you mean 'upstream'?",
+                ],
+                [
+                    'jobs[1].steps[2].inputs.repository',
+                    "Repository 'templates' is not declared in resources.repositories",
+                ],
+            ],
+        );
+        assert(resourceViolations.every((violation) => violation.code === 'unknown-resource'));
+    }),
+);
+
+results.push(
+    test('Problems point at their source and become diagnostics', () => {
+        const [service] = resourceViolations;
+        assert.deepStrictEqual(service.source, { file: pipelinePath, line: 24, column: 5 });
+
+        const { diagnostics } = parser.expandPipelineToResult(pipeline, { ...overrides, collectDiagnostics: true });
+        const resources = diagnostics.filter((diagnostic) => diagnostic.code === 'unknown-resource');
+        assert.deepStrictEqual(
+            resources.map((diagnostic) => diagnostic.line),
+            [24, 34, 38, 40],
+        );
+
+        const { resourceViolations: unchecked } = parser.expandPipelineToResult(pipeline, { fileName: pipelinePath });
+        assert.strictEqual(unchecked, undefined, 'resource references are checked with validateSchema');
+    }),
+);
+
+results.push(
+    test('The CLI reads --resources and reports resource problems', () => {
+        const resourcesPath = path.join(tempDir, 'resources.yml');
+        fs.writeFileSync(resourcesPath, 'pipelines:\n  upstream:\n    sourceBranch: refs/heads/hotfix\n');
+        const run = (...args) => spawnSync(process.execPath, [cli, ...args], { cwd: tempDir, encoding: 'utf8' });
+
+        const expanded = run('azure-pipelines.yml', '-x', '--resources', 'resources.yml');
+        assert.strictEqual(expanded.status, 0, expanded.stderr);
+        assert(expanded.stdout.includes('script: echo refs/heads/hotfix'), expanded.stdout);
+
+        const validated = run('azure-pipelines.yml', '-x', '--validate-schema');
+        assert.strictEqual(validated.status, 1);
+        assert(
+            validated.stderr.includes(
+                "Resource problem at jobs[0].services.cache: Container 'redis' is not declared in resources.containers (azure-pipelines.yml:24)",
+            ),
+            validated.stderr,
+        );
+    }),
+);
+
+results.push(
+    test('--validate accepts image names as containers and warns about misspelled aliases', () => {
+        const run = (...args) => spawnSync(process.execPath, [cli, ...args], { cwd: tempDir, encoding: 'utf8' });
+        const imagePath = path.join(tempDir, 'container-job.yml');
+        fs.writeFileSync(
+            imagePath,
+            [
+                'pool:',
+                '  vmImage: ubuntu-latest',
+                'container: ubuntu:18.04',
+                'jobs:',
+                '- job: Test',
+                '  container: ubuntu:22.04',
+                '  steps:',
+                '  - script: echo test',
+                '',
+            ].join('\n'),
+        );
+        const images = run('container-job.yml', '--validate');
+        assert.strictEqual(images.status, 0, images.stdout + images.stderr);
+        assert(images.stdout.includes('0 error(s), 0 warning(s)'), images.stdout);
+
+        const typoPath = path.join(tempDir, 'container-typo.yml');
+        const typo = ['resources:', '  containers:', '  - container: linux', '    image: ubuntu:22.04'];
+        fs.writeFileSync(typoPath, [...typo, 'container: linus', 'steps:', '- script: echo', ''].join('\n'));
+        const warned = run('container-typo.yml', '--validate');
+        assert.strictEqual(warned.status, 0, warned.stdout + warned.stderr);
+        assert(
+            warned.stdout.includes(
+                "container-typo.yml:5:1: warning: Container 'linus' is not declared in resources.containers and is used as an image name; did you mean 'linux'? (container) [unknown-resource]",
+            ),
+            warned.stdout,
+        );
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} resource tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
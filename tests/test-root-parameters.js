@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test root pipeline parameter values (parameters option)
+ *
+ * Verifies that:
+ * 1. Provided values override root parameter defaults
+ * 2. Values outside the allowed values list are rejected
+ * 3. Type mismatches and missing required parameters are rejected
+ * 4. Unknown parameter names are rejected
+ * 5. Root parameters are not validated when no values are provided
+ */
+
+const assert = require('assert');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const pipeline = `
+parameters:
+- name: environment
+  type: string
+  values:
+  - dev
+  - prod
+- name: runTests
+  type: boolean
+  default: true
+- name: retries
+  type: number
+  default: 1
+
+steps:
+- script: echo \${{ parameters.environment }} \${{ parameters.runTests }} \${{ parameters.retries }}
+`;
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Provided values override parameter defaults', () => {
+        const output = parser.expandPipelineToString(pipeline, {
+            fileName: 'azure-pipelines.yml',
+            parameters: { environment: 'prod', runTests: false, retries: 3 },
+        });
+        assert(output.includes('echo prod False 3'), `unexpected output:\n${output}`);
+    }),
+);
+
+results.push(
+    test('Values outside the allowed list are rejected', () => {
+        assert.throws(
+            () =>
+                parser.expandPipeline(pipeline, {
+                    fileName: 'azure-pipelines.yml',
+                    parameters: { environment: 'qa' },
+                }),
+            /Invalid parameter value\(s\) for pipeline 'azure-pipelines.yml'[\s\S]*'environment' has value 'qa'/,
+        );
+    }),
+);
+
+results.push(
+    test('Type mismatches are rejected', () => {
+        assert.throws(
+            () =>
+                parser.expandPipeline(pipeline, {
+                    fileName: 'azure-pipelines.yml',
+                    parameters: { environment: 'dev', retries: 'many' },
+                }),
+            /Parameter 'retries' expects type 'number'/,
+        );
+    }),
+);
+
+results.push(
+    test('Missing required parameters are rejected', () => {
+        assert.throws(
+            () =>
+                parser.expandPipeline('parameters:\n- name: owner\n  type: string\nsteps:\n- script: echo hi\n', {
+                    fileName: 'azure-pipelines.yml',
+                    parameters: {},
+                }),
+            /Missing required parameter\(s\) for pipeline 'azure-pipelines.yml'[\s\S]*owner/,
+        );
+    }),
+);
+
+results.push(
+    test('Unknown parameters are rejected', () => {
+        assert.throws(
+            () =>
+                parser.expandPipeline(pipeline, {
+                    fileName: 'azure-pipelines.yml',
+                    parameters: { environment: 'dev', region: 'west' },
+                }),
+            /Unknown parameter\(s\) for pipeline 'azure-pipelines.yml'[\s\S]*region/,
+        );
+    }),
+);
+
+results.push(
+    test('Root parameters are not validated without values', () => {
+        const output = parser.expandPipelineToString(pipeline, {});
+        assert(output.includes('True 1'), 'defaults should still apply');
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} root parameter tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
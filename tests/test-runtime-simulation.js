@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Test runtime simulation mode (runtimeScenario option)
+ *
+ * Verifies that:
+ * 1. Status functions keep their defaults when no scenario is provided
+ * 2. $[ ] variables are evaluated against scenario variables and dependency outputs
+ * 3. Stage/job/step conditions follow scenario results in dependency order
+ * 4. Annotations are rendered as comments in the expanded YAML
+ * 5. Invalid results in a scenario are reported
+ */
+
+const assert = require('assert');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const pipeline = `
+variables:
+  isMain: $[ eq(variables['Build.SourceBranch'], 'refs/heads/main') ]
+
+stages:
+- stage: Build
+  jobs:
+  - job: Compile
+    steps:
+    - script: echo compile
+      name: setVars
+    - script: echo after compile
+  - job: Test
+    dependsOn: Compile
+    variables:
+      flag: $[ dependencies.Compile.outputs['setVars.flag'] ]
+    steps:
+    - script: echo test
+      condition: eq(variables.flag, 'yes')
+
+- stage: Deploy
+  condition: and(succeeded(), eq(variables.isMain, true))
+  variables:
+    upstream: $[ stageDependencies.Build.Compile.outputs['setVars.flag'] ]
+  jobs:
+  - job: Deploy
+    steps:
+    - script: echo deploy
+
+- stage: Notify
+  dependsOn:
+  - Build
+  - Deploy
+  condition: failed()
+  jobs:
+  - job: Notify
+    steps:
+    - script: echo notify
+`;
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Status functions keep defaults without a scenario', () => {
+        assert.strictEqual(parser.evaluateExpression('succeeded()', { parameters: {}, variables: {} }), '__TRUE__');
+        assert.strictEqual(parser.evaluateExpression('failed()', { parameters: {}, variables: {} }), '__FALSE__');
+        const { runtime } = parser.expandPipeline(pipeline, {});
+        assert.strictEqual(runtime, undefined, 'simulation should only run when a scenario is given');
+    }),
+);
+
+results.push(
+    test('Successful main-branch run deploys and skips notification', () => {
+        const { runtime } = parser.expandPipeline(pipeline, {
+            runtimeScenario: {
+                variables: { 'Build.SourceBranch': 'refs/heads/main' },
+                jobs: { 'Build.Compile': { outputs: { 'setVars.flag': 'yes' } } },
+            },
+        });
+
+        assert.strictEqual(runtime.stages.Build.result, 'Succeeded');
+        assert.strictEqual(runtime.stages.Deploy.result, 'Succeeded');
+        assert.strictEqual(runtime.stages.Notify.result, 'Skipped');
+
+        const messages = runtime.annotations.map((annotation) => annotation.message);
+        assert(messages.includes('runtime value: True'), 'isMain should evaluate to True');
+        assert(messages.includes('runtime value: yes'), 'job and stage output variables should resolve');
+        assert(
+            runtime.annotations.some(
+                (annotation) =>
+                    annotation.path.join('.') === 'stages.0.jobs.1.steps.0' &&
+                    annotation.message.startsWith('runtime: runs'),
+            ),
+            'Test step should run when the output flag is yes',
+        );
+    }),
+);
+
+results.push(
+    test('Failed job skips dependents and triggers failed() stage', () => {
+        const { runtime } = parser.expandPipeline(pipeline, {
+            runtimeScenario: {
+                variables: { 'Build.SourceBranch': 'refs/heads/main' },
+                jobs: { Compile: { steps: { setVars: 'failed' } } },
+            },
+        });
+
+        assert.strictEqual(runtime.jobs['Build.Compile'].result, 'Failed');
+        assert.strictEqual(runtime.jobs['Build.Test'].result, 'Skipped');
+        assert.strictEqual(runtime.stages.Build.result, 'Failed');
+        assert.strictEqual(runtime.stages.Deploy.result, 'Skipped');
+        assert.strictEqual(runtime.stages.Notify.result, 'Succeeded');
+    }),
+);
+
+results.push(
+    test('Canceled runs only execute always() items', () => {
+        const yaml = `
+steps:
+- script: echo first
+- script: echo cleanup
+  condition: always()
+`;
+        const { runtime } = parser.expandPipeline(yaml, { runtimeScenario: { canceled: true } });
+        const messages = runtime.annotations.map((annotation) => annotation.message);
+        assert(messages[0].startsWith('runtime: skipped'), 'first step should be skipped');
+        assert(messages[1].startsWith('runtime: runs'), 'always() step should run');
+    }),
+);
+
+results.push(
+    test('Annotations are rendered as YAML comments', () => {
+        const output = parser.expandPipelineToString(pipeline, {
+            runtimeScenario: { variables: { 'Build.SourceBranch': 'refs/heads/feature' } },
+        });
+
+        assert(output.includes("'refs/heads/main') ] # runtime value: False"), 'variable value should be annotated');
+        assert(
+            output.includes(
+                '# runtime: skipped (condition: and(succeeded(), eq(variables.isMain, true)) evaluated to False)',
+            ),
+            'Deploy stage should be annotated as skipped',
+        );
+    }),
+);
+
+results.push(
+    test('Invalid scenario results are reported', () => {
+        assert.throws(
+            () => parser.expandPipeline(pipeline, { runtimeScenario: { jobs: { Compile: { result: 'Exploded' } } } }),
+            /Invalid runtime result 'Exploded'/,
+        );
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} runtime simulation tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
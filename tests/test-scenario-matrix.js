@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test scenario matrix expansion (expandScenarioMatrix)
+ *
+ * Verifies that:
+ * 1. Scenarios can be given as a mapping or a list, with shared top-level values
+ * 2. Each scenario is expanded with its own variables and parameters
+ * 3. The summary lists which stages and jobs appear in which scenarios
+ * 4. A failing scenario is reported without aborting the others
+ * 5. Invalid scenario definitions are reported
+ */
+
+const assert = require('assert');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const pipeline = `
+parameters:
+- name: environment
+  type: string
+  values:
+  - dev
+  - prod
+
+stages:
+- stage: Build
+  jobs:
+  - job: Compile
+    steps:
+    - script: echo \${{ parameters.environment }}
+  - \${{ if ne(variables['Build.Reason'], 'PullRequest') }}:
+    - job: Publish
+      steps:
+      - script: echo publish
+- \${{ if eq(variables['Build.SourceBranch'], 'refs/heads/main') }}:
+  - stage: Deploy
+    jobs:
+    - deployment: Release
+      environment: \${{ parameters.environment }}
+      strategy:
+        runOnce:
+          deploy:
+            steps:
+            - script: echo deploy
+`;
+
+const matrix = {
+    parameters: { environment: 'dev' },
+    scenarios: {
+        pr: { variables: { 'Build.Reason': 'PullRequest' } },
+        ci: {
+            variables: { 'Build.Reason': 'IndividualCI', 'Build.SourceBranch': 'refs/heads/main' },
+            parameters: { environment: 'prod' },
+        },
+    },
+};
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Mapping and list forms normalize to named scenarios', () => {
+        const fromMapping = parser.normalizeScenarioMatrix(matrix);
+        assert.deepStrictEqual(
+            fromMapping.map((scenario) => scenario.name),
+            ['pr', 'ci'],
+        );
+        assert.deepStrictEqual(fromMapping[0].parameters, { environment: 'dev' }, 'shared parameters apply');
+        assert.deepStrictEqual(fromMapping[1].parameters, { environment: 'prod' }, 'scenario parameters win');
+
+        const fromList = parser.normalizeScenarioMatrix({
+            variables: { 'Build.Reason': 'Schedule' },
+            scenarios: [{ name: 'nightly' }],
+        });
+        assert.deepStrictEqual(fromList, [
+            { name: 'nightly', variables: { 'Build.Reason': 'Schedule' }, parameters: undefined },
+        ]);
+    }),
+);
+
+results.push(
+    test('Each scenario is expanded with its own values', () => {
+        const { scenarios } = parser.expandScenarioMatrix(pipeline, matrix, { fileName: 'azure-pipelines.yml' });
+        const [pr, ci] = scenarios;
+
+        assert(pr.text.includes('echo dev'), 'pr should use the shared parameter value');
+        assert(!pr.text.includes('Publish'), 'pr should not publish');
+        assert(ci.text.includes('echo prod'), 'ci should use its own parameter value');
+        assert(ci.text.includes('stage: Deploy'), 'ci on main should deploy');
+    }),
+);
+
+results.push(
+    test('Summary lists stages and jobs per scenario', () => {
+        const { summary } = parser.expandScenarioMatrix(pipeline, matrix, {});
+        assert.deepStrictEqual(summary.stages, { Build: ['pr', 'ci'], Deploy: ['ci'] });
+        assert.deepStrictEqual(summary.jobs, {
+            'Build.Compile': ['pr', 'ci'],
+            'Build.Publish': ['ci'],
+            'Deploy.Release': ['ci'],
+        });
+        assert.deepStrictEqual(summary.failed, []);
+    }),
+);
+
+results.push(
+    test('Failing scenarios do not abort the matrix', () => {
+        const { scenarios, summary } = parser.expandScenarioMatrix(
+            pipeline,
+            { scenarios: { good: { parameters: { environment: 'dev' } }, bad: { parameters: { environment: 'qa' } } } },
+            { fileName: 'azure-pipelines.yml' },
+        );
+        assert(scenarios[0].text, 'good scenario should expand');
+        assert(/not in allowed values/.test(scenarios[1].error.message), 'bad scenario should carry its error');
+        assert.deepStrictEqual(summary.failed, ['bad']);
+        assert.deepStrictEqual(summary.stages, { Build: ['good'] });
+    }),
+);
+
+results.push(
+    test('Invalid scenario definitions are reported', () => {
+        assert.throws(() => parser.normalizeScenarioMatrix({}), /expected a 'scenarios' mapping or list/);
+        assert.throws(() => parser.normalizeScenarioMatrix({ scenarios: {} }), /no scenarios defined/);
+        assert.throws(
+            () => parser.normalizeScenarioMatrix({ scenarios: [{ name: 'a' }, { name: 'a' }] }),
+            /Duplicate scenario 'a'/,
+        );
+        assert.throws(
+            () => parser.normalizeScenarioMatrix({ scenarios: { a: { variables: ['x'] } } }),
+            /Invalid variables for scenario 'a'/,
+        );
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} scenario matrix tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test schema validation of the expanded pipeline (validateSchema)
+ *
+ * Verifies that:
+ * 1. Misspelled keys are reported with their path and a suggestion
+ * 2. Keys in the wrong place (steps under a stage) and missing names are reported
+ * 3. Violations produced by a template point at the template line
+ * 4. Valid pipelines, including converted script steps, have no violations
+ * 5. With collectDiagnostics, violations are reported as diagnostics
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-schema-'));
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+const templatePath = path.join(tempDir, 'templates', 'job.yml');
+
+const pipeline = [
+    'stages:', //  1
+    '- stage: Build', //  2
+    '  dependOn: []', //  3
+    '  steps:', //  4
+    '  - script: echo build', //  5
+    '- stage: Deploy', //  6
+    '  jobs:', //  7
+    '  - template: templates/job.yml', //  8
+    '- displayName: Nameless', //  9
+    '',
+].join('\n');
+
+const template = [
+    'jobs:', // 1
+    '- job: Deploy', // 2
+    '  timeoutInMinute: 10', // 3
+    '  steps:', // 4
+    '  - checkout: self', // 5
+    '  - bash: echo deploy', // 6
+    '    failOnStderr: true', // 7
+    '  - task: PublishBuildArtifacts@1', // 8
+    '    input:', // 9
+    '      pathToPublish: out', // 10
+    '',
+].join('\n');
+
+fs.mkdirSync(path.dirname(templatePath));
+fs.writeFileSync(pipelinePath, pipeline);
+fs.writeFileSync(templatePath, template);
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, validateSchema: true };
+const { schemaViolations } = parser.expandPipelineToResult(pipeline, overrides);
+const violationAt = (violationPath) => schemaViolations.find((violation) => violation.path === violationPath);
+const results = [];
+
+results.push(
+    test('Misspelled keys are reported with a suggestion', () => {
+        const dependOn = violationAt('stages[0].dependOn');
+        assert.strictEqual(dependOn.message, "Unknown property 'dependOn' in stage; did you mean 'dependsOn'?");
+        assert.deepStrictEqual(dependOn.source, { file: pipelinePath, line: 3, column: 3 });
+
+        const input = violationAt('stages[1].jobs[0].steps[2].input');
+        assert.strictEqual(input.message, "Unknown property 'input' in task step; did you mean 'inputs'?");
+    }),
+);
+
+results.push(
+    test('Misplaced keys and missing names are reported', () => {
+        assert.strictEqual(violationAt('stages[0].steps').message, "Unknown property 'steps' in stage");
+        assert.strictEqual(violationAt('stages[2]').message, "Missing required property 'stage' in stage");
+        assert.strictEqual(schemaViolations.length, 5, JSON.stringify(schemaViolations, null, 2));
+    }),
+);
+
+results.push(
+    test('Violations from a template point at the template line', () => {
+        const timeout = violationAt('stages[1].jobs[0].timeoutInMinute');
+        assert.strictEqual(
+            timeout.message,
+            "Unknown property 'timeoutInMinute' in job; did you mean 'timeoutInMinutes'?",
+        );
+        assert.strictEqual(timeout.source.file, templatePath);
+        assert.strictEqual(timeout.source.line, 3);
+        assert.strictEqual(timeout.source.template, 'templates/job.yml');
+    }),
+);
+
+results.push(
+    test('Valid pipelines have no violations', () => {
+        const valid = [
+            'trigger:',
+            '  branches:',
+            '    include: [main]',
+            'variables:',
+            '- name: configuration',
+            '  value: Release',
+            'jobs:',
+            '- job: Build',
+            '  pool:',
+            '    vmImage: ubuntu-latest',
+            '  steps:',
+            '  - pwsh: echo build',
+            '    errorActionPreference: stop',
+            '- deployment: Release',
+            '  environment: prod',
+            '  strategy:',
+            '    runOnce:',
+            '      deploy:',
+            '        steps:',
+            '        - download: current',
+            '',
+        ].join('\n');
+        const { schemaViolations: none } = parser.expandPipelineToResult(valid, overrides);
+        assert.deepStrictEqual(none, []);
+        assert.deepStrictEqual(parser.validatePipelineSchema({ steps: 'echo' }), [
+            { path: 'steps', message: "'steps' must be an array", source: undefined },
+        ]);
+    }),
+);
+
+results.push(
+    test('Violations are reported as diagnostics', () => {
+        const { diagnostics, sourceMap } = parser.expandPipelineToResult(pipeline, {
+            ...overrides,
+            collectDiagnostics: true,
+        });
+        const schema = diagnostics.filter((diagnostic) => diagnostic.code === 'schema-violation');
+        assert.strictEqual(schema.length, 5);
+        assert.deepStrictEqual(
+            [schema[0].message, schema[0].file, schema[0].line],
+            ["Unknown property 'dependOn' in stage; did you mean 'dependsOn'? (stages[0].dependOn)", pipelinePath, 3],
+        );
+        assert.strictEqual(sourceMap, undefined, 'source maps are still opt-in');
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} schema validation tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
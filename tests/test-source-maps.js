@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test source maps from expanded YAML back to template lines (sourceMap option)
+ *
+ * Verifies that:
+ * 1. No source map is produced unless requested
+ * 2. Nodes from the root pipeline, local templates and repository templates are mapped
+ *    to their file, repository alias, line and column
+ * 3. Nodes produced by each loops and step shorthands map to the originating lines
+ * 4. Source maps can be rebuilt for reformatted output
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+const { formatYaml } = require('../formatter');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-source-maps-'));
+const sharedDir = path.join(testDir, 'shared');
+fs.mkdirSync(sharedDir);
+
+fs.writeFileSync(
+    path.join(testDir, 'build.yml'),
+    `parameters:
+- name: configurations
+  type: object
+  default: [debug, release]
+
+steps:
+- \${{ each config in parameters.configurations }}:
+  - script: make \${{ config }}
+    displayName: Build \${{ config }}
+`,
+);
+fs.writeFileSync(
+    path.join(sharedDir, 'publish.yml'),
+    `steps:
+- task: PublishBuildArtifacts@1
+  inputs:
+    pathToPublish: out
+`,
+);
+
+const fileName = path.join(testDir, 'azure-pipelines.yml');
+const pipeline = `resources:
+  repositories:
+  - repository: shared
+    type: git
+    name: org/shared
+
+jobs:
+- job: Build
+  steps:
+  - template: build.yml
+  - template: publish.yml@shared
+`;
+const options = { fileName, resourceLocations: { shared: sharedDir }, sourceMap: true };
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+function sourceOfLine(result, text) {
+    const lines = result.text.split('\n');
+    const index = lines.findIndex((line) => line.includes(text));
+    assert(index !== -1, `line containing '${text}' not found`);
+    const mapping = parser.findSourceMapping(result.sourceMap, index + 1);
+    assert(mapping, `no mapping for '${text}'`);
+    return mapping.source;
+}
+
+results.push(
+    test('Source maps are only produced when requested', () => {
+        const result = parser.expandPipelineToResult(pipeline, {
+            fileName,
+            resourceLocations: options.resourceLocations,
+        });
+        assert.strictEqual(result.sourceMap, undefined);
+        assert.strictEqual(result.sourcePaths, undefined);
+    }),
+);
+
+results.push(
+    test('Root pipeline nodes map to the pipeline file', () => {
+        const result = parser.expandPipelineToResult(pipeline, options);
+        assert.deepStrictEqual(sourceOfLine(result, 'job: Build'), { file: fileName, line: 8, column: 3 });
+    }),
+);
+
+results.push(
+    test('Each loop iterations map to the loop body in the template', () => {
+        const result = parser.expandPipelineToResult(pipeline, options);
+        const buildFile = path.join(testDir, 'build.yml');
+
+        assert.deepStrictEqual(sourceOfLine(result, 'displayName: Build release'), {
+            file: buildFile,
+            template: 'build.yml',
+            line: 9,
+            column: 5,
+        });
+        assert.strictEqual(sourceOfLine(result, 'script: make debug').line, 8, 'shorthand inputs map to the script');
+    }),
+);
+
+results.push(
+    test('Repository template nodes include the repository alias', () => {
+        const result = parser.expandPipelineToResult(pipeline, options);
+        assert.deepStrictEqual(sourceOfLine(result, 'pathToPublish: out'), {
+            file: path.join(sharedDir, 'publish.yml'),
+            template: 'publish.yml@shared',
+            repository: 'shared',
+            line: 4,
+            column: 5,
+        });
+    }),
+);
+
+results.push(
+    test('Source maps can be rebuilt for formatted output', () => {
+        const result = parser.expandPipelineToResult(pipeline, options);
+        const formatted = formatYaml(result.text, { fileName, wasExpanded: true, indent: 4 }).text;
+        const sourceMap = parser.createSourceMap(formatted, result.sourcePaths);
+        const lines = formatted.split('\n');
+        const index = lines.findIndex((line) => line.includes('pathToPublish: out'));
+        const mapping = parser.findSourceMapping(sourceMap, index + 1);
+
+        assert.strictEqual(mapping.path, 'jobs[0].steps[2].inputs.pathToPublish');
+        assert.strictEqual(mapping.source.line, 4);
+    }),
+);
+
+fs.rmSync(testDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} source map tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test the bundled task catalog (data/task-catalog.json)
+ *
+ * Verifies that:
+ * 1. Catalog entries have unique names and ids and well-formed inputs
+ * 2. Step shorthands are converted to the tasks the catalog declares for them
+ * 3. Tasks are found by name or id, with or without a version
+ * 4. Shorthand-only tasks are not offered as `task:` completions
+ */
+
+const assert = require('assert');
+const { AzurePipelineParser } = require('../parser');
+const catalog = require('../data/task-catalog.json');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Catalog entries are unique and well-formed', () => {
+        const names = catalog.tasks.map((task) => task.name.toLowerCase());
+        const ids = catalog.tasks.map((task) => task.id);
+        assert.strictEqual(new Set(names).size, names.length, 'task names are unique');
+        assert.strictEqual(new Set(ids).size, ids.length, 'task ids are unique');
+        for (const task of catalog.tasks) {
+            assert(/^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/.test(task.id), `${task.name} has a GUID id`);
+            assert(task.versions.length > 0, `${task.name} has versions`);
+            for (const version of task.versions) {
+                const inputNames = version.inputs.flatMap((input) => [input.name, ...(input.aliases || [])]);
+                const lower = inputNames.map((name) => name.toLowerCase());
+                assert.strictEqual(
+                    new Set(lower).size,
+                    lower.length,
+                    `${task.name}@${version.major} inputs are unique`,
+                );
+                for (const input of version.inputs) {
+                    assert(input.type && input.label, `${task.name}@${version.major} ${input.name} has a type`);
+                }
+            }
+        }
+    }),
+);
+
+results.push(
+    test('Step shorthands are converted to catalog tasks', () => {
+        const yaml = [
+            'steps:',
+            '- script: echo script',
+            '- bash: echo bash',
+            '- pwsh: echo pwsh',
+            '- powershell: echo powershell',
+            '- checkout: self',
+            '',
+        ].join('\n');
+        const { text } = parser.expandPipelineToResult(yaml, {});
+        const tasks = [...text.matchAll(/task: (\S+)/g)].map((match) => match[1]);
+        assert.deepStrictEqual(tasks, [
+            'CmdLine@2',
+            'Bash@3',
+            'PowerShell@2',
+            'PowerShell@2',
+            '6d15af64-176c-496d-b583-fd2ae21d4df4@1',
+        ]);
+    }),
+);
+
+results.push(
+    test('Tasks are found by name or id, with or without a version', () => {
+        const { task, version } = parser.findCatalogTask('dotnetcorecli@2');
+        assert.strictEqual(task.name, 'DotNetCoreCLI');
+        assert.strictEqual(version.major, 2);
+        const command = version.inputs.find((input) => input.name === 'command');
+        assert.strictEqual(command.defaultValue, 'build');
+        assert(Object.keys(command.options).includes('publish'));
+
+        assert.strictEqual(parser.findCatalogTask('PublishCodeCoverageResults').version.major, 2, 'latest version');
+        assert.strictEqual(parser.findCatalogTask('PublishCodeCoverageResults@1.2.3').version.major, 1);
+        assert.strictEqual(
+            parser.findCatalogTask('2ff763a7-ce83-4e1f-bc89-0ae63477cebe@1').task.name,
+            'PublishBuildArtifacts',
+        );
+        assert.strictEqual(parser.findCatalogTask('Bash@9'), undefined);
+        assert.strictEqual(parser.findCatalogTask('MyCustomTask@1'), undefined);
+    }),
+);
+
+results.push(
+    test('Shorthand-only tasks are not listed for task completions', () => {
+        const names = parser.listCatalogTasks().map((task) => task.name);
+        assert(names.includes('Bash') && names.includes('CmdLine'));
+        assert(!names.includes('checkout'));
+        assert.strictEqual(parser.findCatalogTask('checkout').version.inputs[0].name, 'repository');
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} task catalog tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Test task step validation against local task.json manifests (taskManifests)
+ *
+ * Verifies that:
+ * 1. Unknown tasks and task versions are reported
+ * 2. Unknown inputs are reported with a suggestion; aliases and other casings are accepted
+ * 3. Required inputs are reported when missing, unless a visibleRule hides them or they have a default
+ * 4. Pick list inputs must use one of their options; macros are not checked
+ * 5. Problems point at the step's source and are reported as diagnostics
+ * 6. Missing manifest directories fail the expansion; unreadable manifests are reported and skipped
+ * 7. Manifests are loaded once per directory and reloaded when a manifest changes
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-tasks-'));
+const manifestDir = path.join(tempDir, 'tasks');
+const pipelinePath = path.join(tempDir, 'azure-pipelines.yml');
+
+const writeManifest = (folder, manifest) => {
+    fs.mkdirSync(path.join(manifestDir, folder), { recursive: true });
+    fs.writeFileSync(path.join(manifestDir, folder, 'task.json'), '\uFEFF' + JSON.stringify(manifest, null, 2));
+};
+writeManifest('DotNetCoreCLIV2', {
+    id: '5541a522-603c-47ad-91fc-a4b1d163081b',
+    name: 'DotNetCoreCLI',
+    version: { Major: 2, Minor: 240, Patch: 0 },
+    inputs: [
+        {
+            name: 'command',
+            type: 'pickList',
+            required: true,
+            defaultValue: 'build',
+            options: { build: 'build', test: 'test', publish: 'publish', custom: 'custom' },
+        },
+        { name: 'projects', type: 'multiLine', required: false },
+        { name: 'custom', type: 'string', required: true, visibleRule: 'command = custom' },
+        { name: 'arguments', type: 'string', required: false },
+        { name: 'workingDirectory', aliases: ['workingDir'], type: 'filePath', required: false },
+    ],
+});
+writeManifest('PublishBuildArtifactsV1', {
+    id: '2ff763a7-ce83-4e1f-bc89-0ae63477cebe',
+    name: 'PublishBuildArtifacts',
+    version: { Major: 1, Minor: 0, Patch: 0 },
+    inputs: [
+        { name: 'PathtoPublish', type: 'filePath', required: true, defaultValue: '$(Build.ArtifactStagingDirectory)' },
+        { name: 'ArtifactName', type: 'string', required: true },
+    ],
+});
+writeManifest('CmdLineV2', {
+    name: 'CmdLine',
+    version: { Major: 2, Minor: 1, Patch: 0 },
+    inputs: [
+        { name: 'script', type: 'multiLine', required: true },
+        { name: 'workingDirectory', type: 'filePath', required: false },
+    ],
+});
+
+const pipeline = [
+    'steps:', //  1
+    '- task: DotNetCoreCLI@2', //  2
+    '  inputs:', //  3
+    '    command: custom', //  4
+    '    project: src/app.csproj', //  5
+    '    WorkingDir: src', //  6
+    '- task: DotNetCoreCLI@3', //  7
+    '- task: DotNetCoreCLI', //  8
+    '- task: DotNetCoreCLI@2', //  9
+    '  inputs:', // 10
+    '    command: deploy', // 11
+    '- task: DotNetCoreCLI@2', // 12
+    '  inputs:', // 13
+    '    command: $(dotnetCommand)', // 14
+    '- task: PublishBuildArtifacts@1', // 15
+    '- task: NuGetCommand@2', // 16
+    '- script: echo done', // 17
+    '- checkout: self', // 18
+    '',
+].join('\n');
+fs.writeFileSync(pipelinePath, pipeline);
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, taskManifests: manifestDir };
+const { taskViolations } = parser.expandPipelineToResult(pipeline, overrides);
+const byCode = (code) => taskViolations.filter((violation) => violation.code === code);
+const results = [];
+
+results.push(
+    test('Unknown tasks and versions are reported', () => {
+        assert.deepStrictEqual(
+            byCode('unknown-task').map((violation) => [violation.path, violation.message]),
+            [['steps[6].task', "Task 'NuGetCommand' is not defined in the task manifests"]],
+        );
+        assert.deepStrictEqual(
+            byCode('task-version').map((violation) => violation.message),
+            [
+                "Task 'DotNetCoreCLI' has no version 3; available: 2",
+                "Task 'DotNetCoreCLI' must reference a major version, such as 'DotNetCoreCLI@2'",
+            ],
+        );
+    }),
+);
+
+results.push(
+    test('Unknown inputs are reported with a suggestion', () => {
+        const [unknown, ...others] = byCode('unknown-task-input');
+        assert.strictEqual(others.length, 0, 'aliases and other casings are accepted');
+        assert.strictEqual(unknown.path, 'steps[0].inputs.project');
+        assert.strictEqual(
+            unknown.message,
+            "Unknown input 'project' for task 'DotNetCoreCLI@2'; did you mean 'projects'?",
+        );
+    }),
+);
+
+results.push(
+    test('Missing required inputs follow visibleRule and defaults', () => {
+        assert.deepStrictEqual(
+            byCode('missing-task-input').map((violation) => [violation.path, violation.message]),
+            [
+                ['steps[0].inputs', "Missing required input 'custom' for task 'DotNetCoreCLI@2'"],
+                ['steps[5].task', "Missing required input 'ArtifactName' for task 'PublishBuildArtifacts@1'"],
+            ],
+        );
+    }),
+);
+
+results.push(
+    test('Pick list inputs must use one of their options', () => {
+        assert.deepStrictEqual(
+            byCode('task-input-value').map((violation) => [violation.path, violation.message]),
+            [
+                [
+                    'steps[3].inputs.command',
+                    "Input 'command' of task 'DotNetCoreCLI@2' has value 'deploy' which is not one of: build, test, publish, custom",
+                ],
+            ],
+        );
+        assert.strictEqual(taskViolations.length, 7, 'converted script and checkout steps are valid');
+    }),
+);
+
+results.push(
+    test('Problems point at their source and become diagnostics', () => {
+        const [unknown] = byCode('unknown-task-input');
+        assert.deepStrictEqual(unknown.source, { file: pipelinePath, line: 5, column: 5 });
+
+        const { diagnostics } = parser.expandPipelineToResult(pipeline, { ...overrides, collectDiagnostics: true });
+        const [missing] = diagnostics.filter((diagnostic) => diagnostic.code === 'missing-task-input');
+        assert.deepStrictEqual([missing.file, missing.line], [pipelinePath, 3]);
+        assert.strictEqual(diagnostics.length, 7);
+    }),
+);
+
+results.push(
+    test('Manifests are cached until one of them changes', () => {
+        const { manifests } = parser.loadTaskManifests(manifestDir);
+        assert.strictEqual(parser.loadTaskManifests(manifestDir).manifests, manifests, 'the tree is read once');
+
+        writeManifest('CmdLineV2', {
+            name: 'CmdLine',
+            version: { Major: 2, Minor: 2, Patch: 0 },
+            inputs: [{ name: 'script', type: 'multiLine', required: true }],
+        });
+        const reloaded = parser.loadTaskManifests(manifestDir).manifests;
+        assert.notStrictEqual(reloaded, manifests);
+        assert.strictEqual(reloaded.get('cmdline').get(2).minor, 2);
+    }),
+);
+
+results.push(
+    test('Missing directories fail; unreadable manifests are reported and skipped', () => {
+        const missingDir = path.join(tempDir, 'missing');
+        assert.throws(
+            () => parser.expandPipelineToResult(pipeline, { ...overrides, taskManifests: missingDir }),
+            /Task manifest directory not found/,
+        );
+
+        writeManifest('Broken', { inputs: [] });
+        fs.mkdirSync(path.join(manifestDir, 'Truncated'));
+        fs.writeFileSync(path.join(manifestDir, 'Truncated', 'task.json'), '{ "name": ');
+        const { warnings, taskViolations: violations } = parser.expandPipelineToResult(pipeline, overrides);
+        assert.deepStrictEqual(
+            warnings.map((warning) => warning.code),
+            ['invalid-task-manifest', 'invalid-task-manifest'],
+        );
+        assert(
+            /Invalid task manifest .*Broken.task\.json: 'name' and 'version' are required/.test(warnings[0].message),
+        );
+        assert.strictEqual(violations.length, 7, 'the other manifests are still used');
+
+        const { diagnostics } = parser.expandPipelineToResult(pipeline, { ...overrides, collectDiagnostics: true });
+        const [broken] = diagnostics.filter((diagnostic) => diagnostic.code === 'invalid-task-manifest');
+        assert.deepStrictEqual([broken.file, broken.line], [path.join(manifestDir, 'Broken', 'task.json'), 1]);
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} task input tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
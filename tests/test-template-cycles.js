@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test circular template detection and the maximum template depth
+ *
+ * Verifies that:
+ * 1. Direct and indirect self-includes raise a TemplateIncludeError with the include chain
+ * 2. Cycles through repository templates show file@repo entries
+ * 3. Recursion with changing parameters is bounded by maxTemplateDepth
+ * 4. Repeated (non-nested) includes of the same template are allowed
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser, TemplateIncludeError } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-template-cycles-'));
+const sharedDir = path.join(testDir, 'shared');
+fs.mkdirSync(sharedDir);
+
+const files = {
+    'self.yml': 'steps:\n- template: self.yml\n',
+    'first.yml': 'steps:\n- template: second.yml\n',
+    'second.yml': 'steps:\n- script: echo second\n- template: first.yml\n',
+    'shared/loop.yml': 'steps:\n- template: loop.yml@shared\n',
+    'countdown.yml': `parameters:
+- name: label
+  type: string
+  default: x
+
+steps:
+- script: echo \${{ parameters.label }}
+- template: countdown.yml
+  parameters:
+    label: \${{ format('{0}x', parameters.label) }}
+`,
+    'echo.yml': 'steps:\n- script: echo once\n',
+};
+for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(testDir, name), content);
+}
+
+const fileName = path.join(testDir, 'azure-pipelines.yml');
+const parser = new AzurePipelineParser();
+const results = [];
+
+function expectIncludeError(yaml, options, pattern) {
+    let caught;
+    try {
+        parser.expandPipelineToString(yaml, { fileName, ...options });
+    } catch (error) {
+        caught = error;
+    }
+    assert(caught, 'expansion should fail');
+    assert(caught instanceof TemplateIncludeError, `expected TemplateIncludeError, got ${caught.name}`);
+    assert(pattern.test(caught.message), `unexpected message: ${caught.message}`);
+    return caught;
+}
+
+results.push(
+    test('Direct self-include is reported as a cycle', () => {
+        const error = expectIncludeError(
+            'steps:\n- template: self.yml\n',
+            {},
+            /Circular template reference detected: 'self.yml' includes itself/,
+        );
+        assert.deepStrictEqual(error.includeChain, [fileName, 'self.yml', 'self.yml']);
+    }),
+);
+
+results.push(
+    test('Indirect cycles print the full include chain', () => {
+        const error = expectIncludeError(
+            'steps:\n- template: first.yml\n',
+            {},
+            /Include chain: .* → first\.yml → second\.yml → first\.yml$/,
+        );
+        assert.strictEqual(error.includeChain.length, 4);
+    }),
+);
+
+results.push(
+    test('Repository template cycles use file@repo entries', () => {
+        const yaml = `
+resources:
+  repositories:
+  - repository: shared
+    type: git
+    name: org/shared
+
+steps:
+- template: loop.yml@shared
+`;
+        expectIncludeError(yaml, { resourceLocations: { shared: sharedDir } }, /loop\.yml@shared → loop\.yml@shared$/);
+    }),
+);
+
+results.push(
+    test('Recursion with changing parameters stops at the maximum depth', () => {
+        expectIncludeError('steps:\n- template: countdown.yml\n', {}, /Maximum template depth of 100 exceeded/);
+        const error = expectIncludeError(
+            'steps:\n- template: countdown.yml\n',
+            { maxTemplateDepth: 3 },
+            /Maximum template depth of 3 exceeded while including 'countdown.yml'/,
+        );
+        assert.strictEqual(error.includeChain.length, 5);
+    }),
+);
+
+results.push(
+    test('Sibling includes of the same template are not cycles', () => {
+        const output = parser.expandPipelineToString('steps:\n- template: echo.yml\n- template: echo.yml\n', {
+            fileName,
+            maxTemplateDepth: 1,
+        });
+        assert.strictEqual(output.match(/echo once/g).length, 2);
+    }),
+);
+
+results.push(
+    test('Invalid maximum depth is rejected', () => {
+        assert.throws(
+            () => parser.expandPipelineToString('steps: []', { maxTemplateDepth: 0 }),
+            /Invalid maximum template depth '0'/,
+        );
+    }),
+);
+
+fs.rmSync(testDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} template cycle tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
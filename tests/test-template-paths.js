@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test Azure's path rules for template references
+ *
+ * Verifies that:
+ * 1. A leading `/` is relative to the root (git root) of the repository containing the pipeline
+ * 2. `path@self` refers to the repository containing the root pipeline, also from other repositories
+ * 3. Other paths are relative to the including file, at every nesting level
+ * 4. A leading `/` in a template of another repository is relative to that repository's root
+ * 5. A location configured for `self` is used instead of the git root
+ * 6. Errors for missing templates tell which rule was applied
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-template-paths-'));
+const appDir = path.join(tempDir, 'app');
+const sharedDir = path.join(tempDir, 'shared');
+const pipelinePath = path.join(appDir, 'pipelines', 'azure-pipelines.yml');
+
+const writeFile = (relativePath, lines) => {
+    const filePath = path.join(tempDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [...lines, ''].join('\n'));
+};
+fs.mkdirSync(path.join(appDir, '.git'), { recursive: true });
+writeFile('app/ci/steps.yml', ['steps:', '- script: echo root ci']);
+writeFile('app/pipelines/ci/steps.yml', ['steps:', '- script: echo pipeline ci']);
+writeFile('app/pipelines/templates/local.yml', ['steps:', '- template: nested.yml']);
+writeFile('app/pipelines/templates/nested.yml', ['steps:', '- script: echo nested next to local']);
+writeFile('app/templates/nested.yml', ['steps:', '- script: echo nested at the root']);
+writeFile('shared/build.yml', ['steps:', '- template: /common/tools.yml', '- template: ci/steps.yml@self']);
+writeFile('shared/common/tools.yml', ['steps:', '- script: echo shared tools']);
+writeFile('app/common/tools.yml', ['steps:', '- script: echo app tools']);
+
+const pipeline = (...templates) =>
+    [
+        'resources:',
+        '  repositories:',
+        '  - repository: shared',
+        '    type: git',
+        '    name: org/shared',
+        'steps:',
+        ...templates.map((template) => `- template: ${template}`),
+        '',
+    ].join('\n');
+
+const parser = new AzurePipelineParser();
+const overrides = { fileName: pipelinePath, resourceLocations: { shared: sharedDir } };
+const expand = (yaml, options = {}) => parser.expandPipelineToString(yaml, { ...overrides, ...options });
+const missingMessage = (template) => {
+    try {
+        expand(pipeline(template));
+    } catch (error) {
+        return error.message;
+    }
+    assert.fail(`${template} should not be found`);
+};
+const results = [];
+
+results.push(
+    test('A leading slash is relative to the git root of the pipeline', () => {
+        const output = expand(pipeline('/ci/steps.yml'));
+        assert(output.includes('echo root ci'), output);
+        assert(expand(pipeline('ci/steps.yml')).includes('echo pipeline ci'), 'other paths are not');
+    }),
+);
+
+results.push(
+    test('@self refers to the repository containing the root pipeline', () => {
+        const output = expand(pipeline('ci/steps.yml@self', 'build.yml@shared'));
+        assert.strictEqual(output.split('echo root ci').length, 3, output);
+        assert(!output.includes('echo pipeline ci'), output);
+    }),
+);
+
+results.push(
+    test('Other paths are relative to the including file', () => {
+        const output = expand(pipeline('templates/local.yml'));
+        assert(output.includes('echo nested next to local'), output);
+        assert(!output.includes('echo nested at the root'), output);
+    }),
+);
+
+results.push(
+    test('A leading slash in another repository is relative to its root', () => {
+        const output = expand(pipeline('build.yml@shared'));
+        assert(output.includes('echo shared tools'), output);
+        assert(!output.includes('echo app tools'), output);
+    }),
+);
+
+results.push(
+    test('A location configured for self replaces the git root', () => {
+        const output = expand(pipeline('/ci/steps.yml', 'ci/steps.yml@self'), {
+            resourceLocations: { shared: sharedDir, self: path.join(appDir, 'pipelines') },
+        });
+        assert(!output.includes('echo root ci'), output);
+        assert.strictEqual(output.split('echo pipeline ci').length, 3, output);
+    }),
+);
+
+results.push(
+    test('Missing templates tell which rule was applied', () => {
+        assert.strictEqual(
+            missingMessage('/ci/missing.yml'),
+            `Template file not found: /ci/missing.yml (looked for ${path.join(appDir, 'ci', 'missing.yml')} relative to the repository root)`,
+        );
+        assert.strictEqual(
+            missingMessage('missing.yml@self'),
+            `Template file not found: missing.yml@self (looked for ${path.join(appDir, 'missing.yml')} relative to the root of repository 'self')`,
+        );
+        assert.strictEqual(
+            missingMessage('missing.yml@shared'),
+            `Template file not found: missing.yml@shared (looked for ${path.join(sharedDir, 'missing.yml')} relative to the root of repository 'shared')`,
+        );
+        assert.strictEqual(
+            missingMessage('ci/missing.yml'),
+            `Template file not found: ci/missing.yml (looked for ${path.join(appDir, 'pipelines', 'ci', 'missing.yml')} relative to the including file)`,
+        );
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} template path tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
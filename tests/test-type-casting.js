@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Conformance tests for Azure expression type casting and comparison semantics
+ *
+ * Verifies that:
+ * 1. Every cell of the documented type-casting matrix converts (or fails) as Azure does
+ * 2. Comparisons convert the right operand to the type of the left one
+ * 3. String comparisons are ordinal ignore-case, with null treated as the empty string
+ * 4. Version strings are ordered component by component, but equality and membership compare them as strings
+ * 5. Ordering comparisons fail when the right operand cannot be converted
+ * 6. Arrays, objects and versions are truthy; containment functions use the same rules
+ * 7. Values of `type: boolean` parameters are bound as booleans, so 'false' from a variable is False
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const parser = new AzurePipelineParser();
+const results = [];
+const FAILS = 'conversion fails';
+
+const evaluate = (expression, variables = {}) => parser.evaluateExpression(expression, { parameters: {}, variables });
+const isTrue = (expression, variables) => evaluate(expression, variables) === '__TRUE__';
+const version = (text) => parser.parseVersion(text);
+
+/**
+ * Check a row of the casting matrix: `cases` is a list of [value, target type, expected].
+ * Versions are compared by their string form.
+ */
+function checkCasts(cases) {
+    for (const [value, type, expected] of cases) {
+        const actual = parser.castValue(value, type);
+        const label = `${JSON.stringify(value)} -> ${type}`;
+        if (expected === FAILS) {
+            assert.strictEqual(typeof actual, 'symbol', `${label} should fail, got ${String(actual)}`);
+        } else if (type === 'version') {
+            assert.strictEqual(String(actual), expected, label);
+        } else {
+            assert.strictEqual(actual, expected, label);
+        }
+    }
+}
+
+results.push(
+    test('Boolean converts to number and string only', () => {
+        checkCasts([
+            [true, 'boolean', true],
+            ['__FALSE__', 'boolean', false],
+            [false, 'null', FAILS],
+            [true, 'number', 1],
+            [false, 'number', 0],
+            [true, 'string', 'True'],
+            ['__FALSE__', 'string', 'False'],
+            [true, 'version', FAILS],
+        ]);
+    }),
+);
+
+results.push(
+    test('Null converts to False, 0 and the empty string', () => {
+        checkCasts([
+            [null, 'boolean', false],
+            [undefined, 'null', null],
+            [null, 'number', 0],
+            [null, 'string', ''],
+            [null, 'version', FAILS],
+        ]);
+    }),
+);
+
+results.push(
+    test('Number converts to boolean, string and (partially) version', () => {
+        checkCasts([
+            [0, 'boolean', false],
+            [-2.5, 'boolean', true],
+            [0, 'null', FAILS],
+            [42, 'string', '42'],
+            [1.5, 'string', '1.5'],
+            [1.2, 'version', '1.2'],
+            [3, 'version', FAILS],
+            [-1.2, 'version', FAILS],
+        ]);
+    }),
+);
+
+results.push(
+    test('String converts to boolean, and partially to null, number and version', () => {
+        checkCasts([
+            ['', 'boolean', false],
+            ['false', 'boolean', true],
+            ['0', 'boolean', true],
+            ['', 'null', null],
+            ['null', 'null', FAILS],
+            ['', 'number', 0],
+            [' 42 ', 'number', 42],
+            ['-1.5', 'number', -1.5],
+            ['1,000', 'number', 1000],
+            ['0x10', 'number', FAILS],
+            ['abc', 'number', FAILS],
+            ['1.2', 'version', '1.2'],
+            ['1.2.3.4', 'version', '1.2.3.4'],
+            ['1', 'version', FAILS],
+            ['1.2.3.4.5', 'version', FAILS],
+            ['1.2.x', 'version', FAILS],
+        ]);
+    }),
+);
+
+results.push(
+    test('Version converts to boolean and string only', () => {
+        checkCasts([
+            [version('2.190.1'), 'boolean', true],
+            [version('2.190.1'), 'null', FAILS],
+            [version('2.190.1'), 'number', FAILS],
+            [version('2.190.1'), 'string', '2.190.1'],
+        ]);
+    }),
+);
+
+results.push(
+    test('Arrays and objects are True and convert to nothing else', () => {
+        checkCasts([
+            [[], 'boolean', true],
+            [{}, 'boolean', true],
+            [[1], 'number', FAILS],
+            [{ a: 1 }, 'string', FAILS],
+            [[], 'null', FAILS],
+        ]);
+        assert(isTrue("and(split('a', ','), convertToJson('x'))"), 'arrays are truthy in logical functions');
+    }),
+);
+
+results.push(
+    test('Right operand is converted to the type of the left operand', () => {
+        assert(isTrue("eq(1, '1.0')"), 'number left: string parsed as number');
+        assert(isTrue("eq(1, '01')"), 'number left: leading zeros are ignored');
+        assert(!isTrue("eq('01', 1)"), 'string left: number formatted as string');
+        assert(isTrue("eq(true, 'yes')"), 'boolean left: non-empty string is True');
+        assert(!isTrue("eq(true, '')"), 'boolean left: empty string is False');
+        assert(isTrue('eq(false, 0)'), 'boolean left: 0 is False');
+        assert(isTrue("eq('True', true)"), 'string left: boolean formatted as True');
+        assert(!isTrue("eq(1, 'one')"), 'eq is False when the conversion fails');
+        assert(isTrue("ne(1, 'one')"), 'ne is True when the conversion fails');
+    }),
+);
+
+results.push(
+    test('Variables are strings and compare as strings', () => {
+        const variables = { count: '10', flag: 'false' };
+        assert(isTrue('eq(variables.count, 10)', variables));
+        assert(!isTrue('gt(variables.count, 9)', variables), "'10' sorts before '9' as a string");
+        assert(isTrue('gt(10, 9)'), 'number literals compare numerically');
+        assert(isTrue('eq(variables.flag, false)', variables), 'the boolean is formatted as False');
+        assert(isTrue('and(variables.flag, true)', variables), "the string 'false' is True");
+    }),
+);
+
+results.push(
+    test('String comparisons are ordinal ignore-case', () => {
+        assert(isTrue("eq('Refs/Heads/Main', 'refs/heads/main')"));
+        assert(isTrue("lt('apple', 'Banana')"));
+        assert(!isTrue("eq(' a', 'a')"), 'whitespace is significant');
+        assert(isTrue("in('B', 'a', 'b')"));
+        assert(isTrue("notIn('c', 'a', 'b')"));
+    }),
+);
+
+results.push(
+    test('Null compares equal to null and the empty string', () => {
+        assert(isTrue('eq(variables.missing, variables.other)'));
+        assert(isTrue("eq(variables.missing, '')"));
+        assert(isTrue('eq(variables.empty, variables.missing)', { empty: '' }), 'string left: null becomes empty');
+        assert(!isTrue("eq(variables.missing, 'x')"));
+        assert(isTrue('eq(variables.missing, 0)') === false, 'null left: 0 does not convert to null');
+    }),
+);
+
+results.push(
+    test('Version strings compare component by component', () => {
+        const variables = { agentVersion: '3.230.0' };
+        assert(isTrue("ge(variables.agentVersion, '3.220')", variables));
+        assert(isTrue("lt('3.99', '3.220')"), '99 < 220 as version components');
+        assert(isTrue("gt('2.190.1', '2.190')"), 'missing components sort first');
+        assert(isTrue("eq('1.2.3', '1.2.3')"));
+        assert(!isTrue("eq('1.2', '1.2.0')"));
+        assert(isTrue("gt('10', '9')") === false, 'single numbers are strings, not versions');
+    }),
+);
+
+results.push(
+    test('Equality and membership compare version-like strings as strings', () => {
+        const cases = [
+            ["eq('1.0', '1.00')", false],
+            ["eq('01.2', '1.2')", false],
+            ["eq('1.2.3', '1.2.3')", true],
+            ["eq('v1.2', 'V1.2')", true],
+            ["ne('3.0', '3.00')", true],
+            ["ne('3.0', '3.0')", false],
+            ["in('1.0', '1.00', '1.000')", false],
+            ["in('1.0', '1.00', '1.0')", true],
+            ["notIn('1.0', '1.00')", true],
+            ["contains(split('1.0,2.0', ','), '1.00')", false],
+            ["containsValue(split('1.0,2.0', ','), '2.00')", false],
+            ["containsValue(split('1.0,2.0', ','), '2.0')", true],
+            ["ge('1.0', '1.00')", true],
+            ["le('01.2', '1.2')", true],
+        ];
+        for (const [expression, expected] of cases) {
+            assert.strictEqual(isTrue(expression), expected, expression);
+        }
+        assert(isTrue("eq(variables.tag, '2.10')", { tag: '2.10' }));
+        assert(!isTrue("eq(variables.tag, '2.1')", { tag: '2.10' }), "the tag '2.10' is not '2.1'");
+    }),
+);
+
+results.push(
+    test('Ordering comparisons fail when conversion fails', () => {
+        assert.throws(() => evaluate("gt(5, 'abc')"), /Unable to compare '5' with 'abc' in 'gt'.*type 'number'/);
+        assert.throws(() => evaluate('le(variables.missing, 1)'), /cannot convert '1' to type 'null'/);
+        assert.throws(() => evaluate("lt(split('a', ','), 1)"), /in 'lt'/);
+        assert(isTrue("ge(variables.missing, '')"), 'null orders equal to the empty string');
+    }),
+);
+
+results.push(
+    test('Containment functions cast to string ignoring case', () => {
+        assert(isTrue("contains('ABCDE', 'bcd')"));
+        assert(isTrue('contains(12345, 23)'));
+        assert(isTrue("startsWith('Refs/Heads/main', 'refs/heads/')"));
+        assert(isTrue("endsWith('Build.yml', '.YML')"));
+        assert(isTrue("containsValue(split('1,2,3', ','), 2)"), 'items are converted to the searched type');
+        assert(isTrue("contains(split('a,b', ','), 'B')"));
+    }),
+);
+
+results.push(
+    test("Boolean parameters bind 'true' and 'false' strings as booleans", () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-casting-'));
+        fs.writeFileSync(
+            path.join(tempDir, 'flag.yml'),
+            [
+                'parameters:',
+                '- name: flag',
+                '  type: boolean',
+                '  default: true',
+                'steps:',
+                '- ${{ if parameters.flag }}:',
+                '  - script: echo flag-on',
+                '- ${{ else }}:',
+                '  - script: echo flag-off',
+                '',
+            ].join('\n'),
+        );
+        const expand = (value) =>
+            parser.expandPipelineToString(
+                `variables:\n  value: '${value}'\nsteps:\n- template: flag.yml\n  parameters:\n    flag: \${{ variables.value }}\n`,
+                { fileName: path.join(tempDir, 'azure-pipelines.yml') },
+            );
+        try {
+            assert(expand('false').includes('echo flag-off'), 'the string false is False');
+            assert(expand('False').includes('echo flag-off'));
+            assert(expand('true').includes('echo flag-on'));
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} type casting tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
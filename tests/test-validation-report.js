@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Test the CLI validation mode (--validate --report json|sarif|junit)
+ *
+ * Verifies that:
+ * 1. Every problem of every pipeline is reported without printing the expanded YAML
+ * 2. JSON reports summarize problems per file
+ * 3. SARIF reports describe rules and locations relative to the working directory
+ * 4. JUnit reports contain one test case per pipeline, failed when it has errors
+ * 5. The exit code is non-zero only when errors exist
+ * 6. YAML syntax errors are reported and --report requires --validate
+ * 7. Validation does not change the counter store
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aps-validate-'));
+const cli = path.join(__dirname, '..', 'extension.js');
+
+fs.mkdirSync(path.join(tempDir, 'templates'));
+fs.writeFileSync(
+    path.join(tempDir, 'templates', 'build.yml'),
+    ['parameters:', '- name: configuration', '  type: string', 'steps:', '- script: echo build', ''].join('\n'),
+);
+fs.writeFileSync(
+    path.join(tempDir, 'broken.yml'),
+    [
+        'steps:', // 1
+        '- template: templates/build.yml', // 2
+        '  parameters:', // 3
+        '    platform: x64', // 4
+        '- template: templates/missing.yml', // 5
+        '',
+    ].join('\n'),
+);
+fs.writeFileSync(
+    path.join(tempDir, 'valid.yml'),
+    ['steps:', '- template: templates/build.yml', '  parameters:', '    configuration: Release', ''].join('\n'),
+);
+fs.writeFileSync(path.join(tempDir, 'invalid-yaml.yml'), 'steps:\n- script: echo a\n  - script: b\n');
+
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { cwd: tempDir, encoding: 'utf8' });
+const results = [];
+
+results.push(
+    test('Text reports list every problem without the expanded YAML', () => {
+        const { stdout, status } = run('broken.yml', 'valid.yml', '--validate');
+        assert.strictEqual(status, 1);
+        assert(!stdout.includes('echo build'), 'the expanded pipeline is not printed');
+        assert(stdout.includes("broken.yml:2:3: error: Missing required parameter 'configuration'"), stdout);
+        assert(stdout.includes('[missing-parameter]'));
+        assert(stdout.includes("broken.yml:4:5: error: Unknown parameter 'platform'"));
+        assert(
+            stdout.includes('broken.yml:5:3: error: Template file not found: templates/missing.yml (looked for '),
+            stdout,
+        );
+        assert(stdout.includes('missing.yml relative to the including file) [missing-template]'), stdout);
+        assert(stdout.includes('valid.yml: OK'));
+        assert(stdout.includes('Validated 2 pipeline(s): 3 error(s), 0 warning(s).'));
+    }),
+);
+
+results.push(
+    test('JSON reports summarize problems per file', () => {
+        const report = JSON.parse(run('broken.yml', 'valid.yml', '--validate', '--report', 'json').stdout);
+        assert.deepStrictEqual(report.summary, { files: 2, errors: 3, warnings: 0 });
+        assert.deepStrictEqual(
+            report.files.map((file) => [file.file, file.status, file.problems.length]),
+            [
+                ['broken.yml', 'failed', 3],
+                ['valid.yml', 'passed', 0],
+            ],
+        );
+        const [missing] = report.files[0].problems;
+        assert.deepStrictEqual(
+            [missing.code, missing.file, missing.line, missing.column],
+            ['missing-parameter', 'broken.yml', 2, 3],
+        );
+        assert.strictEqual(missing.related[0].file, 'templates/build.yml');
+    }),
+);
+
+results.push(
+    test('SARIF reports describe rules and locations', () => {
+        const sarif = JSON.parse(run('broken.yml', '--validate', '--report', 'sarif').stdout);
+        assert.strictEqual(sarif.version, '2.1.0');
+        const [runResult] = sarif.runs;
+        assert.strictEqual(runResult.tool.driver.name, 'Azure Pipeline Studio');
+        assert.deepStrictEqual(
+            runResult.tool.driver.rules.map((rule) => rule.id),
+            ['missing-parameter', 'unknown-parameter', 'missing-template'],
+        );
+        const [first] = runResult.results;
+        assert.strictEqual(first.level, 'error');
+        assert.strictEqual(first.ruleIndex, 0);
+        assert.deepStrictEqual(first.locations[0].physicalLocation, {
+            artifactLocation: { uri: 'broken.yml' },
+            region: { startLine: 2, startColumn: 3 },
+        });
+        assert.strictEqual(first.relatedLocations[0].physicalLocation.artifactLocation.uri, 'templates/build.yml');
+    }),
+);
+
+results.push(
+    test('JUnit reports contain one test case per pipeline', () => {
+        const outputPath = path.join(tempDir, 'report.xml');
+        const { stdout, stderr, status } = run(
+            'broken.yml',
+            'valid.yml',
+            '--validate',
+            '--report',
+            'junit',
+            '-o',
+            'report.xml',
+        );
+        assert.strictEqual(status, 1);
+        assert.strictEqual(stdout, '', 'the report is written to the output file');
+        assert(stderr.includes('Validation report written to'));
+        const xml = fs.readFileSync(outputPath, 'utf8');
+        assert(xml.includes('<testsuite name="azure-pipeline-studio" tests="2" failures="1"'), xml);
+        assert(xml.includes('<failure message="Missing required parameter &apos;configuration&apos;'));
+        assert(/<testcase [^>]*name="valid.yml"[^>]*\/>/.test(xml), 'passing pipelines have no failure');
+    }),
+);
+
+results.push(
+    test('Pipelines without errors exit with 0', () => {
+        const { stdout, status } = run('valid.yml', '--validate', '--report', 'json');
+        assert.strictEqual(status, 0);
+        assert.deepStrictEqual(JSON.parse(stdout).summary, { files: 1, errors: 0, warnings: 0 });
+    }),
+);
+
+results.push(
+    test('YAML syntax errors are reported and --report requires --validate', () => {
+        const report = JSON.parse(run('invalid-yaml.yml', '--validate', '--report', 'json').stdout);
+        const [problem] = report.files[0].problems;
+        assert.strictEqual(problem.code, 'yaml-syntax');
+        assert.strictEqual(problem.line, 3);
+
+        const misuse = run('valid.yml', '--report', 'json');
+        assert.strictEqual(misuse.status, 1);
+        assert(misuse.stderr.includes('--report option requires --validate'));
+        assert.strictEqual(run('valid.yml', '--validate', '--report', 'html').status, 1);
+    }),
+);
+
+results.push(
+    test('Validation does not change the counter store', () => {
+        const counterStore = path.join(tempDir, 'counters.json');
+        fs.writeFileSync(counterStore, JSON.stringify({ build: 1 }));
+        fs.writeFileSync(path.join(tempDir, 'counters.yml'), "steps:\n- script: echo ${{ counter('build', 0) }}\n");
+        run('counters.yml', '--validate', '--counter-store', 'counters.json');
+        const { status } = run('counters.yml', '--validate', '--counter-store', 'counters.json');
+        assert.strictEqual(status, 0);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(counterStore, 'utf8')), { build: 1 });
+    }),
+);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} validation report tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
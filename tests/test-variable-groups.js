@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Test local variable group stand-ins (variableGroups option)
+ *
+ * Verifies that:
+ * 1. `- group:` entries make group variables available to ${{ variables.X }} expressions
+ * 2. Groups and inline variables are merged in declaration order
+ * 3. Stage/job-level groups are visible inside their scope
+ * 4. Secret values are masked as *** in the rendered output
+ * 5. Invalid group contents are reported
+ */
+
+const assert = require('assert');
+const YAML = require('yaml');
+const { AzurePipelineParser } = require('../parser');
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS ${name}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ FAIL ${name}`);
+        console.error(`   ${error.message}`);
+        return false;
+    }
+}
+
+const variableGroups = {
+    'shared-settings': {
+        environment: 'prod',
+        region: 'westeurope',
+    },
+    'deploy-secrets': {
+        variables: {
+            apiUrl: { value: 'https://api.example.com' },
+            apiKey: { value: 's3cr3t-key', isSecret: true },
+        },
+    },
+};
+
+const parser = new AzurePipelineParser();
+const results = [];
+
+results.push(
+    test('Group variables are available to compile-time expressions', () => {
+        const yaml = `
+variables:
+- group: shared-settings
+
+steps:
+- \${{ if eq(variables.environment, 'prod') }}:
+  - script: echo deploy to \${{ variables.region }}
+- \${{ else }}:
+  - script: echo preview
+`;
+        const document = YAML.parse(parser.expandPipelineToString(yaml, { variableGroups }));
+        assert.strictEqual(document.steps.length, 1);
+        assert.strictEqual(document.steps[0].inputs.script, 'echo deploy to westeurope');
+        assert.deepStrictEqual(document.variables, [{ group: 'shared-settings' }], 'group references are kept');
+    }),
+);
+
+results.push(
+    test('Variables are merged in declaration order', () => {
+        const yaml = `
+variables:
+- name: environment
+  value: dev
+- group: Shared-Settings
+- name: region
+  value: northeurope
+
+steps:
+- script: echo \${{ variables.environment }} \${{ variables.region }}
+`;
+        const document = YAML.parse(parser.expandPipelineToString(yaml, { variableGroups }));
+        assert.strictEqual(document.steps[0].inputs.script, 'echo prod northeurope');
+    }),
+);
+
+results.push(
+    test('Job-level groups are visible within the job', () => {
+        const yaml = `
+jobs:
+- job: Deploy
+  variables:
+  - group: shared-settings
+  steps:
+  - script: echo \${{ variables.environment }}
+`;
+        const document = YAML.parse(parser.expandPipelineToString(yaml, { variableGroups }));
+        assert.strictEqual(document.jobs[0].steps[0].inputs.script, 'echo prod');
+    }),
+);
+
+results.push(
+    test('Secret group values are masked in the output', () => {
+        const yaml = `
+variables:
+- group: deploy-secrets
+
+steps:
+- script: curl -H "key=\${{ variables.apiKey }}" \${{ variables.apiUrl }}
+- script: echo $(apiKey)
+`;
+        const { text } = parser.expandPipelineToResult(yaml, { variableGroups, resolveMacros: true });
+        const document = YAML.parse(text);
+        assert(!text.includes('s3cr3t-key'), 'secret value must not be rendered');
+        assert.strictEqual(document.steps[0].inputs.script, 'curl -H "key=***" https://api.example.com');
+        assert.strictEqual(document.steps[1].inputs.script, 'echo ***');
+    }),
+);
+
+results.push(
+    test('Secrets of unreferenced groups are not masked', () => {
+        const yaml = `
+steps:
+- script: echo s3cr3t-key
+`;
+        const document = YAML.parse(parser.expandPipelineToString(yaml, { variableGroups }));
+        assert.strictEqual(document.steps[0].inputs.script, 'echo s3cr3t-key');
+    }),
+);
+
+results.push(
+    test('Invalid group contents are reported', () => {
+        assert.throws(
+            () => parser.expandPipelineToString('steps: []', { variableGroups: { broken: ['a'] } }),
+            /Variable group 'broken' must be a mapping/,
+        );
+    }),
+);
+
+const failed = results.filter((passed) => !passed).length;
+console.log(`\n${results.length - failed}/${results.length} variable group tests passed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -1,5 +1,7 @@
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const { execFileSync } = require('child_process');
 
 /**
  * Pick the first non-empty string from the provided values
@@ -71,8 +73,206 @@ function normalizeExtension(ext) {
     return value.startsWith('.') ? value : `.${value}`;
 }
 
+/**
+ * Create a file reader that serves files below a directory as they were at a git ref.
+ * Files outside the directory are not handled (the reader returns undefined), files that
+ * do not exist at the ref are reported as null.
+ * @param {string} ref - Git ref (branch, tag or commit)
+ * @param {string} workingDirectory - Directory inside the git repository
+ * @param {string} [templatesDirectory] - Directory whose files are read from the ref (default: repository root)
+ * @returns {function(string): (string|null|undefined)} The reader; its `commit` property holds the resolved commit id
+ */
+function createGitRefReader(ref, workingDirectory, templatesDirectory) {
+    const runGit = (args, cwd) =>
+        execFileSync('git', args, {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            maxBuffer: 64 * 1024 * 1024,
+        });
+    const realPath = (filePath) => {
+        try {
+            return fs.realpathSync(filePath);
+        } catch {
+            return path.resolve(filePath);
+        }
+    };
+
+    let root;
+    try {
+        root = runGit(['rev-parse', '--show-toplevel'], realPath(workingDirectory)).trim();
+    } catch {
+        throw new Error(`'${workingDirectory}' is not inside a git repository.`);
+    }
+    const scope = templatesDirectory ? realPath(templatesDirectory) : root;
+    let commit;
+    try {
+        commit = runGit(['rev-parse', '--verify', `${ref}^{commit}`], root).trim();
+    } catch {
+        throw new Error(`Unknown git ref '${ref}'.`);
+    }
+
+    const cache = new Map();
+    const reader = (filePath) => {
+        const absolute = path.join(realPath(path.dirname(filePath)), path.basename(filePath));
+        const relative = path.relative(scope, absolute);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return undefined;
+        }
+        if (!cache.has(absolute)) {
+            const repositoryPath = path.relative(root, absolute).split(path.sep).join('/');
+            try {
+                cache.set(absolute, runGit(['show', `${ref}:${repositoryPath}`], root));
+            } catch {
+                cache.set(absolute, null);
+            }
+        }
+        return cache.get(absolute);
+    };
+    reader.commit = commit;
+    return reader;
+}
+
+/**
+ * Compute a line diff with the Myers algorithm
+ * @param {string[]} oldLines - Lines before the change
+ * @param {string[]} newLines - Lines after the change
+ * @returns {Array<{type: string, line: string}>} Operations (' ' unchanged, '-' removed, '+' added)
+ */
+function diffLines(oldLines, newLines) {
+    // Common prefix and suffix keep the edit graph small for typical changes
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (
+        suffix < oldLines.length - prefix &&
+        suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Array(2 * offset + 1).fill(0);
+    const trace = [];
+
+    let found = n === 0 && m === 0;
+    for (let d = 0; !found && d <= n + m; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x =
+                k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        // trace[d] holds diagonals -d-1..d+1 of the previous round
+        const previous = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+        const prevX = previous(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            middle.push({ type: ' ', line: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            middle.push(x === prevX ? { type: '+', line: b[y - 1] } : { type: '-', line: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return [
+        ...oldLines.slice(0, prefix).map((line) => ({ type: ' ', line })),
+        ...middle.reverse(),
+        ...oldLines.slice(oldLines.length - suffix).map((line) => ({ type: ' ', line })),
+    ];
+}
+
+/**
+ * Create a unified diff of two texts
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @param {string} oldLabel - Label of the old text (`---` line)
+ * @param {string} newLabel - Label of the new text (`+++` line)
+ * @param {number} contextLines - Unchanged lines shown around each change
+ * @returns {string} The unified diff, or an empty string when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel, contextLines = 3) {
+    const toLines = (text) => {
+        const lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    };
+
+    const operations = diffLines(toLines(oldText), toLines(newText));
+    let oldLine = 1;
+    let newLine = 1;
+    for (const operation of operations) {
+        operation.oldLine = oldLine;
+        operation.newLine = newLine;
+        if (operation.type !== '+') oldLine++;
+        if (operation.type !== '-') newLine++;
+    }
+
+    const changes = operations.map((operation, index) => (operation.type === ' ' ? -1 : index)).filter((i) => i >= 0);
+    if (!changes.length) {
+        return '';
+    }
+
+    // Changes separated by at most twice the context share a hunk
+    const hunks = [];
+    let first = changes[0];
+    let last = changes[0];
+    for (const index of changes.slice(1)) {
+        if (index - last - 1 > 2 * contextLines) {
+            hunks.push([first, last]);
+            first = index;
+        }
+        last = index;
+    }
+    hunks.push([first, last]);
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const [start, end] of hunks) {
+        const slice = operations.slice(Math.max(0, start - contextLines), end + contextLines + 1);
+        const oldCount = slice.filter((operation) => operation.type !== '+').length;
+        const newCount = slice.filter((operation) => operation.type !== '-').length;
+        const oldStart = oldCount ? slice.find((operation) => operation.type !== '+').oldLine : slice[0].oldLine - 1;
+        const newStart = newCount ? slice.find((operation) => operation.type !== '-').newLine : slice[0].newLine - 1;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach((operation) => output.push(operation.type + operation.line));
+    }
+    return output.join('\n') + '\n';
+}
+
 module.exports = {
     pickFirstString,
     resolveConfiguredPath,
     normalizeExtension,
+    createGitRefReader,
+    createUnifiedDiff,
 };